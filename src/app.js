@@ -16,7 +16,6 @@ import {
   apiInfo
 } from './middlewares/security.js';
 import { errorHandler, notFoundHandler, timeoutHandler } from './middlewares/errorHandler.js';
-import { cleanupTenantGuard } from './middlewares/tenantGuard.js';
 
 // Import routes
 import authRoutes from './modules/auth/auth.routes.js';
@@ -28,6 +27,15 @@ import userRoutes from './modules/users/user.routes.js';
 import paymentRoutes from './modules/payments/payment.routes.js';
 import reportRoutes from './modules/reports/report.routes.js';
 import tenantRoutes from './modules/tenants/tenant.routes.js';
+import ratePlanRoutes from './modules/ratePlans/ratePlan.routes.js';
+import roomTypeRoutes from './modules/roomTypes/roomType.routes.js';
+import groupRoutes from './modules/groups/group.routes.js';
+import folioRoutes from './modules/folios/folio.routes.js';
+import invoiceRoutes from './modules/invoices/invoice.routes.js';
+import documentRoutes from './modules/documents/document.routes.js';
+import exchangeRateRoutes from './modules/exchangeRates/exchangeRate.routes.js';
+import paymentLinkRoutes from './modules/paymentLinks/paymentLink.routes.js';
+import ledgerRoutes from './modules/ledger/ledger.routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -70,7 +78,13 @@ app.use('/api', rateLimiter); // General rate limiting
 // Body parsing
 app.use(express.json({ 
   limit: '10mb',
-  strict: true 
+  strict: true,
+  // Keep the raw body of gateway webhooks to check their signature
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
 }));
 app.use(express.urlencoded({ 
   extended: true, 
@@ -97,12 +111,21 @@ app.use('/api/auth', authRoutes);
 // Protected API routes (require authentication)
 app.use('/api/properties', propertyRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/room-types', roomTypeRoutes);
 app.use('/api/guests', guestRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/folios', folioRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/payment-links', paymentLinkRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/tenants', tenantRoutes);
+app.use('/api/rate-plans', ratePlanRoutes);
 
 // =================================
 // API DOCUMENTATION (Future)
@@ -125,13 +148,6 @@ app.get('/', (req, res) => {
   });
 });
 
-// =================================
-// CLEANUP MIDDLEWARE
-// =================================
-
-// Cleanup tenant guard (restore mongoose methods)
-app.use(cleanupTenantGuard);
-
 // =================================
 // ERROR HANDLING
 // =================================
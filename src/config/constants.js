@@ -5,6 +5,7 @@
 
 export const USER_ROLES = {
   ADMIN: 'admin',
+  MANAGER: 'manager',
   STAFF: 'staff', 
   CLEANING: 'cleaning'
 };
@@ -33,21 +34,238 @@ export const RESERVATION_STATUS = {
   CONFIRMED: 'confirmed',
   CHECKED_IN: 'checked_in',
   CHECKED_OUT: 'checked_out',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+};
+
+// Reservations that hold their room for the nights of the stay
+export const BLOCKING_RESERVATION_STATUSES = [
+  RESERVATION_STATUS.PENDING,
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.CHECKED_IN
+];
+
+export const CANCELLATION_POLICIES = {
+  FLEXIBLE: 'flexible',
+  MODERATE: 'moderate',
+  STRICT: 'strict',
+  CUSTOM: 'custom'
+};
+
+export const CANCELLATION_PENALTY_TYPES = {
+  NIGHTS: 'nights',
+  PERCENTAGE: 'percentage'
+};
+
+// Free cancellation until deadlineHours before check-in; later cancellations pay the penalty
+export const CANCELLATION_POLICY_RULES = {
+  flexible: { deadlineHours: 24, penaltyType: 'nights', penaltyValue: 1 },
+  moderate: { deadlineHours: 120, penaltyType: 'percentage', penaltyValue: 50 },
+  strict: { deadlineHours: 336, penaltyType: 'percentage', penaltyValue: 100 }
+};
+
+// Roles allowed to cancel without the policy penalty (waivePenalty)
+export const PENALTY_WAIVER_ROLES = [USER_ROLES.ADMIN, USER_ROLES.MANAGER];
+
+// Who or what cancelled a reservation
+export const CANCELLATION_SOURCES = {
+  USER: 'user',
+  HOLD_EXPIRY: 'hold_expiry'
+};
+
+// Deposit asked when a reservation is created
+export const DEPOSIT_POLICIES = {
+  NONE: 'none',
+  FIRST_NIGHT: 'first_night',
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+export const EARLY_DEPARTURE_POLICIES = {
+  NONE: 'none',
+  NIGHTS: 'nights',
+  PERCENTAGE: 'percentage'
+};
+
+// Whether prices already include taxes or have them added on top
+export const TAX_MODES = {
+  INCLUSIVE: 'inclusive',
+  EXCLUSIVE: 'exclusive'
+};
+
+// IVA (federal VAT) and ISH (state lodging tax); 'other' for rates set by hand
+export const TAX_TYPES = {
+  IVA: 'iva',
+  ISH: 'ish',
+  OTHER: 'other'
+};
+
+export const DEFAULT_TAX_SETTINGS = {
+  mode: TAX_MODES.INCLUSIVE,
+  ivaRate: 16,
+  ishRate: 0
+};
+
+export const FOLIO_CHARGE_CATEGORIES = {
+  ROOM: 'room',
+  MINIBAR: 'minibar',
+  RESTAURANT: 'restaurant',
+  LAUNDRY: 'laundry',
+  LATE_CHECKOUT: 'late_checkout',
+  EARLY_DEPARTURE: 'early_departure',
+  FEE: 'fee',
+  PENALTY: 'penalty',
+  OTHER: 'other'
+};
+
+// Who settles a folio
+export const FOLIO_PAYER_TYPES = {
+  GUEST: 'guest',
+  COMPANY: 'company',
+  OTHER: 'other'
+};
+
+export const FOLIO_LINE_TYPES = {
+  CHARGE: 'charge',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const FOLIO_LINE_STATUS = {
+  POSTED: 'posted',
+  VOIDED: 'voided'
 };
 
 export const PAYMENT_STATUS = {
   PENDING: 'pending',
   PARTIAL: 'partial',
-  PAID: 'paid'
+  PAID: 'paid',
+  // Paid payments with part or all of their amount given back
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
 };
 
+// Payments whose money was received: what is left after refunds counts as paid
+export const COLLECTED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Payments with an amount left to refund
+export const REFUNDABLE_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED
+];
+
 export const PAYMENT_METHODS = {
   CASH: 'cash',
   TRANSFER: 'transfer',
   CARD: 'card'
 };
 
+// Ledger accounts; receivable is what guests owe, per reservation and folio
+export const LEDGER_ACCOUNTS = {
+  RECEIVABLE: 'receivable',
+  CASH: 'cash',
+  BANK: 'bank',
+  CARD_CLEARING: 'card_clearing',
+  PAYMENT_FEES: 'payment_fees',
+  ROOM_REVENUE: 'room_revenue',
+  OTHER_REVENUE: 'other_revenue',
+  TAXES_PAYABLE: 'taxes_payable'
+};
+
+// Account the money of each payment method lands in
+export const PAYMENT_METHOD_ACCOUNTS = {
+  [PAYMENT_METHODS.CASH]: LEDGER_ACCOUNTS.CASH,
+  [PAYMENT_METHODS.TRANSFER]: LEDGER_ACCOUNTS.BANK,
+  [PAYMENT_METHODS.CARD]: LEDGER_ACCOUNTS.CARD_CLEARING
+};
+
+export const LEDGER_ENTRY_TYPES = {
+  CHARGE: 'charge',
+  ADJUSTMENT: 'adjustment',
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  // A charge moved between folios of the reservation
+  TRANSFER: 'transfer',
+  // Cancels an earlier entry (voided charges, payments no longer collected)
+  REVERSAL: 'reversal'
+};
+
+// State of a card charge at the payment gateway
+export const GATEWAY_CHARGE_STATUS = {
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured'
+};
+
+// Payment gateway webhook events, normalized across providers
+export const GATEWAY_EVENTS = {
+  CAPTURED: 'payment.captured',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded',
+  OTHER: 'other'
+};
+
+// What a payment link collects
+export const PAYMENT_LINK_PURPOSES = {
+  DEPOSIT: 'deposit',
+  BALANCE: 'balance'
+};
+
+export const PAYMENT_LINK_STATUS = {
+  ACTIVE: 'active',
+  // A charge is in flight (waiting for the gateway to confirm it)
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Idempotency-Key header on the POST endpoints that create money or bookings
+export const IDEMPOTENCY = {
+  HEADER: 'Idempotency-Key',
+  MAX_KEY_LENGTH: 255,
+  // How long a stored response can be replayed
+  TTL_HOURS: 24,
+  // A request still processing after this long is taken as lost and can be retried
+  LOCK_TIMEOUT_MINUTES: 5
+};
+
+export const IDEMPOTENCY_KEY_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+// Stays or spend (in the reporting currency) that make a guest VIP
+export const VIP_THRESHOLDS = {
+  STAYS: 10,
+  SPEND: 10000
+};
+
+// Primary color of printable documents for tenants without branding
+export const DEFAULT_BRAND_COLOR = '#1F3A5F';
+
+export const INVOICE_STATUS = {
+  PENDING: 'pending',
+  STAMPED: 'stamped',
+  CANCELLED: 'cancelled'
+};
+
+// CFDI MetodoPago: paid in full when issued (PUE) or paid later (PPD)
+export const CFDI_PAYMENT_METHODS = {
+  SINGLE: 'PUE',
+  DEFERRED: 'PPD'
+};
+
+// CFDI cancellation motives (SAT catalog)
+export const CFDI_CANCELLATION_REASONS = {
+  ERRORS_WITH_REPLACEMENT: '01',
+  ERRORS_WITHOUT_REPLACEMENT: '02',
+  NOT_CARRIED_OUT: '03',
+  GLOBAL_INVOICE: '04'
+};
+
 export const TENANT_PLANS = {
   BASIC: 'basic',
   PREMIUM: 'premium',
@@ -62,6 +280,8 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  GONE: 410,
   UNPROCESSABLE_ENTITY: 422,
-  INTERNAL_SERVER_ERROR: 500
+  INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502
 };
@@ -25,6 +25,7 @@ class Database {
       };
 
       this.connection = await mongoose.connect(mongoUri, options);
+      await this.checkTransactionSupport();
 
       console.log(`✅ MongoDB connected: ${this.connection.connection.host}`);
 
@@ -48,6 +49,23 @@ class Database {
     }
   }
 
+  /**
+   * Check that the server can run transactions
+   * Payments and refunds are saved in transactions, which a standalone mongod rejects
+   */
+  async checkTransactionSupport() {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      await mongoose.disconnect();
+      throw new Error(
+        'MongoDB must be a replica set or sharded cluster (payments are saved in transactions). ' +
+        'For a local server start mongod --replSet rs0, run rs.initiate() once in mongosh ' +
+        'and add ?replicaSet=rs0 to MONGODB_URI'
+      );
+    }
+  }
+
   /**
    * Disconnect from MongoDB
    */
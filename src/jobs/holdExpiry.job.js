@@ -0,0 +1,54 @@
+import { runScheduledHoldExpiry } from '../modules/reservations/holdExpiry.service.js';
+
+/**
+ * Hold Expiry Job
+ * Periodically cancels pending reservations whose hold expired, for every
+ * property with settings.holdPolicy enabled
+ */
+
+const INTERVAL_MINUTES = parseInt(process.env.HOLD_EXPIRY_JOB_INTERVAL_MINUTES) || 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass, skipping it if the previous one is still running
+ */
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runScheduledHoldExpiry();
+
+    if (result.expired > 0 || result.failed > 0) {
+      console.log(`🕒 Hold expiry job: ${result.expired} expired, ${result.failed} failed across ${result.properties} properties`);
+    }
+  } catch (error) {
+    console.error('❌ Hold expiry job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the job (runs once right away, then every interval)
+ */
+export const startHoldExpiryJob = () => {
+  if (timer) return;
+
+  timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  run();
+
+  console.log(`🕒 Hold expiry job scheduled every ${INTERVAL_MINUTES} minute(s)`);
+};
+
+/**
+ * Stop the job
+ */
+export const stopHoldExpiryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default { startHoldExpiryJob, stopHoldExpiryJob };
@@ -0,0 +1,31 @@
+import { startNoShowJob, stopNoShowJob } from './noShow.job.js';
+import { startHoldExpiryJob, stopHoldExpiryJob } from './holdExpiry.job.js';
+
+/**
+ * Background Jobs
+ * Scheduled tasks started with the server. Set JOBS_ENABLED=false to disable them
+ * (e.g. when several API instances share the database and only one should run them)
+ */
+
+/**
+ * Start every background job
+ */
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  startNoShowJob();
+  startHoldExpiryJob();
+};
+
+/**
+ * Stop every background job
+ */
+export const stopJobs = () => {
+  stopNoShowJob();
+  stopHoldExpiryJob();
+};
+
+export default { startJobs, stopJobs };
@@ -0,0 +1,54 @@
+import { runScheduledNoShows } from '../modules/reservations/noShow.service.js';
+
+/**
+ * No-Show Job
+ * Periodically marks arrivals that never showed up, for every property
+ * with settings.noShowPolicy.autoProcess enabled
+ */
+
+const INTERVAL_MINUTES = parseInt(process.env.NO_SHOW_JOB_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass, skipping it if the previous one is still running
+ */
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runScheduledNoShows();
+
+    if (result.processed > 0 || result.failed > 0) {
+      console.log(`🕒 No-show job: ${result.processed} marked, ${result.failed} failed across ${result.properties} properties`);
+    }
+  } catch (error) {
+    console.error('❌ No-show job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the job (runs once right away, then every interval)
+ */
+export const startNoShowJob = () => {
+  if (timer) return;
+
+  timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  run();
+
+  console.log(`🕒 No-show job scheduled every ${INTERVAL_MINUTES} minute(s)`);
+};
+
+/**
+ * Stop the job
+ */
+export const stopNoShowJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default { startNoShowJob, stopNoShowJob };
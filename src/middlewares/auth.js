@@ -2,6 +2,7 @@ import jwt from 'jsonwebtoken';
 import User from '../modules/auth/user.model.js';
 import Tenant from '../modules/tenants/tenant.model.js';
 import { HTTP_STATUS } from '../config/constants.js';
+import { runWithoutTenant } from '../utils/tenantContext.js';
 
 /**
  * Authentication middleware using JWT
@@ -24,10 +25,10 @@ export const authenticate = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Find user with tenant information
-    const user = await User.findById(decoded.userId)
+    // Find user with tenant information (the tenant is not known yet)
+    const user = await runWithoutTenant(async () => User.findById(decoded.userId)
       .populate('tenantId', 'name type isActive settings')
-      .select('+passwordHash'); // Include password hash for security checks if needed
+      .select('+passwordHash')); // Include password hash for security checks if needed
 
     if (!user || !user.isActive) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../modules/idempotency/idempotencyKey.model.js';
+import { HTTP_STATUS, IDEMPOTENCY, IDEMPOTENCY_KEY_STATUS } from '../config/constants.js';
+
+/**
+ * Idempotency middleware
+ * Requests sent with an Idempotency-Key header run once per tenant and key: retries get
+ * the stored response back (with an Idempotent-Replayed header) instead of creating the
+ * payment or reservation again. Requests without the header run as usual. Handlers that
+ * charge or refund a card call recordGatewayOperation, so a request that fails after
+ * reaching the gateway keeps its key and is never run again
+ */
+
+/**
+ * Serialize a value with its object keys sorted, so equal payloads hash the same
+ * @param {*} value - Value to serialize
+ * @returns {String} JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hash what identifies a request: method, path and body
+ * @param {Object} req - Express request
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Take a key for this request, or find the request that already holds it
+ * @param {Object} req - Express request
+ * @param {String} key - Idempotency key
+ * @param {String} requestHash - Hash of the request
+ * @returns {Object} { record, existing } - record when the key is ours to run with
+ */
+const claimKey = async (req, key, requestHash) => {
+  const now = new Date();
+
+  try {
+    const record = await IdempotencyKey.create({
+      tenantId: req.user.tenantId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      userId: req.user.id,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY.TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, existing: null };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ tenantId: req.user.tenantId, key });
+  if (!existing || existing.requestHash !== requestHash || existing.status === IDEMPOTENCY_KEY_STATUS.COMPLETED) {
+    return { record: null, existing };
+  }
+
+  // A request lost after reaching the gateway is never run again
+  if (existing.gatewayOperation?.reference) {
+    return { record: null, existing };
+  }
+
+  // Take over a request lost while processing (server restarted mid-request)
+  const staleBefore = new Date(now.getTime() - IDEMPOTENCY.LOCK_TIMEOUT_MINUTES * 60 * 1000);
+  const record = existing.lockedAt < staleBefore
+    ? await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, tenantId: req.user.tenantId, lockedAt: existing.lockedAt },
+      { lockedAt: now },
+      { new: true }
+    )
+    : null;
+
+  return { record, existing };
+};
+
+/**
+ * Store the response of a request that held a key
+ * Server errors release the key instead, so the client can retry the request, unless
+ * the request already charged or refunded a card: then its error is stored and replayed
+ * @param {Object} record - IdempotencyKey document
+ * @param {Number} statusCode - Response status
+ * @param {*} body - Response body
+ */
+const storeResponse = async (record, statusCode, body) => {
+  if (statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR && !record.gatewayOperation?.reference) {
+    await IdempotencyKey.deleteOne({ _id: record._id, tenantId: record.tenantId });
+    return;
+  }
+
+  record.status = IDEMPOTENCY_KEY_STATUS.COMPLETED;
+  record.response = {
+    statusCode,
+    body: body === undefined ? null : JSON.parse(JSON.stringify(body))
+  };
+  await record.save();
+};
+
+/**
+ * Run a POST once per Idempotency-Key
+ * Goes after authenticate; a key reused with another request is rejected with 422, and
+ * one whose request is still running with 409
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY.HEADER);
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > IDEMPOTENCY.MAX_KEY_LENGTH) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `🔑 El encabezado ${IDEMPOTENCY.HEADER} debe tener entre 1 y ${IDEMPOTENCY.MAX_KEY_LENGTH} caracteres.`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, existing } = await claimKey(req, key.trim(), requestHash);
+
+    if (!record) {
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+          success: false,
+          message: `🔑 La clave ${IDEMPOTENCY.HEADER} ya se usó con otra solicitud. Usa una clave nueva para cada operación.`
+        });
+      }
+
+      if (existing?.status === IDEMPOTENCY_KEY_STATUS.COMPLETED) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      if (existing?.gatewayOperation?.reference) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `💳 Esta solicitud ya llegó a la pasarela (${existing.gatewayOperation.gateway} ${existing.gatewayOperation.reference}) y no se repetirá. Revisa el pago antes de usar una clave nueva.`
+        });
+      }
+
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: '⏳ Una solicitud con esta clave sigue en proceso. Intenta de nuevo en unos segundos.'
+      });
+    }
+
+    req.idempotencyKey = record;
+
+    // Keep the response before sending it, so a quick retry finds it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = sendJson;
+      storeResponse(record, res.statusCode, body)
+        .catch(error => console.error('Idempotency store error:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al verificar la clave de idempotencia'
+    });
+  }
+};
+
+/**
+ * Note on the request's idempotency key that a card was charged or refunded at a gateway
+ * Call it right after the gateway answers; requests without a key are left alone
+ * @param {Object} req - Express request
+ * @param {Object} operation - { gateway, reference } (charge or refund ID)
+ */
+export const recordGatewayOperation = async (req, { gateway, reference }) => {
+  const record = req.idempotencyKey;
+  if (!record) return;
+
+  record.gatewayOperation = { gateway, reference, at: new Date() };
+
+  try {
+    await IdempotencyKey.updateOne(
+      { _id: record._id, tenantId: record.tenantId },
+      { $set: { gatewayOperation: record.gatewayOperation } }
+    );
+  } catch (error) {
+    // The key is still kept when the response is stored
+    console.error('Idempotency gateway operation error:', error);
+  }
+};
+
+export default {
+  idempotency,
+  recordGatewayOperation
+};
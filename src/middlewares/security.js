@@ -69,8 +69,10 @@ export const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
-    'X-Tenant-ID'
-  ]
+    'X-Tenant-ID',
+    'Idempotency-Key'
+  ],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 /**
@@ -204,8 +206,17 @@ export const apiInfo = (req, res) => {
         auth: '/api/auth',
         properties: '/api/properties',
         rooms: '/api/rooms',
+        roomTypes: '/api/room-types',
+        ratePlans: '/api/rate-plans',
         guests: '/api/guests',
         reservations: '/api/reservations',
+        groups: '/api/groups',
+        folios: '/api/folios',
+        invoices: '/api/invoices',
+        documents: '/api/documents',
+        exchangeRates: '/api/exchange-rates',
+        paymentLinks: '/api/payment-links',
+        ledger: '/api/ledger',
         payments: '/api/payments'
       }
     }
@@ -1,9 +1,13 @@
 import mongoose from 'mongoose';
 import { HTTP_STATUS } from '../config/constants.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import { addTenantFilterToPipeline } from '../utils/tenantAggregate.js';
 
 /**
  * Multi-tenant middleware to ensure data isolation
- * Automatically injects tenantId into queries and validates tenant access
+ * Runs the rest of the request in the user's tenant context (AsyncLocalStorage), so
+ * the tenant scope plugin filters every query of this request, and only this one,
+ * by its tenant
  */
 export const tenantGuard = (req, res, next) => {
   try {
@@ -18,69 +22,7 @@ export const tenantGuard = (req, res, next) => {
     // Inject tenantId into request for easy access
     req.tenantId = req.user.tenantId;
 
-    // Store original mongoose methods to add tenant filtering
-    const originalFind = mongoose.Model.find;
-    const originalFindOne = mongoose.Model.findOne;
-    const originalFindOneAndUpdate = mongoose.Model.findOneAndUpdate;
-    const originalDeleteOne = mongoose.Model.deleteOne;
-    const originalDeleteMany = mongoose.Model.deleteMany;
-    const originalCountDocuments = mongoose.Model.countDocuments;
-
-    // Override mongoose methods to auto-inject tenantId
-    mongoose.Model.find = function(conditions = {}) {
-      // Don't add tenantId filter for Tenant model itself
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalFind.call(this, conditions);
-    };
-
-    mongoose.Model.findOne = function(conditions = {}) {
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalFindOne.call(this, conditions);
-    };
-
-    mongoose.Model.findOneAndUpdate = function(conditions = {}, update, options) {
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalFindOneAndUpdate.call(this, conditions, update, options);
-    };
-
-    mongoose.Model.deleteOne = function(conditions = {}) {
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalDeleteOne.call(this, conditions);
-    };
-
-    mongoose.Model.deleteMany = function(conditions = {}) {
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalDeleteMany.call(this, conditions);
-    };
-
-    mongoose.Model.countDocuments = function(conditions = {}) {
-      if (this.modelName !== 'Tenant' && !conditions.hasOwnProperty('tenantId')) {
-        conditions.tenantId = req.tenantId;
-      }
-      return originalCountDocuments.call(this, conditions);
-    };
-
-    // Cleanup function to restore original methods after request
-    req.cleanupTenantGuard = () => {
-      mongoose.Model.find = originalFind;
-      mongoose.Model.findOne = originalFindOne;
-      mongoose.Model.findOneAndUpdate = originalFindOneAndUpdate;
-      mongoose.Model.deleteOne = originalDeleteOne;
-      mongoose.Model.deleteMany = originalDeleteMany;
-      mongoose.Model.countDocuments = originalCountDocuments;
-    };
-
-    next();
+    runWithTenant(req.user.tenantId, () => next());
   } catch (error) {
     console.error('Tenant guard error:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -90,17 +32,6 @@ export const tenantGuard = (req, res, next) => {
   }
 };
 
-/**
- * Cleanup middleware to restore original mongoose methods
- * Should be used at the end of request processing
- */
-export const cleanupTenantGuard = (req, res, next) => {
-  if (req.cleanupTenantGuard) {
-    req.cleanupTenantGuard();
-  }
-  next();
-};
-
 /**
  * Validate tenant ownership of a resource
  * Used for additional security when accessing specific resources
@@ -198,25 +129,11 @@ export const setTenantId = (req, res, next) => {
   next();
 };
 
-/**
- * Advanced tenant isolation for aggregation pipelines
- */
-export const addTenantFilterToPipeline = (pipeline, tenantId) => {
-  // Add tenant filter as the first stage if not already present
-  const hasMatchStage = pipeline.some(stage => stage.$match && stage.$match.tenantId);
-  
-  if (!hasMatchStage) {
-    pipeline.unshift({
-      $match: { tenantId: mongoose.Types.ObjectId(tenantId) }
-    });
-  }
-
-  return pipeline;
-};
+// Tenant isolation for aggregation pipelines (see utils/tenantAggregate.js)
+export { addTenantFilterToPipeline };
 
 export default {
   tenantGuard,
-  cleanupTenantGuard,
   validateTenantOwnership,
   validateTenantParam,
   ensureTenantOwnership,
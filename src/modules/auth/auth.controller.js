@@ -2,6 +2,7 @@ import User from './user.model.js';
 import Tenant from '../tenants/tenant.model.js';
 import { generateToken } from '../../middlewares/auth.js';
 import { HTTP_STATUS, USER_ROLES } from '../../config/constants.js';
+import { runWithoutTenant } from '../../utils/tenantContext.js';
 
 /**
  * Authentication Controller
@@ -40,10 +41,10 @@ export const registerTenant = async (req, res) => {
     const savedTenant = await newTenant.save();
 
     // Check if user with same email exists in any tenant
-    const existingUser = await User.findOne({ 
+    const existingUser = await runWithoutTenant(async () => User.findOne({ 
       email: admin.email,
       isActive: true 
-    });
+    }));
 
     if (existingUser) {
       // Rollback tenant creation
@@ -110,13 +111,13 @@ export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user by email with password hash
-    const user = await User.findOne({ 
+    // Find user by email with password hash (in any tenant)
+    const user = await runWithoutTenant(async () => User.findOne({ 
       email: email.toLowerCase(),
       isActive: true 
     })
     .populate('tenantId', 'name type isActive settings')
-    .select('+passwordHash');
+    .select('+passwordHash'));
 
     if (!user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -10,6 +10,7 @@ import {
   logout
 } from './auth.controller.js';
 import { authenticate } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
 import { validate } from '../../middlewares/validation.js';
 import { 
   registerUserSchema,
@@ -56,6 +57,7 @@ router.post('/login',
  */
 router.get('/profile',
   authenticate,
+  tenantGuard,
   getProfile
 );
 
@@ -66,6 +68,7 @@ router.get('/profile',
  */
 router.put('/profile',
   authenticate,
+  tenantGuard,
   validate(updateUserSchema),
   updateProfile
 );
@@ -77,6 +80,7 @@ router.put('/profile',
  */
 router.put('/change-password',
   authenticate,
+  tenantGuard,
   validate(changePasswordSchema),
   changePassword
 );
@@ -88,6 +92,7 @@ router.put('/change-password',
  */
 router.post('/refresh',
   authenticate,
+  tenantGuard,
   refreshToken
 );
 
@@ -98,6 +103,7 @@ router.post('/refresh',
  */
 router.post('/logout',
   authenticate,
+  tenantGuard,
   logout
 );
 
@@ -123,6 +123,14 @@ userSchema.pre('save', function(next) {
           canViewReports: true
         };
         break;
+      case USER_ROLES.MANAGER:
+        this.permissions = {
+          canManageProperties: true,
+          canManageUsers: false,
+          canManageReservations: true,
+          canViewReports: true
+        };
+        break;
       case USER_ROLES.STAFF:
         this.permissions = {
           canManageProperties: false,
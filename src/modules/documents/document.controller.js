@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import Reservation from '../reservations/reservation.model.js';
+import Payment from '../payments/payment.model.js';
+import Folio from '../folios/folio.model.js';
+import { HTTP_STATUS, COLLECTED_PAYMENT_STATUSES } from '../../config/constants.js';
+import { syncStayCharges } from '../folios/folio.service.js';
+import {
+  renderReservationConfirmation,
+  renderPaymentReceipt,
+  renderFolioStatement
+} from './document.service.js';
+
+/**
+ * Document Controller
+ * Printable PDFs: reservation confirmation, payment receipt and folio statement
+ */
+
+/**
+ * Load a reservation of the current tenant
+ * @param {String} reservationId - Reservation ID
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object|null} Reservation document
+ */
+const findReservation = (reservationId, tenantId) => Reservation.findOne({
+  _id: reservationId,
+  tenantId,
+  isActive: true
+});
+
+/**
+ * Load what every document of a reservation prints: tenant, property, guest and room
+ * @param {Object} reservation - Reservation document
+ * @returns {Object} { tenant, property, guest, room }
+ */
+const loadDocumentContext = async (reservation) => {
+  const [tenant, property, guest, room] = await Promise.all([
+    mongoose.model('Tenant').findById(reservation.tenantId),
+    mongoose.model('Property').findOne({ _id: reservation.propertyId, tenantId: reservation.tenantId }),
+    mongoose.model('Guest').findOne({ _id: reservation.guestId, tenantId: reservation.tenantId }),
+    reservation.roomId
+      ? mongoose.model('Room').findOne({ _id: reservation.roomId, tenantId: reservation.tenantId })
+      : null
+  ]);
+
+  return { tenant, property, guest, room };
+};
+
+/**
+ * Send a PDF to be shown in the browser
+ * @param {Object} res - Express response
+ * @param {Buffer} pdf - PDF
+ * @param {String} fileName - File name without extension
+ */
+const sendPdf = (res, pdf, fileName) => {
+  res.status(HTTP_STATUS.OK)
+    .type('application/pdf')
+    .set('Content-Disposition', `inline; filename="${fileName}.pdf"`)
+    .send(pdf);
+};
+
+/**
+ * Get the confirmation of a reservation as PDF
+ * GET /api/documents/reservations/:reservationId/confirmation
+ */
+export const getReservationConfirmation = async (req, res) => {
+  try {
+    const reservation = await findReservation(req.params.reservationId, req.user.tenantId);
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    const { tenant, property, guest, room } = await loadDocumentContext(reservation);
+
+    const pdf = await renderReservationConfirmation({ reservation, tenant, property, guest, room });
+    sendPdf(res, pdf, `confirmacion-${reservation.confirmationNumber}`);
+
+  } catch (error) {
+    console.error('Reservation confirmation error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al generar la confirmación de la reservación'
+    });
+  }
+};
+
+/**
+ * Get the receipt of a payment as PDF
+ * GET /api/documents/payments/:transactionId/receipt
+ */
+export const getPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      transactionId: req.params.transactionId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!payment) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '💳 Pago no encontrado.'
+      });
+    }
+
+    if (!COLLECTED_PAYMENT_STATUSES.includes(payment.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '💳 Solo se emiten recibos de pagos completados.'
+      });
+    }
+
+    const reservation = await findReservation(payment.reservationId, req.user.tenantId);
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    const [{ tenant, property, guest }, folio] = await Promise.all([
+      loadDocumentContext(reservation),
+      payment.folioId
+        ? Folio.findOne({ _id: payment.folioId, tenantId: req.user.tenantId, isActive: true })
+        : null
+    ]);
+
+    const pdf = await renderPaymentReceipt({ payment, reservation, tenant, property, guest, folio });
+    sendPdf(res, pdf, `recibo-${payment.transactionId}`);
+
+  } catch (error) {
+    console.error('Payment receipt error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al generar el recibo de pago'
+    });
+  }
+};
+
+/**
+ * Get the statement of a folio (checkout bill) as PDF
+ * GET /api/documents/folios/:folioId/statement
+ */
+export const getFolioStatement = async (req, res) => {
+  try {
+    const stored = await Folio.findOne({
+      _id: req.params.folioId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+    const reservation = stored ? await findReservation(stored.reservationId, req.user.tenantId) : null;
+
+    if (!stored || !reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    // Print the folio with the stay charges of the current pricing
+    const folios = await syncStayCharges(reservation);
+    const folio = folios.find(item => String(item._id) === String(stored._id)) || stored;
+
+    const [{ tenant, property, guest, room }, payments] = await Promise.all([
+      loadDocumentContext(reservation),
+      Payment.find({
+        tenantId: req.user.tenantId,
+        reservationId: reservation._id,
+        status: { $in: COLLECTED_PAYMENT_STATUSES },
+        isActive: true
+      }).sort({ paymentDate: 1 })
+    ]);
+
+    // Payments without a folio belong to folio 1
+    const folioPayments = payments.filter(payment => (payment.folioId
+      ? String(payment.folioId) === String(folio._id)
+      : folio.number === 1));
+
+    const pdf = await renderFolioStatement({
+      folio,
+      reservation,
+      tenant,
+      property,
+      guest,
+      room,
+      payments: folioPayments
+    });
+    sendPdf(res, pdf, `folio-${reservation.confirmationNumber}-${folio.number}`);
+
+  } catch (error) {
+    console.error('Folio statement error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al generar el estado de cuenta'
+    });
+  }
+};
+
+export default {
+  getReservationConfirmation,
+  getPaymentReceipt,
+  getFolioStatement
+};
@@ -0,0 +1,161 @@
+/**
+ * Document Labels
+ * Text of the printable documents in each supported language. Tenants whose
+ * settings.language is not listed get Spanish
+ */
+
+const LABELS = {
+  es: {
+    locale: 'es-MX',
+    confirmationTitle: 'Confirmación de reservación',
+    receiptTitle: 'Recibo de pago',
+    statementTitle: 'Estado de cuenta',
+    confirmationNumber: 'Número de confirmación',
+    status: 'Estado',
+    guest: 'Huésped',
+    email: 'Correo',
+    phone: 'Teléfono',
+    room: 'Habitación',
+    checkIn: 'Llegada',
+    checkOut: 'Salida',
+    checkInFrom: 'Check-in a partir de las',
+    checkOutUntil: 'Check-out hasta las',
+    nights: 'Noches',
+    guests: 'Huéspedes',
+    adults: 'adultos',
+    children: 'niños',
+    date: 'Fecha',
+    description: 'Descripción',
+    quantity: 'Cant.',
+    unitPrice: 'Precio',
+    amount: 'Importe',
+    subtotal: 'Subtotal',
+    taxes: 'Impuestos',
+    fees: 'Cargos adicionales',
+    extras: 'Consumos',
+    total: 'Total',
+    paid: 'Pagado',
+    balance: 'Saldo pendiente',
+    depositDue: 'Depósito requerido',
+    depositDueDate: 'Fecha límite del depósito',
+    cancellationPolicy: 'Política de cancelación',
+    specialRequests: 'Solicitudes especiales',
+    transactionId: 'Folio de pago',
+    paymentDate: 'Fecha de pago',
+    paymentMethod: 'Método de pago',
+    reference: 'Referencia',
+    refunded: 'Reembolsado',
+    receivedFrom: 'Recibimos de',
+    reservation: 'Reservación',
+    folio: 'Folio',
+    payer: 'A cargo de',
+    charges: 'Cargos',
+    payments: 'Pagos',
+    noPayments: 'Sin pagos registrados',
+    issuedAt: 'Emitido el',
+    page: 'Página',
+    taxNames: { iva: 'IVA', ish: 'ISH', other: 'Otros impuestos' },
+    paymentMethods: { cash: 'Efectivo', transfer: 'Transferencia', card: 'Tarjeta' },
+    reservationStatus: {
+      pending: 'Pendiente',
+      confirmed: 'Confirmada',
+      checked_in: 'Hospedado',
+      checked_out: 'Concluida',
+      cancelled: 'Cancelada',
+      no_show: 'No presentado'
+    },
+    // e.g. "Cancelación sin costo hasta 5 días antes de la llegada; después se cobra el 50% de la estancia"
+    cancellationRule: ({ deadlineHours, penaltyType, penaltyValue }) => {
+      const deadline = deadlineHours % 24 === 0
+        ? `${deadlineHours / 24} ${deadlineHours === 24 ? 'día' : 'días'}`
+        : `${deadlineHours} horas`;
+      const penalty = penaltyType === 'nights'
+        ? `${penaltyValue} ${penaltyValue === 1 ? 'noche' : 'noches'}`
+        : `el ${penaltyValue}% de la estancia`;
+      return `Cancelación sin costo hasta ${deadline} antes de la llegada; después se cobra ${penalty}.`;
+    }
+  },
+  en: {
+    locale: 'en-US',
+    confirmationTitle: 'Reservation confirmation',
+    receiptTitle: 'Payment receipt',
+    statementTitle: 'Folio statement',
+    confirmationNumber: 'Confirmation number',
+    status: 'Status',
+    guest: 'Guest',
+    email: 'Email',
+    phone: 'Phone',
+    room: 'Room',
+    checkIn: 'Check-in',
+    checkOut: 'Check-out',
+    checkInFrom: 'Check-in from',
+    checkOutUntil: 'Check-out until',
+    nights: 'Nights',
+    guests: 'Guests',
+    adults: 'adults',
+    children: 'children',
+    date: 'Date',
+    description: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Price',
+    amount: 'Amount',
+    subtotal: 'Subtotal',
+    taxes: 'Taxes',
+    fees: 'Additional fees',
+    extras: 'Extras',
+    total: 'Total',
+    paid: 'Paid',
+    balance: 'Balance due',
+    depositDue: 'Deposit required',
+    depositDueDate: 'Deposit due by',
+    cancellationPolicy: 'Cancellation policy',
+    specialRequests: 'Special requests',
+    transactionId: 'Transaction ID',
+    paymentDate: 'Payment date',
+    paymentMethod: 'Payment method',
+    reference: 'Reference',
+    refunded: 'Refunded',
+    receivedFrom: 'Received from',
+    reservation: 'Reservation',
+    folio: 'Folio',
+    payer: 'Billed to',
+    charges: 'Charges',
+    payments: 'Payments',
+    noPayments: 'No payments recorded',
+    issuedAt: 'Issued on',
+    page: 'Page',
+    taxNames: { iva: 'VAT (IVA)', ish: 'Lodging tax (ISH)', other: 'Other taxes' },
+    paymentMethods: { cash: 'Cash', transfer: 'Bank transfer', card: 'Card' },
+    reservationStatus: {
+      pending: 'Pending',
+      confirmed: 'Confirmed',
+      checked_in: 'Checked in',
+      checked_out: 'Checked out',
+      cancelled: 'Cancelled',
+      no_show: 'No-show'
+    },
+    cancellationRule: ({ deadlineHours, penaltyType, penaltyValue }) => {
+      const deadline = deadlineHours % 24 === 0
+        ? `${deadlineHours / 24} ${deadlineHours === 24 ? 'day' : 'days'}`
+        : `${deadlineHours} hours`;
+      const penalty = penaltyType === 'nights'
+        ? `${penaltyValue} ${penaltyValue === 1 ? 'night' : 'nights'}`
+        : `${penaltyValue}% of the stay`;
+      return `Free cancellation up to ${deadline} before arrival; after that ${penalty} is charged.`;
+    }
+  }
+};
+
+/**
+ * Get the document labels for a language
+ * @param {String} language - Language code (e.g. 'es', 'en', 'en-US')
+ * @returns {Object} Labels
+ */
+export const getDocumentLabels = (language = 'es') => {
+  const code = String(language).toLowerCase().split(/[-_]/)[0];
+  return LABELS[code] || LABELS.es;
+};
+
+export default {
+  getDocumentLabels
+};
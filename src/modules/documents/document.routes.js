@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  getReservationConfirmation,
+  getPaymentReceipt,
+  getFolioStatement
+} from './document.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  documentReservationParamsSchema,
+  documentPaymentParamsSchema,
+  documentFolioParamsSchema
+} from '../../schemas/document.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/documents/reservations/:reservationId/confirmation
+ * @desc    Reservation confirmation as PDF
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/reservations/:reservationId/confirmation',
+  requirePermission('canManageReservations'),
+  validate(documentReservationParamsSchema, 'params'),
+  getReservationConfirmation
+);
+
+/**
+ * @route   GET /api/documents/payments/:transactionId/receipt
+ * @desc    Payment receipt as PDF
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/payments/:transactionId/receipt',
+  requirePermission('canManageReservations'),
+  validate(documentPaymentParamsSchema, 'params'),
+  getPaymentReceipt
+);
+
+/**
+ * @route   GET /api/documents/folios/:folioId/statement
+ * @desc    Folio statement (checkout bill) as PDF
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/folios/:folioId/statement',
+  requirePermission('canManageReservations'),
+  validate(documentFolioParamsSchema, 'params'),
+  getFolioStatement
+);
+
+export default router;
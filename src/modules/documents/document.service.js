@@ -0,0 +1,512 @@
+import PDFDocument from 'pdfkit';
+import { DEFAULT_BRAND_COLOR } from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getDocumentLabels } from './document.labels.js';
+
+/**
+ * Document Service
+ * Renders the printable PDFs of a reservation: confirmation, payment receipt and
+ * folio statement. Every document carries the tenant's branding, the property's
+ * address and contact, and is written in the tenant's settings.language
+ */
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 40;
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#6B6B6B';
+const RULE_COLOR = '#D9D9D9';
+
+/**
+ * Render a PDF into a buffer
+ * @param {Function} draw - Receives the PDFKit document and draws the content
+ * @returns {Promise<Buffer>} PDF
+ */
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, bufferPages: true });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Gather the branding, labels and formatters of a document
+ * @param {Object} params - { tenant, property, currency }
+ * @returns {Object} Document context
+ */
+const createContext = ({ tenant, property, currency = 'MXN' }) => {
+  const labels = getDocumentLabels(tenant.settings?.language);
+  const branding = tenant.settings?.branding || {};
+  const moneyFormat = new Intl.NumberFormat(labels.locale, { style: 'currency', currency });
+  const dayFormat = new Intl.DateTimeFormat(labels.locale, { dateStyle: 'long' });
+  const dateTimeFormat = new Intl.DateTimeFormat(labels.locale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: property.timezone
+  });
+
+  return {
+    labels,
+    property,
+    brandName: branding.displayName || tenant.name,
+    color: branding.primaryColor || DEFAULT_BRAND_COLOR,
+    logo: branding.logo || null,
+    footerText: branding.footerText || '',
+    money: (amount) => moneyFormat.format(amount || 0),
+    // Stay dates are calendar days (normalized to midnight)
+    day: (date) => dayFormat.format(new Date(date)),
+    // Moments (payments, issue date) in the property's timezone
+    dateTime: (date) => dateTimeFormat.format(new Date(date))
+  };
+};
+
+/**
+ * Width available for content
+ * @param {Object} doc - PDFKit document
+ * @returns {Number} Width in points
+ */
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+/**
+ * Start a new page when the next block does not fit
+ * @param {Object} doc - PDFKit document
+ * @param {Number} height - Height of the next block
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw the branded header and the document title
+ * @param {Object} doc - PDFKit document
+ * @param {Object} ctx - Document context
+ * @param {String} title - Document title
+ */
+const drawHeader = (doc, ctx, title) => {
+  const top = MARGIN;
+  const textX = MARGIN + 170;
+  const textWidth = contentWidth(doc) - 170;
+
+  if (ctx.logo) {
+    try {
+      doc.image(ctx.logo, MARGIN, top, { fit: [150, 60] });
+    } catch (error) {
+      // An unreadable logo should not block the document
+      console.error('Document logo error:', error.message);
+    }
+  }
+
+  const contact = [ctx.property.contact?.phone, ctx.property.contact?.email].filter(Boolean).join('  ·  ');
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(ctx.color)
+    .text(ctx.brandName, textX, top, { width: textWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(ctx.property.name, { width: textWidth, align: 'right' })
+    .text(ctx.property.getFullAddress(), { width: textWidth, align: 'right' });
+  if (contact) doc.text(contact, { width: textWidth, align: 'right' });
+
+  const ruleY = Math.max(doc.y, top + 60) + 10;
+  doc.moveTo(MARGIN, ruleY).lineTo(MARGIN + contentWidth(doc), ruleY)
+    .lineWidth(2).strokeColor(ctx.color).stroke();
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_COLOR)
+    .text(title, MARGIN, ruleY + 15, { width: contentWidth(doc) });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(`${ctx.labels.issuedAt} ${ctx.dateTime(new Date())}`);
+  doc.moveDown(1);
+};
+
+/**
+ * Draw a section title
+ * @param {Object} doc - PDFKit document
+ * @param {Object} ctx - Document context
+ * @param {String} title - Section title
+ */
+const drawSectionTitle = (doc, ctx, title) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(ctx.color)
+    .text(title.toUpperCase(), MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Draw label/value pairs in two columns
+ * @param {Object} doc - PDFKit document
+ * @param {Array} fields - [[label, value]]; pairs without value are skipped
+ */
+const drawFields = (doc, fields) => {
+  const columnWidth = contentWidth(doc) / 2;
+  const rows = fields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  for (let i = 0; i < rows.length; i += 2) {
+    ensureSpace(doc, 30);
+    const y = doc.y;
+    let bottom = y;
+
+    rows.slice(i, i + 2).forEach(([label, value], column) => {
+      const x = MARGIN + column * columnWidth;
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+        .text(label, x, y, { width: columnWidth - 10 });
+      doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR)
+        .text(String(value), x, doc.y, { width: columnWidth - 10 });
+      bottom = Math.max(bottom, doc.y);
+    });
+
+    doc.y = bottom + 6;
+  }
+};
+
+/**
+ * Draw a table with a colored header row
+ * @param {Object} doc - PDFKit document
+ * @param {Object} ctx - Document context
+ * @param {Array} columns - [{ label, width (fraction of the page), align }]
+ * @param {Array} rows - Cell texts per row
+ */
+const drawTable = (doc, ctx, columns, rows) => {
+  const width = contentWidth(doc);
+  const cells = columns.map(column => ({ ...column, width: column.width * width }));
+
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...values.map((value, index) =>
+      doc.heightOfString(String(value), { width: cells[index].width - 8 }))) + 8;
+
+    ensureSpace(doc, height);
+    const y = doc.y;
+
+    if (header) {
+      doc.rect(MARGIN, y, width, height).fill(ctx.color);
+    }
+
+    let x = MARGIN;
+    values.forEach((value, index) => {
+      doc.fillColor(header ? '#FFFFFF' : TEXT_COLOR)
+        .text(String(value), x + 4, y + 4, { width: cells[index].width - 8, align: cells[index].align || 'left' });
+      x += cells[index].width;
+    });
+
+    if (!header) {
+      doc.moveTo(MARGIN, y + height).lineTo(MARGIN + width, y + height)
+        .lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+    }
+
+    doc.y = y + height;
+  };
+
+  drawRow(cells.map(cell => cell.label), { header: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw right-aligned totals
+ * @param {Object} doc - PDFKit document
+ * @param {Array} lines - [[label, amount text, { bold }]]
+ */
+const drawTotals = (doc, lines) => {
+  const labelWidth = 170;
+  const valueWidth = 100;
+  const x = MARGIN + contentWidth(doc) - labelWidth - valueWidth;
+
+  lines.forEach(([label, value, { bold = false } = {}]) => {
+    ensureSpace(doc, 18);
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10).fillColor(TEXT_COLOR)
+      .text(label, x, y, { width: labelWidth, align: 'right' })
+      .text(value, x + labelWidth, y, { width: valueWidth, align: 'right' });
+    doc.y = y + (bold ? 16 : 14);
+  });
+
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw a paragraph of body text
+ * @param {Object} doc - PDFKit document
+ * @param {String} text - Text
+ */
+const drawParagraph = (doc, text) => {
+  ensureSpace(doc, 30);
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+};
+
+/**
+ * Write the footer text and page numbers on every page
+ * @param {Object} doc - PDFKit document
+ * @param {Object} ctx - Document context
+ */
+const drawFooters = (doc, ctx) => {
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - MARGIN;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    if (ctx.footerText) {
+      doc.text(ctx.footerText, MARGIN, y - 12, { width: contentWidth(doc), align: 'center' });
+    }
+    doc.text(`${ctx.labels.page} ${i - range.start + 1} / ${range.count}`, MARGIN, y, {
+      width: contentWidth(doc),
+      align: 'right'
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Build the tax total lines of a breakdown
+ * @param {Object} ctx - Document context
+ * @param {Array} taxBreakdown - [{ type, rate, amount }]
+ * @returns {Array} Total lines
+ */
+const taxLines = (ctx, taxBreakdown = []) => taxBreakdown.map(tax => [
+  `${ctx.labels.taxNames[tax.type] || tax.type} ${tax.rate}%`,
+  ctx.money(tax.amount)
+]);
+
+/**
+ * Describe the guests of a reservation (e.g. "2 adultos, 1 niños")
+ * @param {Object} labels - Document labels
+ * @param {Object} guests - { adults, children }
+ * @returns {String} Text
+ */
+const describeGuests = (labels, { adults = 0, children = 0 } = {}) => [
+  `${adults} ${labels.adults}`,
+  children > 0 ? `${children} ${labels.children}` : null
+].filter(Boolean).join(', ');
+
+/**
+ * Render the confirmation of a reservation
+ * @param {Object} params - Document data
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.tenant - Tenant document
+ * @param {Object} params.property - Property document
+ * @param {Object} params.guest - Guest document
+ * @param {Object} params.room - Room document (optional)
+ * @returns {Promise<Buffer>} PDF
+ */
+export const renderReservationConfirmation = ({ reservation, tenant, property, guest, room = null }) => {
+  const ctx = createContext({ tenant, property, currency: reservation.pricing.currency });
+  const { labels } = ctx;
+  const { pricing, paymentSummary } = reservation;
+
+  return renderPdf(doc => {
+    drawHeader(doc, ctx, labels.confirmationTitle);
+
+    drawFields(doc, [
+      [labels.confirmationNumber, reservation.confirmationNumber],
+      [labels.status, labels.reservationStatus[reservation.status] || reservation.status],
+      [labels.guest, guest?.fullName],
+      [labels.email, guest?.email],
+      [labels.phone, guest?.phone],
+      [labels.room, room?.nameOrNumber],
+      [labels.checkIn, `${ctx.day(reservation.dates.checkInDate)} · ${labels.checkInFrom} ${property.checkInTime}`],
+      [labels.checkOut, `${ctx.day(reservation.dates.checkOutDate)} · ${labels.checkOutUntil} ${property.checkOutTime}`],
+      [labels.nights, pricing.nights],
+      [labels.guests, describeGuests(labels, reservation.guests)]
+    ]);
+
+    if (pricing.nightlyBreakdown?.length > 0) {
+      drawSectionTitle(doc, ctx, labels.charges);
+      drawTable(doc, ctx, [
+        { label: labels.date, width: 0.3 },
+        { label: labels.description, width: 0.45 },
+        { label: labels.amount, width: 0.25, align: 'right' }
+      ], pricing.nightlyBreakdown.map(night => [
+        ctx.day(night.date),
+        night.ratePlanName || labels.room,
+        ctx.money(night.total)
+      ]));
+    }
+
+    const { cleaning = 0, service = 0, extra = 0, earlyDeparture = 0 } = pricing.fees || {};
+    const fees = roundCurrency(cleaning + service + extra + earlyDeparture);
+
+    drawTotals(doc, [
+      [labels.subtotal, ctx.money(pricing.subtotal)],
+      ...taxLines(ctx, pricing.taxBreakdown),
+      ...(fees > 0 ? [[labels.fees, ctx.money(fees)]] : []),
+      ...(pricing.incidentals ? [[labels.extras, ctx.money(pricing.incidentals)]] : []),
+      [labels.total, ctx.money(pricing.totalPrice), { bold: true }],
+      [labels.paid, ctx.money(paymentSummary.totalPaid)],
+      [labels.balance, ctx.money(paymentSummary.remainingBalance), { bold: true }]
+    ]);
+
+    if (paymentSummary.depositRequired > 0 && !paymentSummary.depositPaid) {
+      drawFields(doc, [
+        [labels.depositDue, ctx.money(paymentSummary.depositRequired)],
+        [labels.depositDueDate, paymentSummary.depositDueDate ? ctx.dateTime(paymentSummary.depositDueDate) : null]
+      ]);
+    }
+
+    drawSectionTitle(doc, ctx, labels.cancellationPolicy);
+    drawParagraph(doc, labels.cancellationRule(property.getCancellationRules()));
+
+    if (reservation.specialRequests) {
+      drawSectionTitle(doc, ctx, labels.specialRequests);
+      drawParagraph(doc, reservation.specialRequests);
+    }
+
+    drawFooters(doc, ctx);
+  });
+};
+
+/**
+ * Render the receipt of a payment
+ * @param {Object} params - Document data
+ * @param {Object} params.payment - Payment document
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.tenant - Tenant document
+ * @param {Object} params.property - Property document
+ * @param {Object} params.guest - Guest document
+ * @param {Object} params.folio - Folio the payment settles (optional)
+ * @returns {Promise<Buffer>} PDF
+ */
+export const renderPaymentReceipt = ({ payment, reservation, tenant, property, guest, folio = null }) => {
+  const ctx = createContext({ tenant, property, currency: payment.currency });
+  const { labels } = ctx;
+
+  const reference = payment.details?.cardLast4
+    ? `**** ${payment.details.cardLast4}`
+    : payment.details?.transferReference;
+
+  return renderPdf(doc => {
+    drawHeader(doc, ctx, labels.receiptTitle);
+
+    drawFields(doc, [
+      [labels.transactionId, payment.transactionId],
+      [labels.paymentDate, ctx.dateTime(payment.paymentDate)],
+      [labels.receivedFrom, folio?.payer?.name || guest?.fullName],
+      [labels.paymentMethod, labels.paymentMethods[payment.method] || payment.method],
+      [labels.reference, reference],
+      [labels.reservation, reservation.confirmationNumber],
+      [labels.folio, folio ? `${folio.number} · ${folio.name}` : null],
+      [labels.checkIn, ctx.day(reservation.dates.checkInDate)],
+      [labels.checkOut, ctx.day(reservation.dates.checkOutDate)]
+    ]);
+
+    doc.moveDown(0.5);
+    drawTotals(doc, [
+      [labels.amount, ctx.money(payment.amount), { bold: true }],
+      ...(payment.refund?.refundedAmount > 0
+        ? [[labels.refunded, ctx.money(-payment.refund.refundedAmount)]]
+        : []),
+      [`${labels.reservation} · ${labels.total}`, ctx.money(reservation.pricing.totalPrice)],
+      [`${labels.reservation} · ${labels.balance}`, ctx.money(reservation.paymentSummary.remainingBalance)]
+    ]);
+
+    if (payment.notes) {
+      drawParagraph(doc, payment.notes);
+    }
+
+    drawFooters(doc, ctx);
+  });
+};
+
+/**
+ * Render the statement of a folio (checkout bill)
+ * @param {Object} params - Document data
+ * @param {Object} params.folio - Folio document
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.tenant - Tenant document
+ * @param {Object} params.property - Property document
+ * @param {Object} params.guest - Guest document
+ * @param {Object} params.room - Room document (optional)
+ * @param {Array} params.payments - Paid payments applied to the folio
+ * @returns {Promise<Buffer>} PDF
+ */
+export const renderFolioStatement = ({ folio, reservation, tenant, property, guest, room = null, payments = [] }) => {
+  const ctx = createContext({ tenant, property, currency: reservation.pricing.currency });
+  const { labels } = ctx;
+
+  const paid = roundCurrency(payments.reduce((sum, payment) =>
+    sum + payment.amount - (payment.refund?.refundedAmount || 0), 0));
+
+  return renderPdf(doc => {
+    drawHeader(doc, ctx, `${labels.statementTitle} · ${labels.folio} ${folio.number}`);
+
+    drawFields(doc, [
+      [labels.confirmationNumber, reservation.confirmationNumber],
+      [labels.folio, folio.name],
+      [labels.guest, guest?.fullName],
+      [labels.payer, folio.payer?.name],
+      [labels.room, room?.nameOrNumber],
+      [labels.nights, reservation.pricing.nights],
+      [labels.checkIn, ctx.day(reservation.dates.actualCheckInDate || reservation.dates.checkInDate)],
+      [labels.checkOut, ctx.day(reservation.dates.actualCheckOutDate || reservation.dates.checkOutDate)]
+    ]);
+
+    drawSectionTitle(doc, ctx, labels.charges);
+    drawTable(doc, ctx, [
+      { label: labels.date, width: 0.2 },
+      { label: labels.description, width: 0.4 },
+      { label: labels.quantity, width: 0.1, align: 'right' },
+      { label: labels.unitPrice, width: 0.15, align: 'right' },
+      { label: labels.amount, width: 0.15, align: 'right' }
+    ], folio.getPostedLines()
+      .slice()
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(line => [
+        ctx.day(line.date),
+        line.reason ? `${line.description} (${line.reason})` : line.description,
+        line.quantity,
+        ctx.money(line.unitPrice),
+        ctx.money(line.total)
+      ]));
+
+    drawTotals(doc, [
+      [labels.subtotal, ctx.money(folio.totals.subtotal)],
+      ...taxLines(ctx, folio.totals.taxBreakdown),
+      [labels.total, ctx.money(folio.totals.total), { bold: true }]
+    ]);
+
+    drawSectionTitle(doc, ctx, labels.payments);
+    if (payments.length > 0) {
+      drawTable(doc, ctx, [
+        { label: labels.date, width: 0.3 },
+        { label: labels.transactionId, width: 0.3 },
+        { label: labels.paymentMethod, width: 0.2 },
+        { label: labels.amount, width: 0.2, align: 'right' }
+      ], payments.map(payment => [
+        ctx.dateTime(payment.paymentDate),
+        payment.transactionId,
+        labels.paymentMethods[payment.method] || payment.method,
+        ctx.money(payment.amount - (payment.refund?.refundedAmount || 0))
+      ]));
+    } else {
+      drawParagraph(doc, labels.noPayments);
+      doc.moveDown(0.5);
+    }
+
+    drawTotals(doc, [
+      [labels.paid, ctx.money(paid)],
+      [labels.balance, ctx.money(roundCurrency(folio.totals.total - paid)), { bold: true }]
+    ]);
+
+    drawFooters(doc, ctx);
+  });
+};
+
+export default {
+  renderReservationConfirmation,
+  renderPaymentReceipt,
+  renderFolioStatement
+};
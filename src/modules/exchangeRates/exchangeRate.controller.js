@@ -0,0 +1,202 @@
+import ExchangeRate from './exchangeRate.model.js';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { normalizeDate } from '../ratePlans/ratePlan.service.js';
+import { convertAmount as convertCurrency } from './exchangeRate.service.js';
+
+/**
+ * Exchange Rate Controller
+ * Handles the tenant's exchange-rate table and currency conversions
+ */
+
+/**
+ * Get all exchange rates for current tenant
+ * GET /api/exchange-rates
+ */
+export const getAllExchangeRates = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, fromCurrency, toCurrency, startDate, endDate } = req.query;
+
+    // Build query conditions
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (fromCurrency) conditions.fromCurrency = fromCurrency;
+    if (toCurrency) conditions.toCurrency = toCurrency;
+
+    if (startDate || endDate) {
+      conditions.date = {};
+      if (startDate) conditions.date.$gte = normalizeDate(startDate);
+      if (endDate) conditions.date.$lte = normalizeDate(endDate);
+    }
+
+    // Execute query with pagination
+    const skip = (page - 1) * limit;
+    const [exchangeRates, total] = await Promise.all([
+      ExchangeRate.find(conditions)
+        .populate('createdBy', 'name email')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ date: -1, fromCurrency: 1, toCurrency: 1 }),
+      ExchangeRate.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        exchangeRates,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch exchange rates'
+    });
+  }
+};
+
+/**
+ * Set the rate of a currency pair for a day (replaces the rate already set that day)
+ * POST /api/exchange-rates
+ */
+export const setExchangeRate = async (req, res) => {
+  try {
+    const { fromCurrency, toCurrency, rate, date, source } = req.body;
+    const day = normalizeDate(date);
+
+    const existing = await ExchangeRate.findOne({
+      tenantId: req.user.tenantId,
+      fromCurrency,
+      toCurrency,
+      date: day
+    });
+
+    const exchangeRate = existing || new ExchangeRate({
+      tenantId: req.user.tenantId,
+      fromCurrency,
+      toCurrency,
+      date: day
+    });
+
+    exchangeRate.set({ rate, source, isActive: true, createdBy: req.user.id });
+    await exchangeRate.save();
+
+    res.status(existing ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json({
+      success: true,
+      message: existing ? 'Exchange rate updated successfully' : 'Exchange rate created successfully',
+      data: { exchangeRate }
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to set exchange rate'
+    });
+  }
+};
+
+/**
+ * Delete exchange rate (soft delete)
+ * The rate is kept for the record; conversions stop using it
+ * DELETE /api/exchange-rates/:exchangeRateId
+ */
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const { exchangeRateId } = req.params;
+
+    const exchangeRate = await ExchangeRate.findOne({
+      _id: exchangeRateId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!exchangeRate) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await exchangeRate.softDelete();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete exchange rate'
+    });
+  }
+};
+
+/**
+ * Convert an amount with the rate in effect on a date
+ * GET /api/exchange-rates/convert
+ */
+export const convertAmount = async (req, res) => {
+  try {
+    const { amount, from, to, date = new Date() } = req.query;
+
+    const conversion = await convertCurrency({
+      tenantId: req.user.tenantId,
+      amount,
+      from,
+      to,
+      date
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        from: { currency: from, amount },
+        to: { currency: to, amount: conversion.amount },
+        rate: conversion.rate,
+        date: normalizeDate(date)
+      }
+    });
+
+  } catch (error) {
+    console.error('Convert amount error:', error);
+
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to convert amount'
+    });
+  }
+};
+
+export default {
+  getAllExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  convertAmount
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+import { normalizeDate } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Exchange Rate Schema - Rate between two currencies set by the tenant for a day
+ * A rate applies from its date until the next rate of the same pair
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  fromCurrency: {
+    type: String,
+    required: [true, 'Source currency is required'],
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'Currency code must be 3 characters'],
+    maxlength: [3, 'Currency code must be 3 characters']
+  },
+  toCurrency: {
+    type: String,
+    required: [true, 'Target currency is required'],
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'Currency code must be 3 characters'],
+    maxlength: [3, 'Currency code must be 3 characters']
+  },
+  // Units of toCurrency per unit of fromCurrency (e.g. USD → MXN 17.25)
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  // Day the rate starts to apply (normalized to midnight)
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // Where the rate comes from (e.g. Banxico FIX, bank, manual)
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+exchangeRateSchema.plugin(baseSchemaPlugin);
+exchangeRateSchema.plugin(softDeletePlugin);
+
+// One active rate per pair and day (deleted rates do not block setting the day again)
+exchangeRateSchema.index(
+  { tenantId: 1, fromCurrency: 1, toCurrency: 1, date: -1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Pre-validate middleware to keep one rate per day and reject same-currency pairs
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.date) {
+    this.date = normalizeDate(this.date);
+  }
+
+  if (this.fromCurrency && this.fromCurrency === this.toCurrency) {
+    this.invalidate('toCurrency', 'Target currency must differ from the source currency');
+  }
+
+  next();
+});
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
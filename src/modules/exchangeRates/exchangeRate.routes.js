@@ -0,0 +1,66 @@
+import express from 'express';
+import {
+  getAllExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  convertAmount
+} from './exchangeRate.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createExchangeRateSchema,
+  exchangeRateParamsSchema,
+  exchangeRateQuerySchema,
+  convertAmountQuerySchema
+} from '../../schemas/exchangeRate.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/exchange-rates/convert
+ * @desc    Convert an amount with the rate in effect on a date
+ * @access  Private
+ */
+router.get('/convert',
+  validate(convertAmountQuerySchema, 'query'),
+  convertAmount
+);
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get all exchange rates for current tenant
+ * @access  Private
+ */
+router.get('/',
+  validate(exchangeRateQuerySchema, 'query'),
+  getAllExchangeRates
+);
+
+/**
+ * @route   POST /api/exchange-rates
+ * @desc    Set the rate of a currency pair for a day
+ * @access  Private (requires canManageProperties permission)
+ */
+router.post('/',
+  requirePermission('canManageProperties'),
+  validate(createExchangeRateSchema),
+  setExchangeRate
+);
+
+/**
+ * @route   DELETE /api/exchange-rates/:exchangeRateId
+ * @desc    Delete exchange rate
+ * @access  Private (requires canManageProperties permission)
+ */
+router.delete('/:exchangeRateId',
+  requirePermission('canManageProperties'),
+  validate(exchangeRateParamsSchema, 'params'),
+  deleteExchangeRate
+);
+
+export default router;
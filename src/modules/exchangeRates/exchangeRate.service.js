@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import ExchangeRate from './exchangeRate.model.js';
+import { normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Exchange Rate Service
+ * Converts amounts between currencies with the tenant's rate table. The rate of a
+ * day is the latest one dated on or before it; a pair can be used in both
+ * directions (USD → MXN also converts MXN → USD)
+ */
+
+/**
+ * Build the error raised when a pair has no rate for a date
+ * Controllers recognize it by its name (ExchangeRateError)
+ * @param {String} from - Source currency
+ * @param {String} to - Target currency
+ * @param {Date} date - Date of the conversion
+ * @returns {Error} Error
+ */
+const missingRateError = (from, to, date) => {
+  const error = new Error(`No exchange rate from ${from} to ${to} on or before ${normalizeDate(date).toISOString().slice(0, 10)}`);
+  error.name = 'ExchangeRateError';
+  return error;
+};
+
+/**
+ * Get the currency a tenant reports in (settings.currency)
+ * @param {String} tenantId - Tenant ID
+ * @returns {String} Currency code
+ */
+export const getReportingCurrency = async (tenantId) => {
+  const tenant = await mongoose.model('Tenant').findById(tenantId).select('settings.currency');
+  return (tenant?.settings?.currency || 'USD').toUpperCase();
+};
+
+/**
+ * Get the rate to convert one currency into another on a date
+ * @param {Object} params - Lookup parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {String} params.from - Source currency
+ * @param {String} params.to - Target currency
+ * @param {Date} params.date - Date of the conversion (defaults to today)
+ * @returns {Number} Units of `to` per unit of `from`
+ */
+export const getExchangeRate = async ({ tenantId, from, to, date = new Date() }) => {
+  const source = from.toUpperCase();
+  const target = to.toUpperCase();
+  if (source === target) return 1;
+
+  const day = normalizeDate(date);
+  // One after the other, so the lookup can run inside a transaction
+  const direct = await ExchangeRate.findOne({ tenantId, fromCurrency: source, toCurrency: target, isActive: true, date: { $lte: day } })
+    .sort({ date: -1 });
+  const inverse = await ExchangeRate.findOne({ tenantId, fromCurrency: target, toCurrency: source, isActive: true, date: { $lte: day } })
+    .sort({ date: -1 });
+
+  // Prefer the most recent of the two directions
+  if (direct && (!inverse || direct.date >= inverse.date)) return direct.rate;
+  if (inverse) return 1 / inverse.rate;
+
+  throw missingRateError(source, target, day);
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {Object} params - Conversion parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Number} params.amount - Amount in the source currency
+ * @param {String} params.from - Source currency
+ * @param {String} params.to - Target currency
+ * @param {Date} params.date - Date of the conversion (defaults to today)
+ * @returns {Object} { amount, rate }
+ */
+export const convertAmount = async ({ tenantId, amount, from, to, date = new Date() }) => {
+  const rate = await getExchangeRate({ tenantId, from, to, date });
+  return { amount: roundCurrency(amount * rate), rate };
+};
+
+/**
+ * Create a converter into one currency that reuses the rates it has looked up
+ * Meant for reports that convert many amounts at a handful of dates
+ * @param {Object} params - { tenantId, to }
+ * @returns {Object} { currency, rate(from, date), convert(amount, from, date) }
+ */
+export const createCurrencyConverter = ({ tenantId, to }) => {
+  const target = to.toUpperCase();
+  const rates = new Map();
+
+  const rate = (from, date = new Date()) => {
+    const source = (from || target).toUpperCase();
+    const day = normalizeDate(date);
+    const key = `${source}:${day.getTime()}`;
+
+    if (!rates.has(key)) {
+      rates.set(key, getExchangeRate({ tenantId, from: source, to: target, date: day }));
+    }
+
+    return rates.get(key);
+  };
+
+  return {
+    currency: target,
+    rate,
+    convert: async (amount, from, date) => roundCurrency((amount || 0) * await rate(from, date))
+  };
+};
+
+/**
+ * Express quoted nights in another currency, each at the rate of its own date
+ * @param {Object} params - Conversion parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Array} params.nights - Quoted nights ({ date, rate, extraGuestCharge, total })
+ * @param {String} params.from - Currency of the quote
+ * @param {String} params.to - Currency of the reservation
+ * @returns {Array} Nights in the target currency
+ */
+export const convertNights = async ({ tenantId, nights, from, to }) => {
+  if (!from || !to || from.toUpperCase() === to.toUpperCase()) return nights;
+
+  const converter = createCurrencyConverter({ tenantId, to });
+
+  return Promise.all(nights.map(async night => {
+    const rate = await converter.convert(night.rate, from, night.date);
+    const extraGuestCharge = await converter.convert(night.extraGuestCharge, from, night.date);
+
+    return {
+      ...night,
+      rate,
+      extraGuestCharge,
+      total: roundCurrency(rate + extraGuestCharge)
+    };
+  }));
+};
+
+/**
+ * Convert aggregation groups to one currency and merge them
+ * Each group's _id is { key, currency, date }: the bucket, the currency of its
+ * amounts and the day their rate is taken from (YYYY-MM-DD). Other fields are
+ * kept from the first group of each bucket
+ * @param {Array} groups - Aggregation results
+ * @param {Object} converter - Converter from createCurrencyConverter
+ * @param {Object} fields - Fields to merge
+ * @param {Array} fields.amounts - Amounts to convert and add up
+ * @param {Array} fields.counts - Counts to add up as they are
+ * @param {Array} fields.lists - Lists to join, converting the amount of each item
+ * @returns {Array} One group per bucket ({ _id: key, ...fields }) in aggregation order
+ */
+export const mergeConvertedGroups = async (groups, converter, { amounts = [], counts = [], lists = [] }) => {
+  const merged = new Map();
+
+  for (const group of groups) {
+    const { key = null, currency, date } = group._id;
+    const id = JSON.stringify(key);
+    const rate = await converter.rate(currency, date ? new Date(`${date}T00:00:00Z`) : undefined);
+
+    if (!merged.has(id)) {
+      merged.set(id, {
+        ...group,
+        _id: key,
+        ...Object.fromEntries([...amounts, ...counts].map(field => [field, 0])),
+        ...Object.fromEntries(lists.map(field => [field, []]))
+      });
+    }
+
+    const target = merged.get(id);
+    amounts.forEach(field => { target[field] = roundCurrency(target[field] + (group[field] || 0) * rate); });
+    counts.forEach(field => { target[field] += group[field] || 0; });
+    lists.forEach(field => {
+      target[field].push(...(group[field] || []).map(item => ({ ...item, amount: roundCurrency(item.amount * rate) })));
+    });
+  }
+
+  return [...merged.values()];
+};
+
+export default {
+  getReportingCurrency,
+  getExchangeRate,
+  convertAmount,
+  createCurrencyConverter,
+  convertNights,
+  mergeConvertedGroups
+};
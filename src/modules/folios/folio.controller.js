@@ -0,0 +1,451 @@
+import Folio from './folio.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import { HTTP_STATUS, FOLIO_LINE_STATUS, RESERVATION_STATUS } from '../../config/constants.js';
+import {
+  syncStayCharges,
+  getFolioSummary,
+  applyRouting,
+  createFolio,
+  postCharges,
+  voidCharge,
+  adjustCharge,
+  transferCharge
+} from './folio.service.js';
+
+/**
+ * Folio Controller
+ * Itemized charges of a reservation: split folios, posting, voiding, adjusting
+ * and transferring lines
+ */
+
+/**
+ * Load a reservation of the current tenant
+ * @param {String} reservationId - Reservation ID
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object|null} Reservation document
+ */
+const findReservation = (reservationId, tenantId) => Reservation.findOne({
+  _id: reservationId,
+  tenantId,
+  isActive: true
+});
+
+/**
+ * Load a folio of the current tenant with its reservation
+ * @param {String} folioId - Folio ID
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object} { folio, reservation } (either may be null)
+ */
+const findFolio = async (folioId, tenantId) => {
+  const folio = await Folio.findOne({ _id: folioId, tenantId, isActive: true });
+  const reservation = folio ? await findReservation(folio.reservationId, tenantId) : null;
+
+  return { folio, reservation };
+};
+
+/**
+ * Find routing categories another folio of the reservation already takes
+ * @param {Object} reservation - Reservation document
+ * @param {Array} categories - Requested categories
+ * @param {String} folioId - Folio being changed (null when creating)
+ * @returns {Array} Categories in conflict
+ */
+const findRoutingConflicts = async (reservation, categories = [], folioId = null) => {
+  const folios = await Folio.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    isActive: true,
+    _id: { $ne: folioId }
+  });
+
+  const taken = folios.flatMap(folio => folio.routing.categories);
+  return categories.filter(category => taken.includes(category));
+};
+
+/**
+ * Get the folios of a reservation with their balances
+ * GET /api/folios/reservation/:reservationId
+ */
+export const getReservationFolios = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+
+    const reservation = await findReservation(reservationId, req.user.tenantId);
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    // Reservations created before folios existed get theirs on first read
+    const folios = await syncStayCharges(reservation);
+    const balances = await getFolioSummary(reservation, folios);
+
+    await Folio.populate(folios, { path: 'lines.postedBy', select: 'name email' });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        folios,
+        balances,
+        totalPrice: reservation.pricing.totalPrice
+      }
+    });
+
+  } catch (error) {
+    console.error('Get folios error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los folios'
+    });
+  }
+};
+
+/**
+ * Split a reservation with a new folio (e.g. the company paying the room)
+ * POST /api/folios/reservation/:reservationId
+ */
+export const createReservationFolio = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+
+    const reservation = await findReservation(reservationId, req.user.tenantId);
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    const conflicts = await findRoutingConflicts(reservation, req.body.routing?.categories);
+    if (conflicts.length > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `🧾 Otro folio ya recibe los cargos de: ${conflicts.join(', ')}.`
+      });
+    }
+
+    const folio = await createFolio({ reservation, data: req.body });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ Folio ${folio.number} "${folio.name}" creado.`,
+      data: {
+        folio,
+        balances: reservation.paymentSummary.folios
+      }
+    });
+
+  } catch (error) {
+    console.error('Create folio error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al crear el folio'
+    });
+  }
+};
+
+/**
+ * Update a folio's name, payer or routing
+ * Posted charges and stay charges move to follow the new routing
+ * PUT /api/folios/:folioId
+ */
+export const updateFolio = async (req, res) => {
+  try {
+    const { folioId } = req.params;
+    const { name, payer, routing } = req.body;
+
+    const { folio, reservation } = await findFolio(folioId, req.user.tenantId);
+
+    if (!folio || !reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    if (routing) {
+      if (folio.number === 1 && routing.categories.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: '🧾 El folio principal recibe todos los cargos que no se enrutan a otro folio.'
+        });
+      }
+
+      const conflicts = await findRoutingConflicts(reservation, routing.categories, folio._id);
+      if (conflicts.length > 0) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `🧾 Otro folio ya recibe los cargos de: ${conflicts.join(', ')}.`
+        });
+      }
+
+      folio.routing = routing;
+    }
+
+    if (name !== undefined) folio.name = name;
+    if (payer !== undefined) folio.payer = payer;
+
+    await folio.save();
+
+    if (routing) {
+      await applyRouting(reservation);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: '✅ Folio actualizado.',
+      data: {
+        folio: await Folio.findById(folio._id),
+        balances: reservation.paymentSummary.folios
+      }
+    });
+
+  } catch (error) {
+    console.error('Update folio error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al actualizar el folio'
+    });
+  }
+};
+
+/**
+ * Post charges (minibar, restaurant, laundry...) to a reservation's folios
+ * POST /api/folios/reservation/:reservationId/charges
+ */
+export const postFolioCharges = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { charges, folioId } = req.body;
+
+    const reservation = await findReservation(reservationId, req.user.tenantId);
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if ([RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🧾 No se pueden cargar consumos a reservaciones canceladas o no-show.'
+      });
+    }
+
+    if (folioId && !await Folio.exists({ _id: folioId, reservationId: reservation._id, isActive: true })) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado para esta reservación.'
+      });
+    }
+
+    const { lines } = await postCharges({
+      reservation,
+      charges,
+      folioId,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ ${lines.length} cargo(s) registrados en el folio.`,
+      data: {
+        lines,
+        balances: reservation.paymentSummary.folios,
+        totalPrice: reservation.pricing.totalPrice
+      }
+    });
+
+  } catch (error) {
+    console.error('Post folio charges error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al registrar los cargos'
+    });
+  }
+};
+
+/**
+ * Void a folio line (and its adjustments)
+ * PUT /api/folios/:folioId/lines/:lineId/void
+ */
+export const voidFolioLine = async (req, res) => {
+  try {
+    const { folioId, lineId } = req.params;
+    const { reason } = req.body;
+
+    const { folio, reservation } = await findFolio(folioId, req.user.tenantId);
+
+    if (!folio || !reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    const line = folio.lines.id(lineId);
+
+    if (!line) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Cargo no encontrado en el folio.'
+      });
+    }
+
+    if (line.status === FOLIO_LINE_STATUS.VOIDED) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🧾 El cargo ya fue anulado.'
+      });
+    }
+
+    if (line.isStayCharge) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🧾 Los cargos de hospedaje siguen las fechas y tarifas de la reservación. Registra un ajuste en su lugar.'
+      });
+    }
+
+    await voidCharge({
+      reservation,
+      folio,
+      lineId,
+      reason,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Cargo "${line.description}" anulado.`,
+      data: {
+        line,
+        balances: reservation.paymentSummary.folios,
+        totalPrice: reservation.pricing.totalPrice
+      }
+    });
+
+  } catch (error) {
+    console.error('Void folio line error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al anular el cargo'
+    });
+  }
+};
+
+/**
+ * Post an adjustment against a folio charge
+ * POST /api/folios/:folioId/lines/:lineId/adjust
+ */
+export const adjustFolioLine = async (req, res) => {
+  try {
+    const { folioId, lineId } = req.params;
+    const { amount, reason } = req.body;
+
+    const { folio, reservation } = await findFolio(folioId, req.user.tenantId);
+
+    if (!folio || !reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    if (!folio.lines.id(lineId)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Cargo no encontrado en el folio.'
+      });
+    }
+
+    const adjustment = await adjustCharge({
+      reservation,
+      folio,
+      lineId,
+      amount,
+      reason,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ Ajuste de $${adjustment.total} registrado.`,
+      data: {
+        line: adjustment,
+        balances: reservation.paymentSummary.folios,
+        totalPrice: reservation.pricing.totalPrice
+      }
+    });
+
+  } catch (error) {
+    console.error('Adjust folio line error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message || 'Error al ajustar el cargo'
+    });
+  }
+};
+
+/**
+ * Move a charge (and its adjustments) to another folio of the same reservation
+ * PUT /api/folios/:folioId/lines/:lineId/transfer
+ */
+export const transferFolioLine = async (req, res) => {
+  try {
+    const { folioId, lineId } = req.params;
+    const { targetFolioId } = req.body;
+
+    const { folio, reservation } = await findFolio(folioId, req.user.tenantId);
+
+    if (!folio || !reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    const targetFolio = await Folio.findOne({
+      _id: targetFolioId,
+      tenantId: req.user.tenantId,
+      reservationId: folio.reservationId,
+      isActive: true
+    });
+
+    if (!targetFolio || String(targetFolio._id) === String(folio._id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🧾 El folio destino debe ser otro folio de la misma reservación.'
+      });
+    }
+
+    const line = await transferCharge({
+      reservation,
+      folio,
+      lineId,
+      targetFolio,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Cargo "${line.description}" transferido al folio ${targetFolio.number}.`,
+      data: {
+        line,
+        balances: reservation.paymentSummary.folios
+      }
+    });
+
+  } catch (error) {
+    console.error('Transfer folio line error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message || 'Error al transferir el cargo'
+    });
+  }
+};
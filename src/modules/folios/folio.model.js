@@ -0,0 +1,362 @@
+import mongoose from 'mongoose';
+import {
+  FOLIO_CHARGE_CATEGORIES,
+  FOLIO_PAYER_TYPES,
+  FOLIO_LINE_TYPES,
+  FOLIO_LINE_STATUS,
+  TAX_TYPES,
+  TAX_MODES
+} from '../../config/constants.js';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { splitTaxes, summarizeTaxes } from '../taxes/tax.service.js';
+import { syncFolioLedger } from '../ledger/ledger.service.js';
+
+/**
+ * Folio Line Tax Schema - One tax (IVA, ISH) charged on a line
+ */
+const folioLineTaxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(TAX_TYPES),
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Folio Line Schema - One posted charge or adjustment
+ * amount (net), each tax, taxAmount, taxRate and total are derived from quantity,
+ * unitPrice and the line's taxes
+ */
+const folioLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(FOLIO_LINE_TYPES),
+    default: FOLIO_LINE_TYPES.CHARGE
+  },
+  category: {
+    type: String,
+    enum: {
+      values: Object.values(FOLIO_CHARGE_CATEGORIES),
+      message: 'Invalid charge category. Must be one of: {VALUES}'
+    },
+    required: [true, 'Charge category is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Charge description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Service date (the night for room charges)
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Negative for adjustments that lower a charge
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required']
+  },
+  // unitPrice already includes the taxes (property in inclusive mode)
+  taxIncluded: {
+    type: Boolean,
+    default: false
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the tax rates (lines posted before the tax breakdown only have this)
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  taxes: [folioLineTaxSchema],
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Room nights and stay fees kept in line with the reservation pricing
+  isStayCharge: {
+    type: Boolean,
+    default: false
+  },
+  // Line an adjustment corrects
+  adjustsLineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Line this one was moved from, and the one it was moved to, between folios
+  transferredFrom: {
+    folioId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folio' },
+    lineId: { type: mongoose.Schema.Types.ObjectId }
+  },
+  transferredTo: {
+    folioId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folio' },
+    lineId: { type: mongoose.Schema.Types.ObjectId }
+  },
+  status: {
+    type: String,
+    enum: Object.values(FOLIO_LINE_STATUS),
+    default: FOLIO_LINE_STATUS.POSTED
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Empty for lines posted by the system
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voided: {
+    voidedAt: Date,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Void reason cannot exceed 500 characters']
+    }
+  }
+});
+
+/**
+ * Folio Schema - Itemized account of a reservation
+ * A reservation can be split into several folios (e.g. room to the company, extras
+ * to the guest); folio 1 takes every charge no other folio routes
+ */
+const folioSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required']
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required'],
+    index: true
+  },
+  guestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    default: null
+  },
+  number: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Principal',
+    maxlength: [100, 'Folio name cannot exceed 100 characters']
+  },
+  // Defaults to the reservation guest when empty
+  payer: {
+    type: {
+      type: String,
+      enum: Object.values(FOLIO_PAYER_TYPES),
+      default: FOLIO_PAYER_TYPES.GUEST
+    },
+    guestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Payer name cannot exceed 200 characters']
+    },
+    // RFC for Mexican companies
+    taxId: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Tax ID cannot exceed 20 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // Charge categories posted to this folio instead of folio 1
+  routing: {
+    categories: [{
+      type: String,
+      enum: {
+        values: Object.values(FOLIO_CHARGE_CATEGORIES),
+        message: 'Invalid routing category. Must be one of: {VALUES}'
+      }
+    }]
+  },
+  lines: [folioLineSchema],
+  // Sums of the posted lines
+  totals: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    taxes: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    // Lines other than the stay charges (extras and adjustments)
+    incidentals: {
+      type: Number,
+      default: 0
+    },
+    // Taxes by tax and rate, with the net amount each was charged on
+    taxBreakdown: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: Object.values(TAX_TYPES)
+      },
+      rate: Number,
+      base: Number,
+      amount: Number
+    }]
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugins
+folioSchema.plugin(baseSchemaPlugin);
+folioSchema.plugin(softDeletePlugin);
+
+// Indexes for performance and multi-tenant queries
+folioSchema.index({ tenantId: 1, reservationId: 1, number: 1 }, { unique: true });
+folioSchema.index({ tenantId: 1, propertyId: 1 });
+
+// Pre-validate middleware to derive line amounts and folio totals
+folioSchema.pre('validate', function(next) {
+  this.lines.forEach(line => {
+    // Lines from before the tax breakdown carry a single rate
+    if (line.taxes.length === 0 && line.taxRate > 0) {
+      line.taxes = [{ type: TAX_TYPES.OTHER, rate: line.taxRate }];
+    }
+
+    const { net, taxes, taxAmount, total } = splitTaxes(
+      line.quantity * line.unitPrice,
+      line.taxes.map(({ type, rate }) => ({ type, rate })),
+      line.taxIncluded ? TAX_MODES.INCLUSIVE : TAX_MODES.EXCLUSIVE
+    );
+
+    line.amount = net;
+    line.taxes = taxes;
+    line.taxRate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    line.taxAmount = taxAmount;
+    line.total = total;
+  });
+
+  const posted = this.getPostedLines();
+  const sum = (lines, field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+
+  this.totals = {
+    subtotal: sum(posted, 'amount'),
+    taxes: sum(posted, 'taxAmount'),
+    total: sum(posted, 'total'),
+    incidentals: sum(posted.filter(line => !line.isStayCharge), 'total'),
+    taxBreakdown: summarizeTaxes(posted.map(line => ({ base: line.amount, taxes: line.taxes })))
+  };
+
+  next();
+});
+
+// Post-save middleware to record new, voided and transferred lines in the ledger
+folioSchema.post('save', async function(doc) {
+  await syncFolioLedger(doc);
+});
+
+// Instance method to get the lines that count towards the totals
+folioSchema.methods.getPostedLines = function() {
+  return this.lines.filter(line => line.status === FOLIO_LINE_STATUS.POSTED);
+};
+
+// Instance method to post a charge or adjustment line
+folioSchema.methods.postLine = function(line, userId = null) {
+  this.lines.push({
+    ...line,
+    postedAt: new Date(),
+    postedBy: userId
+  });
+
+  return this.lines[this.lines.length - 1];
+};
+
+// Instance method to void a line, keeping it for the audit trail
+folioSchema.methods.voidLine = function(lineId, reason, userId = null) {
+  const line = this.lines.id(lineId);
+
+  if (!line) {
+    throw new Error('Folio line not found');
+  }
+
+  if (line.status === FOLIO_LINE_STATUS.VOIDED) {
+    throw new Error('Folio line is already voided');
+  }
+
+  line.status = FOLIO_LINE_STATUS.VOIDED;
+  line.voided = {
+    voidedAt: new Date(),
+    voidedBy: userId,
+    reason
+  };
+
+  return line;
+};
+
+// Instance method to get the net total of a line after its posted adjustments
+folioSchema.methods.getNetLineTotal = function(lineId) {
+  const line = this.lines.id(lineId);
+  if (!line || line.status === FOLIO_LINE_STATUS.VOIDED) return 0;
+
+  const adjustments = this.getPostedLines()
+    .filter(adjustment => String(adjustment.adjustsLineId) === String(lineId));
+
+  return roundCurrency(adjustments.reduce((sum, adjustment) => sum + adjustment.total, line.total));
+};
+
+export default mongoose.model('Folio', folioSchema);
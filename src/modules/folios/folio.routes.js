@@ -0,0 +1,115 @@
+import express from 'express';
+import {
+  getReservationFolios,
+  createReservationFolio,
+  updateFolio,
+  postFolioCharges,
+  voidFolioLine,
+  adjustFolioLine,
+  transferFolioLine
+} from './folio.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createFolioSchema,
+  updateFolioSchema,
+  postChargesSchema,
+  voidLineSchema,
+  adjustLineSchema,
+  transferLineSchema,
+  folioReservationParamsSchema,
+  folioParamsSchema,
+  folioLineParamsSchema
+} from '../../schemas/folio.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/folios/reservation/:reservationId
+ * @desc    Get the folios of a reservation with their balances
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/reservation/:reservationId',
+  requirePermission('canManageReservations'),
+  validate(folioReservationParamsSchema, 'params'),
+  getReservationFolios
+);
+
+/**
+ * @route   POST /api/folios/reservation/:reservationId
+ * @desc    Add a folio with its payer and routing to a reservation
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/reservation/:reservationId',
+  requirePermission('canManageReservations'),
+  validate(folioReservationParamsSchema, 'params'),
+  validate(createFolioSchema),
+  createReservationFolio
+);
+
+/**
+ * @route   POST /api/folios/reservation/:reservationId/charges
+ * @desc    Post charges to a reservation's folio
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/reservation/:reservationId/charges',
+  requirePermission('canManageReservations'),
+  validate(folioReservationParamsSchema, 'params'),
+  validate(postChargesSchema),
+  postFolioCharges
+);
+
+/**
+ * @route   PUT /api/folios/:folioId
+ * @desc    Update a folio's name, payer or routing
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:folioId',
+  requirePermission('canManageReservations'),
+  validate(folioParamsSchema, 'params'),
+  validate(updateFolioSchema),
+  updateFolio
+);
+
+/**
+ * @route   PUT /api/folios/:folioId/lines/:lineId/void
+ * @desc    Void a folio line with a reason
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:folioId/lines/:lineId/void',
+  requirePermission('canManageReservations'),
+  validate(folioLineParamsSchema, 'params'),
+  validate(voidLineSchema),
+  voidFolioLine
+);
+
+/**
+ * @route   POST /api/folios/:folioId/lines/:lineId/adjust
+ * @desc    Post an adjustment against a folio charge
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/:folioId/lines/:lineId/adjust',
+  requirePermission('canManageReservations'),
+  validate(folioLineParamsSchema, 'params'),
+  validate(adjustLineSchema),
+  adjustFolioLine
+);
+
+/**
+ * @route   PUT /api/folios/:folioId/lines/:lineId/transfer
+ * @desc    Move a charge to another folio of the reservation
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:folioId/lines/:lineId/transfer',
+  requirePermission('canManageReservations'),
+  validate(folioLineParamsSchema, 'params'),
+  validate(transferLineSchema),
+  transferFolioLine
+);
+
+export default router;
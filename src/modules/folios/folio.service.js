@@ -0,0 +1,490 @@
+import moment from 'moment-timezone';
+import Folio from './folio.model.js';
+import {
+  FOLIO_CHARGE_CATEGORIES,
+  FOLIO_LINE_TYPES,
+  FOLIO_LINE_STATUS,
+  RESERVATION_STATUS,
+  TAX_TYPES,
+  TAX_MODES
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { resolveTaxSettings, getCategoryRates } from '../taxes/tax.service.js';
+import { getReservationPaid } from '../ledger/ledger.service.js';
+
+/**
+ * Folio Service
+ * Keeps the itemized account of each reservation: stay charges mirrored from the
+ * reservation pricing plus the extras, voids and adjustments posted by staff.
+ * A reservation can be split into several folios; each charge goes to the folio
+ * whose routing lists its category, or to folio 1
+ */
+
+export const STAY_RESYNC_REASON = 'Estancia recalculada';
+
+// Reservations that no longer take new charges
+const CLOSED_STATUSES = [RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW];
+
+/**
+ * Get the rates of a tax breakdown, leaving out the amounts
+ * @param {Array} taxes - [{ type, rate, amount }]
+ * @returns {Array} [{ type, rate }]
+ */
+const taxRates = (taxes = []) => taxes.map(({ type, rate }) => ({ type, rate }));
+
+/**
+ * Get the folios of a reservation, creating folio 1 on first use
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} Folio documents sorted by number (folio 1 unsaved when new)
+ */
+export const getReservationFolios = async (reservation) => {
+  const folios = await Folio.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    isActive: true
+  }).sort({ number: 1 });
+
+  if (folios.length > 0) return folios;
+
+  return [new Folio({
+    tenantId: reservation.tenantId,
+    propertyId: reservation.propertyId,
+    reservationId: reservation._id,
+    guestId: reservation.guestId
+  })];
+};
+
+/**
+ * Pick the folio a charge category is routed to
+ * @param {Array} folios - Folio documents of the reservation
+ * @param {String} category - Charge category
+ * @returns {Object} Folio document
+ */
+export const routeFolio = (folios, category) =>
+  folios.find(folio => folio.number !== 1 && folio.routing.categories.includes(category)) ||
+  folios.find(folio => folio.number === 1) ||
+  folios[0];
+
+/**
+ * Build the stay lines a reservation should have on its folios
+ * One line per night, with its IVA and ISH, plus one per stay fee; cancelled
+ * stays and no-shows only carry their penalty. Fees and penalties are not taxed
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} Line data
+ */
+export const buildStayLines = (reservation) => {
+  const { pricing } = reservation;
+
+  const penalty = (description, amount) => (amount > 0
+    ? [{ category: FOLIO_CHARGE_CATEGORIES.PENALTY, description, unitPrice: amount }]
+    : []);
+
+  if (reservation.status === RESERVATION_STATUS.CANCELLED) {
+    return penalty('Penalización por cancelación', reservation.cancellation?.penaltyAmount || 0);
+  }
+
+  if (reservation.status === RESERVATION_STATUS.NO_SHOW) {
+    return penalty('Penalización por no-show', reservation.noShow?.penaltyAmount || 0);
+  }
+
+  // Reservations priced before nightly breakdowns existed get a single line
+  const nights = pricing.nightlyBreakdown?.length > 0
+    ? pricing.nightlyBreakdown.map(night => ({
+      category: FOLIO_CHARGE_CATEGORIES.ROOM,
+      description: `Noche ${moment.utc(night.date).format('YYYY-MM-DD')}${night.ratePlanName ? ` - ${night.ratePlanName}` : ''}`,
+      date: night.date,
+      unitPrice: night.total,
+      taxIncluded: pricing.taxMode === TAX_MODES.INCLUSIVE,
+      taxes: taxRates(night.taxes)
+    }))
+    : [{
+      category: FOLIO_CHARGE_CATEGORIES.ROOM,
+      description: 'Hospedaje',
+      date: reservation.dates.checkInDate,
+      quantity: pricing.nights,
+      unitPrice: pricing.roomRate
+    }];
+
+  const fees = [
+    [FOLIO_CHARGE_CATEGORIES.FEE, 'Limpieza', pricing.fees?.cleaning],
+    [FOLIO_CHARGE_CATEGORIES.FEE, 'Cargo por servicio', pricing.fees?.service],
+    [FOLIO_CHARGE_CATEGORIES.OTHER, 'Cargos adicionales', pricing.fees?.extra],
+    [FOLIO_CHARGE_CATEGORIES.EARLY_DEPARTURE, 'Salida anticipada', pricing.fees?.earlyDeparture]
+  ]
+    .filter(([, , amount]) => amount > 0)
+    .map(([category, description, amount]) => ({ category, description, unitPrice: amount }));
+
+  return [...nights, ...fees];
+};
+
+/**
+ * Build a comparable key for a list of stay lines
+ * @param {Array} lines - Line data or documents
+ * @returns {String} Signature
+ */
+const stayLinesSignature = (lines) => lines
+  .map(line => [
+    line.category,
+    line.description,
+    line.quantity ?? 1,
+    roundCurrency(line.unitPrice),
+    (line.taxes || []).map(tax => `${tax.type}:${tax.rate}`).join(','),
+    line.taxes?.length > 0 && line.taxIncluded ? 'included' : ''
+  ].join('|'))
+  .join('\n');
+
+/**
+ * Get each folio's total, what was paid to it (net of refunds, from the ledger) and its balance
+ * Payments without a folio count towards folio 1
+ * @param {Object} reservation - Reservation document
+ * @param {Array} folios - Folio documents of the reservation
+ * @returns {Array} [{ folioId, number, name, payerName, total, paid, balance }]
+ */
+export const getFolioSummary = async (reservation, folios) => {
+  const { byFolio } = await getReservationPaid(reservation);
+  const mainFolio = routeFolio(folios, null);
+
+  return folios.map(folio => {
+    const paid = roundCurrency((byFolio.get(String(folio._id)) || 0) +
+      (folio === mainFolio ? byFolio.get('') || 0 : 0));
+
+    return {
+      folioId: folio._id,
+      number: folio.number,
+      name: folio.name,
+      payerName: folio.payer?.name || null,
+      total: folio.totals.total,
+      paid,
+      balance: roundCurrency(folio.totals.total - paid)
+    };
+  });
+};
+
+/**
+ * Bring the stay lines of a reservation's folios in line with its pricing and routing
+ * Outdated stay lines are voided (kept for the audit trail) and reposted
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} Folio documents
+ */
+export const syncStayCharges = async (reservation) => {
+  const folios = await getReservationFolios(reservation);
+  const expected = buildStayLines(reservation);
+  let changed = false;
+
+  for (const folio of folios) {
+    const folioExpected = expected.filter(line => routeFolio(folios, line.category) === folio);
+    const current = folio.getPostedLines().filter(line => line.isStayCharge);
+
+    if (!folio.isNew && stayLinesSignature(current) === stayLinesSignature(folioExpected)) {
+      continue;
+    }
+
+    current.forEach(line => folio.voidLine(line._id, STAY_RESYNC_REASON));
+    folioExpected.forEach(line => folio.postLine({ ...line, isStayCharge: true }));
+
+    await folio.save();
+    changed = true;
+  }
+
+  // Saved without middleware: this runs after the reservation itself was saved
+  if (changed) {
+    reservation.paymentSummary.folios = await getFolioSummary(reservation, folios);
+    await reservation.constructor.updateOne(
+      { _id: reservation._id },
+      { $set: { 'paymentSummary.folios': reservation.paymentSummary.folios } }
+    );
+  }
+
+  return folios;
+};
+
+/**
+ * Copy the folio incidentals and balances to the reservation and save its new total
+ * @param {Object} reservation - Reservation document
+ * @param {Array} folios - Folio documents of the reservation, as saved
+ * @returns {Object} Saved reservation
+ */
+export const applyFolioTotals = async (reservation, folios) => {
+  reservation.pricing.incidentals = roundCurrency(folios.reduce((sum, folio) => sum + folio.totals.incidentals, 0));
+  reservation.paymentSummary.folios = await getFolioSummary(reservation, folios);
+  reservation.recalculateTotals();
+
+  return reservation.save();
+};
+
+/**
+ * Move a charge and its adjustments to another folio (no save)
+ * The lines are voided on the source folio and reposted on the target
+ * @param {Object} source - Folio holding the line
+ * @param {Object} line - Line to move
+ * @param {Object} target - Folio receiving it
+ * @param {String} userId - User moving it (null for routing)
+ * @returns {Object} Reposted line
+ */
+const moveLine = (source, line, target, userId = null) => {
+  const copy = ({ type, category, description, date, quantity, unitPrice, taxIncluded, taxes, reason }) =>
+    ({ type, category, description, date, quantity, unitPrice, taxIncluded, taxes: taxRates(taxes), reason });
+
+  const adjustments = source.getPostedLines()
+    .filter(adjustment => String(adjustment.adjustsLineId) === String(line._id));
+
+  // Both ends are linked so the ledger records a transfer instead of a void and a new charge
+  const transfer = (from, to) => {
+    source.voidLine(from._id, `Transferido al folio ${target.number}`, userId);
+    from.transferredTo = { folioId: target._id, lineId: to._id };
+    to.transferredFrom = { folioId: source._id, lineId: from._id };
+  };
+
+  const moved = target.postLine(copy(line), line.postedBy);
+  transfer(line, moved);
+
+  adjustments.forEach(adjustment => {
+    transfer(adjustment, target.postLine({ ...copy(adjustment), adjustsLineId: moved._id }, adjustment.postedBy));
+  });
+
+  return moved;
+};
+
+/**
+ * Move every posted charge to the folio its category is routed to,
+ * then resync the stay charges
+ * Used after creating a folio or changing its routing
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} Folio documents
+ */
+export const applyRouting = async (reservation) => {
+  const folios = await getReservationFolios(reservation);
+  const touched = new Set();
+
+  for (const folio of folios) {
+    const charges = folio.getPostedLines()
+      .filter(line => !line.isStayCharge && line.type === FOLIO_LINE_TYPES.CHARGE);
+
+    for (const line of charges) {
+      const target = routeFolio(folios, line.category);
+      if (target === folio) continue;
+
+      moveLine(folio, line, target);
+      touched.add(folio).add(target);
+    }
+  }
+
+  for (const folio of touched) {
+    await folio.save();
+  }
+
+  await syncStayCharges(reservation);
+  return applyFolioTotals(reservation, await getReservationFolios(reservation));
+};
+
+/**
+ * Add a folio to a reservation
+ * @param {Object} params - Creation parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.data - { name, payer, routing }
+ * @returns {Object} Folio document
+ */
+export const createFolio = async ({ reservation, data }) => {
+  const folios = await getReservationFolios(reservation);
+
+  // Folio 1 must exist before any other
+  if (folios[0].isNew) {
+    await folios[0].save();
+  }
+
+  const folio = new Folio({
+    tenantId: reservation.tenantId,
+    propertyId: reservation.propertyId,
+    reservationId: reservation._id,
+    guestId: reservation.guestId,
+    number: folios[folios.length - 1].number + 1,
+    name: data.name,
+    payer: data.payer,
+    routing: data.routing
+  });
+
+  await folio.save();
+  await applyRouting(reservation);
+
+  return Folio.findById(folio._id);
+};
+
+/**
+ * Post charges to a reservation's folios
+ * Each charge goes to the given folio or, without one, the folio its category is routed to.
+ * Charges are taxed by category under the property tax settings unless they bring their
+ * own taxRate, and unitPrice includes the taxes when the property prices them inclusive
+ * @param {Object} params - Posting parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Array} params.charges - [{ category, description, date, quantity, unitPrice, taxRate }]
+ * @param {String} params.userId - User posting them
+ * @param {String} params.folioId - Folio receiving every charge (optional)
+ * @returns {Object} { folios, lines: [{ folioId, folioNumber, line }] }
+ */
+export const postCharges = async ({ reservation, charges, userId, folioId = null }) => {
+  if (CLOSED_STATUSES.includes(reservation.status)) {
+    throw new Error('Cannot post charges: reservation is cancelled or a no-show');
+  }
+
+  const folios = await getReservationFolios(reservation);
+  const forcedFolio = folioId ? folios.find(folio => String(folio._id) === String(folioId)) : null;
+
+  if (folioId && !forcedFolio) {
+    throw new Error('Folio not found for this reservation');
+  }
+
+  const taxSettings = await resolveTaxSettings(reservation);
+  const touched = new Set();
+
+  const lines = charges.map(charge => {
+    const category = charge.category || FOLIO_CHARGE_CATEGORIES.OTHER;
+    const folio = forcedFolio || routeFolio(folios, category);
+    touched.add(folio);
+
+    const rates = charge.taxRate === undefined
+      ? getCategoryRates(taxSettings, category)
+      : [{ type: TAX_TYPES.OTHER, rate: charge.taxRate }].filter(({ rate }) => rate > 0);
+
+    const line = folio.postLine({
+      type: FOLIO_LINE_TYPES.CHARGE,
+      category,
+      description: charge.description,
+      date: charge.date || new Date(),
+      quantity: charge.quantity ?? 1,
+      unitPrice: charge.unitPrice,
+      taxIncluded: taxSettings.mode === TAX_MODES.INCLUSIVE,
+      taxes: rates
+    }, userId);
+
+    return { folioId: folio._id, folioNumber: folio.number, line };
+  });
+
+  for (const folio of touched) {
+    await folio.save();
+  }
+
+  await applyFolioTotals(reservation, folios);
+
+  return { folios, lines };
+};
+
+/**
+ * Void a posted charge together with its adjustments
+ * @param {Object} params - Void parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.folio - Folio document
+ * @param {String} params.lineId - Line to void
+ * @param {String} params.reason - Void reason
+ * @param {String} params.userId - User voiding it
+ * @returns {Object} Voided line
+ */
+export const voidCharge = async ({ reservation, folio, lineId, reason, userId }) => {
+  const line = folio.lines.id(lineId);
+
+  if (!line) {
+    throw new Error('Folio line not found');
+  }
+
+  if (line.isStayCharge) {
+    throw new Error('Stay charges follow the reservation dates and rates; post an adjustment instead');
+  }
+
+  folio.voidLine(line._id, reason, userId);
+
+  folio.getPostedLines()
+    .filter(adjustment => String(adjustment.adjustsLineId) === String(line._id))
+    .forEach(adjustment => folio.voidLine(adjustment._id, reason, userId));
+
+  await folio.save();
+  await applyFolioTotals(reservation, await getReservationFolios(reservation));
+
+  return line;
+};
+
+/**
+ * Post an adjustment against a charge
+ * The adjustment takes the charge's category and taxes; a negative amount lowers
+ * the charge, which can never end up below zero
+ * @param {Object} params - Adjustment parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.folio - Folio document
+ * @param {String} params.lineId - Line to adjust
+ * @param {Number} params.amount - Amount before tax (negative to discount)
+ * @param {String} params.reason - Adjustment reason
+ * @param {String} params.userId - User adjusting it
+ * @returns {Object} Adjustment line
+ */
+export const adjustCharge = async ({ reservation, folio, lineId, amount, reason, userId }) => {
+  const line = folio.lines.id(lineId);
+
+  if (!line || line.status !== FOLIO_LINE_STATUS.POSTED || line.type !== FOLIO_LINE_TYPES.CHARGE) {
+    throw new Error('Only posted charges can be adjusted');
+  }
+
+  const adjustmentTotal = roundCurrency(amount * (1 + line.taxRate / 100));
+  if (folio.getNetLineTotal(line._id) + adjustmentTotal < 0) {
+    throw new Error('Adjustment would leave the charge below zero');
+  }
+
+  const adjustment = folio.postLine({
+    type: FOLIO_LINE_TYPES.ADJUSTMENT,
+    category: line.category,
+    description: `Ajuste: ${line.description}`.slice(0, 200),
+    date: new Date(),
+    quantity: 1,
+    unitPrice: amount,
+    taxes: taxRates(line.taxes),
+    adjustsLineId: line._id,
+    reason
+  }, userId);
+
+  await folio.save();
+  await applyFolioTotals(reservation, await getReservationFolios(reservation));
+
+  return adjustment;
+};
+
+/**
+ * Move a posted charge (and its adjustments) to another folio of the reservation
+ * @param {Object} params - Transfer parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.folio - Folio holding the line
+ * @param {String} params.lineId - Line to move
+ * @param {Object} params.targetFolio - Folio receiving it
+ * @param {String} params.userId - User moving it
+ * @returns {Object} Reposted line
+ */
+export const transferCharge = async ({ reservation, folio, lineId, targetFolio, userId }) => {
+  const line = folio.lines.id(lineId);
+
+  if (!line || line.status !== FOLIO_LINE_STATUS.POSTED || line.type !== FOLIO_LINE_TYPES.CHARGE) {
+    throw new Error('Only posted charges can be transferred');
+  }
+
+  if (line.isStayCharge) {
+    throw new Error('Stay charges follow the folio routing; change the routing instead');
+  }
+
+  const moved = moveLine(folio, line, targetFolio, userId);
+
+  await folio.save();
+  await targetFolio.save();
+  await applyFolioTotals(reservation, await getReservationFolios(reservation));
+
+  return moved;
+};
+
+export default {
+  getReservationFolios,
+  routeFolio,
+  buildStayLines,
+  getFolioSummary,
+  syncStayCharges,
+  applyFolioTotals,
+  applyRouting,
+  createFolio,
+  postCharges,
+  voidCharge,
+  adjustCharge,
+  transferCharge
+};
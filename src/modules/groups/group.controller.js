@@ -0,0 +1,456 @@
+import ReservationGroup from './group.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import Property from '../properties/property.model.js';
+import Guest from '../guests/guest.model.js';
+import { HTTP_STATUS } from '../../config/constants.js';
+import {
+  addReservationToGroup,
+  confirmGroupReservations,
+  cancelGroupReservations,
+  checkInGroupReservations,
+  resolveGroupStatus
+} from './group.service.js';
+
+/**
+ * Group Controller
+ * Handles group (master) reservations that link several room reservations
+ */
+
+/**
+ * Load a group of the current tenant
+ * @param {String} groupId - Group ID
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object|null} ReservationGroup document
+ */
+const findGroup = (groupId, tenantId) => ReservationGroup.findOne({
+  _id: groupId,
+  tenantId,
+  isActive: true
+});
+
+/**
+ * Get all groups for current tenant
+ * GET /api/groups
+ */
+export const getAllGroups = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, propertyId, status, confirmationNumber, search } = req.query;
+
+    // Build query conditions
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (propertyId) conditions.propertyId = propertyId;
+    if (status) conditions.status = status;
+    if (confirmationNumber) {
+      conditions.confirmationNumber = { $regex: confirmationNumber, $options: 'i' };
+    }
+
+    if (search) {
+      conditions.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { 'billingContact.name': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Execute query with pagination
+    const skip = (page - 1) * limit;
+    const [groups, total] = await Promise.all([
+      ReservationGroup.find(conditions)
+        .populate('propertyId', 'name')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ createdAt: -1 }),
+      ReservationGroup.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        groups,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los grupos'
+    });
+  }
+};
+
+/**
+ * Get group by ID with its reservations and balance
+ * GET /api/groups/:groupId
+ */
+export const getGroupById = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findGroup(groupId, req.user.tenantId)
+      .populate('propertyId', 'name address')
+      .populate('billingContact.guestId', 'firstName lastName email phone')
+      .populate({
+        path: 'reservations',
+        select: 'confirmationNumber status dates guests roomId roomTypeId guestId pricing.totalPrice paymentSummary paymentStatus',
+        populate: [
+          { path: 'roomId', select: 'nameOrNumber type' },
+          { path: 'roomTypeId', select: 'name code' },
+          { path: 'guestId', select: 'firstName lastName' }
+        ]
+      });
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    const balance = await group.getBalance();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { group, balance }
+    });
+
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener el grupo'
+    });
+  }
+};
+
+/**
+ * Create group with its reservations
+ * POST /api/groups
+ */
+export const createGroup = async (req, res) => {
+  let group = null;
+
+  try {
+    const { propertyId, name, billingContact, notes, reservations } = req.body;
+
+    // 1. Validar que la propiedad existe y pertenece al tenant
+    const property = await Property.findOne({
+      _id: propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!property) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🏨 Propiedad no encontrada.'
+      });
+    }
+
+    // 2. Validar el huésped del contacto de facturación
+    if (billingContact.guestId) {
+      const guest = await Guest.findOne({
+        _id: billingContact.guestId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+
+      if (!guest) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '👤 Huésped del contacto de facturación no encontrado.'
+        });
+      }
+    }
+
+    // 3. Crear el grupo y cada reservación (se revierte todo si alguna falla)
+    group = new ReservationGroup({
+      tenantId: req.user.tenantId,
+      propertyId,
+      name,
+      billingContact,
+      notes
+    });
+    await group.save();
+
+    for (const [index, reservationData] of reservations.entries()) {
+      const result = await addReservationToGroup({
+        group,
+        reservationData,
+        tenantId: req.user.tenantId
+      });
+
+      if (!result.created) {
+        await Reservation.deleteMany({ tenantId: req.user.tenantId, groupId: group._id });
+        await ReservationGroup.deleteOne({ _id: group._id, tenantId: req.user.tenantId });
+
+        return res.status(result.status).json({
+          success: false,
+          message: `Habitación ${index + 1} del grupo: ${result.message}`
+        });
+      }
+    }
+
+    await group.populate({
+      path: 'reservations',
+      select: 'confirmationNumber status dates roomId roomTypeId guestId pricing.totalPrice',
+      populate: [
+        { path: 'roomId', select: 'nameOrNumber' },
+        { path: 'roomTypeId', select: 'name code' }
+      ]
+    });
+
+    const balance = await group.getBalance();
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ Grupo ${group.confirmationNumber} creado con ${reservations.length} habitación(es)`,
+      data: { group, balance }
+    });
+
+  } catch (error) {
+    console.error('❌ Create group error:', error);
+
+    // Revertir el grupo parcialmente creado
+    if (group?._id) {
+      await Reservation.deleteMany({ tenantId: req.user.tenantId, groupId: group._id });
+      await ReservationGroup.deleteOne({ _id: group._id, tenantId: req.user.tenantId });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(e => e.message).join('\n');
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `⚠️ Error de validación:\n${errorMessages}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: '🔥 Error interno del servidor. Por favor intenta de nuevo.',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update group details
+ * PUT /api/groups/:groupId
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name, billingContact, notes } = req.body;
+
+    const group = await findGroup(groupId, req.user.tenantId);
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    if (name !== undefined) group.name = name;
+    if (notes !== undefined) group.notes = notes;
+    if (billingContact) {
+      Object.entries(billingContact).forEach(([key, value]) => {
+        group.billingContact[key] = value;
+      });
+    }
+
+    await group.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: '✅ Grupo actualizado correctamente',
+      data: { group }
+    });
+
+  } catch (error) {
+    console.error('Update group error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errorMessages = Object.values(error.errors).map(e => e.message).join('\n');
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `⚠️ Error de validación:\n${errorMessages}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al actualizar el grupo'
+    });
+  }
+};
+
+/**
+ * Add a reservation to an existing group
+ * POST /api/groups/:groupId/reservations
+ */
+export const addGroupReservation = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findGroup(groupId, req.user.tenantId);
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    const result = await addReservationToGroup({
+      group,
+      reservationData: req.body,
+      tenantId: req.user.tenantId
+    });
+
+    if (!result.created) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    group.status = await resolveGroupStatus(group);
+    await group.save();
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ Reservación ${result.reservation.confirmationNumber} agregada al grupo`,
+      data: { reservation: result.reservation }
+    });
+
+  } catch (error) {
+    console.error('Add group reservation error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: '🔥 Error interno del servidor. Por favor intenta de nuevo.',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm every pending reservation of the group
+ * PUT /api/groups/:groupId/confirm
+ */
+export const confirmGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findGroup(groupId, req.user.tenantId);
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    const result = await confirmGroupReservations(group);
+
+    group.status = await resolveGroupStatus(group);
+    await group.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ ${result.updated.length} reservación(es) del grupo confirmada(s)`,
+      data: { group, ...result }
+    });
+
+  } catch (error) {
+    console.error('Confirm group error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al confirmar el grupo'
+    });
+  }
+};
+
+/**
+ * Cancel every reservation of the group that has not started
+ * PUT /api/groups/:groupId/cancel
+ */
+export const cancelGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { reason } = req.body;
+
+    const group = await findGroup(groupId, req.user.tenantId);
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    const result = await cancelGroupReservations(group, req.user.id, reason);
+
+    group.status = await resolveGroupStatus(group);
+    await group.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ ${result.updated.length} reservación(es) del grupo cancelada(s)`,
+      data: { group, ...result }
+    });
+
+  } catch (error) {
+    console.error('Cancel group error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al cancelar el grupo'
+    });
+  }
+};
+
+/**
+ * Check in every confirmed reservation of the group with an assigned room
+ * PUT /api/groups/:groupId/checkin
+ */
+export const checkInGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await findGroup(groupId, req.user.tenantId);
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado.'
+      });
+    }
+
+    const result = await checkInGroupReservations(group, req.user.id);
+
+    group.status = await resolveGroupStatus(group);
+    await group.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Check-in de ${result.updated.length} reservación(es) del grupo`,
+      data: { group, ...result }
+    });
+
+  } catch (error) {
+    console.error('Check-in group error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Error al hacer check-in del grupo'
+    });
+  }
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { RESERVATION_STATUS } from '../../config/constants.js';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+
+/**
+ * Reservation Group Schema - Master reservation linking several room reservations
+ * (wedding parties, tour groups) under one confirmation number and billing contact
+ */
+const reservationGroupSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  confirmationNumber: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  billingContact: {
+    guestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      default: null
+    },
+    name: {
+      type: String,
+      required: [true, 'Billing contact name is required'],
+      trim: true,
+      maxlength: [100, 'Billing contact name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(RESERVATION_STATUS),
+      message: 'Invalid group status. Must be one of: {VALUES}'
+    },
+    default: RESERVATION_STATUS.PENDING,
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugins
+reservationGroupSchema.plugin(baseSchemaPlugin);
+reservationGroupSchema.plugin(softDeletePlugin);
+
+// Compound indexes for multi-tenant queries and performance
+reservationGroupSchema.index({ tenantId: 1, confirmationNumber: 1 }, { unique: true });
+reservationGroupSchema.index({ tenantId: 1, propertyId: 1, status: 1 });
+
+// Virtual for child reservations
+reservationGroupSchema.virtual('reservations', {
+  ref: 'Reservation',
+  localField: '_id',
+  foreignField: 'groupId',
+  match: { isActive: true }
+});
+
+// Instance method to build the confirmation number of the next child reservation
+reservationGroupSchema.methods.getChildConfirmationNumber = async function() {
+  const Reservation = mongoose.model('Reservation');
+  const count = await Reservation.countDocuments({ groupId: this._id });
+  return `${this.confirmationNumber}-${String(count + 1).padStart(2, '0')}`;
+};
+
+// Instance method to add up the balance of the group's active reservations
+reservationGroupSchema.methods.getBalance = async function() {
+  const Reservation = mongoose.model('Reservation');
+  const reservations = await Reservation.find({
+    tenantId: this.tenantId,
+    groupId: this._id,
+    isActive: true,
+    status: { $ne: RESERVATION_STATUS.CANCELLED }
+  }).select('pricing.totalPrice paymentSummary');
+
+  return reservations.reduce((balance, reservation) => ({
+    totalPrice: balance.totalPrice + reservation.pricing.totalPrice,
+    totalPaid: balance.totalPaid + reservation.paymentSummary.totalPaid,
+    remainingBalance: balance.remainingBalance + Math.max(reservation.paymentSummary.remainingBalance, 0),
+    reservationsCount: balance.reservationsCount + 1
+  }), { totalPrice: 0, totalPaid: 0, remainingBalance: 0, reservationsCount: 0 });
+};
+
+// Static method to generate unique group confirmation number
+reservationGroupSchema.statics.generateConfirmationNumber = async function() {
+  let confirmationNumber;
+  let exists = true;
+
+  while (exists) {
+    const prefix = 'MG';
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    const timestamp = Date.now().toString().slice(-4);
+    confirmationNumber = `${prefix}${random}${timestamp}`;
+
+    exists = await this.findOne({ confirmationNumber });
+  }
+
+  return confirmationNumber;
+};
+
+// Pre-validate middleware to generate confirmation number
+reservationGroupSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.confirmationNumber) {
+    this.confirmationNumber = await this.constructor.generateConfirmationNumber();
+  }
+  next();
+});
+
+export default mongoose.model('ReservationGroup', reservationGroupSchema);
@@ -0,0 +1,122 @@
+import express from 'express';
+import {
+  getAllGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  addGroupReservation,
+  confirmGroup,
+  cancelGroup,
+  checkInGroup
+} from './group.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard, setTenantId } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createGroupSchema,
+  updateGroupSchema,
+  groupReservationSchema,
+  groupParamsSchema,
+  groupQuerySchema,
+  cancelGroupSchema
+} from '../../schemas/group.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/groups
+ * @desc    Get all group reservations for current tenant
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/',
+  requirePermission('canManageReservations'),
+  validate(groupQuerySchema, 'query'),
+  getAllGroups
+);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create group with its room reservations
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/',
+  requirePermission('canManageReservations'),
+  validate(createGroupSchema),
+  setTenantId,
+  createGroup
+);
+
+/**
+ * @route   GET /api/groups/:groupId
+ * @desc    Get group with its reservations and balance
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/:groupId',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  getGroupById
+);
+
+/**
+ * @route   PUT /api/groups/:groupId
+ * @desc    Update group name, billing contact or notes
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:groupId',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  validate(updateGroupSchema),
+  updateGroup
+);
+
+/**
+ * @route   POST /api/groups/:groupId/reservations
+ * @desc    Add a room reservation to the group
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/:groupId/reservations',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  validate(groupReservationSchema),
+  addGroupReservation
+);
+
+/**
+ * @route   PUT /api/groups/:groupId/confirm
+ * @desc    Confirm every pending reservation of the group
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:groupId/confirm',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  confirmGroup
+);
+
+/**
+ * @route   PUT /api/groups/:groupId/cancel
+ * @desc    Cancel every reservation of the group that has not started
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:groupId/cancel',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  validate(cancelGroupSchema),
+  cancelGroup
+);
+
+/**
+ * @route   PUT /api/groups/:groupId/checkin
+ * @desc    Check in every confirmed reservation of the group with an assigned room
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:groupId/checkin',
+  requirePermission('canManageReservations'),
+  validate(groupParamsSchema, 'params'),
+  checkInGroup
+);
+
+export default router;
@@ -0,0 +1,369 @@
+import ReservationGroup from './group.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import Room from '../rooms/room.model.js';
+import RoomType from '../roomTypes/roomType.model.js';
+import Guest from '../guests/guest.model.js';
+import Property from '../properties/property.model.js';
+import { HTTP_STATUS, RESERVATION_STATUS, ROOM_STATUS } from '../../config/constants.js';
+import {
+  checkRoomAvailability,
+  checkRoomTypeAvailability,
+  validateReservationDates,
+  validateGuestCapacity
+} from '../reservations/reservation.service.js';
+import { cancelReservationWithPolicy } from '../reservations/cancellation.service.js';
+import { applyDepositPolicy, isDepositOutstanding } from '../reservations/deposit.service.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Group Service
+ * Business logic for group (master) reservations
+ */
+
+/**
+ * Validate and create one child reservation of a group
+ * Runs the same checks as a single reservation: dates, room or room type, guest,
+ * capacity and availability
+ * @param {Object} params - Creation parameters
+ * @param {Object} params.group - ReservationGroup document
+ * @param {Object} params.reservationData - Child reservation data
+ * @param {String} params.tenantId - Tenant ID
+ * @returns {Object} { created: boolean, reservation|null, status, message }
+ */
+export const addReservationToGroup = async ({ group, reservationData, tenantId }) => {
+  const fail = (status, message) => ({ created: false, reservation: null, status, message });
+
+  const checkInDate = new Date(reservationData.dates.checkInDate);
+  const checkOutDate = new Date(reservationData.dates.checkOutDate);
+
+  const dateValidation = validateReservationDates(checkInDate, checkOutDate);
+  if (!dateValidation.valid) {
+    return fail(HTTP_STATUS.BAD_REQUEST, dateValidation.message);
+  }
+
+  let room = null;
+  let roomType = null;
+
+  if (reservationData.roomId) {
+    room = await Room.findOne({
+      _id: reservationData.roomId,
+      propertyId: group.propertyId,
+      tenantId,
+      isActive: true
+    });
+
+    if (!room) {
+      return fail(HTTP_STATUS.NOT_FOUND, '🚪 Habitación no encontrada o no disponible.');
+    }
+  }
+
+  const roomTypeId = room ? room.roomTypeId : reservationData.roomTypeId;
+
+  if (roomTypeId) {
+    roomType = await RoomType.findOne({
+      _id: roomTypeId,
+      propertyId: group.propertyId,
+      tenantId,
+      isActive: true
+    });
+
+    if (!roomType) {
+      return fail(HTTP_STATUS.NOT_FOUND, '🛏️ Tipo de habitación no encontrado.');
+    }
+  }
+
+  // Rooms without their own guest are booked under the billing contact
+  const guestId = reservationData.guestId || group.billingContact.guestId;
+
+  if (!guestId) {
+    return fail(HTTP_STATUS.BAD_REQUEST, '👤 Cada habitación del grupo necesita un huésped o un contacto de facturación registrado como huésped.');
+  }
+
+  const guest = await Guest.findOne({
+    _id: guestId,
+    tenantId,
+    isActive: true
+  });
+
+  if (!guest) {
+    return fail(HTTP_STATUS.NOT_FOUND, '👤 Huésped no encontrado.');
+  }
+
+  const adults = reservationData.guests?.adults || 1;
+  const children = reservationData.guests?.children || 0;
+
+  const capacityValidation = validateGuestCapacity({ adults, children, room: room || roomType });
+  if (!capacityValidation.valid) {
+    return fail(HTTP_STATUS.BAD_REQUEST, capacityValidation.message);
+  }
+
+  if (room) {
+    const availabilityCheck = await checkRoomAvailability({
+      roomId: room._id,
+      checkInDate,
+      checkOutDate,
+      tenantId
+    });
+
+    if (!availabilityCheck.available) {
+      return fail(HTTP_STATUS.CONFLICT, `❌ La habitación "${room.nameOrNumber}" ya está reservada en esas fechas (${availabilityCheck.conflictingReservation.confirmationNumber}).`);
+    }
+  }
+
+  if (roomType) {
+    const typeAvailability = await checkRoomTypeAvailability({
+      roomTypeId: roomType._id,
+      checkInDate,
+      checkOutDate,
+      tenantId
+    });
+
+    if (!typeAvailability.available) {
+      return fail(HTTP_STATUS.CONFLICT, `❌ No quedan habitaciones "${roomType.name}" disponibles en esas fechas (${typeAvailability.totalRooms} en total).`);
+    }
+  }
+
+  const reservation = new Reservation({
+    tenantId,
+    propertyId: group.propertyId,
+    groupId: group._id,
+    roomId: room ? room._id : null,
+    roomTypeId: roomType ? roomType._id : null,
+    guestId,
+    confirmationNumber: await group.getChildConfirmationNumber(),
+    status: RESERVATION_STATUS.PENDING,
+    dates: { checkInDate, checkOutDate },
+    guests: {
+      adults,
+      children,
+      additionalGuests: reservationData.guests?.additionalGuests || []
+    },
+    source: reservationData.source || 'direct',
+    specialRequests: reservationData.specialRequests,
+    notes: reservationData.notes
+  });
+
+  // Price before the first save so required pricing fields are set
+  await reservation.calculatePricing();
+
+  const property = await Property.findById(group.propertyId);
+  applyDepositPolicy({ reservation, property });
+
+  try {
+    await reservation.save();
+  } catch (error) {
+    // Another booking took the room after the availability check
+    if (error.name === 'RoomUnavailableError') {
+      return fail(HTTP_STATUS.CONFLICT, `❌ ${error.message}`);
+    }
+    throw error;
+  }
+
+  return { created: true, reservation, status: HTTP_STATUS.CREATED, message: null };
+};
+
+/**
+ * Confirm every pending reservation of a group
+ * Reservations still owing their deposit are skipped when the property requires it
+ * @param {Object} group - ReservationGroup document
+ * @returns {Object} { updated: Array, skipped: Array }
+ */
+export const confirmGroupReservations = async (group) => {
+  const reservations = await Reservation.find({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    isActive: true
+  });
+  const property = await Property.findById(group.propertyId);
+  const depositRequiredToConfirm = property?.settings.depositPolicy.requiredToConfirm;
+
+  const updated = [];
+  const skipped = [];
+
+  for (const reservation of reservations) {
+    if (reservation.status !== RESERVATION_STATUS.PENDING) {
+      skipped.push({ confirmationNumber: reservation.confirmationNumber, reason: `Status is ${reservation.status}` });
+      continue;
+    }
+
+    if (depositRequiredToConfirm && isDepositOutstanding(reservation)) {
+      skipped.push({ confirmationNumber: reservation.confirmationNumber, reason: `Deposit of ${reservation.paymentSummary.depositRequired} not paid` });
+      continue;
+    }
+
+    reservation.status = RESERVATION_STATUS.CONFIRMED;
+    reservation.timestamps.confirmedAt = new Date();
+    await reservation.save();
+    updated.push(reservation.confirmationNumber);
+  }
+
+  return { updated, skipped };
+};
+
+/**
+ * Cancel every reservation of a group that has not started
+ * Each one is charged and refunded under the property cancellation policy;
+ * reservations already checked in are left untouched and reported back
+ * @param {Object} group - ReservationGroup document
+ * @param {String} userId - User cancelling
+ * @param {String} reason - Cancellation reason
+ * @returns {Object} { updated: Array, skipped: Array }
+ */
+export const cancelGroupReservations = async (group, userId, reason) => {
+  const property = await Property.findById(group.propertyId);
+  const reservations = await Reservation.find({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    isActive: true
+  });
+
+  const updated = [];
+  const skipped = [];
+
+  for (const reservation of reservations) {
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(reservation.status)) {
+      skipped.push({ confirmationNumber: reservation.confirmationNumber, reason: `Status is ${reservation.status}` });
+      continue;
+    }
+
+    const { reservation: cancelled, charges } = await cancelReservationWithPolicy({ reservation, property, userId, reason });
+    updated.push({
+      confirmationNumber: cancelled.confirmationNumber,
+      penaltyAmount: charges.penaltyAmount,
+      refundAmount: cancelled.cancellation.refundAmount
+    });
+  }
+
+  return { updated, skipped };
+};
+
+/**
+ * Check in every confirmed reservation of a group that already has a room
+ * @param {Object} group - ReservationGroup document
+ * @param {String} userId - User checking in
+ * @returns {Object} { updated: Array, skipped: Array }
+ */
+export const checkInGroupReservations = async (group, userId) => {
+  const reservations = await Reservation.find({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    isActive: true
+  });
+
+  const updated = [];
+  const skipped = [];
+
+  for (const reservation of reservations) {
+    if (reservation.status !== RESERVATION_STATUS.CONFIRMED) {
+      skipped.push({ confirmationNumber: reservation.confirmationNumber, reason: `Status is ${reservation.status}` });
+      continue;
+    }
+
+    if (!reservation.roomId) {
+      skipped.push({ confirmationNumber: reservation.confirmationNumber, reason: 'No room assigned' });
+      continue;
+    }
+
+    await reservation.checkIn(userId);
+    await Room.findByIdAndUpdate(reservation.roomId, { status: ROOM_STATUS.OCCUPIED });
+
+    const guest = await Guest.findById(reservation.guestId);
+    if (guest) {
+      await guest.updateStayStats();
+    }
+
+    updated.push(reservation.confirmationNumber);
+  }
+
+  return { updated, skipped };
+};
+
+/**
+ * Derive the group status from its reservations
+ * @param {Object} group - ReservationGroup document
+ * @returns {String} Group status
+ */
+export const resolveGroupStatus = async (group) => {
+  const reservations = await Reservation.find({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    isActive: true
+  }).select('status').lean();
+
+  const allStatuses = reservations.map(reservation => reservation.status);
+  const statuses = allStatuses
+    .filter(status => ![RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW].includes(status));
+
+  if (statuses.length === 0) {
+    return allStatuses.includes(RESERVATION_STATUS.NO_SHOW)
+      ? RESERVATION_STATUS.NO_SHOW
+      : RESERVATION_STATUS.CANCELLED;
+  }
+
+  // The group is as far along as its least advanced reservation
+  const order = [
+    RESERVATION_STATUS.PENDING,
+    RESERVATION_STATUS.CONFIRMED,
+    RESERVATION_STATUS.CHECKED_IN,
+    RESERVATION_STATUS.CHECKED_OUT
+  ];
+
+  return order.find(status => statuses.includes(status)) || group.status;
+};
+
+/**
+ * Recalculate and save the status of a group after one of its reservations changed
+ * @param {String} groupId - Group ID (no-op when null)
+ * @returns {Object|null} ReservationGroup document
+ */
+export const refreshGroupStatus = async (groupId) => {
+  if (!groupId) return null;
+
+  const group = await ReservationGroup.findById(groupId);
+  if (!group) return null;
+
+  group.status = await resolveGroupStatus(group);
+  await group.save();
+
+  return group;
+};
+
+/**
+ * Split a payment on the group balance across its reservations
+ * Earliest arrivals are paid first
+ * @param {Object} group - ReservationGroup document
+ * @param {Number} amount - Amount paid
+ * @returns {Array} [{ reservation, amount }]
+ */
+export const allocateGroupPayment = async (group, amount) => {
+  const reservations = await Reservation.find({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    isActive: true,
+    status: { $nin: [RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW] },
+    'paymentSummary.remainingBalance': { $gt: 0 }
+  }).sort({ 'dates.checkInDate': 1, confirmationNumber: 1 });
+
+  const allocations = [];
+  let remaining = roundCurrency(amount);
+
+  for (const reservation of reservations) {
+    if (remaining <= 0) break;
+
+    const applied = roundCurrency(Math.min(remaining, reservation.paymentSummary.remainingBalance));
+    allocations.push({ reservation, amount: applied });
+    remaining = roundCurrency(remaining - applied);
+  }
+
+  return allocations;
+};
+
+export default {
+  addReservationToGroup,
+  confirmGroupReservations,
+  cancelGroupReservations,
+  checkInGroupReservations,
+  resolveGroupStatus,
+  refreshGroupStatus,
+  allocateGroupPayment
+};
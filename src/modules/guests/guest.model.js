@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { VIP_THRESHOLDS } from '../../config/constants.js';
 import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
 
 /**
@@ -62,6 +63,17 @@ const guestSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Room preferences used by automatic room assignment
+  preferences: {
+    preferredRooms: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    }],
+    amenities: [{
+      type: String,
+      trim: true
+    }]
+  },
   blacklisted: {
     type: Boolean,
     default: false
@@ -166,12 +178,12 @@ guestSchema.methods.addLoyaltyPoints = function(points) {
 };
 
 // Instance method to update stay statistics
-guestSchema.methods.updateStayStats = function(amount) {
+// totalSpent is derived from the ledger (see ledger.service refreshGuestSpend)
+guestSchema.methods.updateStayStats = function() {
   this.totalStays += 1;
-  this.totalSpent += amount;
   
   // Auto-promote to VIP if criteria met
-  if (this.totalStays >= 10 || this.totalSpent >= 10000) {
+  if (this.totalStays >= VIP_THRESHOLDS.STAYS || this.totalSpent >= VIP_THRESHOLDS.SPEND) {
     this.vipStatus = true;
   }
   
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { IDEMPOTENCY_KEY_STATUS } from '../../config/constants.js';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+
+/**
+ * Idempotency Key Schema - A request sent with an Idempotency-Key header and the
+ * response it got, replayed when the client retries it with the same key
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  method: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the method, path and body; a retry must send the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_KEY_STATUS),
+    default: IDEMPOTENCY_KEY_STATUS.PROCESSING
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  // Card charge or refund the request already made at a gateway. Once set the key is
+  // never released, so a retry cannot charge or refund the card again
+  gatewayOperation: {
+    gateway: String,
+    reference: String,
+    at: Date
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the request holding the key started (or took it over)
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+idempotencyKeySchema.plugin(baseSchemaPlugin);
+
+// Indexes
+idempotencyKeySchema.index({ tenantId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
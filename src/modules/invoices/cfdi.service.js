@@ -0,0 +1,213 @@
+import moment from 'moment-timezone';
+import { TAX_TYPES } from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * CFDI Service
+ * Builds CFDI 4.0 XML from an invoice. IVA goes under Impuestos and local taxes (ISH)
+ * in the implocal complement. The XML is left unsealed (Sello, NoCertificado and
+ * Certificado empty): the PAC provider seals and stamps it
+ */
+
+const CFDI_NAMESPACE = 'http://www.sat.gob.mx/cfd/4';
+const CFDI_SCHEMA = 'http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd';
+const IMPLOCAL_NAMESPACE = 'http://www.sat.gob.mx/implocal';
+const IMPLOCAL_SCHEMA = 'http://www.sat.gob.mx/sitio_internet/cfd/implocal/implocal.xsd';
+
+// SAT Impuesto key for IVA
+const IVA_TAX_KEY = '002';
+
+// Names of local taxes in the implocal complement
+const LOCAL_TAX_NAMES = {
+  [TAX_TYPES.ISH]: 'ISH',
+  [TAX_TYPES.OTHER]: 'OTRO'
+};
+
+/**
+ * Escape a value for an XML attribute
+ * @param {*} value - Attribute value
+ * @returns {String} Escaped value
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Format an amount with the 2 decimals CFDI expects
+ * @param {Number} value - Amount
+ * @returns {String} Formatted amount
+ */
+const money = (value) => roundCurrency(value).toFixed(2);
+
+/**
+ * Build an XML element; attributes left undefined or null are omitted
+ * @param {String} name - Element name
+ * @param {Object} attributes - Attribute values
+ * @param {Array} children - Child elements (already built)
+ * @returns {String} XML
+ */
+const element = (name, attributes = {}, children = []) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  return children.length > 0
+    ? `<${name}${attrs}>${children.join('')}</${name}>`
+    : `<${name}${attrs}/>`;
+};
+
+/**
+ * Build a cfdi:Traslado for IVA
+ * @param {Object} tax - { rate, base, amount }
+ * @returns {String} XML
+ */
+const ivaTransfer = (tax) => element('cfdi:Traslado', {
+  Base: money(tax.base),
+  Impuesto: IVA_TAX_KEY,
+  TipoFactor: 'Tasa',
+  TasaOCuota: (tax.rate / 100).toFixed(6),
+  Importe: money(tax.amount)
+});
+
+/**
+ * Build the cfdi:Concepto elements of an invoice
+ * @param {Array} concepts - Invoice concepts
+ * @returns {Array} XML elements
+ */
+const buildConcepts = (concepts) => concepts.map(concept => {
+  const federal = concept.taxes.filter(tax => tax.type === TAX_TYPES.IVA);
+
+  return element('cfdi:Concepto', {
+    ClaveProdServ: concept.productKey,
+    Cantidad: concept.quantity,
+    ClaveUnidad: concept.unitKey,
+    Unidad: concept.unitName,
+    Descripcion: concept.description,
+    ValorUnitario: concept.unitValue.toFixed(6),
+    Importe: money(concept.amount),
+    Descuento: concept.discount > 0 ? money(concept.discount) : undefined,
+    ObjetoImp: concept.taxObject
+  }, federal.length > 0
+    ? [element('cfdi:Impuestos', {}, [element('cfdi:Traslados', {}, federal.map(ivaTransfer))])]
+    : []);
+});
+
+/**
+ * Build the implocal complement with the local taxes (ISH)
+ * @param {Array} localTaxes - [{ type, rate, amount }]
+ * @returns {String|null} XML, or null without local taxes
+ */
+const buildLocalTaxes = (localTaxes) => {
+  if (localTaxes.length === 0) return null;
+
+  const total = localTaxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return element('implocal:ImpuestosLocales', {
+    version: '1.0',
+    TotaldeRetenciones: money(0),
+    TotaldeTraslados: money(total)
+  }, localTaxes.map(tax => element('implocal:TrasladosLocales', {
+    ImpLocTrasladado: LOCAL_TAX_NAMES[tax.type],
+    TasadeTraslado: tax.rate.toFixed(2),
+    Importe: money(tax.amount)
+  })));
+};
+
+/**
+ * Build the CFDI 4.0 XML of an invoice
+ * @param {Object} invoice - Invoice document (concepts and totals set)
+ * @param {Object} options - Build options
+ * @param {String} options.timezone - Timezone of the expedition place (Fecha is local time)
+ * @returns {String} Unsealed CFDI XML
+ */
+export const buildCfdiXml = (invoice, { timezone = 'America/Mexico_City' } = {}) => {
+  const federalTaxes = invoice.taxBreakdown.filter(tax => tax.type === TAX_TYPES.IVA);
+  const localTaxes = invoice.taxBreakdown.filter(tax => tax.type !== TAX_TYPES.IVA);
+  const localComplement = buildLocalTaxes(localTaxes);
+
+  const schemaLocation = [CFDI_NAMESPACE, CFDI_SCHEMA];
+  if (localComplement) schemaLocation.push(IMPLOCAL_NAMESPACE, IMPLOCAL_SCHEMA);
+
+  const children = [
+    element('cfdi:Emisor', {
+      Rfc: invoice.issuer.rfc,
+      Nombre: invoice.issuer.name,
+      RegimenFiscal: invoice.issuer.taxRegime
+    }),
+    element('cfdi:Receptor', {
+      Rfc: invoice.receptor.rfc,
+      Nombre: invoice.receptor.name,
+      DomicilioFiscalReceptor: invoice.receptor.postalCode,
+      RegimenFiscalReceptor: invoice.receptor.taxRegime,
+      UsoCFDI: invoice.receptor.cfdiUse
+    }),
+    element('cfdi:Conceptos', {}, buildConcepts(invoice.concepts))
+  ];
+
+  if (federalTaxes.length > 0) {
+    children.push(element('cfdi:Impuestos', {
+      TotalImpuestosTrasladados: money(invoice.totals.federalTaxes)
+    }, [element('cfdi:Traslados', {}, federalTaxes.map(ivaTransfer))]));
+  }
+
+  if (localComplement) {
+    children.push(element('cfdi:Complemento', {}, [localComplement]));
+  }
+
+  const comprobante = element('cfdi:Comprobante', {
+    'xmlns:cfdi': CFDI_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xmlns:implocal': localComplement ? IMPLOCAL_NAMESPACE : undefined,
+    'xsi:schemaLocation': schemaLocation.join(' '),
+    Version: '4.0',
+    Serie: invoice.series || undefined,
+    Folio: invoice.number,
+    Fecha: moment(invoice.issuedAt).tz(timezone).format('YYYY-MM-DDTHH:mm:ss'),
+    Sello: '',
+    FormaPago: invoice.paymentForm,
+    NoCertificado: '',
+    Certificado: '',
+    SubTotal: money(invoice.totals.subtotal),
+    Descuento: invoice.totals.discount > 0 ? money(invoice.totals.discount) : undefined,
+    Moneda: invoice.currency,
+    TipoCambio: invoice.currency !== 'MXN' ? invoice.exchangeRate : undefined,
+    Total: money(invoice.totals.total),
+    TipoDeComprobante: 'I',
+    Exportacion: '01',
+    MetodoPago: invoice.paymentMethod,
+    LugarExpedicion: invoice.issuer.postalCode
+  }, children);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${comprobante}`;
+};
+
+/**
+ * Fill in the emisor seal and certificate of a CFDI
+ * @param {String} xml - Unsealed CFDI XML
+ * @param {Object} seal - { seal, certificateNumber, certificate }
+ * @returns {String} Sealed XML
+ */
+export const sealCfdi = (xml, { seal, certificateNumber, certificate }) => xml
+  .replace(' Sello=""', ` Sello="${escapeXml(seal)}"`)
+  .replace(' NoCertificado=""', ` NoCertificado="${escapeXml(certificateNumber)}"`)
+  .replace(' Certificado=""', ` Certificado="${escapeXml(certificate)}"`);
+
+/**
+ * Add a complement (e.g. the TimbreFiscalDigital) to a CFDI
+ * @param {String} xml - CFDI XML
+ * @param {String} complement - Complement XML
+ * @returns {String} XML with the complement
+ */
+export const addCfdiComplement = (xml, complement) => (xml.includes('</cfdi:Complemento>')
+  ? xml.replace('</cfdi:Complemento>', `${complement}</cfdi:Complemento>`)
+  : xml.replace('</cfdi:Comprobante>', `<cfdi:Complemento>${complement}</cfdi:Complemento></cfdi:Comprobante>`));
+
+export default {
+  buildCfdiXml,
+  sealCfdi,
+  addCfdiComplement
+};
@@ -0,0 +1,329 @@
+import Invoice from './invoice.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import { HTTP_STATUS, INVOICE_STATUS } from '../../config/constants.js';
+import { syncStayCharges } from '../folios/folio.service.js';
+import { issueInvoice, stampInvoice, cancelInvoice as cancelCfdi } from './invoice.service.js';
+
+/**
+ * Invoice Controller
+ * CFDI 4.0 invoices (facturas) of reservation folios: issuing, stamping with the
+ * PAC, downloading the XML and cancelling
+ */
+
+/**
+ * Load an invoice of the current tenant
+ * @param {String} invoiceId - Invoice ID
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object|null} Invoice document
+ */
+const findInvoice = (invoiceId, tenantId) => Invoice.findOne({
+  _id: invoiceId,
+  tenantId,
+  isActive: true
+});
+
+/**
+ * Get all invoices with pagination and filtering
+ * GET /api/invoices
+ */
+export const getAllInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, reservationId, status, rfc } = req.query;
+
+    // Build query conditions
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (reservationId) conditions.reservationId = reservationId;
+    if (status) conditions.status = status;
+    if (rfc) conditions['receptor.rfc'] = rfc;
+
+    // Execute query with pagination (the XML is only sent by the download endpoint)
+    const skip = (page - 1) * limit;
+    const [invoices, total] = await Promise.all([
+      Invoice.find(conditions)
+        .select('-xml')
+        .populate('reservationId', 'confirmationNumber')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ createdAt: -1 }),
+      Invoice.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener las facturas'
+    });
+  }
+};
+
+/**
+ * Get invoice by ID
+ * GET /api/invoices/:invoiceId
+ */
+export const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.invoiceId, req.user.tenantId);
+
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Factura no encontrada.'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener la factura'
+    });
+  }
+};
+
+/**
+ * Download the CFDI XML of an invoice
+ * GET /api/invoices/:invoiceId/xml
+ */
+export const downloadInvoiceXml = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.invoiceId, req.user.tenantId);
+
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Factura no encontrada.'
+      });
+    }
+
+    const fileName = invoice.stamp?.uuid || invoice.fullNumber;
+
+    res.status(HTTP_STATUS.OK)
+      .type('application/xml')
+      .set('Content-Disposition', `attachment; filename="${fileName}.xml"`)
+      .send(invoice.xml);
+
+  } catch (error) {
+    console.error('Download invoice XML error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al descargar el XML de la factura'
+    });
+  }
+};
+
+/**
+ * Issue and stamp the invoice of a reservation folio
+ * When the PAC rejects it the invoice is kept pending with the error, to retry later
+ * POST /api/invoices
+ */
+export const createInvoice = async (req, res) => {
+  try {
+    const { reservationId, folioId, receptor, exchangeRate } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    // Invoice the folio as it stands with the current pricing
+    const folios = await syncStayCharges(reservation);
+    const folio = folioId
+      ? folios.find(item => String(item._id) === folioId)
+      : folios.find(item => item.number === 1);
+
+    if (!folio) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Folio no encontrado.'
+      });
+    }
+
+    const existing = await Invoice.findOne({
+      tenantId: req.user.tenantId,
+      folioId: folio._id,
+      status: { $in: [INVOICE_STATUS.PENDING, INVOICE_STATUS.STAMPED] },
+      isActive: true
+    });
+
+    if (existing) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `🧾 El folio ${folio.number} ya tiene la factura ${existing.fullNumber}. Cancélala antes de emitir otra.`
+      });
+    }
+
+    let invoice;
+    try {
+      invoice = await issueInvoice({
+        reservation,
+        folio,
+        receptor,
+        exchangeRate,
+        userId: req.user.id
+      });
+    } catch (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    invoice = await stampInvoice(invoice);
+    const stamped = invoice.status === INVOICE_STATUS.STAMPED;
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: stamped
+        ? `✅ Factura ${invoice.fullNumber} timbrada.`
+        : `⚠️ Factura ${invoice.fullNumber} creada pero no timbrada: ${invoice.lastError}`,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al emitir la factura'
+    });
+  }
+};
+
+/**
+ * Retry stamping a pending invoice
+ * POST /api/invoices/:invoiceId/stamp
+ */
+export const retryInvoiceStamp = async (req, res) => {
+  try {
+    let invoice = await findInvoice(req.params.invoiceId, req.user.tenantId);
+
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Factura no encontrada.'
+      });
+    }
+
+    if (invoice.status !== INVOICE_STATUS.PENDING) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `🧾 Solo se pueden timbrar facturas pendientes (estado actual: ${invoice.status}).`
+      });
+    }
+
+    invoice = await stampInvoice(invoice);
+
+    if (invoice.status !== INVOICE_STATUS.STAMPED) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `⚠️ El PAC rechazó la factura: ${invoice.lastError}`,
+        data: { invoice }
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Factura ${invoice.fullNumber} timbrada.`,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Stamp invoice error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al timbrar la factura'
+    });
+  }
+};
+
+/**
+ * Cancel an invoice with SAT
+ * PUT /api/invoices/:invoiceId/cancel
+ */
+export const cancelInvoice = async (req, res) => {
+  try {
+    const { reason, replacementUuid } = req.body;
+
+    const invoice = await findInvoice(req.params.invoiceId, req.user.tenantId);
+
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🧾 Factura no encontrada.'
+      });
+    }
+
+    if (invoice.status === INVOICE_STATUS.CANCELLED) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🧾 La factura ya está cancelada.'
+      });
+    }
+
+    try {
+      await cancelCfdi({
+        invoice,
+        reason,
+        replacementUuid,
+        userId: req.user.id
+      });
+    } catch (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Factura ${invoice.fullNumber} cancelada.`,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al cancelar la factura'
+    });
+  }
+};
+
+export default {
+  getAllInvoices,
+  getInvoiceById,
+  downloadInvoiceXml,
+  createInvoice,
+  retryInvoiceStamp,
+  cancelInvoice
+};
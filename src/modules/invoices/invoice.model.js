@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import {
+  INVOICE_STATUS,
+  CFDI_PAYMENT_METHODS,
+  CFDI_CANCELLATION_REASONS,
+  TAX_TYPES
+} from '../../config/constants.js';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+
+/**
+ * Invoice Tax Schema - One tax of a concept or of the whole invoice
+ */
+const invoiceTaxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(TAX_TYPES),
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  base: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Invoice Concept Schema - One CFDI concepto, built from a folio charge and its adjustments
+ */
+const invoiceConceptSchema = new mongoose.Schema({
+  folioLineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // SAT ClaveProdServ and ClaveUnidad
+  productKey: {
+    type: String,
+    required: true
+  },
+  unitKey: {
+    type: String,
+    required: true
+  },
+  unitName: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitValue: {
+    type: Number,
+    required: true
+  },
+  // quantity × unitValue, before discount and taxes
+  amount: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // SAT ObjetoImp: '01' not subject to tax, '02' subject to tax
+  taxObject: {
+    type: String,
+    enum: ['01', '02'],
+    default: '02'
+  },
+  taxes: [invoiceTaxSchema]
+}, { _id: false });
+
+/**
+ * Invoice Schema - CFDI 4.0 invoice (factura) issued for a reservation folio
+ */
+const invoiceSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required']
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required'],
+    index: true
+  },
+  folioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folio',
+    required: [true, 'Folio ID is required']
+  },
+  series: {
+    type: String,
+    trim: true,
+    default: 'A'
+  },
+  // Consecutive per tenant and series (CFDI Folio)
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(INVOICE_STATUS),
+      message: 'Invalid invoice status. Must be one of: {VALUES}'
+    },
+    default: INVOICE_STATUS.PENDING,
+    index: true
+  },
+  // Snapshot of the tenant's fiscal data when issued
+  issuer: {
+    rfc: {
+      type: String,
+      required: [true, 'Issuer RFC is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Issuer legal name is required']
+    },
+    taxRegime: {
+      type: String,
+      required: [true, 'Issuer tax regime is required']
+    },
+    // LugarExpedicion: postal code of the property
+    postalCode: {
+      type: String,
+      required: [true, 'Expedition postal code is required']
+    }
+  },
+  receptor: {
+    rfc: {
+      type: String,
+      required: [true, 'Receptor RFC is required'],
+      trim: true,
+      uppercase: true
+    },
+    // Razón social exactly as registered with SAT
+    name: {
+      type: String,
+      required: [true, 'Receptor legal name is required'],
+      trim: true
+    },
+    taxRegime: {
+      type: String,
+      required: [true, 'Receptor tax regime is required']
+    },
+    // DomicilioFiscalReceptor
+    postalCode: {
+      type: String,
+      required: [true, 'Receptor postal code is required']
+    },
+    // UsoCFDI (e.g. G03 gastos en general)
+    cfdiUse: {
+      type: String,
+      required: [true, 'CFDI use is required']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // SAT FormaPago ('99' while unpaid)
+  paymentForm: {
+    type: String,
+    required: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: Object.values(CFDI_PAYMENT_METHODS),
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'MXN',
+    maxlength: [3, 'Currency code cannot exceed 3 characters']
+  },
+  // MXN per unit of currency; only for invoices not in MXN
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  concepts: [invoiceConceptSchema],
+  totals: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    // IVA, reported under Impuestos
+    federalTaxes: {
+      type: Number,
+      default: 0
+    },
+    // ISH and other local taxes, reported in the implocal complement
+    localTaxes: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  taxBreakdown: [invoiceTaxSchema],
+  // CFDI XML: unsigned until stamped, then as returned by the PAC
+  xml: {
+    type: String,
+    required: true
+  },
+  stamp: {
+    provider: String,
+    uuid: String,
+    stampedAt: Date,
+    satCertificateNumber: String,
+    satSeal: String,
+    cfdiSeal: String
+  },
+  // Last stamping or cancellation error reported by the PAC
+  lastError: {
+    type: String,
+    default: null
+  },
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: Object.values(CFDI_CANCELLATION_REASONS)
+    },
+    // Invoice that replaces this one (reason '01')
+    replacementUuid: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugins
+invoiceSchema.plugin(baseSchemaPlugin);
+invoiceSchema.plugin(softDeletePlugin);
+
+// Indexes for performance and multi-tenant queries
+invoiceSchema.index({ tenantId: 1, series: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ tenantId: 1, folioId: 1, status: 1 });
+invoiceSchema.index({ 'stamp.uuid': 1 }, { sparse: true });
+
+// Virtual for the invoice number as printed (e.g. A123)
+invoiceSchema.virtual('fullNumber').get(function() {
+  return `${this.series || ''}${this.number}`;
+});
+
+// Static method to get the next consecutive number of a series
+invoiceSchema.statics.getNextNumber = async function(tenantId, series) {
+  const last = await this.findOne({ tenantId, series }).sort({ number: -1 }).select('number');
+  return (last?.number || 0) + 1;
+};
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,93 @@
+import express from 'express';
+import {
+  getAllInvoices,
+  getInvoiceById,
+  downloadInvoiceXml,
+  createInvoice,
+  retryInvoiceStamp,
+  cancelInvoice
+} from './invoice.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createInvoiceSchema,
+  cancelInvoiceSchema,
+  invoiceParamsSchema,
+  invoiceQuerySchema
+} from '../../schemas/invoice.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Get all invoices with pagination and filtering
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/',
+  requirePermission('canManageReservations'),
+  validate(invoiceQuerySchema, 'query'),
+  getAllInvoices
+);
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Issue and stamp the CFDI invoice of a reservation folio
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/',
+  requirePermission('canManageReservations'),
+  validate(createInvoiceSchema),
+  createInvoice
+);
+
+/**
+ * @route   GET /api/invoices/:invoiceId
+ * @desc    Get invoice by ID
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/:invoiceId',
+  requirePermission('canManageReservations'),
+  validate(invoiceParamsSchema, 'params'),
+  getInvoiceById
+);
+
+/**
+ * @route   GET /api/invoices/:invoiceId/xml
+ * @desc    Download the CFDI XML of an invoice
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/:invoiceId/xml',
+  requirePermission('canManageReservations'),
+  validate(invoiceParamsSchema, 'params'),
+  downloadInvoiceXml
+);
+
+/**
+ * @route   POST /api/invoices/:invoiceId/stamp
+ * @desc    Retry stamping a pending invoice
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/:invoiceId/stamp',
+  requirePermission('canManageReservations'),
+  validate(invoiceParamsSchema, 'params'),
+  retryInvoiceStamp
+);
+
+/**
+ * @route   PUT /api/invoices/:invoiceId/cancel
+ * @desc    Cancel an invoice with SAT
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:invoiceId/cancel',
+  requirePermission('canManageReservations'),
+  validate(invoiceParamsSchema, 'params'),
+  validate(cancelInvoiceSchema),
+  cancelInvoice
+);
+
+export default router;
@@ -0,0 +1,349 @@
+import mongoose from 'mongoose';
+import Invoice from './invoice.model.js';
+import {
+  FOLIO_CHARGE_CATEGORIES,
+  FOLIO_LINE_TYPES,
+  INVOICE_STATUS,
+  CFDI_PAYMENT_METHODS,
+  CFDI_CANCELLATION_REASONS,
+  REFUNDABLE_PAYMENT_STATUSES,
+  TAX_TYPES
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { summarizeTaxes } from '../taxes/tax.service.js';
+import { getReservationFolios, getFolioSummary } from '../folios/folio.service.js';
+import { getExchangeRate } from '../exchangeRates/exchangeRate.service.js';
+import { buildCfdiXml } from './cfdi.service.js';
+import { getPacProvider } from './pac/index.js';
+
+/**
+ * Invoice Service
+ * Issues CFDI 4.0 invoices from reservation folios: one concept per posted charge
+ * (net of its adjustments), IVA as federal tax and ISH as local tax. Stamping and
+ * cancellation go through the configured PAC provider
+ */
+
+// SAT ClaveProdServ per charge category
+const PRODUCT_KEYS = {
+  [FOLIO_CHARGE_CATEGORIES.ROOM]: '90111800', // Servicios de alojamiento en hoteles
+  [FOLIO_CHARGE_CATEGORIES.LATE_CHECKOUT]: '90111800',
+  [FOLIO_CHARGE_CATEGORIES.EARLY_DEPARTURE]: '90111800',
+  [FOLIO_CHARGE_CATEGORIES.FEE]: '90111800',
+  [FOLIO_CHARGE_CATEGORIES.MINIBAR]: '90101500', // Establecimientos para comer y beber
+  [FOLIO_CHARGE_CATEGORIES.RESTAURANT]: '90101500',
+  [FOLIO_CHARGE_CATEGORIES.LAUNDRY]: '91111500' // Servicios de lavandería
+};
+const DEFAULT_PRODUCT_KEY = '01010101';
+
+// SAT ClaveUnidad for services
+const SERVICE_UNIT = { key: 'E48', name: 'Unidad de servicio' };
+
+// SAT FormaPago per payment method; '99' (por definir) while unpaid
+const PAYMENT_FORMS = {
+  cash: '01',
+  transfer: '03',
+  card: '04'
+};
+const PAYMENT_FORM_TO_BE_DEFINED = '99';
+
+/**
+ * Add up taxes by type and rate
+ * @param {Array} taxes - [{ type, rate, amount }]
+ * @returns {Array} [{ type, rate, amount }]
+ */
+const mergeTaxes = (taxes) => {
+  const merged = new Map();
+
+  taxes.forEach(({ type, rate, amount }) => {
+    const key = `${type}:${rate}`;
+    const current = merged.get(key) || { type, rate, amount: 0 };
+    current.amount = roundCurrency(current.amount + amount);
+    merged.set(key, current);
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Build the CFDI concepts of a folio
+ * Each posted charge becomes a concept; its posted adjustments raise the amount or
+ * become the concept's discount. Charges adjusted down to zero are left out
+ * @param {Object} folio - Folio document
+ * @returns {Array} Invoice concepts
+ */
+export const buildInvoiceConcepts = (folio) => {
+  const posted = folio.getPostedLines();
+
+  return posted
+    .filter(line => line.type === FOLIO_LINE_TYPES.CHARGE)
+    .map(line => {
+      const adjustments = posted.filter(adjustment => String(adjustment.adjustsLineId) === String(line._id));
+      const adjusted = roundCurrency(adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0));
+
+      const amount = roundCurrency(line.amount + Math.max(adjusted, 0));
+      const discount = roundCurrency(Math.max(-adjusted, 0));
+      const base = roundCurrency(amount - discount);
+      const taxes = mergeTaxes([line, ...adjustments].flatMap(item => item.taxes))
+        .map(tax => ({ ...tax, base }));
+
+      return {
+        folioLineId: line._id,
+        productKey: PRODUCT_KEYS[line.category] || DEFAULT_PRODUCT_KEY,
+        unitKey: SERVICE_UNIT.key,
+        unitName: SERVICE_UNIT.name,
+        description: line.description,
+        quantity: line.quantity,
+        unitValue: Math.round((amount / line.quantity) * 1e6) / 1e6,
+        amount,
+        discount,
+        // Only IVA makes a concept "objeto de impuesto"; ISH goes in implocal
+        taxObject: taxes.some(tax => tax.type === TAX_TYPES.IVA) ? '02' : '01',
+        taxes
+      };
+    })
+    .filter(concept => concept.quantity > 0 && concept.amount - concept.discount > 0);
+};
+
+/**
+ * Get the totals and tax breakdown of a set of concepts
+ * @param {Array} concepts - Invoice concepts
+ * @returns {Object} { totals, taxBreakdown }
+ */
+export const calculateInvoiceTotals = (concepts) => {
+  const taxBreakdown = summarizeTaxes(concepts.map(concept => ({
+    base: roundCurrency(concept.amount - concept.discount),
+    taxes: concept.taxes
+  })));
+
+  const sum = (items, field) => roundCurrency(items.reduce((total, item) => total + item[field], 0));
+  const subtotal = sum(concepts, 'amount');
+  const discount = sum(concepts, 'discount');
+  const federalTaxes = sum(taxBreakdown.filter(tax => tax.type === TAX_TYPES.IVA), 'amount');
+  const localTaxes = sum(taxBreakdown.filter(tax => tax.type !== TAX_TYPES.IVA), 'amount');
+
+  return {
+    totals: {
+      subtotal,
+      discount,
+      federalTaxes,
+      localTaxes,
+      total: roundCurrency(subtotal - discount + federalTaxes + localTaxes)
+    },
+    taxBreakdown
+  };
+};
+
+/**
+ * Resolve the CFDI MetodoPago and FormaPago of a folio
+ * A settled folio is PUE with the form of its largest payment; otherwise PPD / '99'
+ * @param {Object} reservation - Reservation document
+ * @param {Object} folio - Folio document
+ * @returns {Object} { paymentMethod, paymentForm }
+ */
+const resolvePaymentTerms = async (reservation, folio) => {
+  const folios = await getReservationFolios(reservation);
+  const summary = (await getFolioSummary(reservation, folios))
+    .find(item => String(item.folioId) === String(folio._id));
+
+  if (!summary || summary.balance > 0) {
+    return { paymentMethod: CFDI_PAYMENT_METHODS.DEFERRED, paymentForm: PAYMENT_FORM_TO_BE_DEFINED };
+  }
+
+  const Payment = mongoose.model('Payment');
+  const payments = await Payment.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    // Fully refunded payments no longer say how the folio was paid
+    status: { $in: REFUNDABLE_PAYMENT_STATUSES },
+    isActive: true
+  });
+
+  // Payments without a folio belong to folio 1
+  const largest = payments
+    .filter(payment => (payment.folioId ? String(payment.folioId) === String(folio._id) : folio.number === 1))
+    .sort((a, b) => b.amount - a.amount)[0];
+
+  return {
+    paymentMethod: CFDI_PAYMENT_METHODS.SINGLE,
+    paymentForm: PAYMENT_FORMS[largest?.method] || PAYMENT_FORM_TO_BE_DEFINED
+  };
+};
+
+/**
+ * Get the timezone of an invoice's property (CFDI Fecha is local time)
+ * @param {String} propertyId - Property ID
+ * @returns {String} Timezone
+ */
+const getPropertyTimezone = async (propertyId) => {
+  const property = await mongoose.model('Property').findById(propertyId).select('timezone');
+  return property?.timezone;
+};
+
+/**
+ * Create a pending invoice for a folio (not stamped yet)
+ * @param {Object} params - Invoice parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.folio - Folio document to invoice
+ * @param {Object} params.receptor - { rfc, name, taxRegime, postalCode, cfdiUse, email }
+ * @param {Number} params.exchangeRate - MXN per unit when not invoicing in MXN (defaults to the stored rate of the day)
+ * @param {String} params.userId - User issuing the invoice
+ * @returns {Object} Saved invoice
+ */
+export const issueInvoice = async ({ reservation, folio, receptor, exchangeRate = null, userId = null }) => {
+  const [tenant, property] = await Promise.all([
+    mongoose.model('Tenant').findById(reservation.tenantId),
+    mongoose.model('Property').findById(reservation.propertyId)
+  ]);
+
+  const fiscal = tenant?.settings?.invoicing;
+  if (!fiscal?.rfc || !fiscal.legalName || !fiscal.taxRegime) {
+    throw new Error('Tenant fiscal data is incomplete (RFC, legal name and tax regime are required to invoice)');
+  }
+
+  if (!property?.address?.postalCode) {
+    throw new Error('Property postal code is required to invoice');
+  }
+
+  const currency = (reservation.pricing.currency || 'MXN').toUpperCase();
+  if (currency !== 'MXN' && !exchangeRate) {
+    exchangeRate = await getExchangeRate({
+      tenantId: reservation.tenantId,
+      from: currency,
+      to: 'MXN',
+      date: new Date()
+    });
+  }
+
+  const concepts = buildInvoiceConcepts(folio);
+  if (concepts.length === 0) {
+    throw new Error('Folio has no charges to invoice');
+  }
+
+  const { totals, taxBreakdown } = calculateInvoiceTotals(concepts);
+  const { paymentMethod, paymentForm } = await resolvePaymentTerms(reservation, folio);
+  const series = fiscal.series || 'A';
+
+  const invoice = new Invoice({
+    tenantId: reservation.tenantId,
+    propertyId: reservation.propertyId,
+    reservationId: reservation._id,
+    folioId: folio._id,
+    series,
+    issuer: {
+      rfc: fiscal.rfc,
+      name: fiscal.legalName,
+      taxRegime: fiscal.taxRegime,
+      postalCode: property.address.postalCode
+    },
+    receptor,
+    paymentForm,
+    paymentMethod,
+    currency,
+    exchangeRate: currency !== 'MXN' ? exchangeRate : null,
+    concepts,
+    totals,
+    taxBreakdown,
+    createdBy: userId
+  });
+
+  // Consecutive numbers can collide when two invoices are issued at once: retry
+  for (let attempt = 1; ; attempt++) {
+    invoice.number = await Invoice.getNextNumber(reservation.tenantId, series);
+    invoice.xml = buildCfdiXml(invoice, { timezone: property.timezone });
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
+/**
+ * Stamp a pending invoice with the PAC provider
+ * The XML is rebuilt with the current date first (SAT rejects CFDIs older than 72 hours).
+ * A PAC rejection is kept in lastError and the invoice stays pending
+ * @param {Object} invoice - Pending invoice document
+ * @returns {Object} Saved invoice
+ */
+export const stampInvoice = async (invoice) => {
+  if (invoice.status !== INVOICE_STATUS.PENDING) {
+    throw new Error('Only pending invoices can be stamped');
+  }
+
+  invoice.issuedAt = new Date();
+  invoice.xml = buildCfdiXml(invoice, { timezone: await getPropertyTimezone(invoice.propertyId) });
+
+  try {
+    const provider = getPacProvider();
+    const result = await provider.stamp({ xml: invoice.xml, invoice });
+
+    invoice.xml = result.xml;
+    invoice.stamp = {
+      provider: provider.name,
+      uuid: result.uuid,
+      stampedAt: result.stampedAt,
+      satCertificateNumber: result.satCertificateNumber,
+      satSeal: result.satSeal,
+      cfdiSeal: result.cfdiSeal
+    };
+    invoice.status = INVOICE_STATUS.STAMPED;
+    invoice.lastError = null;
+  } catch (error) {
+    invoice.lastError = error.message;
+  }
+
+  return invoice.save();
+};
+
+/**
+ * Cancel an invoice
+ * Stamped invoices are cancelled with the PAC that stamped them; pending ones locally
+ * @param {Object} params - Cancellation parameters
+ * @param {Object} params.invoice - Invoice document
+ * @param {String} params.reason - SAT cancellation reason (CFDI_CANCELLATION_REASONS)
+ * @param {String} params.replacementUuid - UUID of the replacing invoice (reason '01')
+ * @param {String} params.userId - User cancelling
+ * @returns {Object} Saved invoice
+ */
+export const cancelInvoice = async ({ invoice, reason, replacementUuid = null, userId = null }) => {
+  if (invoice.status === INVOICE_STATUS.CANCELLED) {
+    throw new Error('Invoice is already cancelled');
+  }
+
+  if (reason === CFDI_CANCELLATION_REASONS.ERRORS_WITH_REPLACEMENT && !replacementUuid) {
+    throw new Error('A replacement invoice UUID is required for cancellation reason 01');
+  }
+
+  let cancelledAt = new Date();
+
+  if (invoice.status === INVOICE_STATUS.STAMPED) {
+    try {
+      const result = await getPacProvider(invoice.stamp.provider).cancel({ invoice, reason, replacementUuid });
+      cancelledAt = result.cancelledAt;
+    } catch (error) {
+      invoice.lastError = error.message;
+      await invoice.save();
+      throw error;
+    }
+  }
+
+  invoice.status = INVOICE_STATUS.CANCELLED;
+  invoice.lastError = null;
+  invoice.cancellation = {
+    cancelledAt,
+    cancelledBy: userId,
+    reason,
+    replacementUuid
+  };
+
+  return invoice.save();
+};
+
+export default {
+  buildInvoiceConcepts,
+  calculateInvoiceTotals,
+  issueInvoice,
+  stampInvoice,
+  cancelInvoice
+};
@@ -0,0 +1,49 @@
+import stubProvider from './stub.provider.js';
+
+/**
+ * PAC Providers
+ * A PAC (proveedor autorizado de certificación) seals and stamps CFDIs with SAT.
+ * The provider in use is picked by PAC_PROVIDER (stub by default). A provider is an
+ * object with:
+ *   - name: String
+ *   - stamp({ xml, invoice }) → { uuid, stampedAt, xml, satCertificateNumber, satSeal, cfdiSeal }
+ *     Receives the unsealed XML and returns it sealed with the issuer's CSD and stamped
+ *   - cancel({ invoice, reason, replacementUuid }) → { cancelledAt }
+ * Both throw with the PAC's message when it rejects the request
+ */
+
+const providers = new Map([[stubProvider.name, stubProvider]]);
+
+/**
+ * Register a PAC provider (e.g. a client for a commercial PAC)
+ * @param {Object} provider - Provider implementing name, stamp and cancel
+ * @returns {Object} The provider
+ */
+export const registerPacProvider = (provider) => {
+  if (!provider?.name || typeof provider.stamp !== 'function' || typeof provider.cancel !== 'function') {
+    throw new Error('A PAC provider needs a name, stamp() and cancel()');
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+/**
+ * Get the PAC provider in use
+ * @param {String} name - Provider name (defaults to PAC_PROVIDER)
+ * @returns {Object} Provider
+ */
+export const getPacProvider = (name = process.env.PAC_PROVIDER || stubProvider.name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown PAC provider: ${name}`);
+  }
+
+  return provider;
+};
+
+export default {
+  registerPacProvider,
+  getPacProvider
+};
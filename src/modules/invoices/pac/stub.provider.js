@@ -0,0 +1,74 @@
+import { createHash, randomUUID } from 'crypto';
+import moment from 'moment-timezone';
+import { sealCfdi, addCfdiComplement } from '../cfdi.service.js';
+
+/**
+ * Stub PAC provider
+ * Seals and stamps locally with made-up certificates so invoices can be tested
+ * end to end. Its invoices have no fiscal validity
+ */
+
+// SAT test values (CSD and PAC of the SAT sandbox)
+const TEST_CERTIFICATE_NUMBER = '30001000000500003416';
+const TEST_SAT_CERTIFICATE_NUMBER = '30001000000500003456';
+const TEST_PAC_RFC = 'SPR190613I52';
+
+/**
+ * Hash a value into a base64 "seal"
+ * @param {String} value - Value to hash
+ * @returns {String} Base64 digest
+ */
+const fakeSeal = (value) => createHash('sha256').update(value).digest('base64');
+
+/**
+ * Seal and stamp a CFDI
+ * @param {Object} params - Stamp parameters
+ * @param {String} params.xml - Unsealed CFDI XML
+ * @returns {Object} { uuid, stampedAt, xml, satCertificateNumber, satSeal, cfdiSeal }
+ */
+const stamp = async ({ xml }) => {
+  const cfdiSeal = fakeSeal(xml);
+  const sealed = sealCfdi(xml, {
+    seal: cfdiSeal,
+    certificateNumber: TEST_CERTIFICATE_NUMBER,
+    certificate: Buffer.from(`stub-certificate-${TEST_CERTIFICATE_NUMBER}`).toString('base64')
+  });
+
+  const uuid = randomUUID().toUpperCase();
+  const stampedAt = new Date();
+  const satSeal = fakeSeal(`${uuid}|${cfdiSeal}`);
+
+  const timbre = `<tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital" ` +
+    'xsi:schemaLocation="http://www.sat.gob.mx/TimbreFiscalDigital http://www.sat.gob.mx/sitio_internet/cfd/TimbreFiscalDigital/TimbreFiscalDigitalv11.xsd" ' +
+    `Version="1.1" UUID="${uuid}" FechaTimbrado="${moment(stampedAt).tz('America/Mexico_City').format('YYYY-MM-DDTHH:mm:ss')}" ` +
+    `RfcProvCertif="${TEST_PAC_RFC}" SelloCFD="${cfdiSeal}" NoCertificadoSAT="${TEST_SAT_CERTIFICATE_NUMBER}" SelloSAT="${satSeal}"/>`;
+
+  return {
+    uuid,
+    stampedAt,
+    xml: addCfdiComplement(sealed, timbre),
+    satCertificateNumber: TEST_SAT_CERTIFICATE_NUMBER,
+    satSeal,
+    cfdiSeal
+  };
+};
+
+/**
+ * Cancel a stamped CFDI
+ * @param {Object} params - Cancellation parameters
+ * @param {Object} params.invoice - Invoice document
+ * @returns {Object} { cancelledAt }
+ */
+const cancel = async ({ invoice }) => {
+  if (!invoice.stamp?.uuid) {
+    throw new Error('Invoice was never stamped');
+  }
+
+  return { cancelledAt: new Date() };
+};
+
+export default {
+  name: 'stub',
+  stamp,
+  cancel
+};
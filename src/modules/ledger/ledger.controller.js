@@ -0,0 +1,108 @@
+import LedgerEntry from './ledgerEntry.model.js';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { getAccountBalances } from './ledger.service.js';
+
+/**
+ * Ledger Controller
+ * Read-only access to the ledger; entries are posted by folios, payments and refunds
+ */
+
+/**
+ * Get ledger entries for current tenant
+ * GET /api/ledger
+ */
+export const getLedgerEntries = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      reservationId,
+      guestId,
+      propertyId,
+      type,
+      account,
+      startDate,
+      endDate
+    } = req.query;
+
+    const conditions = { tenantId: req.user.tenantId };
+
+    if (reservationId) conditions.reservationId = reservationId;
+    if (guestId) conditions.guestId = guestId;
+    if (propertyId) conditions.propertyId = propertyId;
+    if (type) conditions.type = type;
+    if (account) conditions['lines.account'] = account;
+    if (startDate || endDate) {
+      conditions.date = {};
+      if (startDate) conditions.date.$gte = new Date(startDate);
+      if (endDate) conditions.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(conditions)
+        .populate('createdBy', 'name email')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ date: -1, createdAt: -1 }),
+      LedgerEntry.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los asientos contables'
+    });
+  }
+};
+
+/**
+ * Get debits, credits and balance per account and currency
+ * GET /api/ledger/balances
+ */
+export const getLedgerBalances = async (req, res) => {
+  try {
+    const { startDate, endDate, propertyId } = req.query;
+
+    const balances = await getAccountBalances({
+      tenantId: req.user.tenantId,
+      startDate,
+      endDate,
+      propertyId
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        balances
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los saldos contables'
+    });
+  }
+};
+
+export default {
+  getLedgerEntries,
+  getLedgerBalances
+};
@@ -0,0 +1,38 @@
+import express from 'express';
+import { getLedgerEntries, getLedgerBalances } from './ledger.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import { ledgerQuerySchema, ledgerBalancesQuerySchema } from '../../schemas/ledger.schema.js';
+
+const router = express.Router();
+
+// All routes require authentication and tenant isolation
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/ledger
+ * @desc    Get ledger entries (audit trail of charges, payments, refunds and transfers)
+ * @access  Private (requires canViewReports permission)
+ * @query   page, limit, reservationId, guestId, propertyId, type, account, startDate, endDate
+ */
+router.get('/',
+  requirePermission('canViewReports'),
+  validate(ledgerQuerySchema, 'query'),
+  getLedgerEntries
+);
+
+/**
+ * @route   GET /api/ledger/balances
+ * @desc    Get debits, credits and balance per account and currency
+ * @access  Private (requires canViewReports permission)
+ * @query   startDate, endDate, propertyId
+ */
+router.get('/balances',
+  requirePermission('canViewReports'),
+  validate(ledgerBalancesQuerySchema, 'query'),
+  getLedgerBalances
+);
+
+export default router;
@@ -0,0 +1,408 @@
+import mongoose from 'mongoose';
+import LedgerEntry from './ledgerEntry.model.js';
+import {
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  PAYMENT_METHOD_ACCOUNTS,
+  COLLECTED_PAYMENT_STATUSES,
+  FOLIO_CHARGE_CATEGORIES,
+  FOLIO_LINE_STATUS,
+  FOLIO_LINE_TYPES,
+  VIP_THRESHOLDS
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { createCurrencyConverter, getReportingCurrency } from '../exchangeRates/exchangeRate.service.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
+
+/**
+ * Ledger Service
+ * Records folio charges, payments and refunds as balanced, append-only ledger
+ * entries, and derives what reservations were paid and guests spent from them.
+ * Syncing is idempotent: a document already recorded is never posted twice, and
+ * what it no longer carries (voided lines, payments no longer collected) is reversed
+ */
+
+/**
+ * Build a ledger line on the side an amount belongs to
+ * A negative debit becomes a credit and the other way round
+ * @param {String} account - LEDGER_ACCOUNTS value
+ * @param {Number} amount - Amount (debit when positive)
+ * @param {String} folioId - Folio of a receivable line
+ * @returns {Object} Line data
+ */
+const debitLine = (account, amount, folioId = null) => (amount >= 0
+  ? { account, folioId, debit: roundCurrency(amount), credit: 0 }
+  : { account, folioId, debit: 0, credit: roundCurrency(-amount) });
+
+const creditLine = (account, amount, folioId = null) => debitLine(account, -amount, folioId);
+
+/**
+ * Revenue account of a folio charge category
+ * @param {String} category - FOLIO_CHARGE_CATEGORIES value
+ * @returns {String} Ledger account
+ */
+const revenueAccount = (category) => (category === FOLIO_CHARGE_CATEGORIES.ROOM
+  ? LEDGER_ACCOUNTS.ROOM_REVENUE
+  : LEDGER_ACCOUNTS.OTHER_REVENUE);
+
+/**
+ * Post a ledger entry
+ * Lines with no amount are left out; an entry with nothing left is not posted
+ * @param {Object} data - Entry data (lines as built by debitLine/creditLine)
+ * @returns {Object|null} Saved entry
+ */
+export const postEntry = async (data) => {
+  const lines = data.lines.filter(line => line.debit > 0 || line.credit > 0);
+  if (lines.length === 0) return null;
+
+  const entry = new LedgerEntry({
+    ...data,
+    lines,
+    entryNumber: await LedgerEntry.generateEntryNumber()
+  });
+
+  return entry.save();
+};
+
+/**
+ * Post the entry that cancels another one (debits and credits swapped)
+ * @param {Object} entry - Entry to reverse
+ * @param {Object} data - { date, description, createdBy }
+ * @returns {Object} Saved reversal
+ */
+export const reverseEntry = (entry, { date = new Date(), description, createdBy = null } = {}) => postEntry({
+  tenantId: entry.tenantId,
+  type: LEDGER_ENTRY_TYPES.REVERSAL,
+  date,
+  currency: entry.currency,
+  description: description || `Reversa de ${entry.entryNumber}`,
+  propertyId: entry.propertyId,
+  reservationId: entry.reservationId,
+  guestId: entry.guestId,
+  method: entry.method,
+  source: entry.toObject().source,
+  reverses: { entryId: entry._id, type: entry.type },
+  lines: entry.lines.map(line => ({
+    account: line.account,
+    folioId: line.folioId,
+    debit: line.credit,
+    credit: line.debit
+  })),
+  createdBy
+});
+
+/**
+ * Get the entries of a set that were not reversed
+ * @param {Array} entries - Ledger entries
+ * @returns {Array} Entries still in effect (reversals left out)
+ */
+const openEntries = (entries) => {
+  const reversed = new Set(entries
+    .filter(entry => entry.type === LEDGER_ENTRY_TYPES.REVERSAL)
+    .map(entry => String(entry.reverses.entryId)));
+
+  return entries.filter(entry => entry.type !== LEDGER_ENTRY_TYPES.REVERSAL && !reversed.has(String(entry._id)));
+};
+
+/**
+ * Lines that charge a folio line: the guest owes its total, split into revenue and taxes
+ * @param {Object} line - Folio line
+ * @param {String} folioId - Folio holding it
+ * @returns {Array} Ledger lines
+ */
+const chargeLines = (line, folioId) => [
+  debitLine(LEDGER_ACCOUNTS.RECEIVABLE, line.total, folioId),
+  creditLine(revenueAccount(line.category), roundCurrency(line.total - line.taxAmount)),
+  creditLine(LEDGER_ACCOUNTS.TAXES_PAYABLE, line.taxAmount)
+];
+
+/**
+ * Record the lines of a folio in the ledger
+ * Posted lines get a charge (or adjustment) entry, lines moved in from another folio a
+ * transfer, and voided lines the reversal of the charge they carried. Lines moved out
+ * are left alone: the folio receiving them records the transfer
+ * @param {Object} folio - Folio document, as saved
+ * @returns {Number} Entries posted
+ */
+export const syncFolioLedger = async (folio) => {
+  const reservation = await mongoose.model('Reservation')
+    .findOne({ _id: folio.reservationId, tenantId: folio.tenantId })
+    .select('guestId propertyId pricing.currency');
+
+  if (!reservation) return 0;
+
+  const lineIds = folio.lines.flatMap(line => [line._id, line.transferredFrom?.lineId].filter(Boolean));
+  const open = openEntries(await LedgerEntry.find({
+    tenantId: folio.tenantId,
+    'source.lineId': { $in: lineIds }
+  }));
+  const openByLine = new Map(open.map(entry => [String(entry.source.lineId), entry]));
+
+  const base = {
+    tenantId: folio.tenantId,
+    currency: reservation.pricing.currency,
+    propertyId: reservation.propertyId,
+    reservationId: reservation._id,
+    guestId: reservation.guestId
+  };
+  const source = (line) => ({ model: 'Folio', id: folio._id, lineId: line._id });
+  let posted = 0;
+
+  for (const line of folio.lines) {
+    const entry = openByLine.get(String(line._id));
+
+    if (line.status === FOLIO_LINE_STATUS.POSTED && !entry) {
+      const from = line.transferredFrom?.lineId && openByLine.get(String(line.transferredFrom.lineId));
+
+      const saved = from
+        ? await postEntry({
+          ...base,
+          type: LEDGER_ENTRY_TYPES.TRANSFER,
+          date: line.postedAt,
+          description: `Transferencia: ${line.description}`,
+          source: source(line),
+          lines: [
+            debitLine(LEDGER_ACCOUNTS.RECEIVABLE, line.total, folio._id),
+            creditLine(LEDGER_ACCOUNTS.RECEIVABLE, line.total, line.transferredFrom.folioId)
+          ],
+          createdBy: line.postedBy
+        })
+        : await postEntry({
+          ...base,
+          type: line.type === FOLIO_LINE_TYPES.ADJUSTMENT ? LEDGER_ENTRY_TYPES.ADJUSTMENT : LEDGER_ENTRY_TYPES.CHARGE,
+          date: line.postedAt,
+          description: line.description,
+          source: source(line),
+          lines: chargeLines(line, folio._id),
+          createdBy: line.postedBy
+        });
+
+      if (saved) posted++;
+    } else if (line.status === FOLIO_LINE_STATUS.VOIDED && entry && !line.transferredTo?.lineId) {
+      // Whatever entry put the line on this folio, voiding it cancels the charge here
+      await postEntry({
+        ...base,
+        type: LEDGER_ENTRY_TYPES.REVERSAL,
+        date: line.voided?.voidedAt || new Date(),
+        description: `Cancelación: ${line.description}`,
+        source: source(line),
+        reverses: { entryId: entry._id, type: entry.type },
+        lines: chargeLines(line, folio._id).map(item => ({ ...item, debit: item.credit, credit: item.debit })),
+        createdBy: line.voided?.voidedBy || null
+      });
+      posted++;
+    }
+  }
+
+  if (posted > 0 && reservation.guestId) {
+    await refreshGuestSpend(folio.tenantId, reservation.guestId);
+  }
+
+  return posted;
+};
+
+/**
+ * Record a payment in the ledger
+ * A collected payment is posted once (money in, less its fees, against the receivable);
+ * one that stops counting (voided, deleted, moved back to pending) is reversed
+ * @param {Object} payment - Payment document, as saved
+ * @returns {Object|null} Entry posted
+ */
+export const syncPaymentLedger = async (payment) => {
+  const [entry] = openEntries(await LedgerEntry.find({
+    tenantId: payment.tenantId,
+    'source.model': 'Payment',
+    'source.id': payment._id
+  }));
+
+  const collected = payment.isActive && COLLECTED_PAYMENT_STATUSES.includes(payment.status);
+
+  if (!collected) {
+    return entry ? reverseEntry(entry, { description: `Pago ${payment.transactionId} anulado` }) : null;
+  }
+
+  if (entry) return null;
+
+  const reservation = await mongoose.model('Reservation')
+    .findOne({ _id: payment.reservationId, tenantId: payment.tenantId })
+    .select('guestId propertyId');
+
+  const fees = roundCurrency((payment.fees?.processingFee || 0) + (payment.fees?.gatewayFee || 0));
+
+  return postEntry({
+    tenantId: payment.tenantId,
+    type: LEDGER_ENTRY_TYPES.PAYMENT,
+    date: payment.paymentDate,
+    currency: payment.currency,
+    description: `Pago ${payment.transactionId}`,
+    propertyId: reservation?.propertyId,
+    reservationId: payment.reservationId,
+    guestId: reservation?.guestId,
+    method: payment.method,
+    source: { model: 'Payment', id: payment._id },
+    lines: [
+      debitLine(PAYMENT_METHOD_ACCOUNTS[payment.method], roundCurrency(payment.amount - fees)),
+      debitLine(LEDGER_ACCOUNTS.PAYMENT_FEES, fees),
+      creditLine(LEDGER_ACCOUNTS.RECEIVABLE, payment.amount, payment.folioId)
+    ],
+    createdBy: payment.details?.receivedBy || null
+  });
+};
+
+/**
+ * Record a refund in the ledger (once)
+ * @param {Object} refund - Refund document, as saved
+ * @param {Object} payment - Payment refunded
+ * @returns {Object|null} Entry posted
+ */
+export const recordRefundEntry = async (refund, payment) => {
+  const existing = await LedgerEntry.findOne({
+    tenantId: refund.tenantId,
+    'source.model': 'Refund',
+    'source.id': refund._id
+  });
+
+  if (existing) return null;
+
+  const reservation = await mongoose.model('Reservation')
+    .findOne({ _id: refund.reservationId, tenantId: refund.tenantId })
+    .select('guestId propertyId');
+
+  return postEntry({
+    tenantId: refund.tenantId,
+    type: LEDGER_ENTRY_TYPES.REFUND,
+    date: refund.refundedAt,
+    currency: refund.currency,
+    description: `Reembolso ${refund.refundNumber} del pago ${payment.transactionId}`,
+    propertyId: reservation?.propertyId,
+    reservationId: refund.reservationId,
+    guestId: reservation?.guestId,
+    method: refund.method,
+    source: { model: 'Refund', id: refund._id },
+    lines: [
+      debitLine(LEDGER_ACCOUNTS.RECEIVABLE, refund.amount, payment.folioId),
+      creditLine(PAYMENT_METHOD_ACCOUNTS[refund.method], refund.amount)
+    ],
+    createdBy: refund.refundedBy
+  });
+};
+
+/**
+ * Get what was paid to a reservation, net of refunds, from the ledger
+ * @param {Object} reservation - Reservation document
+ * @returns {Object} { totalPaid, byFolio: Map of folioId ('' for folio 1) to amount }
+ */
+export const getReservationPaid = async (reservation) => {
+  const entries = await LedgerEntry.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    'source.model': { $in: ['Payment', 'Refund'] }
+  });
+
+  const byFolio = new Map();
+  let totalPaid = 0;
+
+  entries.flatMap(entry => entry.lines)
+    .filter(line => line.account === LEDGER_ACCOUNTS.RECEIVABLE)
+    .forEach(line => {
+      const key = line.folioId ? String(line.folioId) : '';
+      const paid = line.credit - line.debit;
+
+      byFolio.set(key, roundCurrency((byFolio.get(key) || 0) + paid));
+      totalPaid += paid;
+    });
+
+  return { totalPaid: roundCurrency(totalPaid), byFolio };
+};
+
+/**
+ * Recalculate what a guest spent (charges on their reservations, net of voids and
+ * adjustments) from the ledger, in the tenant reporting currency
+ * Guests with a charge in a currency without exchange rate keep their last figure
+ * @param {String} tenantId - Tenant ID
+ * @param {String} guestId - Guest ID
+ * @returns {Number|null} Total spent, or null when it could not be converted
+ */
+export const refreshGuestSpend = async (tenantId, guestId) => {
+  const Guest = mongoose.model('Guest');
+  const guest = await Guest.findOne({ _id: guestId, tenantId });
+  if (!guest) return null;
+
+  const entries = await LedgerEntry.find({ tenantId, guestId, 'source.model': 'Folio' });
+  const converter = createCurrencyConverter({ tenantId, to: await getReportingCurrency(tenantId) });
+
+  let totalSpent = 0;
+  try {
+    for (const entry of entries) {
+      const charged = entry.lines
+        .filter(line => line.account === LEDGER_ACCOUNTS.RECEIVABLE)
+        .reduce((sum, line) => sum + line.debit - line.credit, 0);
+
+      totalSpent += await converter.convert(charged, entry.currency, entry.date);
+    }
+  } catch (error) {
+    if (error.name !== 'ExchangeRateError') throw error;
+    console.warn(`⚠️ Gasto del huésped ${guestId} sin actualizar: ${error.message}`);
+    return null;
+  }
+
+  guest.totalSpent = Math.max(roundCurrency(totalSpent), 0);
+  if (guest.totalSpent >= VIP_THRESHOLDS.SPEND) {
+    guest.vipStatus = true;
+  }
+  await guest.save();
+
+  return guest.totalSpent;
+};
+
+/**
+ * Get the debits, credits and balance of each account and currency
+ * @param {Object} params - Query parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Date} params.startDate - From (optional)
+ * @param {Date} params.endDate - To (optional)
+ * @param {String} params.propertyId - Property (optional)
+ * @returns {Array} [{ account, currency, debit, credit, balance }]
+ */
+export const getAccountBalances = async ({ tenantId, startDate, endDate, propertyId }) => {
+  const match = {};
+
+  if (propertyId) match.propertyId = new mongoose.Types.ObjectId(String(propertyId));
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  const groups = await tenantAggregate(LedgerEntry, tenantId, [
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { account: '$lines.account', currency: '$currency' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { '_id.currency': 1, '_id.account': 1 } }
+  ]);
+
+  return groups.map(group => ({
+    account: group._id.account,
+    currency: group._id.currency,
+    debit: roundCurrency(group.debit),
+    credit: roundCurrency(group.credit),
+    balance: roundCurrency(group.debit - group.credit)
+  }));
+};
+
+export default {
+  postEntry,
+  reverseEntry,
+  syncFolioLedger,
+  syncPaymentLedger,
+  recordRefundEntry,
+  getReservationPaid,
+  refreshGuestSpend,
+  getAccountBalances
+};
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, PAYMENT_METHODS } from '../../config/constants.js';
+import { runWithoutTenant } from '../../utils/tenantContext.js';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Ledger Entry Line Schema - One debit or credit of an entry
+ */
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: {
+      values: Object.values(LEDGER_ACCOUNTS),
+      message: 'Invalid ledger account. Must be one of: {VALUES}'
+    },
+    required: [true, 'Account is required']
+  },
+  // Folio the receivable belongs to (empty means folio 1)
+  folioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folio',
+    default: null
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, { _id: false });
+
+/**
+ * Ledger Entry Schema - Append-only double-entry record of every charge, payment,
+ * refund, adjustment and transfer of a tenant. Debits always equal credits;
+ * entries are never changed, mistakes are reversed by a new entry
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    unique: true,
+    required: [true, 'Entry number is required'],
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: Object.values(LEDGER_ENTRY_TYPES),
+      message: 'Invalid entry type. Must be one of: {VALUES}'
+    },
+    required: [true, 'Entry type is required']
+  },
+  // Accounting date (when the charge was posted or the money moved)
+  date: {
+    type: Date,
+    required: [true, 'Entry date is required'],
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    maxlength: [3, 'Currency code cannot exceed 3 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  guestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest'
+  },
+  // How the money moved, on payments and refunds
+  method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS)
+  },
+  // Document the entry records
+  source: {
+    model: {
+      type: String,
+      enum: ['Folio', 'Payment', 'Refund'],
+      required: [true, 'Source model is required']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Source ID is required']
+    },
+    // Folio line, for charges, adjustments and transfers
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  // Entry a reversal cancels
+  reverses: {
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    },
+    type: {
+      type: String,
+      enum: Object.values(LEDGER_ENTRY_TYPES)
+    }
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'An entry needs at least two lines'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugin
+ledgerEntrySchema.plugin(baseSchemaPlugin);
+
+// Indexes
+ledgerEntrySchema.index({ tenantId: 1, date: -1 });
+ledgerEntrySchema.index({ tenantId: 1, reservationId: 1, date: 1 });
+ledgerEntrySchema.index({ tenantId: 1, guestId: 1, type: 1 });
+ledgerEntrySchema.index({ tenantId: 1, 'source.model': 1, 'source.id': 1 });
+ledgerEntrySchema.index({ tenantId: 1, 'source.lineId': 1 });
+ledgerEntrySchema.index({ 'reverses.entryId': 1 });
+
+// Pre-validate middleware to check each line and that the entry balances
+ledgerEntrySchema.pre('validate', function(next) {
+  for (const line of this.lines) {
+    line.debit = roundCurrency(line.debit || 0);
+    line.credit = roundCurrency(line.credit || 0);
+
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line on ${line.account} must have either a debit or a credit`));
+    }
+  }
+
+  const debits = roundCurrency(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundCurrency(this.lines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (debits !== credits) {
+    return next(new Error(`Ledger entry is unbalanced: debits ${debits}, credits ${credits}`));
+  }
+
+  next();
+});
+
+// Entries are append-only
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed; post a reversal instead'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Ledger entries cannot be changed; post a reversal instead'));
+  }
+);
+
+// Virtual: amount of the entry (sum of its debits)
+ledgerEntrySchema.virtual('amount').get(function() {
+  return roundCurrency(this.lines.reduce((sum, line) => sum + line.debit, 0));
+});
+
+// Static method to generate unique entry number
+ledgerEntrySchema.statics.generateEntryNumber = async function() {
+  let entryNumber;
+  let exists = true;
+
+  while (exists) {
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    entryNumber = `JE${Date.now()}${random}`;
+
+    // Numbers are unique across tenants, so look in all of them
+    exists = await runWithoutTenant(async () => this.findOne({ entryNumber }));
+  }
+
+  return entryNumber;
+};
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import PaymentLink from './paymentLink.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import { HTTP_STATUS, PAYMENT_LINK_PURPOSES, PAYMENT_LINK_STATUS } from '../../config/constants.js';
+import { getPaymentGateway } from '../payments/gateways/index.js';
+import { runWithTenant } from '../../utils/tenantContext.js';
+import {
+  buildPaymentLinkUrl,
+  getAmountDue,
+  createPaymentLink as issuePaymentLink,
+  resolvePaymentLink,
+  payWithLink
+} from './paymentLink.service.js';
+
+/**
+ * Payment Link Controller
+ * Staff create and cancel links; guests open them through the public endpoints
+ * (token in the URL) to see what they owe and pay by card
+ */
+
+/**
+ * Base URL of the public payment flow on this API
+ * @param {Object} req - Express request
+ * @returns {String} Base URL
+ */
+const publicBaseUrl = (req) => `${req.protocol}://${req.get('host')}/api/payment-links/public`;
+
+/**
+ * Serialize a link for staff, with its URL while it can still be paid
+ * @param {Object} link - PaymentLink document
+ * @param {Object} req - Express request
+ * @returns {Object} Link data
+ */
+const serializeLink = (link, req) => ({
+  ...link.toJSON(),
+  url: link.isPayable ? buildPaymentLinkUrl(link, publicBaseUrl(req)) : null
+});
+
+/**
+ * Describe a link to the guest paying it (no internal IDs)
+ * @param {Object} link - PaymentLink document
+ * @param {Object} reservation - Reservation of the link
+ * @returns {Object} Public link data
+ */
+const describeLink = async (link, reservation) => {
+  const [tenant, property] = await Promise.all([
+    mongoose.model('Tenant').findById(link.tenantId),
+    mongoose.model('Property').findOne({ _id: reservation.propertyId, tenantId: link.tenantId })
+  ]);
+
+  return {
+    hotel: tenant?.settings?.branding?.displayName || tenant?.name,
+    property: property?.name,
+    confirmationNumber: reservation.confirmationNumber,
+    checkInDate: reservation.dates.checkInDate,
+    checkOutDate: reservation.dates.checkOutDate,
+    purpose: link.purpose,
+    amount: Math.min(link.amount, getAmountDue(reservation, PAYMENT_LINK_PURPOSES.BALANCE)),
+    currency: link.currency,
+    status: link.status,
+    expiresAt: link.expiresAt,
+    gateway: {
+      name: getPaymentGateway().name,
+      publicKey: process.env.PAYMENT_GATEWAY_PUBLIC_KEY || null
+    }
+  };
+};
+
+/**
+ * Get payment links for current tenant
+ * GET /api/payment-links
+ */
+export const getAllPaymentLinks = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, reservationId, status } = req.query;
+
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (reservationId) conditions.reservationId = reservationId;
+    if (status) conditions.status = status;
+
+    const skip = (page - 1) * limit;
+    const [links, total] = await Promise.all([
+      PaymentLink.find(conditions)
+        .populate('reservationId', 'confirmationNumber dates guestId')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ createdAt: -1 }),
+      PaymentLink.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        paymentLinks: links.map(link => serializeLink(link, req)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment links error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los enlaces de pago'
+    });
+  }
+};
+
+/**
+ * Get payment link by ID
+ * GET /api/payment-links/:linkId
+ */
+export const getPaymentLinkById = async (req, res) => {
+  try {
+    const link = await PaymentLink.findOne({
+      _id: req.params.linkId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    }).populate('paymentId', 'transactionId amount currency status paymentDate');
+
+    if (!link) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🔗 Enlace de pago no encontrado.'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { paymentLink: serializeLink(link, req) }
+    });
+
+  } catch (error) {
+    console.error('Get payment link error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener el enlace de pago'
+    });
+  }
+};
+
+/**
+ * Create a payment link for a reservation's deposit or balance
+ * POST /api/payment-links
+ */
+export const createPaymentLink = async (req, res) => {
+  try {
+    const { reservationId, purpose, expiresInHours } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    let link;
+    try {
+      link = await issuePaymentLink({
+        reservation,
+        purpose,
+        expiresInHours,
+        userId: req.user.id
+      });
+    } catch (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `✅ Enlace de pago creado por $${link.amount} ${link.currency}`,
+      data: { paymentLink: serializeLink(link, req) }
+    });
+
+  } catch (error) {
+    console.error('Create payment link error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al crear el enlace de pago'
+    });
+  }
+};
+
+/**
+ * Cancel a payment link that has not been paid
+ * PUT /api/payment-links/:linkId/cancel
+ */
+export const cancelPaymentLink = async (req, res) => {
+  try {
+    const link = await PaymentLink.findOne({
+      _id: req.params.linkId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!link) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🔗 Enlace de pago no encontrado.'
+      });
+    }
+
+    if (link.status !== PAYMENT_LINK_STATUS.ACTIVE) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `⚠️ Solo se pueden cancelar enlaces activos (estado actual: ${link.status}).`
+      });
+    }
+
+    link.status = PAYMENT_LINK_STATUS.CANCELLED;
+    link.cancelledAt = new Date();
+    link.cancelledBy = req.user.id;
+    await link.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: '✅ Enlace de pago cancelado',
+      data: { paymentLink: serializeLink(link, req) }
+    });
+
+  } catch (error) {
+    console.error('Cancel payment link error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al cancelar el enlace de pago'
+    });
+  }
+};
+
+/**
+ * Show a guest what a payment link collects (public)
+ * GET /api/payment-links/public/:token
+ */
+export const getPublicPaymentLink = async (req, res) => {
+  try {
+    const resolved = await resolvePaymentLink(req.params.token);
+
+    if (!resolved.valid) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { paymentLink: await describeLink(resolved.link, resolved.reservation) }
+    });
+
+  } catch (error) {
+    console.error('Get public payment link error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener el enlace de pago'
+    });
+  }
+};
+
+/**
+ * Pay a payment link by card (public)
+ * POST /api/payment-links/public/:token/pay
+ */
+export const payPublicPaymentLink = async (req, res) => {
+  try {
+    const resolved = await resolvePaymentLink(req.params.token);
+
+    if (!resolved.valid) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message
+      });
+    }
+
+    // Public route: the link tells which tenant the payment belongs to
+    const result = await runWithTenant(resolved.link.tenantId, async () => payWithLink({
+      link: resolved.link,
+      reservation: resolved.reservation,
+      paymentToken: req.body.paymentToken,
+      cardBrand: req.body.cardBrand
+    }));
+
+    if (result.message) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.status).json({
+      success: true,
+      message: result.paid
+        ? '✅ Pago recibido. ¡Gracias!'
+        : '⏳ Pago en proceso. Se confirmará en cuanto la pasarela lo apruebe.',
+      data: {
+        paymentLink: await describeLink(result.link, resolved.reservation),
+        payment: result.payment && {
+          transactionId: result.payment.transactionId,
+          amount: result.payment.amount,
+          currency: result.payment.currency,
+          paymentDate: result.payment.paymentDate
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay payment link error:', error);
+
+    if (error.name === 'PaymentGatewayError') {
+      return res.status(error.declined ? HTTP_STATUS.BAD_REQUEST : HTTP_STATUS.BAD_GATEWAY).json({
+        success: false,
+        message: `💳 ${error.message}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al procesar el pago'
+    });
+  }
+};
+
+export default {
+  getAllPaymentLinks,
+  getPaymentLinkById,
+  createPaymentLink,
+  cancelPaymentLink,
+  getPublicPaymentLink,
+  payPublicPaymentLink
+};
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { PAYMENT_LINK_PURPOSES, PAYMENT_LINK_STATUS } from '../../config/constants.js';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+
+/**
+ * Payment Link Schema - Expiring link a guest opens to pay a reservation's deposit
+ * or balance by card. The link URL carries a signed token naming the link
+ */
+const paymentLinkSchema = new mongoose.Schema({
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  },
+  purpose: {
+    type: String,
+    enum: {
+      values: Object.values(PAYMENT_LINK_PURPOSES),
+      message: 'Purpose must be one of: {VALUES}'
+    },
+    required: [true, 'Purpose is required']
+  },
+  // Amount the link collects: what was due when it was created, lowered to the
+  // balance when the guest pays if it dropped meanwhile
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    maxlength: [3, 'Currency code cannot exceed 3 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(PAYMENT_LINK_STATUS),
+      message: 'Status must be one of: {VALUES}'
+    },
+    default: PAYMENT_LINK_STATUS.ACTIVE
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  // Charge waiting for the gateway's confirmation while the link is processing
+  gateway: {
+    type: String,
+    trim: true
+  },
+  gatewayTransactionId: {
+    type: String,
+    trim: true
+  },
+  // Payment recorded once the gateway confirms the charge
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  paidAt: {
+    type: Date
+  },
+  // Last charge the gateway declined
+  lastError: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+paymentLinkSchema.plugin(baseSchemaPlugin);
+
+// Indexes
+paymentLinkSchema.index({ tenantId: 1, reservationId: 1, createdAt: -1 });
+paymentLinkSchema.index({ tenantId: 1, status: 1, expiresAt: 1 });
+paymentLinkSchema.index({ gateway: 1, gatewayTransactionId: 1 });
+
+// Virtual: whether the link can still be paid
+paymentLinkSchema.virtual('isPayable').get(function() {
+  return this.status === PAYMENT_LINK_STATUS.ACTIVE && this.expiresAt > new Date();
+});
+
+export default mongoose.model('PaymentLink', paymentLinkSchema);
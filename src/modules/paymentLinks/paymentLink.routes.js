@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getAllPaymentLinks,
+  getPaymentLinkById,
+  createPaymentLink,
+  cancelPaymentLink,
+  getPublicPaymentLink,
+  payPublicPaymentLink
+} from './paymentLink.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createPaymentLinkSchema,
+  paymentLinkParamsSchema,
+  paymentLinkQuerySchema,
+  paymentLinkTokenParamsSchema,
+  payPaymentLinkSchema
+} from '../../schemas/paymentLink.schema.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/payment-links/public/:token
+ * @desc    What a payment link collects, for the guest opening it
+ * @access  Public (signed link token)
+ */
+router.get('/public/:token',
+  validate(paymentLinkTokenParamsSchema, 'params'),
+  getPublicPaymentLink
+);
+
+/**
+ * @route   POST /api/payment-links/public/:token/pay
+ * @desc    Pay a payment link by card
+ * @access  Public (signed link token)
+ */
+router.post('/public/:token/pay',
+  validate(paymentLinkTokenParamsSchema, 'params'),
+  validate(payPaymentLinkSchema),
+  payPublicPaymentLink
+);
+
+// Apply authentication and tenant guard to the staff routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/payment-links
+ * @desc    Get payment links for current tenant
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/',
+  requirePermission('canManageReservations'),
+  validate(paymentLinkQuerySchema, 'query'),
+  getAllPaymentLinks
+);
+
+/**
+ * @route   POST /api/payment-links
+ * @desc    Create a payment link for a reservation's deposit or balance
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/',
+  requirePermission('canManageReservations'),
+  validate(createPaymentLinkSchema),
+  createPaymentLink
+);
+
+/**
+ * @route   GET /api/payment-links/:linkId
+ * @desc    Get payment link by ID
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/:linkId',
+  requirePermission('canManageReservations'),
+  validate(paymentLinkParamsSchema, 'params'),
+  getPaymentLinkById
+);
+
+/**
+ * @route   PUT /api/payment-links/:linkId/cancel
+ * @desc    Cancel a payment link that has not been paid
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:linkId/cancel',
+  requirePermission('canManageReservations'),
+  validate(paymentLinkParamsSchema, 'params'),
+  cancelPaymentLink
+);
+
+export default router;
@@ -0,0 +1,343 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import PaymentLink from './paymentLink.model.js';
+import Payment from '../payments/payment.model.js';
+import {
+  HTTP_STATUS,
+  PAYMENT_LINK_PURPOSES,
+  PAYMENT_LINK_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  RESERVATION_STATUS,
+  GATEWAY_CHARGE_STATUS,
+  GATEWAY_EVENTS
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { chargeCard, gatewayDetails } from '../payments/payment.service.js';
+import { runWithTenant, runWithoutTenant } from '../../utils/tenantContext.js';
+import { withTransaction } from '../../utils/transaction.js';
+
+/**
+ * Payment Link Service
+ * Signed, expiring links that let a guest pay a reservation's deposit or balance
+ * by card. The link token is a JWT naming the link; the link itself keeps the
+ * amount, expiration and status
+ */
+
+const TOKEN_ISSUER = 'mihotel-api';
+const TOKEN_AUDIENCE = 'payment-link';
+
+/**
+ * Get the secret payment link tokens are signed with
+ * @returns {String} Secret
+ */
+const tokenSecret = () => process.env.PAYMENT_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign the token of a payment link (valid until the link expires)
+ * @param {Object} link - PaymentLink document
+ * @returns {String} Token
+ */
+export const signPaymentLinkToken = (link) => jwt.sign(
+  { linkId: String(link._id) },
+  tokenSecret(),
+  {
+    expiresIn: Math.max(Math.floor((link.expiresAt.getTime() - Date.now()) / 1000), 1),
+    issuer: TOKEN_ISSUER,
+    audience: TOKEN_AUDIENCE
+  }
+);
+
+/**
+ * Build the URL a guest opens to pay
+ * @param {Object} link - PaymentLink document
+ * @param {String} defaultBaseUrl - Base URL when PAYMENT_LINK_BASE_URL is not set
+ * @returns {String} URL ending in the link token
+ */
+export const buildPaymentLinkUrl = (link, defaultBaseUrl) => {
+  const baseUrl = (process.env.PAYMENT_LINK_BASE_URL || defaultBaseUrl).replace(/\/+$/, '');
+  return `${baseUrl}/${signPaymentLinkToken(link)}`;
+};
+
+/**
+ * Get what a reservation still owes for a purpose
+ * @param {Object} reservation - Reservation document
+ * @param {String} purpose - PAYMENT_LINK_PURPOSES value
+ * @returns {Number} Amount due (0 when nothing is owed)
+ */
+export const getAmountDue = (reservation, purpose) => {
+  const { totalPaid = 0, remainingBalance = 0, depositRequired = 0 } = reservation.paymentSummary || {};
+  const due = purpose === PAYMENT_LINK_PURPOSES.DEPOSIT
+    ? Math.min(depositRequired - totalPaid, remainingBalance)
+    : remainingBalance;
+
+  return roundCurrency(Math.max(due, 0));
+};
+
+/**
+ * Create a payment link for what a reservation owes
+ * @param {Object} params - Link parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {String} params.purpose - deposit or balance
+ * @param {Number} params.expiresInHours - Hours the link stays valid
+ * @param {String} params.userId - User creating the link
+ * @returns {Object} Saved link
+ */
+export const createPaymentLink = async ({ reservation, purpose, expiresInHours, userId }) => {
+  const amount = getAmountDue(reservation, purpose);
+
+  if (amount <= 0) {
+    throw new Error(purpose === PAYMENT_LINK_PURPOSES.DEPOSIT
+      ? 'The deposit is already covered'
+      : 'The reservation has no balance due');
+  }
+
+  const link = new PaymentLink({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    purpose,
+    amount,
+    currency: reservation.pricing.currency,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    createdBy: userId
+  });
+
+  return link.save();
+};
+
+/**
+ * Resolve a link token to a link that can still be paid
+ * Links past their expiration are marked expired on the way
+ * @param {String} token - Link token
+ * @returns {Object} { valid: boolean, link, reservation, status, message }
+ */
+export const resolvePaymentLink = async (token) => {
+  const fail = (status, message, link = null) => ({ valid: false, link, reservation: null, status, message });
+
+  let linkId;
+  try {
+    ({ linkId } = jwt.verify(token, tokenSecret(), { issuer: TOKEN_ISSUER, audience: TOKEN_AUDIENCE }));
+  } catch (error) {
+    return fail(error.name === 'TokenExpiredError' ? HTTP_STATUS.GONE : HTTP_STATUS.NOT_FOUND,
+      error.name === 'TokenExpiredError' ? '⏰ Este enlace de pago expiró.' : '🔗 Enlace de pago no encontrado.');
+  }
+
+  // The token is the only way in, so the link is found across tenants
+  const link = await runWithoutTenant(async () => PaymentLink.findOne({ _id: linkId, isActive: true }));
+  if (!link) {
+    return fail(HTTP_STATUS.NOT_FOUND, '🔗 Enlace de pago no encontrado.');
+  }
+
+  if (link.status === PAYMENT_LINK_STATUS.ACTIVE && link.expiresAt <= new Date()) {
+    link.status = PAYMENT_LINK_STATUS.EXPIRED;
+    await link.save();
+  }
+
+  const closed = {
+    [PAYMENT_LINK_STATUS.PAID]: [HTTP_STATUS.CONFLICT, '✅ Este enlace de pago ya fue pagado.'],
+    [PAYMENT_LINK_STATUS.EXPIRED]: [HTTP_STATUS.GONE, '⏰ Este enlace de pago expiró.'],
+    [PAYMENT_LINK_STATUS.CANCELLED]: [HTTP_STATUS.GONE, '🚫 Este enlace de pago fue cancelado.']
+  };
+
+  if (closed[link.status]) {
+    return fail(...closed[link.status], link);
+  }
+
+  const reservation = await mongoose.model('Reservation').findOne({
+    _id: link.reservationId,
+    tenantId: link.tenantId,
+    isActive: true
+  });
+
+  if (!reservation || reservation.status === RESERVATION_STATUS.CANCELLED) {
+    return fail(HTTP_STATUS.GONE, '📋 La reservación de este enlace ya no está activa.', link);
+  }
+
+  return { valid: true, link, reservation, status: HTTP_STATUS.OK, message: null };
+};
+
+/**
+ * Record the payment of a link once its charge is captured
+ * Saving the paid Payment updates the reservation payment status; the payment, the
+ * reservation and the link are saved in one transaction. The guest's request and the
+ * gateway webhook can both record the same charge: the link is reloaded inside the
+ * transaction, so only the first one creates the payment
+ * @param {Object} link - PaymentLink document
+ * @param {Object} charge - Captured charge ({ gateway, transactionId, response })
+ * @param {String} cardBrand - Card brand, when known
+ * @returns {Object} Saved payment
+ */
+export const recordLinkPayment = async (link, charge, cardBrand) => {
+  try {
+    return await withTransaction(async () => {
+      const current = await PaymentLink.findById(link._id);
+
+      if (current.status === PAYMENT_LINK_STATUS.PAID) {
+        return Payment.findById(current.paymentId);
+      }
+
+      const payment = new Payment({
+        tenantId: current.tenantId,
+        reservationId: current.reservationId,
+        transactionId: await Payment.generateTransactionId(),
+        amount: current.amount,
+        netAmount: current.amount,
+        currency: current.currency,
+        method: PAYMENT_METHODS.CARD,
+        details: {
+          ...(cardBrand && { cardBrand }),
+          ...gatewayDetails(charge)
+        },
+        paymentDate: new Date(),
+        notes: `Pago en línea del ${current.purpose === PAYMENT_LINK_PURPOSES.DEPOSIT ? 'depósito' : 'saldo'}`,
+        status: PAYMENT_STATUS.PAID
+      });
+
+      await payment.save();
+
+      current.status = PAYMENT_LINK_STATUS.PAID;
+      current.paymentId = payment._id;
+      current.paidAt = payment.paymentDate;
+      current.gateway = charge.gateway;
+      current.gatewayTransactionId = charge.transactionId;
+      await current.save();
+
+      return payment;
+    });
+  } catch (error) {
+    console.error(`⚠️ Gateway charge ${charge.transactionId} for payment link ${link._id} was not recorded`);
+    throw error;
+  }
+};
+
+/**
+ * Charge a card for a payment link
+ * The link is claimed first so it cannot be charged twice at the same time
+ * @param {Object} params - Payment parameters
+ * @param {Object} params.link - PaymentLink document (active)
+ * @param {Object} params.reservation - Reservation of the link
+ * @param {String} params.paymentToken - Card token from the gateway's client SDK
+ * @param {String} params.cardBrand - Card brand, when known
+ * @returns {Object} { paid: boolean, link, payment, status, message }
+ */
+export const payWithLink = async ({ link, reservation, paymentToken, cardBrand }) => {
+  const fail = (status, message) => ({ paid: false, link, payment: null, status, message });
+
+  const claimed = await PaymentLink.findOneAndUpdate(
+    { _id: link._id, status: PAYMENT_LINK_STATUS.ACTIVE },
+    { $set: { status: PAYMENT_LINK_STATUS.PROCESSING } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return fail(HTTP_STATUS.CONFLICT, '⏳ Este enlace de pago ya se está procesando.');
+  }
+
+  // Never charge more than what is still owed
+  const amount = Math.min(claimed.amount, getAmountDue(reservation, PAYMENT_LINK_PURPOSES.BALANCE));
+  if (amount <= 0) {
+    claimed.status = PAYMENT_LINK_STATUS.CANCELLED;
+    claimed.cancelledAt = new Date();
+    await claimed.save();
+    return fail(HTTP_STATUS.CONFLICT, '✅ La reservación ya no tiene saldo pendiente.');
+  }
+
+  let charge;
+  try {
+    charge = await chargeCard({
+      tenantId: claimed.tenantId,
+      guestId: reservation.guestId,
+      description: `Reservación ${reservation.confirmationNumber}`,
+      amount,
+      currency: claimed.currency,
+      token: paymentToken,
+      cardBrand,
+      metadata: { reservationId: String(reservation._id), paymentLinkId: String(claimed._id) }
+    });
+  } catch (error) {
+    claimed.status = PAYMENT_LINK_STATUS.ACTIVE;
+    claimed.lastError = error.message;
+    await claimed.save();
+    throw error;
+  }
+
+  // Keep the charge on the link before recording it, so the gateway webhook can
+  // still find the link and record the payment if anything below fails
+  claimed.amount = amount;
+  claimed.gateway = charge.gateway;
+  claimed.gatewayTransactionId = charge.transactionId;
+  await claimed.save();
+
+  const pending = { paid: false, link: claimed, payment: null, status: HTTP_STATUS.OK, message: null };
+
+  if (charge.status !== GATEWAY_CHARGE_STATUS.CAPTURED) {
+    // Wait for the gateway webhook to confirm the charge
+    return pending;
+  }
+
+  let payment;
+  try {
+    payment = await recordLinkPayment(claimed, charge, cardBrand);
+  } catch (error) {
+    // The card was charged: leave the link processing for the webhook to settle it
+    await PaymentLink.updateOne({ _id: claimed._id }, { $set: { lastError: error.message } });
+    return { ...pending, link: await PaymentLink.findById(claimed._id) };
+  }
+
+  return {
+    paid: true,
+    link: await PaymentLink.findById(claimed._id),
+    payment,
+    status: HTTP_STATUS.CREATED,
+    message: null
+  };
+};
+
+/**
+ * Apply a verified gateway webhook event to the link waiting for its charge
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} event - Normalized event from verifyWebhook
+ * @returns {Number} Links updated
+ */
+export const applyLinkGatewayEvent = async (gatewayName, event) => {
+  if (![GATEWAY_EVENTS.CAPTURED, GATEWAY_EVENTS.FAILED].includes(event.type) || !event.transactionId) {
+    return 0;
+  }
+
+  // Webhooks carry no tenant: find the link across tenants, then work in its tenant
+  const link = await runWithoutTenant(async () => PaymentLink.findOne({
+    gateway: gatewayName,
+    gatewayTransactionId: event.transactionId,
+    status: PAYMENT_LINK_STATUS.PROCESSING,
+    isActive: true
+  }));
+
+  if (!link) return 0;
+
+  await runWithTenant(link.tenantId, async () => {
+    if (event.type === GATEWAY_EVENTS.CAPTURED) {
+      await recordLinkPayment(link, {
+        gateway: gatewayName,
+        transactionId: event.transactionId,
+        response: event.response
+      });
+    } else {
+      link.status = PAYMENT_LINK_STATUS.ACTIVE;
+      link.lastError = 'The payment gateway declined the charge';
+      await link.save();
+    }
+  });
+
+  return 1;
+};
+
+export default {
+  signPaymentLinkToken,
+  buildPaymentLinkUrl,
+  getAmountDue,
+  createPaymentLink,
+  resolvePaymentLink,
+  recordLinkPayment,
+  payWithLink,
+  applyLinkGatewayEvent
+};
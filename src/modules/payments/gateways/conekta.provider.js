@@ -0,0 +1,171 @@
+import { verify } from 'crypto';
+import { GATEWAY_CHARGE_STATUS, GATEWAY_EVENTS } from '../../../config/constants.js';
+import { gatewayError, toMinorUnits, fromMinorUnits, requestJson } from './gateway.utils.js';
+
+/**
+ * Conekta payment gateway
+ * Charges are orders paid with a card token from Conekta.js (pre-authorized when
+ * not captured). Needs CONEKTA_PRIVATE_KEY, and CONEKTA_WEBHOOK_PUBLIC_KEY (PEM) to
+ * receive webhooks
+ */
+
+const API_URL = 'https://api.conekta.io';
+
+/**
+ * Call the Conekta API (JSON)
+ * @param {String} path - API path
+ * @param {Object} body - Request body
+ * @returns {Object} Parsed response
+ */
+const conektaRequest = (path, body = {}) => {
+  if (!process.env.CONEKTA_PRIVATE_KEY) {
+    throw gatewayError('Conekta is not configured (CONEKTA_PRIVATE_KEY)');
+  }
+
+  return requestJson(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.CONEKTA_PRIVATE_KEY}`,
+      Accept: 'application/vnd.conekta-v2.1.0+json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    provider: 'Conekta'
+  });
+};
+
+/**
+ * Map an order payment status to a charge status
+ * @param {Object} order - Conekta order
+ * @returns {String} Charge status
+ */
+const chargeStatus = (order) => {
+  if (order.payment_status === 'paid') return GATEWAY_CHARGE_STATUS.CAPTURED;
+  if (order.payment_status === 'pre_authorized') return GATEWAY_CHARGE_STATUS.AUTHORIZED;
+
+  const charge = order.charges?.data?.[0];
+  throw gatewayError(`Conekta did not approve the payment (${charge?.failure_message || order.payment_status})`, {
+    declined: true,
+    response: order
+  });
+};
+
+/**
+ * Authorize a card charge, capturing it unless capture is false
+ * @param {Object} params - { amount, currency, token, capture, description, customer, metadata }
+ * @returns {Object} { transactionId, status, amount, currency, response }
+ */
+const authorize = async ({ amount, currency, token, capture = true, description, customer = {}, metadata = {} }) => {
+  const order = await conektaRequest('/orders', {
+    currency: currency.toUpperCase(),
+    pre_authorize: !capture,
+    customer_info: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone
+    },
+    line_items: [{
+      name: description,
+      unit_price: toMinorUnits(amount),
+      quantity: 1
+    }],
+    charges: [{
+      payment_method: { type: 'card', token_id: token }
+    }],
+    metadata
+  });
+
+  return {
+    transactionId: order.id,
+    status: chargeStatus(order),
+    amount: fromMinorUnits(order.amount),
+    currency: order.currency.toUpperCase(),
+    response: order
+  };
+};
+
+/**
+ * Capture a pre-authorized order
+ * @param {Object} params - { transactionId }
+ * @returns {Object} { transactionId, status, amount, response }
+ */
+const capture = async ({ transactionId }) => {
+  const order = await conektaRequest(`/orders/${transactionId}/capture`);
+
+  return {
+    transactionId: order.id,
+    status: chargeStatus(order),
+    amount: fromMinorUnits(order.amount),
+    response: order
+  };
+};
+
+/**
+ * Refund a paid order, fully or in part
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { refundId, amount, response }
+ */
+const refund = async ({ transactionId, amount }) => {
+  const order = await conektaRequest(`/orders/${transactionId}/refunds`, {
+    reason: 'requested_by_client',
+    amount: toMinorUnits(amount)
+  });
+
+  const refunds = order.charges?.data?.[0]?.refunds?.data || [];
+  const latest = refunds[refunds.length - 1];
+
+  return {
+    refundId: latest?.id || order.id,
+    amount,
+    response: order
+  };
+};
+
+/**
+ * Verify a webhook (RSA digest header) and normalize its event
+ * @param {Object} params - { rawBody, headers }
+ * @returns {Object} { id, type, transactionId, amount, response }
+ */
+const verifyWebhook = async ({ rawBody, headers }) => {
+  const publicKey = process.env.CONEKTA_WEBHOOK_PUBLIC_KEY?.replace(/\\n/g, '\n');
+  const digest = headers.digest;
+
+  let valid = false;
+  try {
+    valid = Boolean(publicKey && digest) &&
+      verify('sha256', Buffer.from(rawBody || ''), publicKey, Buffer.from(digest, 'base64'));
+  } catch {
+    valid = false;
+  }
+
+  if (!valid) {
+    throw gatewayError('Invalid Conekta webhook signature');
+  }
+
+  const event = JSON.parse(String(rawBody));
+  const order = event.data?.object || {};
+
+  const types = {
+    'order.paid': GATEWAY_EVENTS.CAPTURED,
+    'order.declined': GATEWAY_EVENTS.FAILED,
+    'order.canceled': GATEWAY_EVENTS.FAILED,
+    'order.refunded': GATEWAY_EVENTS.REFUNDED,
+    'order.partially_refunded': GATEWAY_EVENTS.REFUNDED
+  };
+
+  return {
+    id: event.id,
+    type: types[event.type] || GATEWAY_EVENTS.OTHER,
+    transactionId: order.id,
+    amount: fromMinorUnits(order.amount || 0),
+    response: event
+  };
+};
+
+export default {
+  name: 'conekta',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook
+};
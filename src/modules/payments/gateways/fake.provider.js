@@ -0,0 +1,150 @@
+import { createHmac, randomUUID } from 'crypto';
+import { GATEWAY_CHARGE_STATUS, GATEWAY_EVENTS } from '../../../config/constants.js';
+import { roundCurrency } from '../../ratePlans/ratePlan.service.js';
+import { gatewayError, verifyHmacSignature } from './gateway.utils.js';
+
+/**
+ * Fake payment gateway
+ * Keeps charges in memory so card payments can be tested end to end without an
+ * account. Any token is approved except those containing "decline"; webhooks are
+ * signed with FAKE_GATEWAY_SECRET in the x-fake-signature header (without it every
+ * webhook is rejected). Not available when NODE_ENV is production
+ */
+
+const charges = new Map();
+
+/**
+ * Get the webhook signing secret
+ * @returns {String} Secret
+ */
+const webhookSecret = () => process.env.FAKE_GATEWAY_SECRET;
+
+/**
+ * Find a charge or fail like a gateway would
+ * @param {String} transactionId - Charge ID
+ * @returns {Object} Charge
+ */
+const findCharge = (transactionId) => {
+  const charge = charges.get(transactionId);
+
+  if (!charge) {
+    throw gatewayError(`fake rejected the request: no such charge ${transactionId}`);
+  }
+
+  return charge;
+};
+
+/**
+ * Authorize a card charge, capturing it unless capture is false
+ * @param {Object} params - { amount, currency, token, capture }
+ * @returns {Object} { transactionId, status, amount, currency, response }
+ */
+const authorize = async ({ amount, currency, token, capture = true }) => {
+  if (!token || String(token).includes('decline')) {
+    throw gatewayError('fake rejected the request: card declined', { declined: true });
+  }
+
+  const charge = {
+    id: `fake_${randomUUID()}`,
+    amount,
+    currency,
+    captured: capture ? amount : 0,
+    refunded: 0,
+    createdAt: new Date()
+  };
+  charges.set(charge.id, charge);
+
+  return {
+    transactionId: charge.id,
+    status: capture ? GATEWAY_CHARGE_STATUS.CAPTURED : GATEWAY_CHARGE_STATUS.AUTHORIZED,
+    amount,
+    currency,
+    response: { ...charge }
+  };
+};
+
+/**
+ * Capture an authorized charge
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { transactionId, status, amount, response }
+ */
+const capture = async ({ transactionId, amount }) => {
+  const charge = findCharge(transactionId);
+
+  if (charge.captured > 0) {
+    throw gatewayError('fake rejected the request: charge already captured');
+  }
+
+  const captured = amount ?? charge.amount;
+  if (captured > charge.amount) {
+    throw gatewayError('fake rejected the request: capture exceeds the authorized amount');
+  }
+
+  charge.captured = captured;
+
+  return {
+    transactionId,
+    status: GATEWAY_CHARGE_STATUS.CAPTURED,
+    amount: captured,
+    response: { ...charge }
+  };
+};
+
+/**
+ * Refund a captured charge, fully or in part
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { refundId, amount, response }
+ */
+const refund = async ({ transactionId, amount }) => {
+  const charge = findCharge(transactionId);
+
+  if (roundCurrency(charge.refunded + amount) > charge.captured) {
+    throw gatewayError('fake rejected the request: refund exceeds the captured amount');
+  }
+
+  charge.refunded = roundCurrency(charge.refunded + amount);
+
+  return {
+    refundId: `fake_re_${randomUUID()}`,
+    amount,
+    response: { ...charge }
+  };
+};
+
+/**
+ * Verify a webhook and normalize its event
+ * The body is already normalized: { id, type, transactionId, amount }
+ * @param {Object} params - { rawBody, headers }
+ * @returns {Object} { id, type, transactionId, amount, response }
+ */
+const verifyWebhook = async ({ rawBody, headers }) => {
+  if (!verifyHmacSignature(webhookSecret(), rawBody || '', headers['x-fake-signature'])) {
+    throw gatewayError('Invalid fake webhook signature');
+  }
+
+  const event = JSON.parse(String(rawBody));
+
+  return {
+    id: event.id,
+    type: Object.values(GATEWAY_EVENTS).includes(event.type) ? event.type : GATEWAY_EVENTS.OTHER,
+    transactionId: event.transactionId,
+    amount: event.amount,
+    response: event
+  };
+};
+
+/**
+ * Sign a webhook body the way the fake gateway does (for tests and local tools)
+ * @param {String} body - Raw JSON body
+ * @returns {String} Value of the x-fake-signature header
+ */
+const signWebhook = (body) => createHmac('sha256', webhookSecret()).update(body).digest('hex');
+
+export default {
+  name: 'fake',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook,
+  signWebhook
+};
@@ -0,0 +1,108 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Helpers shared by the payment gateway adapters
+ */
+
+// Time to wait for a gateway before giving up
+const REQUEST_TIMEOUT_MS = 20000;
+
+/**
+ * Build a gateway error
+ * Controllers recognize it by its name (PaymentGatewayError); declined tells a
+ * rejected card apart from a gateway that could not be reached
+ * @param {String} message - Error message
+ * @param {Object} options - { declined, response }
+ * @returns {Error} Error
+ */
+export const gatewayError = (message, { declined = false, response = null } = {}) => {
+  const error = new Error(message);
+  error.name = 'PaymentGatewayError';
+  error.declined = declined;
+  error.response = response;
+  return error;
+};
+
+/**
+ * Convert an amount to the minor unit of its currency (cents)
+ * @param {Number} amount - Amount
+ * @returns {Number} Amount in cents
+ */
+export const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Convert an amount in cents back to the currency unit
+ * @param {Number} amount - Amount in cents
+ * @returns {Number} Amount
+ */
+export const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+/**
+ * Send a request to a gateway API and parse its JSON answer
+ * @param {String} url - Endpoint URL
+ * @param {Object} options - { method, headers, body, provider }
+ * @returns {Object} Parsed response
+ */
+export const requestJson = async (url, { method = 'GET', headers = {}, body, provider }) => {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw gatewayError(`${provider} is unavailable: ${error.message}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = data.error?.message || data.message || data.details?.[0]?.message || response.statusText;
+    throw gatewayError(`${provider} rejected the request: ${message}`, {
+      declined: response.status === 402 || response.status === 400,
+      response: data
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Check a hex HMAC-SHA256 signature in constant time
+ * @param {String} secret - Signing secret
+ * @param {String|Buffer} payload - Signed payload
+ * @param {String} signature - Received signature (hex)
+ * @returns {Boolean} Whether the signature matches
+ */
+export const verifyHmacSignature = (secret, payload, signature) => {
+  if (!secret || !signature) return false;
+
+  const expected = Buffer.from(createHmac('sha256', secret).update(payload).digest('hex'));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+/**
+ * Parse a signature header of comma separated key=value pairs (e.g. "t=1,v1=abc")
+ * @param {String} header - Header value
+ * @returns {Object} Values by key (repeated keys keep the first value)
+ */
+export const parseSignatureHeader = (header = '') => String(header)
+  .split(',')
+  .map(part => part.trim().split('='))
+  .reduce((values, [key, ...rest]) => (key && !(key in values)
+    ? { ...values, [key]: rest.join('=') }
+    : values), {});
+
+export default {
+  gatewayError,
+  toMinorUnits,
+  fromMinorUnits,
+  requestJson,
+  verifyHmacSignature,
+  parseSignatureHeader
+};
@@ -0,0 +1,74 @@
+import fakeProvider from './fake.provider.js';
+import stripeProvider from './stripe.provider.js';
+import mercadoPagoProvider from './mercadopago.provider.js';
+import conektaProvider from './conekta.provider.js';
+
+/**
+ * Payment Gateways
+ * Card payments are charged through the gateway picked by PAYMENT_GATEWAY, which must be
+ * set. The fake gateway approves any card, so it only exists outside production.
+ * A gateway is an object with:
+ *   - name: String
+ *   - authorize({ amount, currency, token, capture, description, customer, cardBrand, metadata })
+ *       → { transactionId, status (authorized | captured), amount, currency, response }
+ *     Charges the card token, holding the amount only when capture is false
+ *   - capture({ transactionId, amount }) → { transactionId, status, amount, response }
+ *   - refund({ transactionId, amount }) → { refundId, amount, response }
+ *   - verifyWebhook({ rawBody, body, headers }) → { id, type, transactionId, amount, response }
+ *     Checks the provider's signature and normalizes the event (GATEWAY_EVENTS)
+ * All of them throw a PaymentGatewayError with the provider's message when it fails
+ */
+
+const providers = new Map([
+  [stripeProvider.name, stripeProvider],
+  [mercadoPagoProvider.name, mercadoPagoProvider],
+  [conektaProvider.name, conektaProvider]
+]);
+
+if (process.env.NODE_ENV !== 'production') {
+  providers.set(fakeProvider.name, fakeProvider);
+}
+
+/**
+ * Register a payment gateway
+ * @param {Object} provider - Gateway implementing name, authorize, capture, refund and verifyWebhook
+ * @returns {Object} The gateway
+ */
+export const registerPaymentGateway = (provider) => {
+  const methods = ['authorize', 'capture', 'refund', 'verifyWebhook'];
+
+  if (!provider?.name || methods.some(method => typeof provider[method] !== 'function')) {
+    throw new Error('A payment gateway needs a name, authorize(), capture(), refund() and verifyWebhook()');
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+/**
+ * Get a payment gateway
+ * @param {String} name - Gateway name (defaults to PAYMENT_GATEWAY)
+ * @returns {Object} Gateway
+ * @throws {Error} When PAYMENT_GATEWAY is not set or names an unknown gateway
+ */
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (!name) {
+    throw new Error('PAYMENT_GATEWAY is not set');
+  }
+
+  // Checked again here: .env may be loaded after this module, so NODE_ENV can change
+  const provider = name === fakeProvider.name && process.env.NODE_ENV === 'production'
+    ? null
+    : providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  return provider;
+};
+
+export default {
+  registerPaymentGateway,
+  getPaymentGateway
+};
@@ -0,0 +1,169 @@
+import { randomUUID } from 'crypto';
+import { GATEWAY_CHARGE_STATUS, GATEWAY_EVENTS } from '../../../config/constants.js';
+import { gatewayError, requestJson, verifyHmacSignature, parseSignatureHeader } from './gateway.utils.js';
+
+/**
+ * Mercado Pago payment gateway
+ * Charges are card payments made with a card token from the Mercado Pago SDK.
+ * Needs MERCADOPAGO_ACCESS_TOKEN, and MERCADOPAGO_WEBHOOK_SECRET to receive webhooks
+ */
+
+const API_URL = 'https://api.mercadopago.com/v1';
+
+// Mercado Pago payment method IDs by card brand
+const PAYMENT_METHOD_IDS = {
+  visa: 'visa',
+  mastercard: 'master',
+  amex: 'amex'
+};
+
+/**
+ * Call the Mercado Pago API (JSON)
+ * @param {String} path - API path
+ * @param {Object} options - { method, body }
+ * @returns {Object} Parsed response
+ */
+const mercadoPagoRequest = (path, { method = 'GET', body } = {}) => {
+  if (!process.env.MERCADOPAGO_ACCESS_TOKEN) {
+    throw gatewayError('Mercado Pago is not configured (MERCADOPAGO_ACCESS_TOKEN)');
+  }
+
+  return requestJson(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.MERCADOPAGO_ACCESS_TOKEN}`,
+      'Content-Type': 'application/json',
+      // Lets Mercado Pago drop a retried request instead of charging twice
+      ...(method !== 'GET' && { 'X-Idempotency-Key': randomUUID() })
+    },
+    body: body && JSON.stringify(body),
+    provider: 'Mercado Pago'
+  });
+};
+
+/**
+ * Map a payment status to a charge status
+ * @param {Object} payment - Mercado Pago payment
+ * @returns {String} Charge status
+ */
+const chargeStatus = (payment) => {
+  if (payment.status === 'approved') return GATEWAY_CHARGE_STATUS.CAPTURED;
+  if (payment.status === 'authorized') return GATEWAY_CHARGE_STATUS.AUTHORIZED;
+
+  throw gatewayError(`Mercado Pago did not approve the payment (${payment.status_detail || payment.status})`, {
+    declined: true,
+    response: payment
+  });
+};
+
+/**
+ * Authorize a card charge, capturing it unless capture is false
+ * @param {Object} params - { amount, currency, token, capture, description, customer, cardBrand, metadata }
+ * @returns {Object} { transactionId, status, amount, currency, response }
+ */
+const authorize = async ({ amount, currency, token, capture = true, description, customer = {}, cardBrand, metadata = {} }) => {
+  const payment = await mercadoPagoRequest('/payments', {
+    method: 'POST',
+    body: {
+      transaction_amount: amount,
+      token,
+      description,
+      installments: 1,
+      payment_method_id: PAYMENT_METHOD_IDS[cardBrand],
+      capture,
+      payer: { email: customer.email },
+      external_reference: metadata.transactionId,
+      metadata
+    }
+  });
+
+  return {
+    transactionId: String(payment.id),
+    status: chargeStatus(payment),
+    amount: payment.transaction_amount,
+    currency: (payment.currency_id || currency).toUpperCase(),
+    response: payment
+  };
+};
+
+/**
+ * Capture an authorized charge
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { transactionId, status, amount, response }
+ */
+const capture = async ({ transactionId, amount }) => {
+  const payment = await mercadoPagoRequest(`/payments/${transactionId}`, {
+    method: 'PUT',
+    body: { capture: true, ...(amount !== undefined && { transaction_amount: amount }) }
+  });
+
+  return {
+    transactionId: String(payment.id),
+    status: chargeStatus(payment),
+    amount: payment.transaction_amount,
+    response: payment
+  };
+};
+
+/**
+ * Refund a captured charge, fully or in part
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { refundId, amount, response }
+ */
+const refund = async ({ transactionId, amount }) => {
+  const result = await mercadoPagoRequest(`/payments/${transactionId}/refunds`, {
+    method: 'POST',
+    body: { amount }
+  });
+
+  return {
+    refundId: String(result.id),
+    amount: result.amount,
+    response: result
+  };
+};
+
+/**
+ * Verify a webhook (x-signature header) and normalize its event
+ * Notifications only carry the payment ID, so the payment is fetched to know its status
+ * @param {Object} params - { body, headers }
+ * @returns {Object} { id, type, transactionId, amount, response }
+ */
+const verifyWebhook = async ({ body, headers }) => {
+  const { ts, v1: signature } = parseSignatureHeader(headers['x-signature']);
+  const dataId = String(body?.data?.id || '');
+  const manifest = `id:${dataId.toLowerCase()};request-id:${headers['x-request-id'] || ''};ts:${ts};`;
+
+  if (!ts || !verifyHmacSignature(process.env.MERCADOPAGO_WEBHOOK_SECRET, manifest, signature)) {
+    throw gatewayError('Invalid Mercado Pago webhook signature');
+  }
+
+  if (body.type !== 'payment' || !dataId) {
+    return { id: String(body.id), type: GATEWAY_EVENTS.OTHER, transactionId: dataId, response: body };
+  }
+
+  const payment = await mercadoPagoRequest(`/payments/${dataId}`);
+
+  const types = {
+    approved: GATEWAY_EVENTS.CAPTURED,
+    rejected: GATEWAY_EVENTS.FAILED,
+    cancelled: GATEWAY_EVENTS.FAILED,
+    refunded: GATEWAY_EVENTS.REFUNDED
+  };
+
+  return {
+    id: String(body.id),
+    type: types[payment.status] || GATEWAY_EVENTS.OTHER,
+    transactionId: String(payment.id),
+    amount: payment.status === 'refunded' ? payment.transaction_amount_refunded : payment.transaction_amount,
+    response: payment
+  };
+};
+
+export default {
+  name: 'mercadopago',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook
+};
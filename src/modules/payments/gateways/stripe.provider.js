@@ -0,0 +1,168 @@
+import { GATEWAY_CHARGE_STATUS, GATEWAY_EVENTS } from '../../../config/constants.js';
+import {
+  gatewayError,
+  toMinorUnits,
+  fromMinorUnits,
+  requestJson,
+  verifyHmacSignature,
+  parseSignatureHeader
+} from './gateway.utils.js';
+
+/**
+ * Stripe payment gateway
+ * Charges are PaymentIntents confirmed with the card's PaymentMethod (token).
+ * Needs STRIPE_SECRET_KEY, and STRIPE_WEBHOOK_SECRET to receive webhooks
+ */
+
+const API_URL = 'https://api.stripe.com/v1';
+
+// Oldest webhook timestamp accepted, to reject replayed events
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Call the Stripe API (form encoded)
+ * @param {String} path - API path
+ * @param {Object} params - Form parameters
+ * @returns {Object} Parsed response
+ */
+const stripeRequest = (path, params = {}) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw gatewayError('Stripe is not configured (STRIPE_SECRET_KEY)');
+  }
+
+  const body = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return requestJson(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: body.toString(),
+    provider: 'Stripe'
+  });
+};
+
+/**
+ * Map a PaymentIntent status to a charge status
+ * @param {Object} intent - PaymentIntent
+ * @returns {String} Charge status
+ */
+const chargeStatus = (intent) => {
+  if (intent.status === 'succeeded') return GATEWAY_CHARGE_STATUS.CAPTURED;
+  if (intent.status === 'requires_capture') return GATEWAY_CHARGE_STATUS.AUTHORIZED;
+
+  throw gatewayError(`Stripe did not approve the payment (${intent.last_payment_error?.message || intent.status})`, {
+    declined: true,
+    response: intent
+  });
+};
+
+/**
+ * Authorize a card charge, capturing it unless capture is false
+ * @param {Object} params - { amount, currency, token, capture, description, metadata }
+ * @returns {Object} { transactionId, status, amount, currency, response }
+ */
+const authorize = async ({ amount, currency, token, capture = true, description, metadata = {} }) => {
+  const intent = await stripeRequest('/payment_intents', {
+    amount: toMinorUnits(amount),
+    currency: currency.toLowerCase(),
+    payment_method: token,
+    'payment_method_types[]': 'card',
+    confirm: 'true',
+    capture_method: capture ? 'automatic' : 'manual',
+    description,
+    ...Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`metadata[${key}]`, String(value)]))
+  });
+
+  return {
+    transactionId: intent.id,
+    status: chargeStatus(intent),
+    amount: fromMinorUnits(intent.amount),
+    currency: intent.currency.toUpperCase(),
+    response: intent
+  };
+};
+
+/**
+ * Capture an authorized charge
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { transactionId, status, amount, response }
+ */
+const capture = async ({ transactionId, amount }) => {
+  const intent = await stripeRequest(`/payment_intents/${transactionId}/capture`, {
+    amount_to_capture: amount !== undefined ? toMinorUnits(amount) : undefined
+  });
+
+  return {
+    transactionId: intent.id,
+    status: chargeStatus(intent),
+    amount: fromMinorUnits(intent.amount_received),
+    response: intent
+  };
+};
+
+/**
+ * Refund a captured charge, fully or in part
+ * @param {Object} params - { transactionId, amount }
+ * @returns {Object} { refundId, amount, response }
+ */
+const refund = async ({ transactionId, amount }) => {
+  const result = await stripeRequest('/refunds', {
+    payment_intent: transactionId,
+    amount: toMinorUnits(amount),
+    reason: 'requested_by_customer'
+  });
+
+  return {
+    refundId: result.id,
+    amount: fromMinorUnits(result.amount),
+    response: result
+  };
+};
+
+/**
+ * Verify a webhook (Stripe-Signature header) and normalize its event
+ * @param {Object} params - { rawBody, headers }
+ * @returns {Object} { id, type, transactionId, amount, response }
+ */
+const verifyWebhook = async ({ rawBody, headers }) => {
+  const { t: timestamp, v1: signature } = parseSignatureHeader(headers['stripe-signature']);
+  const payload = `${timestamp}.${rawBody || ''}`;
+
+  if (!timestamp || !verifyHmacSignature(process.env.STRIPE_WEBHOOK_SECRET, payload, signature)) {
+    throw gatewayError('Invalid Stripe webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw gatewayError('Stripe webhook timestamp is outside the tolerance');
+  }
+
+  const event = JSON.parse(String(rawBody));
+  const object = event.data?.object || {};
+
+  const types = {
+    'payment_intent.succeeded': GATEWAY_EVENTS.CAPTURED,
+    'payment_intent.payment_failed': GATEWAY_EVENTS.FAILED,
+    'payment_intent.canceled': GATEWAY_EVENTS.FAILED,
+    'charge.refunded': GATEWAY_EVENTS.REFUNDED
+  };
+
+  return {
+    id: event.id,
+    type: types[event.type] || GATEWAY_EVENTS.OTHER,
+    transactionId: object.object === 'charge' ? object.payment_intent : object.id,
+    amount: fromMinorUnits(object.object === 'charge' ? object.amount_refunded : object.amount_received || 0),
+    response: event
+  };
+};
+
+export default {
+  name: 'stripe',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook
+};
@@ -1,21 +1,225 @@
 import Payment from './payment.model.js';
+import Refund from './refund.model.js';
 import Reservation from '../reservations/reservation.model.js';
-import { HTTP_STATUS, PAYMENT_STATUS } from '../../config/constants.js';
+import ReservationGroup from '../groups/group.model.js';
+import {
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  RESERVATION_STATUS,
+  COLLECTED_PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES
+} from '../../config/constants.js';
+import { allocateGroupPayment } from '../groups/group.service.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getFolioSummary, syncStayCharges } from '../folios/folio.service.js';
+import { getExchangeRate } from '../exchangeRates/exchangeRate.service.js';
+import { getPaymentGateway } from './gateways/index.js';
+import {
+  chargeCard,
+  gatewayDetails,
+  chargePaymentStatus,
+  captureCardPayment,
+  refundCardPayment,
+  applyGatewayEvent
+} from './payment.service.js';
+import { applyLinkGatewayEvent } from '../paymentLinks/paymentLink.service.js';
+import { withTransaction } from '../../utils/transaction.js';
+import { recordGatewayOperation } from '../../middlewares/idempotency.js';
 
 /**
  * Payment Controller
  * Handles all payment-related operations
  */
 
+/**
+ * Express a payment in the currency of what it pays
+ * A payment in another currency is converted, fees included, at the rate of the
+ * payment date and keeps what was tendered
+ * @param {Object} params - Payment values
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Number} params.amount - Amount paid
+ * @param {Object} params.details - Payment details (processingFee, gatewayFee)
+ * @param {String} params.currency - Currency paid in (defaults to the target currency)
+ * @param {String} params.targetCurrency - Currency of the reservation
+ * @param {Date} params.paymentDate - Payment date
+ * @returns {Object} { amount, processingFee, gatewayFee, currency, tendered }
+ */
+const toReservationCurrency = async ({ tenantId, amount, details, currency, targetCurrency, paymentDate }) => {
+  const processingFee = details?.processingFee || 0;
+  const gatewayFee = details?.gatewayFee || 0;
+
+  if (!currency || currency === targetCurrency) {
+    return { amount, processingFee, gatewayFee, currency: targetCurrency, tendered: undefined };
+  }
+
+  const exchangeRate = await getExchangeRate({
+    tenantId,
+    from: currency,
+    to: targetCurrency,
+    date: paymentDate
+  });
+
+  return {
+    amount: roundCurrency(amount * exchangeRate),
+    processingFee: roundCurrency(processingFee * exchangeRate),
+    gatewayFee: roundCurrency(gatewayFee * exchangeRate),
+    currency: targetCurrency,
+    tendered: { amount, currency, exchangeRate }
+  };
+};
+
+/**
+ * Apply a payment to a group balance, split across the group's reservations
+ * Fees are prorated over the resulting payments; a card token is charged once
+ * (always captured) and every resulting payment keeps the gateway charge
+ */
+const createGroupPayment = async (req, res) => {
+  const { groupId, amount, currency, method, details, paymentDate, dueDate, notes } = req.body;
+  const { paymentToken, ...paymentDetails } = details || {};
+
+  const group = await ReservationGroup.findOne({
+    _id: groupId,
+    tenantId: req.user.tenantId,
+    isActive: true
+  });
+
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: '👥 Grupo no encontrado.'
+    });
+  }
+
+  // The group balance only adds up when its reservations share a currency
+  const currencies = await Reservation.distinct('pricing.currency', {
+    tenantId: req.user.tenantId,
+    groupId: group._id,
+    isActive: true,
+    status: { $ne: RESERVATION_STATUS.CANCELLED }
+  });
+
+  if (currencies.length > 1) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `💱 Las reservaciones del grupo están en distintas monedas (${currencies.join(', ')}). Registra el pago por reservación.`
+    });
+  }
+
+  const date = paymentDate || new Date();
+  const converted = await toReservationCurrency({
+    tenantId: req.user.tenantId,
+    amount,
+    details,
+    currency,
+    targetCurrency: currencies[0] || currency,
+    paymentDate: date
+  });
+
+  const balance = await group.getBalance();
+  if (converted.amount > balance.remainingBalance) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `💰 El monto del pago ($${converted.amount} ${converted.currency}) excede el balance pendiente del grupo ($${balance.remainingBalance}).`
+    });
+  }
+
+  const charge = method === PAYMENT_METHODS.CARD && paymentToken
+    ? await chargeCard({
+      tenantId: req.user.tenantId,
+      guestId: group.guestId,
+      description: `Grupo ${group.confirmationNumber}`,
+      amount,
+      currency: converted.tendered?.currency || converted.currency,
+      token: paymentToken,
+      cardBrand: details.cardBrand,
+      metadata: { groupId: String(group._id) }
+    })
+    : null;
+
+  if (charge) {
+    await recordGatewayOperation(req, { gateway: charge.gateway, reference: charge.transactionId });
+  }
+
+  const allocations = await allocateGroupPayment(group, converted.amount);
+  const { processingFee, gatewayFee } = converted;
+
+  const payments = [];
+  let allocatedProcessingFee = 0;
+  let allocatedGatewayFee = 0;
+
+  for (const [index, allocation] of allocations.entries()) {
+    const isLast = index === allocations.length - 1;
+    const share = allocation.amount / converted.amount;
+    const paymentProcessingFee = isLast
+      ? roundCurrency(processingFee - allocatedProcessingFee)
+      : roundCurrency(processingFee * share);
+    const paymentGatewayFee = isLast
+      ? roundCurrency(gatewayFee - allocatedGatewayFee)
+      : roundCurrency(gatewayFee * share);
+    allocatedProcessingFee += paymentProcessingFee;
+    allocatedGatewayFee += paymentGatewayFee;
+
+    const payment = new Payment({
+      tenantId: req.user.tenantId,
+      reservationId: allocation.reservation._id,
+      groupId: group._id,
+      transactionId: await Payment.generateTransactionId(),
+      amount: allocation.amount,
+      netAmount: allocation.amount - paymentProcessingFee - paymentGatewayFee,
+      currency: converted.currency || 'MXN',
+      tendered: converted.tendered && {
+        ...converted.tendered,
+        amount: roundCurrency(converted.tendered.amount * share)
+      },
+      method,
+      details: { ...paymentDetails, ...(charge && gatewayDetails(charge)) },
+      fees: {
+        processingFee: paymentProcessingFee,
+        gatewayFee: paymentGatewayFee
+      },
+      paymentDate: date,
+      dueDate,
+      notes: notes || `Pago de grupo ${group.confirmationNumber}`,
+      status: PAYMENT_STATUS.PAID
+    });
+
+    payments.push(payment);
+  }
+
+  // Every share of the group payment is recorded, with its reservation balance, or none
+  await withTransaction(async () => {
+    for (const payment of payments) {
+      await payment.save();
+    }
+  });
+
+  console.log(`✅ Group payment split into ${payments.length} payment(s) for group ${group.confirmationNumber}`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: `✅ Pago de grupo registrado en ${payments.length} reservación(es)`,
+    data: {
+      payments,
+      balance: await group.getBalance()
+    }
+  });
+};
+
 /**
  * Create a new payment
+ * Send groupId instead of reservationId to pay against a group balance
  * POST /api/payments
  */
 export const createPayment = async (req, res) => {
   try {
-    const { reservationId, amount, currency, method, details, paymentDate, dueDate, notes } = req.body;
+    const { reservationId, groupId, folioId, amount, currency, method, details, capture, paymentDate, dueDate, notes } = req.body;
+
+    console.log('💳 Creating payment:', { reservationId, groupId, folioId, amount, currency, method });
 
-    console.log('💳 Creating payment:', { reservationId, amount, currency, method });
+    if (groupId && !reservationId) {
+      return await createGroupPayment(req, res);
+    }
 
     // 1. Validar que la reservación existe y pertenece al tenant
     const reservation = await Reservation.findOne({
@@ -31,46 +235,107 @@ export const createPayment = async (req, res) => {
       });
     }
 
-    // 2. Validar que el monto no exceda el balance pendiente
+    // 2. Convertir a la moneda de la reservación si se paga en otra moneda
+    const date = paymentDate || new Date();
+    const converted = await toReservationCurrency({
+      tenantId: req.user.tenantId,
+      amount,
+      details,
+      currency,
+      targetCurrency: reservation.pricing.currency,
+      paymentDate: date
+    });
+
+    // 2a. Validar que el monto no exceda el balance pendiente
     const remainingBalance = reservation.paymentSummary.remainingBalance;
-    if (amount > remainingBalance) {
+    if (converted.amount > remainingBalance) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
-        message: `💰 El monto del pago ($${amount}) excede el balance pendiente ($${remainingBalance}).`
+        message: `💰 El monto del pago ($${converted.amount} ${converted.currency}) excede el balance pendiente ($${remainingBalance}).`
       });
     }
 
+    // 2b. Si se paga un folio específico, validar que pertenece a la reservación y su balance
+    if (folioId) {
+      const folioSummary = await getFolioSummary(reservation, await syncStayCharges(reservation));
+      const folio = folioSummary.find(entry => String(entry.folioId) === String(folioId));
+
+      if (!folio) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '🧾 Folio no encontrado para esta reservación.'
+        });
+      }
+
+      if (converted.amount > folio.balance) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `💰 El monto del pago ($${converted.amount} ${converted.currency}) excede el balance pendiente del folio ${folio.number} ($${folio.balance}).`
+        });
+      }
+    }
+
     // 3. Generar transactionId único
     const transactionId = await Payment.generateTransactionId();
     
     // 4. Calcular netAmount (amount menos fees)
-    const processingFee = details?.processingFee || 0;
-    const gatewayFee = details?.gatewayFee || 0;
-    const netAmount = amount - processingFee - gatewayFee;
+    const { processingFee, gatewayFee } = converted;
+    const netAmount = roundCurrency(converted.amount - processingFee - gatewayFee);
 
     console.log('💳 Payment details:', { transactionId, netAmount, processingFee, gatewayFee });
 
+    // 4b. Cobrar la tarjeta con la pasarela cuando se envía su token
+    const { paymentToken, ...paymentDetails } = details || {};
+    const charge = method === PAYMENT_METHODS.CARD && paymentToken
+      ? await chargeCard({
+        tenantId: req.user.tenantId,
+        guestId: reservation.guestId,
+        description: `Reservación ${reservation.confirmationNumber}`,
+        amount,
+        currency: converted.tendered?.currency || converted.currency,
+        token: paymentToken,
+        capture: capture !== false,
+        cardBrand: details.cardBrand,
+        metadata: { reservationId: String(reservation._id), transactionId }
+      })
+      : null;
+
+    if (charge) {
+      await recordGatewayOperation(req, { gateway: charge.gateway, reference: charge.transactionId });
+    }
+
     // 5. Crear el pago con todos los campos requeridos
     const payment = new Payment({
       tenantId: req.user.tenantId,
       reservationId,
+      folioId: folioId || null,
       transactionId,
-      amount,
+      amount: converted.amount,
       netAmount,
-      currency: currency || 'MXN',
+      currency: converted.currency || 'MXN',
+      tendered: converted.tendered,
       method,
-      details: details || {},
+      details: { ...paymentDetails, ...(charge && gatewayDetails(charge)) },
       fees: {
         processingFee: processingFee,
         gatewayFee: gatewayFee
       },
-      paymentDate: paymentDate || new Date(),
+      paymentDate: date,
       dueDate,
       notes,
-      status: PAYMENT_STATUS.PAID // Por defecto pagado al crear
+      // Pagado al crear, salvo cargos con tarjeta solo autorizados
+      status: charge ? chargePaymentStatus(charge) : PAYMENT_STATUS.PAID
     });
 
-    await payment.save();
+    // 5b. Guardar el pago junto con el saldo de la reservación (o ninguno de los dos)
+    try {
+      await withTransaction(() => payment.save());
+    } catch (error) {
+      if (charge) {
+        console.error(`⚠️ Gateway charge ${charge.transactionId} for ${transactionId} was not recorded`);
+      }
+      throw error;
+    }
 
     console.log('✅ Payment saved successfully:', payment._id);
 
@@ -90,7 +355,9 @@ export const createPayment = async (req, res) => {
 
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
-      message: '✅ Pago registrado correctamente',
+      message: payment.status === PAYMENT_STATUS.PAID
+        ? '✅ Pago registrado correctamente'
+        : '✅ Pago autorizado. Captúralo para completarlo.',
       data: { payment }
     });
 
@@ -114,6 +381,20 @@ export const createPayment = async (req, res) => {
       });
     }
 
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `💱 ${error.message}`
+      });
+    }
+
+    if (error.name === 'PaymentGatewayError') {
+      return res.status(error.declined ? HTTP_STATUS.BAD_REQUEST : HTTP_STATUS.BAD_GATEWAY).json({
+        success: false,
+        message: `💳 ${error.message}`
+      });
+    }
+
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: '🔥 Error interno del servidor. Por favor intenta de nuevo.',
@@ -132,6 +413,7 @@ export const getPayments = async (req, res) => {
       page = 1, 
       limit = 10, 
       reservationId,
+      groupId,
       method,
       status,
       dateFrom,
@@ -150,6 +432,10 @@ export const getPayments = async (req, res) => {
       conditions.reservationId = reservationId;
     }
 
+    if (groupId) {
+      conditions.groupId = groupId;
+    }
+
     if (method) {
       conditions.method = method;
     }
@@ -243,9 +529,17 @@ export const getPaymentById = async (req, res) => {
       });
     }
 
+    const refunds = await Refund.find({
+      tenantId: req.user.tenantId,
+      paymentId: payment._id,
+      isActive: true
+    })
+      .populate('refundedBy', 'name email')
+      .sort({ refundedAt: 1 });
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      data: { payment }
+      data: { payment, refunds }
     });
 
   } catch (error) {
@@ -278,16 +572,25 @@ export const getPaymentsByReservation = async (req, res) => {
       });
     }
 
-    const payments = await Payment.findByReservation(req.user.tenantId, reservationId)
-      .populate('details.receivedBy', 'name email');
+    const [payments, refunds] = await Promise.all([
+      Payment.findByReservation(req.user.tenantId, reservationId)
+        .populate('details.receivedBy', 'name email'),
+      Refund.find({ tenantId: req.user.tenantId, reservationId, isActive: true })
+        .sort({ refundedAt: -1 })
+    ]);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: { 
         payments,
+        refunds,
         summary: {
           totalPaid: reservation.paymentSummary.totalPaid,
           remainingBalance: reservation.paymentSummary.remainingBalance,
+          folios: reservation.paymentSummary.folios,
+          depositRequired: reservation.paymentSummary.depositRequired,
+          depositDueDate: reservation.paymentSummary.depositDueDate,
+          depositPaid: reservation.paymentSummary.depositPaid,
           totalPrice: reservation.pricing.totalPrice
         }
       }
@@ -302,6 +605,58 @@ export const getPaymentsByReservation = async (req, res) => {
   }
 };
 
+/**
+ * Get payments by group
+ * GET /api/payments/group/:groupId
+ */
+export const getPaymentsByGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await ReservationGroup.findOne({
+      _id: groupId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!group) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '👥 Grupo no encontrado'
+      });
+    }
+
+    // Every payment on a reservation of the group, whether paid to the group or to the room
+    const reservationIds = await Reservation.find({
+      tenantId: req.user.tenantId,
+      groupId
+    }).distinct('_id');
+
+    const payments = await Payment.find({
+      tenantId: req.user.tenantId,
+      reservationId: { $in: reservationIds },
+      isActive: true
+    })
+      .populate('reservationId', 'confirmationNumber')
+      .populate('details.receivedBy', 'name email')
+      .sort({ paymentDate: -1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        payments,
+        summary: await group.getBalance()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get payments by group error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los pagos del grupo'
+    });
+  }
+};
+
 /**
  * Update payment
  * PUT /api/payments/:paymentId
@@ -323,13 +678,23 @@ export const updatePayment = async (req, res) => {
       });
     }
 
+    // Los estados de reembolso solo los asigna un reembolso
+    const refundStatuses = [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED];
+    if (status && status !== payment.status &&
+        (refundStatuses.includes(status) || refundStatuses.includes(payment.status))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '💰 Los estados de reembolso solo cambian al procesar un reembolso'
+      });
+    }
+
     // Actualizar campos permitidos
     if (status) payment.status = status;
     if (details) payment.details = { ...payment.details, ...details };
     if (paymentDate) payment.paymentDate = paymentDate;
     if (notes !== undefined) payment.notes = notes;
 
-    await payment.save();
+    await withTransaction(() => payment.save());
 
     await payment.populate([
       {
@@ -375,7 +740,7 @@ export const updatePayment = async (req, res) => {
 export const processRefund = async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { amount, reason } = req.body;
+    const { amount, reason, method } = req.body;
 
     const payment = await Payment.findOne({
       _id: paymentId,
@@ -397,7 +762,21 @@ export const processRefund = async (req, res) => {
       });
     }
 
-    const availableForRefund = payment.amount - payment.refund.refundedAmount;
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `⚠️ Solo se reembolsan pagos completados (estado actual: ${payment.status})`
+      });
+    }
+
+    if (method && !Object.values(PAYMENT_METHODS).includes(method)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `💳 Método de reembolso inválido. Debe ser uno de: ${Object.values(PAYMENT_METHODS).join(', ')}`
+      });
+    }
+
+    const availableForRefund = roundCurrency(payment.amount - payment.refund.refundedAmount);
     if (amount > availableForRefund) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
@@ -405,10 +784,33 @@ export const processRefund = async (req, res) => {
       });
     }
 
-    // Procesar reembolso
-    await payment.processRefund(amount, reason, req.user.id);
+    // Devolver el cargo en la pasarela cuando el pago se cobró con tarjeta en línea
+    const gatewayRefund = await refundCardPayment(payment, amount);
 
-    await payment.populate([
+    if (gatewayRefund) {
+      await recordGatewayOperation(req, { gateway: payment.details.gateway, reference: gatewayRefund.refundId });
+    }
+
+    // Procesar reembolso (los cargos en línea se devuelven a la misma tarjeta)
+    // El pago se recarga en cada intento para no sumar el reembolso dos veces si se reintenta
+    let refunded;
+    let refund;
+    try {
+      refund = await withTransaction(async () => {
+        refunded = await Payment.findOne({ _id: paymentId, tenantId: req.user.tenantId });
+        return refunded.processRefund(amount, reason, req.user.id, {
+          method: gatewayRefund ? PAYMENT_METHODS.CARD : method,
+          gatewayRefund
+        });
+      });
+    } catch (error) {
+      if (gatewayRefund) {
+        console.error(`⚠️ Gateway refund ${gatewayRefund.refundId} of payment ${payment.transactionId} was not recorded`);
+      }
+      throw error;
+    }
+
+    await refunded.populate([
       {
         path: 'reservationId',
         select: 'confirmationNumber dates guestId roomId',
@@ -422,12 +824,20 @@ export const processRefund = async (req, res) => {
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: '✅ Reembolso procesado correctamente',
-      data: { payment }
+      message: `✅ Reembolso ${refund.refundNumber} procesado correctamente`,
+      data: { payment: refunded, refund }
     });
 
   } catch (error) {
     console.error('❌ Process refund error:', error);
+
+    if (error.name === 'PaymentGatewayError' && !error.declined) {
+      return res.status(HTTP_STATUS.BAD_GATEWAY).json({
+        success: false,
+        message: `💳 ${error.message}`
+      });
+    }
+
     res.status(HTTP_STATUS.BAD_REQUEST).json({
       success: false,
       message: error.message || 'Error al procesar el reembolso'
@@ -435,6 +845,157 @@ export const processRefund = async (req, res) => {
   }
 };
 
+/**
+ * Get refunds with filters and pagination
+ * GET /api/payments/refunds
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, reservationId, paymentId, method, dateFrom, dateTo } = req.query;
+
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (reservationId) conditions.reservationId = reservationId;
+    if (paymentId) conditions.paymentId = paymentId;
+    if (method) conditions.method = method;
+
+    if (dateFrom || dateTo) {
+      conditions.refundedAt = {};
+      if (dateFrom) conditions.refundedAt.$gte = new Date(dateFrom);
+      if (dateTo) conditions.refundedAt.$lte = new Date(dateTo);
+    }
+
+    const skip = (page - 1) * limit;
+    const [refunds, total] = await Promise.all([
+      Refund.find(conditions)
+        .populate('paymentId', 'transactionId amount method status')
+        .populate('reservationId', 'confirmationNumber')
+        .populate('refundedBy', 'name email')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ refundedAt: -1 }),
+      Refund.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get refunds error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al obtener los reembolsos'
+    });
+  }
+};
+
+/**
+ * Capture a card payment that was only authorized
+ * POST /api/payments/:paymentId/capture
+ */
+export const capturePayment = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!payment) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '💳 Pago no encontrado'
+      });
+    }
+
+    const captured = await captureCardPayment(payment);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: '✅ Pago capturado correctamente',
+      data: { payment: captured }
+    });
+
+  } catch (error) {
+    console.error('❌ Capture payment error:', error);
+
+    if (error.name === 'PaymentGatewayError' && !error.declined) {
+      return res.status(HTTP_STATUS.BAD_GATEWAY).json({
+        success: false,
+        message: `💳 ${error.message}`
+      });
+    }
+
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message || 'Error al capturar el pago'
+    });
+  }
+};
+
+/**
+ * Receive a payment gateway webhook (public, verified by the gateway signature)
+ * POST /api/payments/webhooks/:provider
+ */
+export const handleGatewayWebhook = async (req, res) => {
+  try {
+    let gateway;
+    try {
+      gateway = getPaymentGateway(req.params.provider);
+    } catch (error) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let event;
+    try {
+      event = await gateway.verifyWebhook({
+        rawBody: req.rawBody,
+        body: req.body,
+        headers: req.headers
+      });
+    } catch (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Charges started from a payment link are recorded when their link is settled
+    const updated = await applyGatewayEvent(gateway.name, event)
+      + await applyLinkGatewayEvent(gateway.name, event);
+
+    console.log(`🔔 ${gateway.name} webhook ${event.type} (${event.transactionId}): ${updated} pago(s) actualizado(s)`);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { received: true, type: event.type, updated }
+    });
+
+  } catch (error) {
+    console.error('❌ Gateway webhook error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Error al procesar el webhook'
+    });
+  }
+};
+
 /**
  * Delete payment (soft delete)
  * DELETE /api/payments/:paymentId
@@ -456,7 +1017,7 @@ export const deletePayment = async (req, res) => {
     }
 
     // Verificar que el pago no esté completado
-    if (payment.status === PAYMENT_STATUS.PAID) {
+    if (COLLECTED_PAYMENT_STATUSES.includes(payment.status)) {
       return res.status(HTTP_STATUS.CONFLICT).json({
         success: false,
         message: '⚠️ No se puede eliminar un pago completado. Procesa un reembolso en su lugar.'
@@ -464,7 +1025,7 @@ export const deletePayment = async (req, res) => {
     }
 
     payment.isActive = false;
-    await payment.save();
+    await withTransaction(() => payment.save());
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
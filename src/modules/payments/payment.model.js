@@ -1,6 +1,17 @@
 import mongoose from 'mongoose';
-import { PAYMENT_METHODS, PAYMENT_STATUS } from '../../config/constants.js';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  COLLECTED_PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES
+} from '../../config/constants.js';
+import { runWithoutTenant } from '../../utils/tenantContext.js';
 import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+import { getFolioSummary, syncStayCharges } from '../folios/folio.service.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { syncPaymentLedger, getReservationPaid } from '../ledger/ledger.service.js';
+import Refund from './refund.model.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
 
 /**
  * Payment Schema - Represents payment transactions for reservations
@@ -12,6 +23,18 @@ const paymentSchema = new mongoose.Schema({
     required: [true, 'El ID de la reservación es requerido'],
     index: true
   },
+  // Set when the payment was applied to a group balance and split across its reservations
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservationGroup',
+    default: null
+  },
+  // Folio the payment settles; empty means folio 1
+  folioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folio',
+    default: null
+  },
   transactionId: {
     type: String,
     unique: true,
@@ -29,6 +52,24 @@ const paymentSchema = new mongoose.Schema({
     default: 'MXN',
     maxlength: [3, 'El código de moneda no puede exceder 3 caracteres']
   },
+  // What the guest handed over when paying in another currency; amount and
+  // currency above hold its value in the reservation currency
+  tendered: {
+    amount: {
+      type: Number,
+      min: [0.01, 'El monto entregado debe ser mayor a 0']
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      maxlength: [3, 'El código de moneda no puede exceder 3 caracteres']
+    },
+    // Units of the reservation currency per unit of the tendered currency
+    exchangeRate: {
+      type: Number,
+      min: [0, 'El tipo de cambio no puede ser negativo']
+    }
+  },
   method: {
     type: String,
     enum: {
@@ -71,6 +112,10 @@ const paymentSchema = new mongoose.Schema({
       ref: 'User'
     },
     // External payment gateway info
+    gateway: {
+      type: String,
+      trim: true
+    },
     gatewayTransactionId: {
       type: String,
       trim: true
@@ -108,6 +153,7 @@ const paymentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
   },
+  // Totals of the payment's Refund records
   refund: {
     isRefunded: {
       type: Boolean,
@@ -128,6 +174,11 @@ const paymentSchema = new mongoose.Schema({
     refundedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    // Refund ID at the payment gateway (latest refund of a gateway charge)
+    gatewayRefundId: {
+      type: String,
+      trim: true
     }
   }
 }, {
@@ -142,9 +193,11 @@ paymentSchema.plugin(softDeletePlugin);
 
 // Compound indexes for multi-tenant queries and performance
 paymentSchema.index({ tenantId: 1, reservationId: 1, paymentDate: -1 });
+paymentSchema.index({ tenantId: 1, groupId: 1 });
 paymentSchema.index({ tenantId: 1, method: 1, status: 1 });
 paymentSchema.index({ tenantId: 1, paymentDate: -1 });
 paymentSchema.index({ tenantId: 1, status: 1, paymentDate: -1 });
+paymentSchema.index({ 'details.gateway': 1, 'details.gatewayTransactionId': 1 });
 
 // Pre-save middleware to calculate net amount and generate transaction ID
 paymentSchema.pre('save', async function(next) {
@@ -156,38 +209,73 @@ paymentSchema.pre('save', async function(next) {
   // Calculate net amount
   this.netAmount = this.amount - this.fees.processingFee - this.fees.gatewayFee;
   
+  // Remember status changes so the reservation is recalculated when a payment
+  // stops counting as paid too
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  
   next();
 });
 
-// Post-save middleware to update reservation payment status
+// Post-save middleware to record the payment in the ledger and update the
+// reservation payment status from it
 paymentSchema.post('save', async function(doc) {
-  if (doc.status === PAYMENT_STATUS.PAID) {
+  const entry = await syncPaymentLedger(doc);
+
+  if (entry || COLLECTED_PAYMENT_STATUSES.includes(doc.status) || doc.$locals.statusChanged) {
     await doc.updateReservationPaymentStatus();
   }
 });
 
 // Instance method to process refund
-paymentSchema.methods.processRefund = function(amount, reason, refundedBy) {
-  if (this.status !== PAYMENT_STATUS.PAID) {
-    throw new Error('Cannot refund: payment is not in paid status');
+// Records a Refund and moves the payment to partially refunded or refunded
+paymentSchema.methods.processRefund = async function(amount, reason, refundedBy, options = {}) {
+  const { method = this.method, gatewayRefund = null } = options;
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(this.status)) {
+    throw new Error(`Cannot refund: payment is ${this.status}`);
   }
   
-  if (amount > this.amount - this.refund.refundedAmount) {
+  const available = roundCurrency(this.amount - this.refund.refundedAmount);
+  if (amount > available) {
     throw new Error('Refund amount cannot exceed available balance');
   }
   
+  const refund = new Refund({
+    tenantId: this.tenantId,
+    paymentId: this._id,
+    reservationId: this.reservationId,
+    refundNumber: await Refund.generateRefundNumber(),
+    amount,
+    currency: this.currency,
+    method,
+    reason,
+    ...(gatewayRefund && {
+      gateway: this.details.gateway,
+      gatewayRefundId: gatewayRefund.refundId,
+      gatewayResponse: gatewayRefund.response
+    }),
+    refundedBy
+  });
+  await refund.validate();
+  
   this.refund.isRefunded = true;
-  this.refund.refundedAmount += amount;
-  this.refund.refundedAt = new Date();
+  this.refund.refundedAmount = roundCurrency(this.refund.refundedAmount + amount);
+  this.refund.refundedAt = refund.refundedAt;
   this.refund.refundReason = reason;
   this.refund.refundedBy = refundedBy;
-  
-  // If fully refunded, update status
-  if (this.refund.refundedAmount >= this.amount) {
-    this.status = PAYMENT_STATUS.PENDING; // Or create a REFUNDED status
+  if (gatewayRefund) {
+    this.refund.gatewayRefundId = gatewayRefund.refundId;
   }
   
-  return this.save();
+  this.status = this.refund.refundedAmount >= this.amount
+    ? PAYMENT_STATUS.REFUNDED
+    : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  
+  // The refund reaches the ledger first so the reservation is recalculated with it
+  await refund.save();
+  await this.save();
+  
+  return refund;
 };
 
 // Instance method to update reservation payment status
@@ -197,22 +285,16 @@ paymentSchema.methods.updateReservationPaymentStatus = async function() {
   
   if (!reservation) return;
   
-  // Calculate total payments for this reservation
-  const Payment = mongoose.model('Payment');
-  const payments = await Payment.find({
-    reservationId: this.reservationId,
-    status: PAYMENT_STATUS.PAID,
-    isActive: true
-  });
-  
-  const totalPaid = payments.reduce((sum, payment) => {
-    return sum + payment.amount - payment.refund.refundedAmount;
-  }, 0);
+  // What was paid, net of refunds, comes from the ledger
+  const { totalPaid } = await getReservationPaid(reservation);
   
   // Update reservation payment summary
   reservation.paymentSummary.totalPaid = totalPaid;
   reservation.updatePaymentSummary();
   
+  // Balance of each folio (creates folio 1 for reservations that predate folios)
+  reservation.paymentSummary.folios = await getFolioSummary(reservation, await syncStayCharges(reservation));
+  
   await reservation.save();
 };
 
@@ -227,7 +309,8 @@ paymentSchema.statics.generateTransactionId = async function() {
     const random = Math.random().toString(36).substring(2, 6).toUpperCase();
     transactionId = `${prefix}${timestamp}${random}`;
     
-    exists = await this.findOne({ transactionId });
+    // Numbers are unique across tenants, so look in all of them
+    exists = await runWithoutTenant(async () => this.findOne({ transactionId }));
   }
   
   return transactionId;
@@ -244,12 +327,11 @@ paymentSchema.statics.findByReservation = function(tenantId, reservationId) {
 
 // Static method to get payment summary for date range
 paymentSchema.statics.getPaymentSummary = function(tenantId, startDate, endDate) {
-  return this.aggregate([
+  return tenantAggregate(this, tenantId, [
     {
       $match: {
-        tenantId: mongoose.Types.ObjectId(tenantId),
         paymentDate: { $gte: startDate, $lte: endDate },
-        status: PAYMENT_STATUS.PAID,
+        status: { $in: COLLECTED_PAYMENT_STATUSES },
         isActive: true
       }
     },
@@ -259,8 +341,9 @@ paymentSchema.statics.getPaymentSummary = function(tenantId, startDate, endDate)
           method: '$method',
           date: { $dateToString: { format: '%Y-%m-%d', date: '$paymentDate' } }
         },
-        totalAmount: { $sum: '$amount' },
-        totalNetAmount: { $sum: '$netAmount' },
+        // Net of refunds
+        totalAmount: { $sum: { $subtract: ['$amount', '$refund.refundedAmount'] } },
+        totalNetAmount: { $sum: { $subtract: ['$netAmount', '$refund.refundedAmount'] } },
         count: { $sum: 1 }
       }
     },
@@ -1,12 +1,18 @@
 import express from 'express';
 import { authenticate } from '../../middlewares/auth.js';
+import { tenantGuard } from '../../middlewares/tenantGuard.js';
+import { idempotency } from '../../middlewares/idempotency.js';
 import { 
   createPayment,
   getPayments,
   getPaymentById,
   getPaymentsByReservation,
+  getPaymentsByGroup,
   updatePayment,
   processRefund,
+  getRefunds,
+  capturePayment,
+  handleGatewayWebhook,
   deletePayment,
   getPaymentSummary,
   getPendingPayments
@@ -19,20 +25,29 @@ const router = express.Router();
  * All routes require authentication and tenant isolation
  */
 
-// Apply authentication middleware to all routes
+// Gateway webhooks are public; each gateway's signature authenticates them
+router.post('/webhooks/:provider', handleGatewayWebhook);
+
+// Apply authentication and tenant isolation to all routes
 router.use(authenticate);
+router.use(tenantGuard);
 
-// Payment CRUD operations
-router.post('/', createPayment);
+// Payment CRUD operations (creating and refunding accept an Idempotency-Key header)
+router.post('/', idempotency, createPayment);
 router.get('/', getPayments);
 router.get('/pending', getPendingPayments);
 router.get('/summary', getPaymentSummary);
+router.get('/refunds', getRefunds);
 router.get('/reservation/:reservationId', getPaymentsByReservation);
+router.get('/group/:groupId', getPaymentsByGroup);
 router.get('/:paymentId', getPaymentById);
 router.put('/:paymentId', updatePayment);
 router.delete('/:paymentId', deletePayment);
 
+// Card payments authorized at the gateway
+router.post('/:paymentId/capture', capturePayment);
+
 // Refund operations
-router.post('/:paymentId/refund', processRefund);
+router.post('/:paymentId/refund', idempotency, processRefund);
 
 export default router;
@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import Payment from './payment.model.js';
+import {
+  PAYMENT_STATUS,
+  REFUNDABLE_PAYMENT_STATUSES,
+  GATEWAY_CHARGE_STATUS,
+  GATEWAY_EVENTS
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getPaymentGateway } from './gateways/index.js';
+import { runWithTenant, runWithoutTenant } from '../../utils/tenantContext.js';
+import { withTransaction } from '../../utils/transaction.js';
+
+/**
+ * Payment Service
+ * Card charges through the payment gateway: charging a card token, capturing a
+ * held amount, refunding it and applying the gateway's webhook events
+ */
+
+/**
+ * Charge a card token with the gateway in use
+ * @param {Object} params - Charge parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {String} params.guestId - Guest paying (sent to the gateway as customer)
+ * @param {String} params.description - Charge description
+ * @param {Number} params.amount - Amount to charge
+ * @param {String} params.currency - Currency of the amount
+ * @param {String} params.token - Card token from the gateway's client SDK
+ * @param {Boolean} params.capture - False to only hold the amount
+ * @param {String} params.cardBrand - Card brand, when known
+ * @param {Object} params.metadata - Values stored with the charge
+ * @returns {Object} Charge ({ gateway, transactionId, status, amount, currency, response })
+ */
+export const chargeCard = async ({ tenantId, guestId, description, amount, currency, token, capture = true, cardBrand, metadata = {} }) => {
+  const gateway = getPaymentGateway();
+  const guest = guestId
+    ? await mongoose.model('Guest').findOne({ _id: guestId, tenantId })
+    : null;
+
+  const charge = await gateway.authorize({
+    amount,
+    currency,
+    token,
+    capture,
+    description,
+    customer: guest
+      ? { name: `${guest.firstName} ${guest.lastName}`, email: guest.email, phone: guest.phone }
+      : {},
+    cardBrand,
+    metadata: { tenantId: String(tenantId), ...metadata }
+  });
+
+  return { gateway: gateway.name, ...charge };
+};
+
+/**
+ * Payment details that record a gateway charge
+ * @param {Object} charge - Charge from chargeCard
+ * @returns {Object} { gateway, gatewayTransactionId, gatewayResponse }
+ */
+export const gatewayDetails = (charge) => ({
+  gateway: charge.gateway,
+  gatewayTransactionId: charge.transactionId,
+  gatewayResponse: charge.response
+});
+
+/**
+ * Payment status that matches a gateway charge
+ * @param {Object} charge - Charge from chargeCard
+ * @returns {String} PAID once captured, PENDING while only authorized
+ */
+export const chargePaymentStatus = (charge) => (charge.status === GATEWAY_CHARGE_STATUS.CAPTURED
+  ? PAYMENT_STATUS.PAID
+  : PAYMENT_STATUS.PENDING);
+
+/**
+ * Capture the amount held for a pending card payment
+ * @param {Object} payment - Payment document
+ * @returns {Object} Saved payment
+ */
+export const captureCardPayment = async (payment) => {
+  if (payment.status !== PAYMENT_STATUS.PENDING || !payment.details?.gatewayTransactionId) {
+    throw new Error('Only pending payments authorized by a payment gateway can be captured');
+  }
+
+  const gateway = getPaymentGateway(payment.details.gateway);
+  const result = await gateway.capture({ transactionId: payment.details.gatewayTransactionId });
+
+  // Saved with the reservation balance it changes; reloaded on each attempt
+  try {
+    return await withTransaction(async () => {
+      const captured = await Payment.findOne({ _id: payment._id, tenantId: payment.tenantId });
+      captured.details.gatewayResponse = result.response;
+      captured.status = PAYMENT_STATUS.PAID;
+      return captured.save();
+    });
+  } catch (error) {
+    console.error(`⚠️ Gateway capture of payment ${payment.transactionId} was not recorded`);
+    throw error;
+  }
+};
+
+/**
+ * Refund part or all of a card payment at the gateway that charged it
+ * Payments not charged through a gateway (cash, transfers, card terminals) have
+ * nothing to refund there
+ * @param {Object} payment - Payment document
+ * @param {Number} amount - Amount to refund, in the payment currency
+ * @returns {Object|null} Gateway refund ({ refundId, amount, response }) or null
+ */
+export const refundCardPayment = async (payment, amount) => {
+  if (!payment.details?.gatewayTransactionId) return null;
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot refund: payment is ${payment.status}`);
+  }
+
+  // The card was charged in the tendered currency
+  const gatewayAmount = payment.tendered?.amount
+    ? roundCurrency(payment.tendered.amount * (amount / payment.amount))
+    : amount;
+
+  const gateway = getPaymentGateway(payment.details.gateway);
+  return gateway.refund({
+    transactionId: payment.details.gatewayTransactionId,
+    amount: gatewayAmount
+  });
+};
+
+/**
+ * Apply a verified gateway webhook event to the payments of its charge
+ * A captured charge settles its pending payments; a failed one voids them
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} event - Normalized event from verifyWebhook
+ * @returns {Number} Payments updated
+ */
+export const applyGatewayEvent = async (gatewayName, event) => {
+  if (![GATEWAY_EVENTS.CAPTURED, GATEWAY_EVENTS.FAILED].includes(event.type) || !event.transactionId) {
+    return 0;
+  }
+
+  // Webhooks carry no tenant: find the payments across tenants, then save each in its tenant
+  const payments = await runWithoutTenant(async () => Payment.find({
+    'details.gateway': gatewayName,
+    'details.gatewayTransactionId': event.transactionId,
+    status: PAYMENT_STATUS.PENDING,
+    isActive: true
+  }));
+
+  // Each payment is saved with its reservation balance, reloaded on each attempt
+  for (const payment of payments) {
+    await runWithTenant(payment.tenantId, async () => withTransaction(async () => {
+      const current = await Payment.findOne({ _id: payment._id, tenantId: payment.tenantId });
+      current.details.gatewayResponse = event.response;
+
+      if (event.type === GATEWAY_EVENTS.CAPTURED) {
+        current.status = PAYMENT_STATUS.PAID;
+      } else {
+        current.isActive = false;
+      }
+
+      await current.save();
+    }));
+  }
+
+  return payments.length;
+};
+
+export default {
+  chargeCard,
+  gatewayDetails,
+  chargePaymentStatus,
+  captureCardPayment,
+  refundCardPayment,
+  applyGatewayEvent
+};
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from '../../config/constants.js';
+import { runWithoutTenant } from '../../utils/tenantContext.js';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+import { recordRefundEntry } from '../ledger/ledger.service.js';
+
+/**
+ * Refund Schema - Money given back from a payment, one record per refund
+ * The payment keeps the refunded total in refund.refundedAmount
+ */
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'El ID del pago es requerido'],
+    index: true
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'El ID de la reservación es requerido']
+  },
+  refundNumber: {
+    type: String,
+    unique: true,
+    required: [true, 'El número de reembolso es requerido'],
+    uppercase: true
+  },
+  // In the payment currency
+  amount: {
+    type: Number,
+    required: [true, 'El monto del reembolso es requerido'],
+    min: [0.01, 'El monto del reembolso debe ser mayor a 0']
+  },
+  currency: {
+    type: String,
+    required: [true, 'La moneda es requerida'],
+    uppercase: true,
+    maxlength: [3, 'El código de moneda no puede exceder 3 caracteres']
+  },
+  // How the money went back (a card payment can be refunded in cash)
+  method: {
+    type: String,
+    enum: {
+      values: Object.values(PAYMENT_METHODS),
+      message: 'Método de reembolso inválido. Debe ser uno de: {VALUES}'
+    },
+    required: [true, 'El método de reembolso es requerido']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El motivo no puede exceder 500 caracteres']
+  },
+  // Refund at the payment gateway that charged the card
+  gateway: {
+    type: String,
+    trim: true
+  },
+  gatewayRefundId: {
+    type: String,
+    trim: true
+  },
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+refundSchema.plugin(baseSchemaPlugin);
+
+// Indexes
+refundSchema.index({ tenantId: 1, reservationId: 1, refundedAt: -1 });
+refundSchema.index({ tenantId: 1, refundedAt: -1 });
+
+// Remember new refunds so they are recorded in the ledger once
+refundSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Post-save middleware to record the refund in the ledger
+refundSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) {
+    await recordRefundEntry(doc, await mongoose.model('Payment').findById(doc.paymentId));
+  }
+});
+
+// Static method to generate unique refund number
+refundSchema.statics.generateRefundNumber = async function() {
+  let refundNumber;
+  let exists = true;
+
+  while (exists) {
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    refundNumber = `REF${Date.now()}${random}`;
+
+    // Numbers are unique across tenants, so look in all of them
+    exists = await runWithoutTenant(async () => this.findOne({ refundNumber }));
+  }
+
+  return refundNumber;
+};
+
+export default mongoose.model('Refund', refundSchema);
@@ -1,6 +1,7 @@
 import Property from './property.model.js';
 import Room from '../rooms/room.model.js';
 import { HTTP_STATUS } from '../../config/constants.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
 
 /**
  * Property Controller
@@ -273,8 +274,8 @@ export const getPropertyDashboard = async (req, res) => {
     const endOfDay = new Date(today.setHours(23, 59, 59, 999));
 
     // Get room statistics
-    const roomStats = await Room.aggregate([
-      { $match: { propertyId: property._id, tenantId: req.user.tenantId, isActive: true } },
+    const roomStats = await tenantAggregate(Room, req.user.tenantId, [
+      { $match: { propertyId: property._id, isActive: true } },
       {
         $group: {
           _id: '$status',
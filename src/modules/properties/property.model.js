@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import {
+  CANCELLATION_POLICIES,
+  CANCELLATION_PENALTY_TYPES,
+  CANCELLATION_POLICY_RULES,
+  DEPOSIT_POLICIES,
+  EARLY_DEPARTURE_POLICIES,
+  TAX_MODES
+} from '../../config/constants.js';
 import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
 
 /**
@@ -126,14 +134,133 @@ const propertySchema = new mongoose.Schema({
     },
     cancellationPolicy: {
       type: String,
-      enum: ['flexible', 'moderate', 'strict'],
-      default: 'moderate'
+      enum: Object.values(CANCELLATION_POLICIES),
+      default: CANCELLATION_POLICIES.MODERATE
+    },
+    // Rules used when cancellationPolicy is 'custom'
+    customCancellationPolicy: {
+      deadlineHours: {
+        type: Number,
+        min: [0, 'Cancellation deadline cannot be negative'],
+        default: 48
+      },
+      penaltyType: {
+        type: String,
+        enum: Object.values(CANCELLATION_PENALTY_TYPES),
+        default: CANCELLATION_PENALTY_TYPES.NIGHTS
+      },
+      penaltyValue: {
+        type: Number,
+        min: [0, 'Cancellation penalty cannot be negative'],
+        default: 1
+      }
     },
     advanceBookingDays: {
       type: Number,
       min: [0, 'Advance booking days cannot be negative'],
       max: [365, 'Advance booking days cannot exceed 365'],
       default: 365
+    },
+    // Deposit required on new reservations and when it falls due
+    depositPolicy: {
+      type: {
+        type: String,
+        enum: Object.values(DEPOSIT_POLICIES),
+        default: DEPOSIT_POLICIES.NONE
+      },
+      // Percent of the total ('percentage') or amount ('fixed'); unused otherwise
+      value: {
+        type: Number,
+        min: [0, 'Deposit policy value cannot be negative'],
+        default: 0
+      },
+      // Due this many days before arrival (0 means due at booking)
+      dueDaysBeforeArrival: {
+        type: Number,
+        min: [0, 'Deposit due days cannot be negative'],
+        max: [365, 'Deposit due days cannot exceed 365'],
+        default: 0
+      },
+      // Pending reservations cannot be confirmed until the deposit is paid
+      requiredToConfirm: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Pending reservations without a deposit are released after expireAfterHours
+    holdPolicy: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      expireAfterHours: {
+        type: Number,
+        min: [1, 'Hold must last at least 1 hour'],
+        max: [720, 'Hold cannot exceed 720 hours'],
+        default: 24
+      },
+      keepIfDepositPaid: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Arrivals still missing graceHours after checkInTime are marked as no-shows
+    noShowPolicy: {
+      autoProcess: {
+        type: Boolean,
+        default: true
+      },
+      graceHours: {
+        type: Number,
+        min: [0, 'No-show grace period cannot be negative'],
+        max: [48, 'No-show grace period cannot exceed 48 hours'],
+        default: 12
+      },
+      penaltyType: {
+        type: String,
+        enum: Object.values(CANCELLATION_PENALTY_TYPES),
+        default: CANCELLATION_PENALTY_TYPES.NIGHTS
+      },
+      penaltyValue: {
+        type: Number,
+        min: [0, 'No-show penalty cannot be negative'],
+        default: 1
+      }
+    },
+    // Charge for nights released when a checked-in guest leaves early
+    earlyDeparturePolicy: {
+      type: {
+        type: String,
+        enum: Object.values(EARLY_DEPARTURE_POLICIES),
+        default: EARLY_DEPARTURE_POLICIES.NONE
+      },
+      // Nights charged ('nights') or percent of the released nights charged ('percentage')
+      value: {
+        type: Number,
+        min: [0, 'Early departure policy value cannot be negative'],
+        default: 0
+      }
+    },
+    // Overrides of the tenant tax settings; null inherits them
+    taxes: {
+      mode: {
+        type: String,
+        enum: [...Object.values(TAX_MODES), null],
+        default: null
+      },
+      ivaRate: {
+        type: Number,
+        min: [0, 'IVA rate cannot be negative'],
+        max: [100, 'IVA rate cannot exceed 100'],
+        default: null
+      },
+      // State lodging tax (Impuesto Sobre Hospedaje) where the property is located
+      ishRate: {
+        type: Number,
+        min: [0, 'ISH rate cannot be negative'],
+        max: [100, 'ISH rate cannot exceed 100'],
+        default: null
+      }
     }
   }
 }, {
@@ -198,6 +325,18 @@ propertySchema.methods.canBookForDateRange = function(checkIn, checkOut) {
   return checkIn >= today && checkIn <= maxBookingDate && checkOut > checkIn;
 };
 
+// Instance method to get the cancellation rules in effect
+propertySchema.methods.getCancellationRules = function() {
+  const policy = this.settings?.cancellationPolicy || CANCELLATION_POLICIES.MODERATE;
+
+  if (policy === CANCELLATION_POLICIES.CUSTOM) {
+    const { deadlineHours, penaltyType, penaltyValue } = this.settings.customCancellationPolicy;
+    return { policy, deadlineHours, penaltyType, penaltyValue };
+  }
+
+  return { policy, ...CANCELLATION_POLICY_RULES[policy] };
+};
+
 // Static method to find properties by location
 propertySchema.statics.findByLocation = function(tenantId, city, state) {
   return this.find({
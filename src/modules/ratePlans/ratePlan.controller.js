@@ -0,0 +1,354 @@
+import RatePlan from './ratePlan.model.js';
+import Room from '../rooms/room.model.js';
+import RoomType from '../roomTypes/roomType.model.js';
+import Property from '../properties/property.model.js';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { quoteStay } from './ratePlan.service.js';
+
+/**
+ * Rate Plan Controller
+ * Handles CRUD operations for seasonal and date-based rate plans
+ */
+
+/**
+ * Get all rate plans for current tenant
+ * GET /api/rate-plans
+ */
+export const getAllRatePlans = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, propertyId, roomId, roomTypeId, roomType, activeOn } = req.query;
+
+    // Build query conditions
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (propertyId) conditions.propertyId = propertyId;
+    if (roomId) conditions.roomId = roomId;
+    if (roomTypeId) conditions.roomTypeId = roomTypeId;
+    if (roomType) conditions.roomType = roomType;
+
+    if (activeOn) {
+      conditions.$and = [
+        { $or: [{ 'dateRange.startDate': null }, { 'dateRange.startDate': { $lte: activeOn } }] },
+        { $or: [{ 'dateRange.endDate': null }, { 'dateRange.endDate': { $gte: activeOn } }] }
+      ];
+    }
+
+    // Execute query with pagination
+    const skip = (page - 1) * limit;
+    const [ratePlans, total] = await Promise.all([
+      RatePlan.find(conditions)
+        .populate('propertyId', 'name')
+        .populate('roomId', 'nameOrNumber type')
+        .populate('roomTypeId', 'name code')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ priority: -1, 'dateRange.startDate': 1 }),
+      RatePlan.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        ratePlans,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rate plans error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch rate plans'
+    });
+  }
+};
+
+/**
+ * Get rate plan by ID
+ * GET /api/rate-plans/:ratePlanId
+ */
+export const getRatePlanById = async (req, res) => {
+  try {
+    const { ratePlanId } = req.params;
+
+    const ratePlan = await RatePlan.findOne({
+      _id: ratePlanId,
+      tenantId: req.user.tenantId
+    })
+    .populate('propertyId', 'name')
+    .populate('roomId', 'nameOrNumber type')
+    .populate('roomTypeId', 'name code');
+
+    if (!ratePlan) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { ratePlan }
+    });
+
+  } catch (error) {
+    console.error('Get rate plan error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch rate plan'
+    });
+  }
+};
+
+/**
+ * Create new rate plan
+ * POST /api/rate-plans
+ */
+export const createRatePlan = async (req, res) => {
+  try {
+    const ratePlanData = {
+      ...req.body,
+      tenantId: req.user.tenantId
+    };
+
+    // Verify property exists and belongs to tenant
+    const property = await Property.findOne({
+      _id: ratePlanData.propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!property) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Verify room belongs to the same property when the plan is room specific
+    if (ratePlanData.roomId) {
+      const room = await Room.findOne({
+        _id: ratePlanData.roomId,
+        propertyId: ratePlanData.propertyId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+
+      if (!room) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Room not found in this property'
+        });
+      }
+    }
+
+    // Verify room type belongs to the same property when the plan is type specific
+    if (ratePlanData.roomTypeId) {
+      const roomType = await RoomType.findOne({
+        _id: ratePlanData.roomTypeId,
+        propertyId: ratePlanData.propertyId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+
+      if (!roomType) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Room type not found in this property'
+        });
+      }
+    }
+
+    const ratePlan = new RatePlan(ratePlanData);
+    const savedRatePlan = await ratePlan.save();
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Rate plan created successfully',
+      data: { ratePlan: savedRatePlan }
+    });
+
+  } catch (error) {
+    console.error('Create rate plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to create rate plan'
+    });
+  }
+};
+
+/**
+ * Update rate plan
+ * PUT /api/rate-plans/:ratePlanId
+ */
+export const updateRatePlan = async (req, res) => {
+  try {
+    const { ratePlanId } = req.params;
+    const updates = req.body;
+
+    // Remove fields that shouldn't be updated
+    delete updates.tenantId;
+    delete updates._id;
+
+    const ratePlan = await RatePlan.findOne({
+      _id: ratePlanId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!ratePlan) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    // Save through the document so pre-save validation runs
+    ratePlan.set(updates);
+    await ratePlan.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Rate plan updated successfully',
+      data: { ratePlan }
+    });
+
+  } catch (error) {
+    console.error('Update rate plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to update rate plan'
+    });
+  }
+};
+
+/**
+ * Delete rate plan (soft delete)
+ * DELETE /api/rate-plans/:ratePlanId
+ */
+export const deleteRatePlan = async (req, res) => {
+  try {
+    const { ratePlanId } = req.params;
+
+    const ratePlan = await RatePlan.findOne({
+      _id: ratePlanId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!ratePlan) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    await ratePlan.softDelete();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Rate plan deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rate plan error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete rate plan'
+    });
+  }
+};
+
+/**
+ * Quote a stay with the applicable rate plans, night by night
+ * POST /api/rate-plans/quote
+ */
+export const quoteRates = async (req, res) => {
+  try {
+    const { roomId, roomTypeId, checkInDate, checkOutDate, adults, children } = req.body;
+
+    let room = null;
+    let roomType = null;
+
+    if (roomId) {
+      room = await Room.findOne({
+        _id: roomId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+    } else {
+      roomType = await RoomType.findOne({
+        _id: roomTypeId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+    }
+
+    if (!room && !roomType) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: roomId ? 'Room not found' : 'Room type not found'
+      });
+    }
+
+    const quote = await quoteStay({
+      tenantId: req.user.tenantId,
+      room,
+      roomType,
+      checkInDate,
+      checkOutDate,
+      adults,
+      children
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        room: room && {
+          id: room._id,
+          nameOrNumber: room.nameOrNumber,
+          type: room.type
+        },
+        roomType: roomType && {
+          id: roomType._id,
+          name: roomType.name,
+          code: roomType.code
+        },
+        checkInDate,
+        checkOutDate,
+        quote
+      }
+    });
+
+  } catch (error) {
+    console.error('Quote rates error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to quote rates'
+    });
+  }
+};
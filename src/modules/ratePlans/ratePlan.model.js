@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import { ROOM_TYPES } from '../../config/constants.js';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+
+/**
+ * Rate Plan Schema - Represents nightly prices for a room or room type
+ * over a date range, with optional day-of-week overrides and priority
+ */
+const ratePlanSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rate plan name is required'],
+    trim: true,
+    maxlength: [100, 'Rate plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Scope: a specific room, a room type, a room category, or the whole property when all are empty
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  roomTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    default: null
+  },
+  roomType: {
+    type: String,
+    enum: {
+      values: [...Object.values(ROOM_TYPES), null],
+      message: 'Invalid room type. Must be one of: {VALUES}'
+    },
+    default: null
+  },
+  // Nightly price used when no day-of-week override matches
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  dayOfWeekPrices: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: true,
+      min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Price cannot be negative']
+    }
+  }],
+  // Nights covered by the plan (inclusive). Empty means always applicable
+  dateRange: {
+    startDate: {
+      type: Date
+    },
+    endDate: {
+      type: Date
+    }
+  },
+  priority: {
+    type: Number,
+    default: 0,
+    min: [0, 'Priority cannot be negative'],
+    max: [1000, 'Priority cannot exceed 1000']
+  },
+  // Nights sold at this rate are charged in full on cancellation
+  nonRefundable: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugins
+ratePlanSchema.plugin(baseSchemaPlugin);
+ratePlanSchema.plugin(softDeletePlugin);
+
+// Compound indexes for multi-tenant queries and performance
+ratePlanSchema.index({ tenantId: 1, propertyId: 1, isActive: 1, priority: -1 });
+ratePlanSchema.index({ tenantId: 1, roomId: 1 });
+ratePlanSchema.index({ tenantId: 1, roomTypeId: 1 });
+ratePlanSchema.index({ tenantId: 1, 'dateRange.startDate': 1, 'dateRange.endDate': 1 });
+
+// Pre-save middleware to validate price definition and date range
+ratePlanSchema.pre('save', function(next) {
+  if (this.price == null && (!this.dayOfWeekPrices || this.dayOfWeekPrices.length === 0)) {
+    return next(new Error('Rate plan must define a price or at least one day-of-week price'));
+  }
+
+  const { startDate, endDate } = this.dateRange || {};
+  if (startDate && endDate && startDate > endDate) {
+    return next(new Error('Rate plan end date must be on or after the start date'));
+  }
+
+  next();
+});
+
+// Virtual for scope level (higher is more specific)
+ratePlanSchema.virtual('specificity').get(function() {
+  if (this.roomId) return 3;
+  if (this.roomTypeId) return 2;
+  if (this.roomType) return 1;
+  return 0;
+});
+
+// Instance method to check if the plan covers a given night
+ratePlanSchema.methods.coversNight = function(night) {
+  const { startDate, endDate } = this.dateRange || {};
+  
+  // Normalize range to start of day (UTC, like nights) so the comparison is per night
+  if (startDate) {
+    const start = new Date(startDate);
+    start.setUTCHours(0, 0, 0, 0);
+    if (night < start) return false;
+  }
+  
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setUTCHours(0, 0, 0, 0);
+    if (night > end) return false;
+  }
+  
+  return this.getPriceForNight(night) !== null;
+};
+
+// Instance method to get the plan price for a given night (weekday of the UTC night)
+ratePlanSchema.methods.getPriceForNight = function(night) {
+  const override = (this.dayOfWeekPrices || []).find(entry => entry.day === night.getUTCDay());
+  if (override) return override.price;
+  return this.price ?? null;
+};
+
+// Static method to find plans that may apply to a rate scope in a date range
+// scope: { propertyId, roomId, roomTypeId, roomType }
+ratePlanSchema.statics.findApplicable = function(tenantId, scope, startDate, endDate) {
+  const scopeConditions = [
+    { roomId: null, roomTypeId: null, roomType: null }
+  ];
+  
+  if (scope.roomId) {
+    scopeConditions.push({ roomId: scope.roomId });
+  }
+  
+  if (scope.roomTypeId) {
+    scopeConditions.push({ roomId: null, roomTypeId: scope.roomTypeId });
+  }
+  
+  if (scope.roomType) {
+    scopeConditions.push({ roomId: null, roomTypeId: null, roomType: scope.roomType });
+  }
+  
+  return this.find({
+    tenantId,
+    propertyId: scope.propertyId,
+    isActive: true,
+    $and: [
+      { $or: scopeConditions },
+      {
+        $or: [
+          { 'dateRange.startDate': null },
+          { 'dateRange.startDate': { $lte: endDate } }
+        ]
+      },
+      {
+        $or: [
+          { 'dateRange.endDate': null },
+          { 'dateRange.endDate': { $gte: startDate } }
+        ]
+      }
+    ]
+  });
+};
+
+export default mongoose.model('RatePlan', ratePlanSchema);
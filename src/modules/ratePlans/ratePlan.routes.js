@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getAllRatePlans,
+  getRatePlanById,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan,
+  quoteRates
+} from './ratePlan.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard, setTenantId } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createRatePlanSchema,
+  updateRatePlanSchema,
+  ratePlanParamsSchema,
+  ratePlanQuerySchema,
+  rateQuoteSchema
+} from '../../schemas/ratePlan.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   POST /api/rate-plans/quote
+ * @desc    Quote a stay night by night using the applicable rate plans
+ * @access  Private
+ */
+router.post('/quote',
+  validate(rateQuoteSchema),
+  quoteRates
+);
+
+/**
+ * @route   GET /api/rate-plans
+ * @desc    Get all rate plans for current tenant
+ * @access  Private
+ */
+router.get('/',
+  validate(ratePlanQuerySchema, 'query'),
+  getAllRatePlans
+);
+
+/**
+ * @route   POST /api/rate-plans
+ * @desc    Create new rate plan
+ * @access  Private (requires canManageProperties permission)
+ */
+router.post('/',
+  requirePermission('canManageProperties'),
+  validate(createRatePlanSchema),
+  setTenantId,
+  createRatePlan
+);
+
+/**
+ * @route   GET /api/rate-plans/:ratePlanId
+ * @desc    Get rate plan by ID
+ * @access  Private
+ */
+router.get('/:ratePlanId',
+  validate(ratePlanParamsSchema, 'params'),
+  getRatePlanById
+);
+
+/**
+ * @route   PUT /api/rate-plans/:ratePlanId
+ * @desc    Update rate plan
+ * @access  Private (requires canManageProperties permission)
+ */
+router.put('/:ratePlanId',
+  requirePermission('canManageProperties'),
+  validate(ratePlanParamsSchema, 'params'),
+  validate(updateRatePlanSchema),
+  updateRatePlan
+);
+
+/**
+ * @route   DELETE /api/rate-plans/:ratePlanId
+ * @desc    Delete rate plan (soft delete)
+ * @access  Private (requires canManageProperties permission)
+ */
+router.delete('/:ratePlanId',
+  requirePermission('canManageProperties'),
+  validate(ratePlanParamsSchema, 'params'),
+  deleteRatePlan
+);
+
+export default router;
@@ -0,0 +1,217 @@
+import RatePlan from './ratePlan.model.js';
+
+/**
+ * Rate Plan Service
+ * Resolves nightly prices for a room or room type from its rate plans
+ */
+
+/**
+ * Normalize a date to the start of its day in UTC
+ * Nights are UTC days, so a date-only input ('2025-03-14') keeps its day and weekday
+ * whatever the server timezone
+ * @param {Date|String} date - Date to normalize
+ * @returns {Date} New date at 00:00:00.000 UTC
+ */
+export const normalizeDate = (date) => {
+  const normalized = new Date(date);
+  normalized.setUTCHours(0, 0, 0, 0);
+  return normalized;
+};
+
+/**
+ * Round a monetary amount to 2 decimals
+ * @param {Number} amount - Amount to round
+ * @returns {Number} Rounded amount
+ */
+export const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * List the nights of a stay (one date per night, check-out excluded)
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Array<Date>} Nights normalized to start of day (UTC)
+ */
+export const getStayNights = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const current = normalizeDate(checkInDate);
+  const end = normalizeDate(checkOutDate);
+
+  while (current < end) {
+    nights.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return nights;
+};
+
+/**
+ * Pick the plan that wins for a night
+ * Highest priority first, then the most specific scope (room > room type > category > property),
+ * then the most recently created plan
+ * @param {Array} ratePlans - Candidate rate plans
+ * @param {Date} night - Night to resolve
+ * @returns {Object|null} Winning rate plan
+ */
+export const selectRatePlanForNight = (ratePlans, night) => {
+  const candidates = ratePlans.filter(plan => plan.coversNight(night));
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => {
+    if (b.priority !== a.priority) return b.priority - a.priority;
+    if (b.specificity !== a.specificity) return b.specificity - a.specificity;
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  });
+
+  return candidates[0];
+};
+
+/**
+ * Calculate the per-night charge for guests above the room's base capacity
+ * Mirrors the extra guest logic in Room.calculatePrice
+ * @param {Object} room - Room or RoomType document, or plain object
+ * @param {Number} adults - Number of adults
+ * @param {Number} children - Number of children
+ * @returns {Number} Extra charge per night
+ */
+export const calculateExtraGuestCharge = (room, adults = 1, children = 0) => {
+  let charge = 0;
+
+  if (adults > room.capacity.adults) {
+    charge += (adults - room.capacity.adults) * (room.pricing.extraAdultPrice || 0);
+  }
+
+  if (children > (room.capacity.children || 0)) {
+    charge += (children - (room.capacity.children || 0)) * (room.pricing.extraChildPrice || 0);
+  }
+
+  return charge;
+};
+
+/**
+ * Build the rate plan scope for a room or a room type
+ * @param {Object} params - Scope parameters
+ * @param {Object} params.room - Room document or plain object (optional)
+ * @param {Object} params.roomType - RoomType document or plain object (optional)
+ * @returns {Object} { propertyId, roomId, roomTypeId, roomType }
+ */
+export const getRateScope = ({ room, roomType }) => {
+  if (room) {
+    return {
+      propertyId: room.propertyId,
+      roomId: room._id,
+      roomTypeId: room.roomTypeId || null,
+      roomType: room.type
+    };
+  }
+
+  return {
+    propertyId: roomType.propertyId,
+    roomId: null,
+    roomTypeId: roomType._id,
+    roomType: roomType.category
+  };
+};
+
+/**
+ * Resolve the base rate of every night in a stay
+ * Nights without an applicable rate plan fall back to the unit's pricing.basePrice
+ * @param {Object} params - Query parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Object} params.room - Room document or plain object (or pass roomType)
+ * @param {Object} params.roomType - RoomType document, for stays without an assigned room
+ * @param {Date} params.checkInDate - Check-in date
+ * @param {Date} params.checkOutDate - Check-out date
+ * @returns {Array} [{ date, rate, ratePlanId, ratePlanName, nonRefundable }]
+ */
+export const resolveNightlyRates = async ({ tenantId, room, roomType, checkInDate, checkOutDate }) => {
+  const nights = getStayNights(checkInDate, checkOutDate);
+  const unit = room || roomType;
+
+  if (nights.length === 0) return [];
+
+  const ratePlans = await RatePlan.findApplicable(
+    tenantId,
+    getRateScope({ room, roomType }),
+    nights[0],
+    normalizeDate(checkOutDate)
+  );
+
+  return nights.map(night => {
+    const ratePlan = selectRatePlanForNight(ratePlans, night);
+
+    if (!ratePlan) {
+      return {
+        date: night,
+        rate: unit.pricing.basePrice,
+        ratePlanId: null,
+        ratePlanName: null,
+        nonRefundable: false
+      };
+    }
+
+    return {
+      date: night,
+      rate: ratePlan.getPriceForNight(night),
+      ratePlanId: ratePlan._id,
+      ratePlanName: ratePlan.name,
+      nonRefundable: ratePlan.nonRefundable
+    };
+  });
+};
+
+/**
+ * Quote a stay night by night, including extra guest charges
+ * @param {Object} params - Quote parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Object} params.room - Room document or plain object (or pass roomType)
+ * @param {Object} params.roomType - RoomType document, for stays without an assigned room
+ * @param {Date} params.checkInDate - Check-in date
+ * @param {Date} params.checkOutDate - Check-out date
+ * @param {Number} params.adults - Number of adults
+ * @param {Number} params.children - Number of children
+ * @returns {Object} { nights, nightsCount, subtotal, averageRate, currency }
+ */
+export const quoteStay = async ({
+  tenantId,
+  room,
+  roomType,
+  checkInDate,
+  checkOutDate,
+  adults = 1,
+  children = 0
+}) => {
+  const unit = room || roomType;
+  const nightlyRates = await resolveNightlyRates({ tenantId, room, roomType, checkInDate, checkOutDate });
+  const extraGuestCharge = calculateExtraGuestCharge(unit, adults, children);
+
+  const nights = nightlyRates.map(night => ({
+    ...night,
+    extraGuestCharge,
+    total: roundCurrency(night.rate + extraGuestCharge)
+  }));
+
+  const subtotal = roundCurrency(nights.reduce((sum, night) => sum + night.total, 0));
+  const averageRate = nights.length > 0
+    ? roundCurrency(nights.reduce((sum, night) => sum + night.rate, 0) / nights.length)
+    : unit.pricing.basePrice;
+
+  return {
+    nights,
+    nightsCount: nights.length,
+    subtotal,
+    averageRate,
+    currency: unit.pricing.currency
+  };
+};
+
+export default {
+  normalizeDate,
+  roundCurrency,
+  getStayNights,
+  selectRatePlanForNight,
+  calculateExtraGuestCharge,
+  getRateScope,
+  resolveNightlyRates,
+  quoteStay
+};
@@ -1,17 +1,94 @@
+import mongoose from 'mongoose';
 import Reservation from '../reservations/reservation.model.js';
-import Payment from '../payments/payment.model.js';
 import Room from '../rooms/room.model.js';
 import Guest from '../guests/guest.model.js';
 import Property from '../properties/property.model.js';
-import { HTTP_STATUS, RESERVATION_STATUS, PAYMENT_STATUS } from '../../config/constants.js';
+import Folio from '../folios/folio.model.js';
+import LedgerEntry from '../ledger/ledgerEntry.model.js';
+import {
+  HTTP_STATUS,
+  RESERVATION_STATUS,
+  FOLIO_LINE_STATUS,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
+import {
+  getReportingCurrency,
+  createCurrencyConverter,
+  mergeConvertedGroups
+} from '../exchangeRates/exchangeRate.service.js';
 
 /**
  * Report Controller
  * Provides analytics and reporting endpoints
+ * Amounts are reported in the tenant currency (settings.currency), each one
+ * converted at the rate of its own date
  */
 
 /**
- * Get revenue report
+ * Aggregation expression for the UTC day of a date field (YYYY-MM-DD), the day
+ * exchange rates are dated by
+ * @param {String} field - Date field path (e.g. '$paymentDate')
+ * @returns {Object} $dateToString expression
+ */
+const dayOf = (field) => ({
+  $dateToString: { format: '%Y-%m-%d', date: field }
+});
+
+/**
+ * Aggregation stages for the receipts in the ledger: one document per payment,
+ * refund or reversal with what it added to the money collected (received) and
+ * to the number of payments (paymentCount)
+ * @param {Object} match - Entry conditions (date, propertyId...)
+ * @returns {Array} Aggregation stages
+ */
+const receiptStages = (match) => [
+  { $match: { ...match, 'source.model': { $in: ['Payment', 'Refund'] } } },
+  { $unwind: '$lines' },
+  { $match: { 'lines.account': LEDGER_ACCOUNTS.RECEIVABLE } },
+  {
+    $addFields: {
+      received: { $subtract: ['$lines.credit', '$lines.debit'] },
+      paymentCount: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$type', LEDGER_ENTRY_TYPES.PAYMENT] }, then: 1 },
+            { case: { $eq: ['$reverses.type', LEDGER_ENTRY_TYPES.PAYMENT] }, then: -1 }
+          ],
+          default: 0
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Aggregation stages for the charges in the ledger (folio entries), with what each
+ * added to what guests owe (charged)
+ * @param {Object} match - Entry conditions (date, propertyId...)
+ * @returns {Array} Aggregation stages
+ */
+const chargeStages = (match) => [
+  { $match: { ...match, 'source.model': 'Folio' } },
+  { $unwind: '$lines' },
+  { $match: { 'lines.account': LEDGER_ACCOUNTS.RECEIVABLE } },
+  { $addFields: { charged: { $subtract: ['$lines.debit', '$lines.credit'] } } }
+];
+
+/**
+ * Create the converter into the tenant reporting currency
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object} Currency converter
+ */
+const createReportConverter = async (tenantId) => createCurrencyConverter({
+  tenantId,
+  to: await getReportingCurrency(tenantId)
+});
+
+/**
+ * Get revenue report (money collected, net of refunds, from the ledger)
  * GET /api/reports/revenue
  */
 export const getRevenueReport = async (req, res) => {
@@ -21,22 +98,13 @@ export const getRevenueReport = async (req, res) => {
     const start = startDate ? new Date(startDate) : new Date(new Date().setDate(new Date().getDate() - 30));
     const end = endDate ? new Date(endDate) : new Date();
     
-    // Build match conditions
+    // Build match conditions (the tenant is matched by tenantAggregate)
     const matchConditions = {
-      tenantId: req.user.tenantId,
-      status: PAYMENT_STATUS.PAID,
-      isActive: true,
-      paymentDate: { $gte: start, $lte: end }
+      date: { $gte: start, $lte: end }
     };
     
     if (propertyId) {
-      // Get reservations for this property
-      const reservations = await Reservation.find({ 
-        propertyId, 
-        tenantId: req.user.tenantId 
-      }).select('_id');
-      
-      matchConditions.reservationId = { $in: reservations.map(r => r._id) };
+      matchConditions.propertyId = new mongoose.Types.ObjectId(propertyId);
     }
     
     // Determine grouping based on period
@@ -44,89 +112,110 @@ export const getRevenueReport = async (req, res) => {
     switch (period) {
       case 'daily':
         groupBy = {
-          year: { $year: '$paymentDate' },
-          month: { $month: '$paymentDate' },
-          day: { $dayOfMonth: '$paymentDate' }
+          year: { $year: '$date' },
+          month: { $month: '$date' },
+          day: { $dayOfMonth: '$date' }
         };
         break;
       case 'weekly':
         groupBy = {
-          year: { $year: '$paymentDate' },
-          week: { $week: '$paymentDate' }
+          year: { $year: '$date' },
+          week: { $week: '$date' }
         };
         break;
       case 'monthly':
         groupBy = {
-          year: { $year: '$paymentDate' },
-          month: { $month: '$paymentDate' }
+          year: { $year: '$date' },
+          month: { $month: '$date' }
         };
         break;
       default:
         groupBy = {
-          year: { $year: '$paymentDate' },
-          month: { $month: '$paymentDate' },
-          day: { $dayOfMonth: '$paymentDate' }
+          year: { $year: '$date' },
+          month: { $month: '$date' },
+          day: { $dayOfMonth: '$date' }
         };
     }
     
-    const revenueData = await Payment.aggregate([
-      { $match: matchConditions },
+    const converter = await createReportConverter(req.user.tenantId);
+    
+    // Sums per period, currency and day, merged once converted
+    const revenueGroups = await tenantAggregate(LedgerEntry, req.user.tenantId, [
+      ...receiptStages(matchConditions),
       {
         $group: {
-          _id: groupBy,
-          totalRevenue: { $sum: '$amount' },
-          totalPayments: { $sum: 1 },
-          avgPayment: { $avg: '$amount' },
+          _id: { key: groupBy, currency: '$currency', date: dayOf('$date') },
+          totalRevenue: { $sum: '$received' },
+          totalPayments: { $sum: '$paymentCount' },
           methods: {
             $push: {
               method: '$method',
-              amount: '$amount'
+              amount: '$received'
             }
           }
         }
       },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+      { $sort: { '_id.key.year': 1, '_id.key.month': 1, '_id.key.week': 1, '_id.key.day': 1 } }
     ]);
     
+    const revenueData = (await mergeConvertedGroups(revenueGroups, converter, {
+      amounts: ['totalRevenue'],
+      counts: ['totalPayments'],
+      lists: ['methods']
+    })).map(entry => ({
+      ...entry,
+      avgPayment: entry.totalPayments > 0 ? roundCurrency(entry.totalRevenue / entry.totalPayments) : 0
+    }));
+    
     // Calculate totals
-    const totals = await Payment.aggregate([
-      { $match: matchConditions },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$amount' },
-          totalPayments: { $sum: 1 },
-          avgPayment: { $avg: '$amount' }
-        }
-      }
-    ]);
+    const totals = revenueData.reduce((sum, entry) => ({
+      totalRevenue: roundCurrency(sum.totalRevenue + entry.totalRevenue),
+      totalPayments: sum.totalPayments + entry.totalPayments
+    }), { totalRevenue: 0, totalPayments: 0 });
+    totals.avgPayment = totals.totalPayments > 0
+      ? roundCurrency(totals.totalRevenue / totals.totalPayments)
+      : 0;
     
     // Group by payment method
-    const methodBreakdown = await Payment.aggregate([
-      { $match: matchConditions },
+    const methodGroups = await tenantAggregate(LedgerEntry, req.user.tenantId, [
+      ...receiptStages(matchConditions),
       {
         $group: {
-          _id: '$method',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
+          _id: { key: '$method', currency: '$currency', date: dayOf('$date') },
+          total: { $sum: '$received' },
+          count: { $sum: '$paymentCount' }
         }
       }
     ]);
     
+    const methodBreakdown = await mergeConvertedGroups(methodGroups, converter, {
+      amounts: ['total'],
+      counts: ['count']
+    });
+    
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: {
         period,
         startDate: start,
         endDate: end,
+        currency: converter.currency,
         revenueData,
-        totals: totals[0] || { totalRevenue: 0, totalPayments: 0, avgPayment: 0 },
+        totals,
         methodBreakdown
       }
     });
     
   } catch (error) {
     console.error('Revenue report error:', error);
+    
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to generate revenue report'
@@ -270,18 +359,18 @@ export const getGuestReport = async (req, res) => {
       .select('firstName lastName email totalStays totalSpent vipStatus');
     
     // Nationality distribution
-    const nationalityStats = await Guest.aggregate([
-      { $match: { tenantId: req.user.tenantId, isActive: true } },
+    const nationalityStats = await tenantAggregate(Guest, req.user.tenantId, [
+      { $match: { isActive: true } },
       { $group: { _id: '$nationality', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 }
     ]);
     
-    // Guest activity (reservations by guest)
-    const guestActivity = await Reservation.aggregate([
+    // Guest activity (reservations by guest, and what their reservations were charged)
+    const converter = await createReportConverter(req.user.tenantId);
+    const activity = await tenantAggregate(Reservation, req.user.tenantId, [
       {
         $match: {
-          tenantId: req.user.tenantId,
           isActive: true,
           'dates.checkInDate': { $gte: start, $lte: end }
         }
@@ -290,18 +379,38 @@ export const getGuestReport = async (req, res) => {
         $group: {
           _id: '$guestId',
           reservations: { $sum: 1 },
-          totalSpent: { $sum: '$pricing.totalPrice' }
+          reservationIds: { $push: '$_id' }
         }
       },
       { $sort: { reservations: -1 } },
       { $limit: 10 }
     ]);
     
+    const spendGroups = await tenantAggregate(LedgerEntry, req.user.tenantId, [
+      ...chargeStages({
+        reservationId: { $in: activity.flatMap(guest => guest.reservationIds) }
+      }),
+      {
+        $group: {
+          _id: { key: '$guestId', currency: '$currency', date: dayOf('$date') },
+          totalSpent: { $sum: '$charged' }
+        }
+      }
+    ]);
+    
+    const spend = await mergeConvertedGroups(spendGroups, converter, { amounts: ['totalSpent'] });
+    const guestActivity = activity.map(guest => ({
+      _id: guest._id,
+      reservations: guest.reservations,
+      totalSpent: spend.find(entry => String(entry._id) === String(guest._id))?.totalSpent || 0
+    }));
+    
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: {
         startDate: start,
         endDate: end,
+        currency: converter.currency,
         totalGuests,
         newGuests,
         vipGuests,
@@ -313,6 +422,14 @@ export const getGuestReport = async (req, res) => {
     
   } catch (error) {
     console.error('Guest report error:', error);
+    
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to generate guest report'
@@ -332,29 +449,37 @@ export const getReservationReport = async (req, res) => {
     const end = endDate ? new Date(endDate) : new Date();
     
     const matchConditions = {
-      tenantId: req.user.tenantId,
       isActive: true,
       'dates.checkInDate': { $gte: start, $lte: end }
     };
     
     if (propertyId) {
-      matchConditions.propertyId = propertyId;
+      matchConditions.propertyId = new mongoose.Types.ObjectId(propertyId);
     }
     
+    const converter = await createReportConverter(req.user.tenantId);
+    
     // Status breakdown
-    const statusBreakdown = await Reservation.aggregate([
+    const statusGroups = await tenantAggregate(Reservation, req.user.tenantId, [
       { $match: matchConditions },
       {
         $group: {
-          _id: '$status',
+          _id: { key: '$status', currency: '$pricing.currency', date: dayOf('$dates.checkInDate') },
           count: { $sum: 1 },
-          totalRevenue: { $sum: '$pricing.totalPrice' }
+          totalRevenue: { $sum: '$pricing.totalPrice' },
+          netStayRevenue: { $sum: '$pricing.subtotal' },
+          stayTaxes: { $sum: '$pricing.taxes' }
         }
       }
     ]);
     
+    const statusBreakdown = await mergeConvertedGroups(statusGroups, converter, {
+      amounts: ['totalRevenue', 'netStayRevenue', 'stayTaxes'],
+      counts: ['count']
+    });
+    
     // Source breakdown
-    const sourceBreakdown = await Reservation.aggregate([
+    const sourceBreakdown = await tenantAggregate(Reservation, req.user.tenantId, [
       { $match: matchConditions },
       {
         $group: {
@@ -365,7 +490,7 @@ export const getReservationReport = async (req, res) => {
     ]);
     
     // Average stay duration
-    const avgStayData = await Reservation.aggregate([
+    const avgStayData = await tenantAggregate(Reservation, req.user.tenantId, [
       { $match: matchConditions },
       {
         $group: {
@@ -377,33 +502,41 @@ export const getReservationReport = async (req, res) => {
     ]);
     
     // Reservations by property
-    const byProperty = await Reservation.aggregate([
+    const propertyGroups = await tenantAggregate(Reservation, req.user.tenantId, [
       { $match: { ...matchConditions, propertyId: { $exists: true } } },
       {
         $lookup: {
           from: 'properties',
           localField: 'propertyId',
           foreignField: '_id',
+          pipeline: [{ $match: { tenantId: req.user.tenantId } }],
           as: 'property'
         }
       },
       { $unwind: '$property' },
       {
         $group: {
-          _id: '$propertyId',
+          _id: { key: '$propertyId', currency: '$pricing.currency', date: dayOf('$dates.checkInDate') },
           propertyName: { $first: '$property.name' },
           count: { $sum: 1 },
-          revenue: { $sum: '$pricing.totalPrice' }
+          revenue: { $sum: '$pricing.totalPrice' },
+          netStayRevenue: { $sum: '$pricing.subtotal' },
+          stayTaxes: { $sum: '$pricing.taxes' }
         }
-      },
-      { $sort: { count: -1 } }
+      }
     ]);
     
+    const byProperty = (await mergeConvertedGroups(propertyGroups, converter, {
+      amounts: ['revenue', 'netStayRevenue', 'stayTaxes'],
+      counts: ['count']
+    })).sort((a, b) => b.count - a.count);
+    
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: {
         startDate: start,
         endDate: end,
+        currency: converter.currency,
         statusBreakdown,
         sourceBreakdown,
         avgStay: avgStayData[0] || { avgNights: 0, totalReservations: 0 },
@@ -413,6 +546,14 @@ export const getReservationReport = async (req, res) => {
     
   } catch (error) {
     console.error('Reservation report error:', error);
+    
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to generate reservation report'
@@ -420,6 +561,127 @@ export const getReservationReport = async (req, res) => {
   }
 };
 
+/**
+ * Get tax report
+ * Net revenue and taxes (IVA, ISH) of the folio charges dated in the period
+ * GET /api/reports/taxes
+ */
+export const getTaxReport = async (req, res) => {
+  try {
+    const { startDate, endDate, propertyId } = req.query;
+    
+    const start = startDate ? new Date(startDate) : new Date(new Date().setDate(new Date().getDate() - 30));
+    const end = endDate ? new Date(endDate) : new Date();
+    
+    const matchConditions = {
+      isActive: true
+    };
+    
+    if (propertyId) {
+      matchConditions.propertyId = new mongoose.Types.ObjectId(propertyId);
+    }
+    
+    const converter = await createReportConverter(req.user.tenantId);
+    
+    // One document per posted line in the period, with the currency of its reservation
+    const postedLines = [
+      { $match: matchConditions },
+      {
+        $lookup: {
+          from: 'reservations',
+          localField: 'reservationId',
+          foreignField: '_id',
+          pipeline: [
+            { $match: { tenantId: req.user.tenantId } },
+            { $project: { 'pricing.currency': 1 } }
+          ],
+          as: 'reservation'
+        }
+      },
+      { $unwind: '$reservation' },
+      { $unwind: '$lines' },
+      {
+        $match: {
+          'lines.status': FOLIO_LINE_STATUS.POSTED,
+          'lines.date': { $gte: start, $lte: end }
+        }
+      }
+    ];
+    
+    // Net revenue and taxes by charge category
+    const categoryGroups = await tenantAggregate(Folio, req.user.tenantId, [
+      ...postedLines,
+      {
+        $group: {
+          _id: { key: '$lines.category', currency: '$reservation.pricing.currency', date: dayOf('$lines.date') },
+          netRevenue: { $sum: '$lines.amount' },
+          taxes: { $sum: '$lines.taxAmount' },
+          total: { $sum: '$lines.total' }
+        }
+      }
+    ]);
+    
+    const byCategory = (await mergeConvertedGroups(categoryGroups, converter, {
+      amounts: ['netRevenue', 'taxes', 'total']
+    })).sort((a, b) => b.total - a.total);
+    
+    // Taxes by tax and rate, with the net amount they were charged on
+    const taxGroups = await tenantAggregate(Folio, req.user.tenantId, [
+      ...postedLines,
+      { $unwind: '$lines.taxes' },
+      {
+        $group: {
+          _id: {
+            key: { type: '$lines.taxes.type', rate: '$lines.taxes.rate' },
+            currency: '$reservation.pricing.currency',
+            date: dayOf('$lines.date')
+          },
+          base: { $sum: '$lines.amount' },
+          amount: { $sum: '$lines.taxes.amount' }
+        }
+      },
+      { $sort: { '_id.key.type': 1, '_id.key.rate': 1 } }
+    ]);
+    
+    const byTax = await mergeConvertedGroups(taxGroups, converter, {
+      amounts: ['base', 'amount']
+    });
+    
+    const totals = byCategory.reduce((sum, category) => ({
+      netRevenue: roundCurrency(sum.netRevenue + category.netRevenue),
+      taxes: roundCurrency(sum.taxes + category.taxes),
+      total: roundCurrency(sum.total + category.total)
+    }), { netRevenue: 0, taxes: 0, total: 0 });
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        startDate: start,
+        endDate: end,
+        currency: converter.currency,
+        totals,
+        byCategory,
+        byTax
+      }
+    });
+    
+  } catch (error) {
+    console.error('Tax report error:', error);
+    
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to generate tax report'
+    });
+  }
+};
+
 /**
  * Get dashboard summary
  * GET /api/reports/dashboard
@@ -461,23 +723,23 @@ export const getDashboardSummary = async (req, res) => {
     const occupancyRate = totalRooms > 0 ? (occupiedRooms / totalRooms) * 100 : 0;
     
     // Monthly revenue
-    const monthlyRevenue = await Payment.aggregate([
-      {
-        $match: {
-          tenantId: req.user.tenantId,
-          status: PAYMENT_STATUS.PAID,
-          isActive: true,
-          paymentDate: { $gte: firstDayOfMonth, $lte: endOfToday }
-        }
-      },
+    const converter = await createReportConverter(req.user.tenantId);
+    const monthlyGroups = await tenantAggregate(LedgerEntry, req.user.tenantId, [
+      ...receiptStages({
+        date: { $gte: firstDayOfMonth, $lte: endOfToday }
+      }),
       {
         $group: {
-          _id: null,
-          total: { $sum: '$amount' }
+          _id: { currency: '$currency', date: dayOf('$date') },
+          total: { $sum: '$received' }
         }
       }
     ]);
     
+    const monthlyRevenue = await mergeConvertedGroups(monthlyGroups, converter, {
+      amounts: ['total']
+    });
+    
     // Pending reservations
     const pendingReservations = await Reservation.countDocuments({
       tenantId: req.user.tenantId,
@@ -502,6 +764,7 @@ export const getDashboardSummary = async (req, res) => {
         availableRooms: totalRooms - occupiedRooms,
         occupancyRate: parseFloat(occupancyRate.toFixed(2)),
         monthlyRevenue: monthlyRevenue[0]?.total || 0,
+        currency: converter.currency,
         pendingReservations,
         activeGuests
       }
@@ -509,6 +772,14 @@ export const getDashboardSummary = async (req, res) => {
     
   } catch (error) {
     console.error('Dashboard summary error:', error);
+    
+    if (error.name === 'ExchangeRateError') {
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to generate dashboard summary'
@@ -4,6 +4,7 @@ import {
   getOccupancyReport,
   getGuestReport,
   getReservationReport,
+  getTaxReport,
   getDashboardSummary
 } from './report.controller.js';
 import { authenticate } from '../../middlewares/auth.js';
@@ -47,6 +48,14 @@ router.get('/guests', getGuestReport);
  */
 router.get('/reservations', getReservationReport);
 
+/**
+ * @route   GET /api/reports/taxes
+ * @desc    Get net revenue and taxes (IVA, ISH) of folio charges
+ * @access  Private
+ * @query   startDate, endDate, propertyId
+ */
+router.get('/taxes', getTaxReport);
+
 /**
  * @route   GET /api/reports/dashboard
  * @desc    Get dashboard summary with key metrics
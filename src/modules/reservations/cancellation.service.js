@@ -0,0 +1,303 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import Payment from '../payments/payment.model.js';
+import {
+  CANCELLATION_PENALTY_TYPES,
+  PAYMENT_METHODS,
+  REFUNDABLE_PAYMENT_STATUSES,
+  RESERVATION_STATUS
+} from '../../config/constants.js';
+import { normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getReservationPaid } from '../ledger/ledger.service.js';
+import { refundCardPayment } from '../payments/payment.service.js';
+import { withTransaction } from '../../utils/transaction.js';
+
+/**
+ * Cancellation Service
+ * Applies the property cancellation policy to reservations being cancelled
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add up the totals of a list of nights
+ * @param {Array} nights - Nightly breakdown entries
+ * @returns {Number} Sum of night totals
+ */
+const sumNights = (nights) => nights.reduce((sum, night) => sum + night.total, 0);
+
+/**
+ * Get the nights of a reservation with their price
+ * Reservations priced before nightly breakdowns existed get one entry per night at roomRate
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} [{ date, total, nonRefundable }]
+ */
+export const getPricedNights = (reservation) => {
+  if (reservation.pricing.nightlyBreakdown?.length > 0) {
+    return reservation.pricing.nightlyBreakdown;
+  }
+
+  const checkIn = normalizeDate(reservation.dates.checkInDate);
+  return Array.from({ length: reservation.pricing.nights }, (_, index) => ({
+    date: new Date(checkIn.getTime() + index * DAY_MS),
+    total: reservation.pricing.roomRate,
+    nonRefundable: false
+  }));
+};
+
+/**
+ * Get the last moment a reservation can be cancelled without penalty
+ * Counted back from the property's check-in time, in the property's timezone
+ * @param {Object} params - Deadline parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @param {Number} params.deadlineHours - Hours before check-in
+ * @returns {Date} Deadline
+ */
+export const getCancellationDeadline = ({ reservation, property, deadlineHours }) => {
+  const checkInDay = moment.utc(normalizeDate(reservation.dates.checkInDate)).format('YYYY-MM-DD');
+
+  return moment.tz(`${checkInDay} ${property.checkInTime}`, 'YYYY-MM-DD HH:mm', property.timezone)
+    .subtract(deadlineHours, 'hours')
+    .toDate();
+};
+
+/**
+ * Calculate the penalty and refund of cancelling a reservation now
+ * Nights already stayed and nights sold at a non-refundable rate are always charged;
+ * cancelling after the deadline adds the policy penalty on the remaining nights.
+ * Folio incidentals (minibar, restaurant...) are owed on top and never refunded
+ * @param {Object} params - Calculation parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @param {Date} params.cancelledAt - Cancellation time (defaults to now)
+ * @returns {Object} { policy, rules, deadline, lateCancellation, nonRefundableAmount,
+ *   policyPenalty, penaltyAmount, incidentals, totalPaid, refundDue, balanceDue }
+ */
+export const calculateCancellationCharges = ({ reservation, property, cancelledAt = new Date() }) => {
+  const rules = property.getCancellationRules();
+  const deadline = getCancellationDeadline({
+    reservation,
+    property,
+    deadlineHours: rules.deadlineHours
+  });
+  const lateCancellation = cancelledAt > deadline;
+  const today = normalizeDate(cancelledAt);
+
+  const nights = getPricedNights(reservation);
+  const chargedNights = nights.filter(night => night.nonRefundable || normalizeDate(night.date) < today);
+  const refundableNights = nights.filter(night => !chargedNights.includes(night));
+
+  let policyPenalty = 0;
+
+  if (lateCancellation) {
+    policyPenalty = rules.penaltyType === CANCELLATION_PENALTY_TYPES.NIGHTS
+      ? sumNights(refundableNights.slice(0, Math.floor(rules.penaltyValue)))
+      : sumNights(refundableNights) * Math.min(rules.penaltyValue, 100) / 100;
+  }
+
+  const incidentals = reservation.pricing.incidentals || 0;
+  const nonRefundableAmount = roundCurrency(sumNights(chargedNights));
+  const penaltyAmount = roundCurrency(Math.min(
+    nonRefundableAmount + policyPenalty,
+    reservation.pricing.totalPrice - incidentals
+  ));
+  const totalPaid = reservation.paymentSummary.totalPaid;
+  const amountDue = penaltyAmount + incidentals;
+
+  return {
+    policy: rules.policy,
+    rules,
+    deadline,
+    lateCancellation,
+    nonRefundableAmount,
+    policyPenalty: roundCurrency(policyPenalty),
+    penaltyAmount,
+    incidentals,
+    totalPaid,
+    refundDue: roundCurrency(Math.max(totalPaid - amountDue, 0)),
+    balanceDue: roundCurrency(Math.max(amountDue - totalPaid, 0))
+  };
+};
+
+/**
+ * Refund an amount against the paid payments of a reservation, newest first, at the
+ * gateways that charged them
+ * Only the gateway side runs here, outside any transaction: the refunds are recorded
+ * afterwards with recordReservationRefunds. If a gateway fails half way, the refunds it
+ * already sent are recorded before the error is thrown
+ * @param {Object} params - Refund parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Number} params.amount - Amount to refund
+ * @param {String} params.reason - Refund reason
+ * @param {String} params.userId - User issuing the refund
+ * @returns {Array} [{ payment, amount, gatewayRefund }] (gatewayRefund null for payments
+ *   not charged through a gateway)
+ */
+export const refundReservationPayments = async ({ reservation, amount, reason, userId }) => {
+  const issued = [];
+  let remaining = roundCurrency(amount);
+
+  if (remaining <= 0) return issued;
+
+  const payments = await Payment.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    status: { $in: REFUNDABLE_PAYMENT_STATUSES },
+    isActive: true
+  }).sort({ paymentDate: -1 });
+
+  try {
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+
+      const available = roundCurrency(payment.amount - payment.refund.refundedAmount);
+      if (available <= 0) continue;
+
+      const refundAmount = Math.min(available, remaining);
+      const gatewayRefund = await refundCardPayment(payment, refundAmount);
+
+      issued.push({ payment, amount: refundAmount, gatewayRefund });
+      remaining = roundCurrency(remaining - refundAmount);
+    }
+  } catch (error) {
+    await keepGatewayRefunds({ refunds: issued, reason, userId });
+    throw error;
+  }
+
+  return issued;
+};
+
+/**
+ * Record refunds issued by refundReservationPayments
+ * Meant to run inside a transaction; each payment is reloaded so a retried transaction
+ * refunds it once
+ * @param {Object} params - Refund parameters
+ * @param {Array} params.refunds - [{ payment, amount, gatewayRefund }]
+ * @param {String} params.reason - Refund reason
+ * @param {String} params.userId - User issuing the refund
+ * @returns {Array} [{ paymentId, refundId, amount }]
+ */
+export const recordReservationRefunds = async ({ refunds, reason, userId }) => {
+  const recorded = [];
+
+  for (const { payment, amount, gatewayRefund } of refunds) {
+    const current = await Payment.findOne({ _id: payment._id, tenantId: payment.tenantId });
+    const refund = await current.processRefund(amount, reason, userId, {
+      ...(gatewayRefund && { method: PAYMENT_METHODS.CARD }),
+      gatewayRefund
+    });
+
+    recorded.push({ paymentId: payment._id, refundId: refund._id, amount });
+  }
+
+  return recorded;
+};
+
+/**
+ * Record the refunds that already went out at a gateway when the step they belonged to
+ * failed, each in its own transaction, so the books match the cards. The reservation
+ * then shows less paid, and cancelling it again does not refund that money twice
+ * @param {Object} params - Refund parameters
+ * @param {Array} params.refunds - [{ payment, amount, gatewayRefund }]
+ * @param {String} params.reason - Refund reason
+ * @param {String} params.userId - User issuing the refund
+ */
+const keepGatewayRefunds = async ({ refunds, reason, userId }) => {
+  for (const refund of refunds.filter(({ gatewayRefund }) => gatewayRefund)) {
+    try {
+      await withTransaction(() => recordReservationRefunds({ refunds: [refund], reason, userId }));
+    } catch (error) {
+      console.error(`⚠️ Gateway refund ${refund.gatewayRefund.refundId} of payment ${refund.payment.transactionId} was not recorded`);
+    }
+  }
+};
+
+/**
+ * Cancel a reservation applying the property cancellation policy
+ * Refunds what was paid over the penalty and records both on the reservation. Gateway
+ * refunds go out first; then, in one transaction, the refunds are recorded and the
+ * reservation is reloaded and cancelled. If that fails, the gateway refunds are still
+ * recorded on their own and the reservation stays as it was
+ * @param {Object} params - Cancellation parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @param {String} params.userId - User cancelling
+ * @param {String} params.reason - Cancellation reason
+ * @param {Boolean} params.waivePenalty - Refund everything regardless of the policy
+ * @returns {Object} { reservation (reloaded, cancelled), charges, refunds }
+ */
+export const cancelReservationWithPolicy = async ({
+  reservation,
+  property,
+  userId,
+  reason,
+  waivePenalty = false
+}) => {
+  if ([RESERVATION_STATUS.CHECKED_OUT, RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW].includes(reservation.status)) {
+    throw new Error('Cannot cancel: reservation is already completed or cancelled');
+  }
+
+  const charges = calculateCancellationCharges({ reservation, property });
+  const penaltyAmount = waivePenalty ? 0 : charges.penaltyAmount;
+  const amountDue = penaltyAmount + charges.incidentals;
+  const refundDue = roundCurrency(Math.max(charges.totalPaid - amountDue, 0));
+  const refundReason = `Cancelación ${reservation.confirmationNumber}: ${reason}`;
+
+  const issued = await refundReservationPayments({
+    reservation,
+    amount: refundDue,
+    reason: refundReason,
+    userId
+  });
+
+  let result;
+  try {
+    result = await withTransaction(async () => {
+      const refunds = await recordReservationRefunds({ refunds: issued, reason: refundReason, userId });
+      const refundAmount = roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+      // Reloaded after the refunds, which update its payment summary
+      const cancelled = await mongoose.model('Reservation').findOne({
+        _id: reservation._id,
+        tenantId: reservation.tenantId
+      });
+
+      // Refunds were recorded in the ledger; what is left paid comes from there
+      cancelled.paymentSummary.totalPaid = (await getReservationPaid(cancelled)).totalPaid;
+
+      await cancelled.cancel(userId, reason, refundAmount, {
+        policy: charges.policy,
+        deadline: charges.deadline,
+        penaltyAmount,
+        refunds
+      });
+
+      return { reservation: cancelled, refunds };
+    });
+  } catch (error) {
+    await keepGatewayRefunds({ refunds: issued, reason: refundReason, userId });
+    throw error;
+  }
+
+  return {
+    reservation: result.reservation,
+    charges: {
+      ...charges,
+      penaltyAmount,
+      refundDue,
+      balanceDue: roundCurrency(Math.max(amountDue - charges.totalPaid, 0)),
+      waived: waivePenalty
+    },
+    refunds: result.refunds
+  };
+};
+
+export default {
+  getPricedNights,
+  getCancellationDeadline,
+  calculateCancellationCharges,
+  refundReservationPayments,
+  recordReservationRefunds,
+  cancelReservationWithPolicy
+};
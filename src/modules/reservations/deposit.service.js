@@ -0,0 +1,81 @@
+import { DEPOSIT_POLICIES } from '../../config/constants.js';
+import { normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getPricedNights } from './cancellation.service.js';
+
+/**
+ * Deposit Service
+ * Applies the property deposit policy to new reservations
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculate the deposit a reservation owes under the property policy
+ * Expects the reservation to be priced already
+ * @param {Object} params - Calculation parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @param {Date} params.bookedAt - Booking time (defaults to now)
+ * @returns {Object} { policy, amount, dueDate }
+ */
+export const calculateDeposit = ({ reservation, property, bookedAt = new Date() }) => {
+  const { type, value, dueDaysBeforeArrival } = property.settings.depositPolicy;
+  const totalPrice = reservation.pricing.totalPrice;
+
+  let amount = 0;
+
+  if (type === DEPOSIT_POLICIES.FIRST_NIGHT) {
+    amount = getPricedNights(reservation)[0]?.total || 0;
+  } else if (type === DEPOSIT_POLICIES.PERCENTAGE) {
+    amount = totalPrice * Math.min(value, 100) / 100;
+  } else if (type === DEPOSIT_POLICIES.FIXED) {
+    amount = value;
+  }
+
+  amount = roundCurrency(Math.min(amount, totalPrice));
+
+  // Due at booking, or dueDaysBeforeArrival before check-in if that is later
+  let dueDate = null;
+  if (amount > 0) {
+    const checkIn = normalizeDate(reservation.dates.checkInDate);
+    const dueBeforeArrival = new Date(checkIn.getTime() - dueDaysBeforeArrival * DAY_MS);
+    dueDate = dueDaysBeforeArrival > 0 && dueBeforeArrival > bookedAt ? dueBeforeArrival : bookedAt;
+  }
+
+  return { policy: type, amount, dueDate };
+};
+
+/**
+ * Set the deposit of a new reservation from the property policy
+ * @param {Object} params - Application parameters
+ * @param {Object} params.reservation - Reservation document (priced, not saved)
+ * @param {Object} params.property - Property document
+ * @returns {Object} Reservation with paymentSummary.depositRequired and depositDueDate set
+ */
+export const applyDepositPolicy = ({ reservation, property }) => {
+  const deposit = calculateDeposit({
+    reservation,
+    property,
+    bookedAt: reservation.timestamps?.bookedAt || new Date()
+  });
+
+  reservation.paymentSummary.depositRequired = deposit.amount;
+  reservation.paymentSummary.depositDueDate = deposit.dueDate;
+  reservation.updatePaymentSummary();
+
+  return reservation;
+};
+
+/**
+ * Check whether a reservation still owes its deposit
+ * @param {Object} reservation - Reservation document
+ * @returns {Boolean} True if a deposit is required and not fully paid
+ */
+export const isDepositOutstanding = (reservation) =>
+  reservation.paymentSummary.depositRequired > 0 && !reservation.paymentSummary.depositPaid;
+
+export default {
+  calculateDeposit,
+  applyDepositPolicy,
+  isDepositOutstanding
+};
@@ -0,0 +1,128 @@
+import Reservation from './reservation.model.js';
+import Property from '../properties/property.model.js';
+import { CANCELLATION_SOURCES, RESERVATION_STATUS } from '../../config/constants.js';
+import { refreshGroupStatus } from '../groups/group.service.js';
+import { runWithTenant, runWithoutTenant } from '../../utils/tenantContext.js';
+
+/**
+ * Hold Expiry Service
+ * Releases pending reservations nobody confirmed or paid a deposit for,
+ * so abandoned bookings stop blocking availability
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const HOLD_EXPIRY_REASON = 'Reservación pendiente expirada: no se confirmó ni se pagó depósito a tiempo';
+
+/**
+ * Get the moment a pending reservation's hold expires
+ * @param {Object} params - Expiry parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @returns {Date} Expiry
+ */
+export const getHoldExpiry = ({ reservation, property }) => {
+  const bookedAt = reservation.timestamps?.bookedAt || reservation.createdAt;
+  return new Date(new Date(bookedAt).getTime() + property.settings.holdPolicy.expireAfterHours * HOUR_MS);
+};
+
+/**
+ * Check whether a pending reservation is kept because a deposit was paid
+ * With a deposit required it must be paid in full; otherwise any payment counts
+ * @param {Object} params - Check parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @returns {Boolean} True if the hold does not expire
+ */
+export const isHoldSecured = ({ reservation, property }) => {
+  if (!property.settings.holdPolicy.keepIfDepositPaid) return false;
+
+  const { depositRequired, depositPaid, totalPaid } = reservation.paymentSummary;
+  return depositRequired > 0 ? depositPaid : totalPaid > 0;
+};
+
+/**
+ * Cancel the expired pending reservations of a property
+ * @param {Object} params - Run parameters
+ * @param {Object} params.property - Property document
+ * @param {Date} params.now - Reference time (defaults to now)
+ * @param {Boolean} params.dryRun - Only report what would be cancelled
+ * @returns {Object} { expired: Array, failed: Array }
+ */
+export const expirePendingHolds = async ({ property, now = new Date(), dryRun = false }) => {
+  const oldestBooking = new Date(now.getTime() - property.settings.holdPolicy.expireAfterHours * HOUR_MS);
+
+  const pending = await Reservation.find({
+    tenantId: property.tenantId,
+    propertyId: property._id,
+    isActive: true,
+    status: RESERVATION_STATUS.PENDING,
+    'timestamps.bookedAt': { $lte: oldestBooking }
+  });
+
+  const expired = [];
+  const failed = [];
+
+  for (const reservation of pending) {
+    if (isHoldSecured({ reservation, property })) continue;
+
+    try {
+      if (!dryRun) {
+        await reservation.cancel(null, HOLD_EXPIRY_REASON, 0, {
+          source: CANCELLATION_SOURCES.HOLD_EXPIRY
+        });
+        await refreshGroupStatus(reservation.groupId);
+      }
+
+      expired.push({
+        reservationId: reservation._id,
+        confirmationNumber: reservation.confirmationNumber,
+        bookedAt: reservation.timestamps.bookedAt,
+        expiredAt: getHoldExpiry({ reservation, property })
+      });
+    } catch (error) {
+      failed.push({
+        reservationId: reservation._id,
+        confirmationNumber: reservation.confirmationNumber,
+        reason: error.message
+      });
+    }
+  }
+
+  return { expired, failed };
+};
+
+/**
+ * Expire pending holds for every property that has the hold policy enabled
+ * Used by the scheduled job
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} { properties, expired, failed }
+ */
+export const runScheduledHoldExpiry = async (now = new Date()) => {
+  // The job covers every tenant: list properties across tenants, then process each in its own
+  const properties = await runWithoutTenant(async () => Property.find({
+    isActive: true,
+    'settings.holdPolicy.enabled': { $ne: false }
+  }));
+
+  const totals = { properties: properties.length, expired: 0, failed: 0 };
+
+  for (const property of properties) {
+    const result = await runWithTenant(property.tenantId, async () => expirePendingHolds({ property, now }));
+    totals.expired += result.expired.length;
+    totals.failed += result.failed.length;
+
+    result.failed.forEach(failure => {
+      console.error(`❌ Hold expiry ${failure.confirmationNumber} failed:`, failure.reason);
+    });
+  }
+
+  return totals;
+};
+
+export default {
+  getHoldExpiry,
+  isHoldSecured,
+  expirePendingHolds,
+  runScheduledHoldExpiry
+};
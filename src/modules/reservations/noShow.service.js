@@ -0,0 +1,160 @@
+import moment from 'moment-timezone';
+import Reservation from './reservation.model.js';
+import Property from '../properties/property.model.js';
+import { CANCELLATION_PENALTY_TYPES, RESERVATION_STATUS } from '../../config/constants.js';
+import { normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { getPricedNights } from './cancellation.service.js';
+import { refreshGroupStatus } from '../groups/group.service.js';
+import { runWithTenant, runWithoutTenant } from '../../utils/tenantContext.js';
+
+/**
+ * No-Show Service
+ * Marks arrivals that never showed up, charges the property no-show penalty
+ * and releases their room inventory
+ */
+
+/**
+ * Get the moment an arrival becomes a no-show
+ * graceHours after the property's check-in time on the arrival day, in its timezone
+ * @param {Object} params - Cutoff parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @returns {Date} Cutoff
+ */
+export const getNoShowCutoff = ({ reservation, property }) => {
+  const checkInDay = moment.utc(normalizeDate(reservation.dates.checkInDate)).format('YYYY-MM-DD');
+
+  return moment.tz(`${checkInDay} ${property.checkInTime}`, 'YYYY-MM-DD HH:mm', property.timezone)
+    .add(property.settings.noShowPolicy.graceHours, 'hours')
+    .toDate();
+};
+
+/**
+ * Calculate the no-show penalty of a reservation
+ * Non-refundable nights are charged in full; the policy penalty applies to the rest
+ * @param {Object} params - Calculation parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @returns {Number} Penalty amount
+ */
+export const calculateNoShowPenalty = ({ reservation, property }) => {
+  const { penaltyType, penaltyValue } = property.settings.noShowPolicy;
+  const nights = getPricedNights(reservation);
+  const sumNights = (list) => list.reduce((sum, night) => sum + night.total, 0);
+
+  const nonRefundableNights = nights.filter(night => night.nonRefundable);
+  const refundableNights = nights.filter(night => !night.nonRefundable);
+
+  const policyPenalty = penaltyType === CANCELLATION_PENALTY_TYPES.NIGHTS
+    ? sumNights(refundableNights.slice(0, Math.floor(penaltyValue)))
+    : sumNights(refundableNights) * Math.min(penaltyValue, 100) / 100;
+
+  return roundCurrency(Math.min(
+    sumNights(nonRefundableNights) + policyPenalty,
+    reservation.pricing.totalPrice - (reservation.pricing.incidentals || 0)
+  ));
+};
+
+/**
+ * Mark one reservation as no-show with the property penalty
+ * @param {Object} params - No-show parameters
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.property - Property document
+ * @param {String} params.userId - User marking it (null for the scheduled run)
+ * @returns {Object} Updated reservation
+ */
+export const markReservationNoShow = async ({ reservation, property, userId = null }) => {
+  const penaltyAmount = calculateNoShowPenalty({ reservation, property });
+  await reservation.markNoShow(userId, penaltyAmount);
+
+  await refreshGroupStatus(reservation.groupId);
+
+  return reservation;
+};
+
+/**
+ * Mark every arrival of a property past its no-show cutoff
+ * @param {Object} params - Run parameters
+ * @param {Object} params.property - Property document
+ * @param {String} params.userId - User running it (null for the scheduled run)
+ * @param {Date} params.now - Reference time (defaults to now)
+ * @param {Boolean} params.dryRun - Only report what would be marked
+ * @returns {Object} { processed: Array, failed: Array }
+ */
+export const processNoShows = async ({ property, userId = null, now = new Date(), dryRun = false }) => {
+  const arrivals = await Reservation.find({
+    tenantId: property.tenantId,
+    propertyId: property._id,
+    isActive: true,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+    'dates.checkInDate': { $lte: now }
+  });
+
+  const processed = [];
+  const failed = [];
+
+  for (const reservation of arrivals) {
+    const cutoff = getNoShowCutoff({ reservation, property });
+    if (now < cutoff) continue;
+
+    try {
+      const penaltyAmount = calculateNoShowPenalty({ reservation, property });
+
+      if (!dryRun) {
+        await markReservationNoShow({ reservation, property, userId });
+      }
+
+      processed.push({
+        reservationId: reservation._id,
+        confirmationNumber: reservation.confirmationNumber,
+        checkInDate: reservation.dates.checkInDate,
+        cutoff,
+        penaltyAmount
+      });
+    } catch (error) {
+      failed.push({
+        reservationId: reservation._id,
+        confirmationNumber: reservation.confirmationNumber,
+        reason: error.message
+      });
+    }
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Run the no-show process for every property that has it enabled
+ * Used by the scheduled job
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} { properties, processed, failed }
+ */
+export const runScheduledNoShows = async (now = new Date()) => {
+  // The job covers every tenant: list properties across tenants, then process each in its own
+  const properties = await runWithoutTenant(async () => Property.find({
+    isActive: true,
+    'settings.noShowPolicy.autoProcess': { $ne: false }
+  }));
+
+  const totals = { properties: properties.length, processed: 0, failed: 0 };
+
+  for (const property of properties) {
+    const result = await runWithTenant(property.tenantId, async () => processNoShows({ property, now }));
+    totals.processed += result.processed.length;
+    totals.failed += result.failed.length;
+
+    result.failed.forEach(failure => {
+      console.error(`❌ No-show ${failure.confirmationNumber} failed:`, failure.reason);
+    });
+  }
+
+  return totals;
+};
+
+export default {
+  getNoShowCutoff,
+  calculateNoShowPenalty,
+  markReservationNoShow,
+  processNoShows,
+  runScheduledNoShows
+};
@@ -1,9 +1,23 @@
 import Reservation from './reservation.model.js';
 import Room from '../rooms/room.model.js';
+import RoomType from '../roomTypes/roomType.model.js';
 import Guest from '../guests/guest.model.js';
 import Property from '../properties/property.model.js';
-import { HTTP_STATUS, RESERVATION_STATUS } from '../../config/constants.js';
-import { checkRoomAvailability, validateReservationDates, validateGuestCapacity } from './reservation.service.js';
+import { HTTP_STATUS, PENALTY_WAIVER_ROLES, RESERVATION_STATUS, ROOM_STATUS } from '../../config/constants.js';
+import {
+  checkRoomAvailability,
+  checkRoomTypeAvailability,
+  validateReservationDates,
+  validateGuestCapacity,
+  calculateEarlyDepartureFee
+} from './reservation.service.js';
+import { autoAssignRooms as runAutoAssignment } from './roomAssignment.service.js';
+import { calculateCancellationCharges, cancelReservationWithPolicy } from './cancellation.service.js';
+import { markReservationNoShow, processNoShows } from './noShow.service.js';
+import { applyDepositPolicy, isDepositOutstanding } from './deposit.service.js';
+import { postCharges } from '../folios/folio.service.js';
+import { quoteStay, normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { resolveTaxSettings, taxStay } from '../taxes/tax.service.js';
 
 /**
  * Reservation Controller
@@ -21,11 +35,14 @@ export const getAllReservations = async (req, res) => {
       limit = 10, 
       propertyId, 
       roomId, 
+      roomTypeId,
+      groupId,
       guestId, 
       status, 
       checkInFrom, 
       checkInTo,
-      confirmationNumber 
+      confirmationNumber,
+      unassigned
     } = req.query;
     
     // Build query conditions
@@ -36,6 +53,9 @@ export const getAllReservations = async (req, res) => {
     
     if (propertyId) conditions.propertyId = propertyId;
     if (roomId) conditions.roomId = roomId;
+    if (roomTypeId) conditions.roomTypeId = roomTypeId;
+    if (groupId) conditions.groupId = groupId;
+    if (unassigned) conditions.roomId = null;
     if (guestId) conditions.guestId = guestId;
     if (status) conditions.status = status;
     if (confirmationNumber) {
@@ -54,6 +74,7 @@ export const getAllReservations = async (req, res) => {
       Reservation.find(conditions)
         .populate('propertyId', 'name address.city')
         .populate('roomId', 'nameOrNumber type')
+        .populate('roomTypeId', 'name code')
         .populate('guestId', 'firstName lastName email phone')
         .skip(skip)
         .limit(parseInt(limit))
@@ -101,6 +122,8 @@ export const getReservationById = async (req, res) => {
     })
     .populate('propertyId')
     .populate('roomId')
+    .populate('roomTypeId')
+    .populate('segments.roomId', 'nameOrNumber type')
     .populate('guestId');
 
     if (!reservation) {
@@ -135,6 +158,7 @@ export const createReservation = async (req, res) => {
     console.log('🆕 Creating new reservation with data:', {
       propertyId: reservationData.propertyId,
       roomId: reservationData.roomId,
+      roomTypeId: reservationData.roomTypeId,
       guestId: reservationData.guestId,
       checkInDate: reservationData.dates?.checkInDate,
       checkOutDate: reservationData.dates?.checkOutDate,
@@ -167,19 +191,49 @@ export const createReservation = async (req, res) => {
       });
     }
 
-    // 3. Validar que la habitación existe y pertenece a la propiedad
-    const room = await Room.findOne({
-      _id: reservationData.roomId,
-      propertyId: reservationData.propertyId,
-      tenantId: req.user.tenantId,
-      isActive: true
-    });
+    // 3. Validar la habitación y/o el tipo de habitación (se puede vender solo el tipo)
+    let room = null;
+    let roomType = null;
 
-    if (!room) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        success: false,
-        message: '🚪 Habitación no encontrada o no disponible.'
+    if (reservationData.roomId) {
+      room = await Room.findOne({
+        _id: reservationData.roomId,
+        propertyId: reservationData.propertyId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+
+      if (!room) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '🚪 Habitación no encontrada o no disponible.'
+        });
+      }
+
+      if (reservationData.roomTypeId && String(room.roomTypeId) !== String(reservationData.roomTypeId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `🚪 La habitación "${room.nameOrNumber}" no pertenece al tipo de habitación solicitado.`
+        });
+      }
+    }
+
+    const roomTypeId = room ? room.roomTypeId : reservationData.roomTypeId;
+
+    if (roomTypeId) {
+      roomType = await RoomType.findOne({
+        _id: roomTypeId,
+        propertyId: reservationData.propertyId,
+        tenantId: req.user.tenantId,
+        isActive: true
       });
+
+      if (!roomType) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '🛏️ Tipo de habitación no encontrado.'
+        });
+      }
     }
 
     // 4. Validar que el huésped existe
@@ -200,7 +254,7 @@ export const createReservation = async (req, res) => {
     const adults = reservationData.guests?.adults || 1;
     const children = reservationData.guests?.children || 0;
     
-    const capacityValidation = validateGuestCapacity({ adults, children, room });
+    const capacityValidation = validateGuestCapacity({ adults, children, room: room || roomType });
     if (!capacityValidation.valid) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
@@ -209,22 +263,41 @@ export const createReservation = async (req, res) => {
     }
 
     // 6. Verificar disponibilidad de la habitación (solapamiento de reservas)
-    console.log('🔍 Validating room availability before creating reservation...');
-    const availabilityCheck = await checkRoomAvailability({
-      roomId: reservationData.roomId,
-      checkInDate,
-      checkOutDate,
-      tenantId: req.user.tenantId
-    });
+    if (room) {
+      console.log('🔍 Validating room availability before creating reservation...');
+      const availabilityCheck = await checkRoomAvailability({
+        roomId: reservationData.roomId,
+        checkInDate,
+        checkOutDate,
+        tenantId: req.user.tenantId
+      });
 
-    if (!availabilityCheck.available) {
-      const conflicting = availabilityCheck.conflictingReservation;
-      return res.status(HTTP_STATUS.CONFLICT).json({
-        success: false,
-        message: `❌ La habitación "${room.nameOrNumber}" ya está reservada en esas fechas.\n\nReserva existente:\n• Check-in: ${new Date(conflicting.dates.checkInDate).toLocaleDateString('es-MX')}\n• Check-out: ${new Date(conflicting.dates.checkOutDate).toLocaleDateString('es-MX')}\n• Confirmación: ${conflicting.confirmationNumber}\n• Estado: ${conflicting.status}`
+      if (!availabilityCheck.available) {
+        const conflicting = availabilityCheck.conflictingReservation;
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `❌ La habitación "${room.nameOrNumber}" ya está reservada en esas fechas.\n\nReserva existente:\n• Check-in: ${new Date(conflicting.dates.checkInDate).toLocaleDateString('es-MX')}\n• Check-out: ${new Date(conflicting.dates.checkOutDate).toLocaleDateString('es-MX')}\n• Confirmación: ${conflicting.confirmationNumber}\n• Estado: ${conflicting.status}`
+        });
+      }
+      console.log('✅ Room is available, proceeding with reservation creation');
+    }
+
+    // 6b. Verificar inventario del tipo (incluye reservas aún sin habitación asignada)
+    if (roomType) {
+      const typeAvailability = await checkRoomTypeAvailability({
+        roomTypeId: roomType._id,
+        checkInDate,
+        checkOutDate,
+        tenantId: req.user.tenantId
       });
+
+      if (!typeAvailability.available) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `❌ No quedan habitaciones "${roomType.name}" disponibles en esas fechas (${typeAvailability.totalRooms} en total).`
+        });
+      }
     }
-    console.log('✅ Room is available, proceeding with reservation creation');
 
     // 7. Generar número de confirmación
     const confirmationNumber = await Reservation.generateConfirmationNumber();
@@ -232,11 +305,20 @@ export const createReservation = async (req, res) => {
     // 8. Determinar el estado inicial y timestamps
     const isDirectCheckIn = reservationData.status === 'checked_in';
     const reservationStatus = isDirectCheckIn ? 'checked_in' : 'pending';
+
+    if (isDirectCheckIn && !room) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🚪 Para hacer check-in directo se debe indicar la habitación.'
+      });
+    }
     
     // 9. Crear reservación
     const reservation = new Reservation({
       ...reservationData,
       tenantId: req.user.tenantId,
+      roomId: room ? room._id : null,
+      roomTypeId: roomType ? roomType._id : null,
       confirmationNumber,
       status: reservationStatus,
       dates: {
@@ -257,23 +339,28 @@ export const createReservation = async (req, res) => {
       }
     });
     
+    // 10. Calcular precio y depósito según la política de la propiedad
+    await reservation.calculatePricing();
+    applyDepositPolicy({ reservation, property });
+    
     const savedReservation = await reservation.save();
 
-    // 10. Si es check-in directo, actualizar estado de habitación y estadísticas del huésped
+    // 11. Si es check-in directo, actualizar estado de habitación y estadísticas del huésped
     if (isDirectCheckIn) {
       console.log('✅ Direct check-in: updating room status to occupied');
       await Room.findByIdAndUpdate(reservation.roomId, { status: 'occupied' });
       
       // Actualizar estadísticas del huésped
       if (guest) {
-        await guest.updateStayStats(reservation.pricing.totalPrice);
+        await guest.updateStayStats();
       }
     }
 
-    // 11. Popular datos relacionados para la respuesta
+    // 12. Popular datos relacionados para la respuesta
     await savedReservation.populate([
       { path: 'propertyId', select: 'name address' },
       { path: 'roomId', select: 'nameOrNumber type pricing' },
+      { path: 'roomTypeId', select: 'name code' },
       { path: 'guestId', select: 'firstName lastName email phone' }
     ]);
 
@@ -293,6 +380,13 @@ export const createReservation = async (req, res) => {
     console.error('Error message:', error.message);
     console.error('Error stack:', error.stack);
     
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ ${error.message}`
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errorMessages = Object.values(error.errors).map(e => e.message).join('\n');
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -362,21 +456,41 @@ export const updateReservation = async (req, res) => {
       });
     }
 
-    // 3. Validar habitación si se está cambiando
-    let room;
+    // 3. Validar habitación si se está cambiando (o el tipo si aún no tiene habitación)
+    let room = null;
+    let roomType = null;
     const roomId = updateData.roomId || reservation.roomId;
     
-    room = await Room.findOne({
-      _id: roomId,
-      tenantId: req.user.tenantId,
-      isActive: true
-    });
+    if (roomId) {
+      room = await Room.findOne({
+        _id: roomId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
 
-    if (!room) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        success: false,
-        message: '🚪 Habitación no encontrada o no disponible.'
+      if (!room) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '🚪 Habitación no encontrada o no disponible.'
+        });
+      }
+    }
+
+    const roomTypeId = room ? room.roomTypeId : reservation.roomTypeId;
+
+    if (roomTypeId) {
+      roomType = await RoomType.findOne({
+        _id: roomTypeId,
+        tenantId: req.user.tenantId,
+        isActive: true
       });
+
+      if (!roomType && !room) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: '🛏️ Tipo de habitación no encontrado.'
+        });
+      }
     }
 
     // 4. Validar huésped si se está cambiando
@@ -399,7 +513,7 @@ export const updateReservation = async (req, res) => {
     const adults = updateData.guests?.adults || reservation.guests.adults || 1;
     const children = updateData.guests?.children || reservation.guests.children || 0;
     
-    const capacityValidation = validateGuestCapacity({ adults, children, room });
+    const capacityValidation = validateGuestCapacity({ adults, children, room: room || roomType });
     if (!capacityValidation.valid) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
@@ -408,7 +522,7 @@ export const updateReservation = async (req, res) => {
     }
 
     // 6. Verificar disponibilidad si cambiaron fechas o habitación
-    if (updateData.dates || updateData.roomId) {
+    if (room && (updateData.dates || updateData.roomId)) {
       console.log('🔍 Validating room availability before updating reservation...');
       const availabilityCheck = await checkRoomAvailability({
         roomId: roomId,
@@ -428,6 +542,24 @@ export const updateReservation = async (req, res) => {
       console.log('✅ Room is available, proceeding with reservation update');
     }
 
+    // 6b. Verificar inventario del tipo si cambiaron fechas o habitación
+    if (roomType && (updateData.dates || updateData.roomId)) {
+      const typeAvailability = await checkRoomTypeAvailability({
+        roomTypeId: roomType._id,
+        checkInDate,
+        checkOutDate,
+        tenantId: req.user.tenantId,
+        excludeReservationId: reservationId
+      });
+
+      if (!typeAvailability.available) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `❌ No quedan habitaciones "${roomType.name}" disponibles en esas fechas (${typeAvailability.totalRooms} en total).`
+        });
+      }
+    }
+
     // 7. Actualizar campos
     Object.keys(updateData).forEach(key => {
       if (updateData[key] !== undefined && key !== 'tenantId' && key !== 'confirmationNumber') {
@@ -447,11 +579,17 @@ export const updateReservation = async (req, res) => {
       reservation.guests.children = children;
     }
 
+    // El tipo de habitación sigue a la habitación asignada
+    if (updateData.roomId && room) {
+      reservation.roomTypeId = room.roomTypeId || null;
+    }
+
     const updatedReservation = await reservation.save();
 
     await updatedReservation.populate([
       { path: 'propertyId', select: 'name address' },
       { path: 'roomId', select: 'nameOrNumber type pricing' },
+      { path: 'roomTypeId', select: 'name code' },
       { path: 'guestId', select: 'firstName lastName email phone' }
     ]);
 
@@ -464,6 +602,13 @@ export const updateReservation = async (req, res) => {
   } catch (error) {
     console.error('❌ Update reservation error:', error);
     
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ ${error.message}`
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errorMessages = Object.values(error.errors).map(e => e.message).join('\n');
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -546,6 +691,18 @@ export const confirmReservation = async (req, res) => {
       });
     }
 
+    const property = await Property.findOne({
+      _id: reservation.propertyId,
+      tenantId: req.user.tenantId
+    });
+
+    if (property?.settings.depositPolicy.requiredToConfirm && isDepositOutstanding(reservation)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `💰 Se requiere el depósito de $${reservation.paymentSummary.depositRequired} para confirmar la reservación (pagado: $${reservation.paymentSummary.totalPaid}).`
+      });
+    }
+
     reservation.status = RESERVATION_STATUS.CONFIRMED;
     await reservation.save();
 
@@ -599,6 +756,13 @@ export const checkInGuest = async (req, res) => {
       });
     }
 
+    if (!reservation.roomId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'A room must be assigned before check-in'
+      });
+    }
+
     // Check-in the guest
     await reservation.checkIn(req.user.id);
 
@@ -608,7 +772,7 @@ export const checkInGuest = async (req, res) => {
     // Update guest statistics
     const guest = await Guest.findById(reservation.guestId);
     if (guest) {
-      await guest.updateStayStats(reservation.pricing.totalPrice);
+      await guest.updateStayStats();
     }
 
     // Add notes if provided
@@ -660,12 +824,19 @@ export const checkOutGuest = async (req, res) => {
       });
     }
 
-    // Add additional charges if provided
+    // Post additional charges to the folio, one line each
     if (additionalCharges && additionalCharges.length > 0) {
-      const totalAdditionalCharges = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
-      reservation.pricing.fees.extra += totalAdditionalCharges;
-      reservation.pricing.totalPrice += totalAdditionalCharges;
-      reservation.updatePaymentSummary();
+      await postCharges({
+        reservation,
+        charges: additionalCharges.map(charge => ({
+          category: charge.category,
+          description: charge.description,
+          quantity: charge.quantity,
+          unitPrice: charge.amount,
+          taxRate: charge.taxRate
+        })),
+        userId: req.user.id
+      });
     }
 
     // Check-out the guest
@@ -702,7 +873,15 @@ export const checkOutGuest = async (req, res) => {
 export const cancelReservation = async (req, res) => {
   try {
     const { reservationId } = req.params;
-    const { reason, refundAmount } = req.body;
+    const { reason, waivePenalty } = req.body;
+
+    // Waiving the penalty refunds everything paid: admins and managers only
+    if (waivePenalty && !PENALTY_WAIVER_ROLES.includes(req.user.role)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: `Access denied. Only ${PENALTY_WAIVER_ROLES.join(' or ')} users can waive the cancellation penalty`
+      });
+    }
 
     const reservation = await Reservation.findOne({
       _id: reservationId,
@@ -716,22 +895,46 @@ export const cancelReservation = async (req, res) => {
       });
     }
 
-    // Cancel the reservation
-    await reservation.cancel(req.user.id, reason, refundAmount || 0);
+    if ([RESERVATION_STATUS.CHECKED_OUT, RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Cannot cancel: reservation is already completed or cancelled'
+      });
+    }
+
+    const property = await Property.findById(reservation.propertyId);
+    const previousStatus = reservation.status;
+
+    // Cancel applying the property policy; paid amounts over the penalty are refunded
+    const { reservation: cancelled, charges, refunds } = await cancelReservationWithPolicy({
+      reservation,
+      property,
+      userId: req.user.id,
+      reason,
+      waivePenalty
+    });
 
     // If room was occupied or reserved, make it available
-    if ([RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CHECKED_IN].includes(reservation.status)) {
-      await Room.findByIdAndUpdate(reservation.roomId, { status: 'available' });
+    if ([RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CHECKED_IN].includes(previousStatus) && cancelled.roomId) {
+      await Room.findByIdAndUpdate(cancelled.roomId, { status: 'available' });
     }
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
       message: 'Reservation cancelled successfully',
-      data: { reservation }
+      data: { reservation: cancelled, charges, refunds }
     });
 
   } catch (error) {
     console.error('Cancel reservation error:', error);
+
+    if (error.name === 'PaymentGatewayError' && !error.declined) {
+      return res.status(HTTP_STATUS.BAD_GATEWAY).json({
+        success: false,
+        message: `💳 ${error.message}`
+      });
+    }
+
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: error.message || 'Failed to cancel reservation'
@@ -740,48 +943,732 @@ export const cancelReservation = async (req, res) => {
 };
 
 /**
- * Check room availability
- * POST /api/reservations/check-availability
+ * Preview the penalty and refund of cancelling a reservation now
+ * GET /api/reservations/:reservationId/cancellation-quote
  */
-export const checkAvailability = async (req, res) => {
+export const getCancellationQuote = async (req, res) => {
   try {
-    const { checkInDate, checkOutDate, propertyId, adults, children } = req.body;
+    const { reservationId } = req.params;
 
-    let query = { tenantId: req.user.tenantId, status: 'available', isActive: true };
-    
-    if (propertyId) {
-      query.propertyId = propertyId;
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Reservation not found'
+      });
     }
 
-    // Find rooms that meet capacity requirements
-    const totalGuests = adults + (children || 0);
-    const availableRooms = await Room.findAvailableInProperty(
-      req.user.tenantId,
-      propertyId,
-      new Date(checkInDate),
-      new Date(checkOutDate)
-    );
+    const property = await Property.findById(reservation.propertyId);
+    const charges = calculateCancellationCharges({ reservation, property });
 
-    // Filter by capacity and calculate pricing
-    const suitableRooms = availableRooms
-      .filter(room => room.totalCapacity >= totalGuests)
-      .map(room => {
-        const nights = Math.ceil((new Date(checkOutDate) - new Date(checkInDate)) / (1000 * 60 * 60 * 24));
-        const pricing = room.calculatePrice(nights, adults, children);
-        
-        return {
-          ...room.toJSON(),
-          availability: {
-            available: true,
-            nights,
-            pricing: {
-              basePrice: room.pricing.basePrice,
-              totalPrice: pricing,
-              currency: room.pricing.currency
-            }
-          }
-        };
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        confirmationNumber: reservation.confirmationNumber,
+        status: reservation.status,
+        ...charges
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation quote error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to calculate cancellation charges'
+    });
+  }
+};
+
+/**
+ * Mark a reservation whose guest never arrived as no-show
+ * PUT /api/reservations/:reservationId/no-show
+ */
+export const markNoShow = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🚫 Solo se pueden marcar como no-show reservaciones pendientes o confirmadas.'
+      });
+    }
+
+    if (normalizeDate(reservation.dates.checkInDate) > normalizeDate(new Date())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La fecha de llegada aún no ha llegado.'
+      });
+    }
+
+    const property = await Property.findById(reservation.propertyId);
+    await markReservationNoShow({ reservation, property, userId: req.user.id });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Reservación ${reservation.confirmationNumber} marcada como no-show. Penalización: $${reservation.noShow.penaltyAmount}`,
+      data: { reservation }
+    });
+
+  } catch (error) {
+    console.error('Mark no-show error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to mark no-show'
+    });
+  }
+};
+
+/**
+ * Mark every arrival of a property past its no-show cutoff
+ * POST /api/reservations/no-shows/run
+ */
+export const runNoShows = async (req, res) => {
+  try {
+    const { propertyId, dryRun } = req.body;
+
+    const property = await Property.findOne({
+      _id: propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!property) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🏨 Propiedad no encontrada.'
       });
+    }
+
+    const result = await processNoShows({
+      property,
+      userId: req.user.id,
+      dryRun
+    });
+
+    const summary = `${result.processed.length} no-show(s), ${result.failed.length} con error`;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: dryRun
+        ? `📋 Vista previa de no-shows: ${summary}`
+        : `✅ Proceso de no-shows completado: ${summary}`,
+      data: { dryRun, ...result }
+    });
+
+  } catch (error) {
+    console.error('Run no-shows error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to process no-shows'
+    });
+  }
+};
+
+/**
+ * Assign a physical room to a reservation (required before check-in for room type bookings)
+ * PUT /api/reservations/:reservationId/assign-room
+ */
+export const assignRoom = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { roomId } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🚪 Solo se puede asignar habitación a reservaciones pendientes o confirmadas.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      propertyId: reservation.propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!room) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🚪 Habitación no encontrada o no disponible.'
+      });
+    }
+
+    if (reservation.roomTypeId && String(room.roomTypeId) !== String(reservation.roomTypeId)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `🚪 La habitación "${room.nameOrNumber}" no es del tipo de habitación reservado.`
+      });
+    }
+
+    const capacityValidation = validateGuestCapacity({
+      adults: reservation.guests.adults,
+      children: reservation.guests.children,
+      room
+    });
+    if (!capacityValidation.valid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: capacityValidation.message
+      });
+    }
+
+    const availabilityCheck = await checkRoomAvailability({
+      roomId,
+      checkInDate: reservation.dates.checkInDate,
+      checkOutDate: reservation.dates.checkOutDate,
+      tenantId: req.user.tenantId,
+      excludeReservationId: reservationId
+    });
+
+    if (!availabilityCheck.available) {
+      const conflicting = availabilityCheck.conflictingReservation;
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ La habitación "${room.nameOrNumber}" ya está reservada en esas fechas.\n\nReserva existente:\n• Check-in: ${new Date(conflicting.dates.checkInDate).toLocaleDateString('es-MX')}\n• Check-out: ${new Date(conflicting.dates.checkOutDate).toLocaleDateString('es-MX')}\n• Confirmación: ${conflicting.confirmationNumber}\n• Estado: ${conflicting.status}`
+      });
+    }
+
+    // The price sold for the room type is kept; only the physical room changes
+    reservation.roomId = room._id;
+    if (!reservation.roomTypeId) {
+      reservation.roomTypeId = room.roomTypeId || null;
+    }
+    await reservation.save();
+
+    await reservation.populate([
+      { path: 'roomId', select: 'nameOrNumber type' },
+      { path: 'roomTypeId', select: 'name code' },
+      { path: 'guestId', select: 'firstName lastName email' }
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Habitación "${room.nameOrNumber}" asignada correctamente`,
+      data: { reservation }
+    });
+
+  } catch (error) {
+    console.error('Assign room error:', error);
+
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ ${error.message}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to assign room'
+    });
+  }
+};
+
+/**
+ * Move a checked-in guest to another room for the rest of the stay
+ * PUT /api/reservations/:reservationId/move-room
+ */
+export const moveRoom = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { roomId, moveDate, keepRate, reason, previousRoomStatus } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if (reservation.status !== RESERVATION_STATUS.CHECKED_IN) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🚪 Solo se puede cambiar de habitación a huéspedes con check-in.'
+      });
+    }
+
+    // The move can be recorded late, but not scheduled ahead
+    const moveNight = normalizeDate(moveDate);
+    const today = normalizeDate(new Date());
+
+    if (moveNight < normalizeDate(reservation.dates.checkInDate) ||
+        moveNight >= normalizeDate(reservation.dates.checkOutDate)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La fecha del cambio debe estar dentro de la estancia.'
+      });
+    }
+
+    if (moveNight > today) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La fecha del cambio no puede ser futura.'
+      });
+    }
+
+    if (String(reservation.roomId) === String(roomId)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '🚪 El huésped ya está en esa habitación.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      propertyId: reservation.propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!room) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🚪 Habitación no encontrada o no disponible.'
+      });
+    }
+
+    if (room.status === ROOM_STATUS.MAINTENANCE) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `🔧 La habitación "${room.nameOrNumber}" está en mantenimiento.`
+      });
+    }
+
+    const capacityValidation = validateGuestCapacity({
+      adults: reservation.guests.adults,
+      children: reservation.guests.children,
+      room
+    });
+    if (!capacityValidation.valid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: capacityValidation.message
+      });
+    }
+
+    // Only the nights left from the move onwards need the new room
+    const availabilityCheck = await checkRoomAvailability({
+      roomId,
+      checkInDate: moveNight,
+      checkOutDate: reservation.dates.checkOutDate,
+      tenantId: req.user.tenantId,
+      excludeReservationId: reservationId
+    });
+
+    if (!availabilityCheck.available) {
+      const conflicting = availabilityCheck.conflictingReservation;
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ La habitación "${room.nameOrNumber}" ya está reservada en esas fechas.\n\nReserva existente:\n• Check-in: ${new Date(conflicting.dates.checkInDate).toLocaleDateString('es-MX')}\n• Check-out: ${new Date(conflicting.dates.checkOutDate).toLocaleDateString('es-MX')}\n• Confirmación: ${conflicting.confirmationNumber}\n• Estado: ${conflicting.status}`
+      });
+    }
+
+    const previousRoomId = reservation.roomId;
+
+    await reservation.moveRoom({
+      room,
+      moveDate: moveNight,
+      keepRate,
+      reason,
+      userId: req.user.id
+    });
+
+    // Previous room needs housekeeping (or repairs); the new one is now occupied
+    await Room.findByIdAndUpdate(previousRoomId, { status: previousRoomStatus });
+    await Room.findByIdAndUpdate(room._id, { status: ROOM_STATUS.OCCUPIED });
+
+    await reservation.populate([
+      { path: 'roomId', select: 'nameOrNumber type' },
+      { path: 'segments.roomId', select: 'nameOrNumber type' },
+      { path: 'guestId', select: 'firstName lastName email' }
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Huésped cambiado a la habitación "${room.nameOrNumber}". Nuevo total: $${reservation.pricing.totalPrice}`,
+      data: { reservation }
+    });
+
+  } catch (error) {
+    console.error('Move room error:', error);
+
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ ${error.message}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to move room'
+    });
+  }
+};
+
+/**
+ * Extend a stay by moving check-out later
+ * PUT /api/reservations/:reservationId/extend
+ */
+export const extendStay = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { checkOutDate } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CHECKED_IN].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 Solo se pueden extender reservaciones pendientes, confirmadas o con check-in.'
+      });
+    }
+
+    const currentCheckOut = normalizeDate(reservation.dates.checkOutDate);
+
+    if (normalizeDate(checkOutDate) <= currentCheckOut) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `📅 La nueva fecha de salida debe ser posterior al ${currentCheckOut.toLocaleDateString('es-MX', { timeZone: 'UTC' })}.`
+      });
+    }
+
+    // Only the added nights need to be free
+    if (reservation.roomId) {
+      const availabilityCheck = await checkRoomAvailability({
+        roomId: reservation.roomId,
+        checkInDate: currentCheckOut,
+        checkOutDate,
+        tenantId: req.user.tenantId,
+        excludeReservationId: reservationId
+      });
+
+      if (!availabilityCheck.available) {
+        const conflicting = availabilityCheck.conflictingReservation;
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `❌ La habitación no está disponible para las noches adicionales.\n\nReserva existente:\n• Check-in: ${new Date(conflicting.dates.checkInDate).toLocaleDateString('es-MX')}\n• Check-out: ${new Date(conflicting.dates.checkOutDate).toLocaleDateString('es-MX')}\n• Confirmación: ${conflicting.confirmationNumber}\n• Estado: ${conflicting.status}`
+        });
+      }
+    } else {
+      const typeAvailability = await checkRoomTypeAvailability({
+        roomTypeId: reservation.roomTypeId,
+        checkInDate: currentCheckOut,
+        checkOutDate,
+        tenantId: req.user.tenantId,
+        excludeReservationId: reservationId
+      });
+
+      if (!typeAvailability.available) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: `❌ No quedan habitaciones de este tipo para las noches adicionales (${typeAvailability.totalRooms} en total).`
+        });
+      }
+    }
+
+    const previousTotal = reservation.pricing.totalPrice;
+
+    // Saving with new dates reprices the stay through calculatePricing
+    reservation.dates.checkOutDate = checkOutDate;
+    await reservation.save();
+
+    await reservation.populate([
+      { path: 'roomId', select: 'nameOrNumber type' },
+      { path: 'guestId', select: 'firstName lastName email' }
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Estancia extendida hasta el ${normalizeDate(checkOutDate).toLocaleDateString('es-MX', { timeZone: 'UTC' })}. Nuevo total: $${reservation.pricing.totalPrice}`,
+      data: {
+        reservation,
+        previousTotal,
+        difference: roundCurrency(reservation.pricing.totalPrice - previousTotal)
+      }
+    });
+
+  } catch (error) {
+    console.error('Extend stay error:', error);
+
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `❌ ${error.message}`
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to extend stay'
+    });
+  }
+};
+
+/**
+ * Shorten a stay by moving check-out earlier
+ * Checked-in guests leaving early are charged by the property's early departure policy
+ * PUT /api/reservations/:reservationId/shorten
+ */
+export const shortenStay = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { checkOutDate } = req.body;
+
+    const reservation = await Reservation.findOne({
+      _id: reservationId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!reservation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '📋 Reservación no encontrada.'
+      });
+    }
+
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CHECKED_IN].includes(reservation.status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 Solo se pueden acortar reservaciones pendientes, confirmadas o con check-in.'
+      });
+    }
+
+    const newCheckOut = normalizeDate(checkOutDate);
+
+    if (newCheckOut >= normalizeDate(reservation.dates.checkOutDate)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La nueva fecha de salida debe ser anterior a la actual.'
+      });
+    }
+
+    if (newCheckOut <= normalizeDate(reservation.dates.checkInDate)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La estancia debe conservar al menos una noche.'
+      });
+    }
+
+    if (newCheckOut < normalizeDate(new Date())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: '📅 La nueva fecha de salida no puede ser en el pasado.'
+      });
+    }
+
+    // Early departure: charge part of the released nights per property policy
+    let earlyDepartureFee = 0;
+
+    if (reservation.status === RESERVATION_STATUS.CHECKED_IN) {
+      const property = await Property.findById(reservation.propertyId);
+      const releasedNights = reservation.pricing.nightlyBreakdown
+        .filter(night => normalizeDate(night.date) >= newCheckOut);
+
+      earlyDepartureFee = calculateEarlyDepartureFee({
+        policy: property?.settings?.earlyDeparturePolicy,
+        releasedNights
+      });
+
+      reservation.pricing.fees.earlyDeparture = roundCurrency(reservation.pricing.fees.earlyDeparture + earlyDepartureFee);
+    }
+
+    const previousTotal = reservation.pricing.totalPrice;
+
+    // Saving with new dates reprices the stay through calculatePricing
+    reservation.dates.checkOutDate = checkOutDate;
+    await reservation.save();
+
+    await reservation.populate([
+      { path: 'roomId', select: 'nameOrNumber type' },
+      { path: 'guestId', select: 'firstName lastName email' }
+    ]);
+
+    const refundNote = reservation.paymentSummary.refundDue > 0
+      ? ` Saldo a favor del huésped: $${reservation.paymentSummary.refundDue}`
+      : '';
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `✅ Estancia acortada hasta el ${newCheckOut.toLocaleDateString('es-MX', { timeZone: 'UTC' })}. Nuevo total: $${reservation.pricing.totalPrice}.${refundNote}`,
+      data: {
+        reservation,
+        previousTotal,
+        difference: roundCurrency(reservation.pricing.totalPrice - previousTotal),
+        earlyDepartureFee
+      }
+    });
+
+  } catch (error) {
+    console.error('Shorten stay error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to shorten stay'
+    });
+  }
+};
+
+/**
+ * Assign rooms in bulk to upcoming reservations without a room
+ * POST /api/reservations/auto-assign
+ */
+export const autoAssignRooms = async (req, res) => {
+  try {
+    const { propertyId, fromDate, toDate, dryRun } = req.body;
+
+    const property = await Property.findOne({
+      _id: propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!property) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: '🏨 Propiedad no encontrada.'
+      });
+    }
+
+    const result = await runAutoAssignment({
+      tenantId: req.user.tenantId,
+      propertyId,
+      fromDate,
+      toDate,
+      dryRun
+    });
+
+    const summary = `${result.assigned.length} asignada(s), ${result.unassigned.length} sin habitación disponible`;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: dryRun
+        ? `📋 Propuesta de asignación: ${summary}`
+        : `✅ Asignación automática completada: ${summary}`,
+      data: {
+        dryRun,
+        fromDate,
+        toDate,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Auto assign rooms error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || 'Failed to auto assign rooms'
+    });
+  }
+};
+
+/**
+ * Check room availability
+ * POST /api/reservations/check-availability
+ */
+export const checkAvailability = async (req, res) => {
+  try {
+    const { checkInDate, checkOutDate, propertyId, adults, children } = req.body;
+
+    let query = { tenantId: req.user.tenantId, status: 'available', isActive: true };
+    
+    if (propertyId) {
+      query.propertyId = propertyId;
+    }
+
+    // Find rooms that meet capacity requirements
+    const totalGuests = adults + (children || 0);
+    const availableRooms = await Room.findAvailableInProperty(
+      req.user.tenantId,
+      propertyId,
+      new Date(checkInDate),
+      new Date(checkOutDate)
+    );
+
+    // Filter by capacity and quote pricing night by night from rate plans
+    const suitableRooms = await Promise.all(availableRooms
+      .filter(room => room.totalCapacity >= totalGuests)
+      .map(async room => {
+        const quote = await quoteStay({
+          tenantId: req.user.tenantId,
+          room,
+          checkInDate: new Date(checkInDate),
+          checkOutDate: new Date(checkOutDate),
+          adults,
+          children
+        });
+        const stay = taxStay(quote.nights, await resolveTaxSettings({
+          tenantId: req.user.tenantId,
+          propertyId: room.propertyId
+        }));
+        
+        return {
+          ...room.toJSON(),
+          availability: {
+            available: true,
+            nights: quote.nightsCount,
+            pricing: {
+              basePrice: room.pricing.basePrice,
+              averageRate: quote.averageRate,
+              subtotal: stay.subtotal,
+              taxes: stay.taxes,
+              taxBreakdown: stay.taxBreakdown,
+              totalPrice: stay.total,
+              nightlyBreakdown: stay.nights,
+              currency: room.pricing.currency
+            }
+          }
+        };
+      }));
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
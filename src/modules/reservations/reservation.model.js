@@ -1,6 +1,47 @@
 import mongoose from 'mongoose';
-import { RESERVATION_STATUS, PAYMENT_STATUS } from '../../config/constants.js';
+import {
+  RESERVATION_STATUS,
+  PAYMENT_STATUS,
+  CANCELLATION_SOURCES,
+  TAX_MODES,
+  TAX_TYPES
+} from '../../config/constants.js';
+import { runWithoutTenant } from '../../utils/tenantContext.js';
 import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+import { quoteStay, normalizeDate, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { convertNights } from '../exchangeRates/exchangeRate.service.js';
+import { syncStayCharges } from '../folios/folio.service.js';
+import { resolveTaxSettings, taxStay } from '../taxes/tax.service.js';
+import {
+  claimRoomNights,
+  returnRoomNights,
+  claimRoomTypeNights,
+  returnRoomTypeNights,
+  releaseRoomNights,
+  releaseReservationNights
+} from './roomInventory.service.js';
+
+/**
+ * Tax Schema - One tax (IVA, ISH) of a night or of the whole stay
+ * base is only kept on the stay totals; a night's base is its netAmount
+ */
+const taxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(TAX_TYPES),
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Tax rate cannot be negative']
+  },
+  base: Number,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
 
 /**
  * Reservation Schema - Represents booking reservations
@@ -15,15 +56,27 @@ const reservationSchema = new mongoose.Schema({
   roomId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room',
-    required: [true, 'Room ID is required'],
+    default: null,
     index: true
   },
+  // Room type sold; the physical room can be assigned later (before check-in)
+  roomTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    default: null
+  },
   guestId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Guest',
     required: [true, 'Guest ID is required'],
     index: true
   },
+  // Master reservation for group bookings
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservationGroup',
+    default: null
+  },
   confirmationNumber: {
     type: String,
     unique: true,
@@ -113,6 +166,14 @@ const reservationSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Taxes cannot be negative']
     },
+    // Whether the nightly rates included the taxes; subtotal is always net of them
+    taxMode: {
+      type: String,
+      enum: Object.values(TAX_MODES),
+      default: TAX_MODES.INCLUSIVE
+    },
+    // Taxes on the stay by tax and rate
+    taxBreakdown: [taxSchema],
     fees: {
       cleaning: {
         type: Number,
@@ -124,23 +185,116 @@ const reservationSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Service fee cannot be negative']
       },
+      // Lump sum of extras from before the folio; new extras are posted to the folio
       extra: {
         type: Number,
         default: 0,
         min: [0, 'Extra fees cannot be negative']
+      },
+      // Charged by the property's early departure policy
+      earlyDeparture: {
+        type: Number,
+        default: 0,
+        min: [0, 'Early departure fee cannot be negative']
       }
     },
+    // Folio charges other than the stay (minibar, restaurant...) and adjustments
+    incidentals: {
+      type: Number,
+      default: 0
+    },
     totalPrice: {
       type: Number,
       required: [true, 'Total price is required'],
       min: [0, 'Total price cannot be negative']
     },
+    // Currency the stay is charged in; taken from the room rates unless chosen at booking
     currency: {
       type: String,
-      default: 'USD',
+      uppercase: true,
       maxlength: [3, 'Currency code cannot exceed 3 characters']
-    }
+    },
+    // Per-night prices resolved from rate plans
+    nightlyBreakdown: [{
+      _id: false,
+      date: {
+        type: Date,
+        required: true
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: [0, 'Nightly rate cannot be negative']
+      },
+      extraGuestCharge: {
+        type: Number,
+        default: 0,
+        min: [0, 'Extra guest charge cannot be negative']
+      },
+      total: {
+        type: Number,
+        required: true,
+        min: [0, 'Nightly total cannot be negative']
+      },
+      // total split into its net amount and taxes (missing on stays priced before taxes)
+      netAmount: Number,
+      taxAmount: Number,
+      taxes: [taxSchema],
+      ratePlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan',
+        default: null
+      },
+      ratePlanName: {
+        type: String,
+        default: null
+      },
+      nonRefundable: {
+        type: Boolean,
+        default: false
+      },
+      // Room occupied that night (set once the stay is split by a room move)
+      roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+      }
+    }]
   },
+  // Stay split by room moves; empty while the whole stay is in roomId
+  segments: [{
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: [true, 'Segment room is required']
+    },
+    // Room whose rates price the segment (the previous room when the rate is kept)
+    rateRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Segment start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Segment end date is required']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Move reason cannot exceed 500 characters']
+    },
+    movedAt: {
+      type: Date
+    },
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   paymentStatus: {
     type: String,
     enum: {
@@ -161,15 +315,41 @@ const reservationSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Remaining balance cannot be negative']
     },
+    // Paid over the total, e.g. after shortening a prepaid stay
+    refundDue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund due cannot be negative']
+    },
+    // Set from the property deposit policy when the reservation is created
     depositRequired: {
       type: Number,
       default: 0,
       min: [0, 'Deposit cannot be negative']
     },
+    depositDueDate: {
+      type: Date,
+      default: null
+    },
+    // Kept in line with totalPaid by updatePaymentSummary
     depositPaid: {
       type: Boolean,
       default: false
-    }
+    },
+    // Balance of each folio when the stay is split between payers
+    folios: [{
+      _id: false,
+      folioId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folio'
+      },
+      number: Number,
+      name: String,
+      payerName: String,
+      total: Number,
+      paid: Number,
+      balance: Number
+    }]
   },
   source: {
     type: String,
@@ -201,6 +381,58 @@ const reservationSchema = new mongoose.Schema({
     refundAmount: {
       type: Number,
       min: [0, 'Refund amount cannot be negative']
+    },
+    // 'user' when cancelledBy is set, otherwise the automatic process that cancelled it
+    source: {
+      type: String,
+      enum: Object.values(CANCELLATION_SOURCES),
+      default: CANCELLATION_SOURCES.USER
+    },
+    // Property cancellation policy applied
+    policy: {
+      type: String
+    },
+    deadline: {
+      type: Date
+    },
+    penaltyAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty amount cannot be negative']
+    },
+    // Payment refunds issued for refundAmount
+    refunds: [{
+      _id: false,
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+      },
+      refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund'
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund amount cannot be negative']
+      }
+    }]
+  },
+  noShow: {
+    markedAt: {
+      type: Date
+    },
+    // Null when marked by the scheduled no-show run
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    penaltyAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'No-show penalty cannot be negative']
     }
   },
   timestamps: {
@@ -232,6 +464,9 @@ reservationSchema.plugin(softDeletePlugin);
 reservationSchema.index({ tenantId: 1, confirmationNumber: 1 }, { unique: true });
 reservationSchema.index({ tenantId: 1, propertyId: 1, 'dates.checkInDate': 1 });
 reservationSchema.index({ tenantId: 1, roomId: 1, 'dates.checkInDate': 1, 'dates.checkOutDate': 1 });
+reservationSchema.index({ tenantId: 1, roomTypeId: 1, 'dates.checkInDate': 1, 'dates.checkOutDate': 1 });
+reservationSchema.index({ tenantId: 1, 'segments.roomId': 1 });
+reservationSchema.index({ tenantId: 1, groupId: 1 });
 reservationSchema.index({ tenantId: 1, guestId: 1, 'dates.checkInDate': -1 });
 reservationSchema.index({ tenantId: 1, status: 1, 'dates.checkInDate': 1 });
 reservationSchema.index({ tenantId: 1, paymentStatus: 1 });
@@ -257,6 +492,11 @@ reservationSchema.virtual('isCurrent').get(function() {
          this.dates.checkOutDate > today;
 });
 
+// Virtual for whether a physical room still has to be assigned
+reservationSchema.virtual('needsRoomAssignment').get(function() {
+  return !this.roomId;
+});
+
 // Virtual for payments
 reservationSchema.virtual('payments', {
   ref: 'Payment',
@@ -265,6 +505,26 @@ reservationSchema.virtual('payments', {
   match: { isActive: true }
 });
 
+// What the price of a stay depends on, to tell whether it was already priced as it is
+const pricingInputs = (reservation) => JSON.stringify([
+  reservation.dates?.checkInDate,
+  reservation.dates?.checkOutDate,
+  reservation.guests?.adults,
+  reservation.guests?.children,
+  reservation.roomId,
+  reservation.roomTypeId,
+  reservation.segments.map(segment => [segment.roomId, segment.rateRoomId, segment.startDate, segment.endDate]),
+  reservation.pricing?.currency
+]);
+
+// Pre-validate middleware to require a room or a room type
+reservationSchema.pre('validate', function(next) {
+  if (!this.roomId && !this.roomTypeId) {
+    this.invalidate('roomId', 'Se requiere una habitación o un tipo de habitación');
+  }
+  next();
+});
+
 // Pre-save middleware to generate confirmation number
 reservationSchema.pre('save', async function(next) {
   if (this.isNew && !this.confirmationNumber) {
@@ -281,17 +541,28 @@ reservationSchema.pre('save', async function(next) {
     };
   }
   
-  // Calculate pricing if not set
-  if (this.isModified('dates') || this.isModified('guests')) {
+  // Reprice when the stay changed, unless it was already priced as it is now
+  const stayChanged = this.isModified('dates') || this.isModified('guests');
+  if (stayChanged && this.$locals.pricedFor !== pricingInputs(this)) {
     await this.calculatePricing();
   }
   
   // Update payment summary
   this.updatePaymentSummary();
   
+  // Stay charges on the folio follow pricing and status changes
+  this.$locals.syncFolio = this.isNew || this.isModified('pricing') || this.isModified('status');
+  
   next();
 });
 
+// Post-save middleware to keep the folio stay charges in line with the reservation
+reservationSchema.post('save', async function(doc) {
+  if (doc.$locals.syncFolio) {
+    await syncStayCharges(doc);
+  }
+});
+
 // Pre-save middleware to validate dates
 reservationSchema.pre('save', function(next) {
   if (this.dates.checkInDate >= this.dates.checkOutDate) {
@@ -300,11 +571,10 @@ reservationSchema.pre('save', function(next) {
   
   // Only validate check-in date for new reservations or when dates are being modified
   // Skip validation for status changes (like checkout) on existing reservations
+  // Nights are UTC days, so today is the current UTC day too
   if (this.isNew || this.isModified('dates.checkInDate')) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const checkInDate = new Date(this.dates.checkInDate);
-    checkInDate.setHours(0, 0, 0, 0);
+    const today = normalizeDate(new Date());
+    const checkInDate = normalizeDate(this.dates.checkInDate);
     
     if (checkInDate < today) {
       return next(new Error('La fecha de check-in no puede ser anterior a hoy'));
@@ -314,37 +584,234 @@ reservationSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to claim the room nights and room type nights of the stay
+// The unique index on room nights rejects a reservation that lost a race for its room,
+// and the room type counters one that lost the race for the last room of its type
+reservationSchema.pre('save', async function(next) {
+  const inventoryChanged = this.isNew ||
+    ['dates', 'roomId', 'roomTypeId', 'segments', 'status', 'isActive'].some(path => this.isModified(path));
+
+  this.$locals.roomNights = null;
+  this.$locals.roomTypeNights = null;
+
+  if (inventoryChanged) {
+    this.$locals.roomNights = await claimRoomNights(this);
+    this.$locals.roomTypeNights = await claimRoomTypeNights(this);
+  }
+  next();
+});
+
+// Post-save middleware to release the nights the stay no longer holds
+reservationSchema.post('save', async function(doc) {
+  if (doc.$locals.roomNights) {
+    await releaseRoomNights(doc.tenantId, doc.$locals.roomNights.released);
+    doc.$locals.roomNights = null;
+  }
+  if (doc.$locals.roomTypeNights) {
+    await returnRoomTypeNights(doc, doc.$locals.roomTypeNights.released);
+    doc.$locals.roomTypeNights = null;
+  }
+});
+
+// Give back the nights claimed for a save that failed
+reservationSchema.post('save', async function(error, doc, next) {
+  if (doc.$locals.roomNights) {
+    await returnRoomNights(doc, doc.$locals.roomNights.claimed);
+    doc.$locals.roomNights = null;
+  }
+  if (doc.$locals.roomTypeNights) {
+    await returnRoomTypeNights(doc, doc.$locals.roomTypeNights.claimed);
+    doc.$locals.roomTypeNights = null;
+  }
+  next(error);
+});
+
+// Deleted reservations release their room nights and room type nights
+reservationSchema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function(next) {
+  await releaseReservationNights(await this.model.distinct('_id', this.getFilter()));
+  next();
+});
+
 // Instance method to calculate pricing
 reservationSchema.methods.calculatePricing = async function() {
-  if (!this.roomId) return;
+  let room = null;
+  let roomType = null;
+  
+  // Split stays are priced segment by segment
+  if (this.segments.length > 0) {
+    await this.calculateSegmentPricing();
+    this.$locals.pricedFor = pricingInputs(this);
+    return;
+  }
   
+  // Price the assigned room, or the room type while no room is assigned yet
+  if (this.roomId) {
+    room = await mongoose.model('Room').findById(this.roomId);
+    if (!room) throw new Error('Room not found');
+  } else if (this.roomTypeId) {
+    roomType = await mongoose.model('RoomType').findById(this.roomTypeId);
+    if (!roomType) throw new Error('Room type not found');
+  } else {
+    return;
+  }
+  
+  // Resolve nightly rates from rate plans (falls back to base price)
+  const quote = await quoteStay({
+    tenantId: this.tenantId,
+    room,
+    roomType,
+    checkInDate: this.dates.checkInDate,
+    checkOutDate: this.dates.checkOutDate,
+    adults: this.guests.adults,
+    children: this.guests.children
+  });
+  
+  const nights = await this.convertQuoteNights(quote);
+  this.applyNightlyBreakdown(nights, await resolveTaxSettings(this));
+  this.$locals.pricedFor = pricingInputs(this);
+};
+
+// Instance method to express quoted nights in the reservation currency
+// A reservation without a currency yet takes the one of its rates
+reservationSchema.methods.convertQuoteNights = async function(quote) {
+  if (!this.pricing.currency) {
+    this.pricing.currency = quote.currency;
+  }
+  
+  return convertNights({
+    tenantId: this.tenantId,
+    nights: quote.nights,
+    from: quote.currency,
+    to: this.pricing.currency
+  });
+};
+
+// Instance method to price each segment of a split stay with its own room rates
+reservationSchema.methods.calculateSegmentPricing = async function() {
   const Room = mongoose.model('Room');
-  const room = await Room.findById(this.roomId);
   
-  if (!room) throw new Error('Room not found');
+  // Keep the last segment in line with the stay dates
+  const checkOut = normalizeDate(this.dates.checkOutDate);
+  this.segments = this.segments.filter(segment => normalizeDate(segment.startDate) < checkOut);
+  this.segments[this.segments.length - 1].endDate = checkOut;
+  this.roomId = this.segments[this.segments.length - 1].roomId;
+  
+  const nights = [];
+  
+  for (const segment of this.segments) {
+    const room = await Room.findById(segment.rateRoomId || segment.roomId);
+    if (!room) throw new Error('Room not found');
+    
+    const quote = await quoteStay({
+      tenantId: this.tenantId,
+      room,
+      checkInDate: segment.startDate,
+      checkOutDate: segment.endDate,
+      adults: this.guests.adults,
+      children: this.guests.children
+    });
+    
+    const segmentNights = await this.convertQuoteNights(quote);
+    nights.push(...segmentNights.map(night => ({ ...night, roomId: segment.roomId })));
+  }
   
-  this.pricing.nights = this.nights;
-  this.pricing.roomRate = room.pricing.basePrice;
+  this.applyNightlyBreakdown(nights, await resolveTaxSettings(this));
+};
+
+// Instance method to set the nightly breakdown and the totals derived from it
+// Each night is split into its net amount and taxes (IVA and ISH) under the tax settings
+reservationSchema.methods.applyNightlyBreakdown = function(nights, taxSettings) {
+  const stay = taxStay(nights, taxSettings);
   
-  // Calculate room cost (price already includes IVA)
-  let roomCost = room.calculatePrice(this.pricing.nights, this.guests.adults, this.guests.children);
+  this.pricing.nights = nights.length;
+  this.pricing.roomRate = nights.length > 0
+    ? roundCurrency(nights.reduce((sum, night) => sum + night.rate, 0) / nights.length)
+    : 0;
+  this.pricing.nightlyBreakdown = stay.nights;
   
-  // No additional taxes - room price already includes IVA
-  this.pricing.taxes = 0;
+  this.pricing.taxMode = taxSettings.mode;
+  this.pricing.subtotal = stay.subtotal;
+  this.pricing.taxes = stay.taxes;
+  this.pricing.taxBreakdown = stay.taxBreakdown;
   
-  this.pricing.subtotal = roomCost;
-  this.pricing.totalPrice = roomCost + 
+  this.recalculateTotals();
+};
+
+// Instance method to add up the total from the stay, its fees and the folio incidentals
+reservationSchema.methods.recalculateTotals = function() {
+  this.pricing.totalPrice = roundCurrency(this.pricing.subtotal + 
+                           this.pricing.taxes + 
                            this.pricing.fees.cleaning + 
                            this.pricing.fees.service + 
-                           this.pricing.fees.extra;
+                           this.pricing.fees.extra +
+                           this.pricing.fees.earlyDeparture +
+                           (this.pricing.incidentals || 0));
   
   // Update payment summary
-  this.paymentSummary.remainingBalance = this.pricing.totalPrice - this.paymentSummary.totalPaid;
+  this.updatePaymentSummary();
+};
+
+// Instance method to move the guest to another room from a given night onwards
+reservationSchema.methods.moveRoom = async function({ room, moveDate, keepRate = false, reason, userId }) {
+  if (this.status !== RESERVATION_STATUS.CHECKED_IN) {
+    throw new Error('Cannot move room: guest is not checked in');
+  }
+  
+  const checkIn = normalizeDate(this.dates.checkInDate);
+  const moveNight = normalizeDate(moveDate);
+  const previousRoomId = this.roomId;
+  
+  // Start from the current split, or a single segment covering the whole stay
+  const segments = this.segments.length > 0
+    ? this.segments.map(segment => segment.toObject())
+    : [{ roomId: previousRoomId, rateRoomId: null, startDate: checkIn, endDate: normalizeDate(this.dates.checkOutDate) }];
+  
+  // Close the stay in the previous room the night before the move
+  const kept = segments
+    .filter(segment => normalizeDate(segment.startDate) < moveNight)
+    .map(segment => ({
+      ...segment,
+      endDate: normalizeDate(segment.endDate) > moveNight ? moveNight : segment.endDate
+    }));
+  const current = segments.find(segment =>
+    normalizeDate(segment.startDate) <= moveNight && normalizeDate(segment.endDate) > moveNight
+  );
+  
+  kept.push({
+    roomId: room._id,
+    rateRoomId: keepRate ? (current?.rateRoomId || current?.roomId || previousRoomId) : null,
+    startDate: moveNight,
+    endDate: normalizeDate(this.dates.checkOutDate),
+    reason,
+    movedAt: new Date(),
+    movedBy: userId
+  });
+  
+  this.segments = kept;
+  this.roomId = room._id;
+  
+  await this.calculateSegmentPricing();
+  
+  return this.save();
 };
 
 // Instance method to update payment summary
 reservationSchema.methods.updatePaymentSummary = function() {
-  this.paymentSummary.remainingBalance = this.pricing.totalPrice - this.paymentSummary.totalPaid;
+  // Cancelled stays and no-shows only owe their penalty and folio incidentals
+  let amountDue = this.pricing.totalPrice;
+  if (this.status === RESERVATION_STATUS.CANCELLED) {
+    amountDue = (this.cancellation?.penaltyAmount || 0) + (this.pricing.incidentals || 0);
+  } else if (this.status === RESERVATION_STATUS.NO_SHOW) {
+    amountDue = (this.noShow?.penaltyAmount || 0) + (this.pricing.incidentals || 0);
+  }
+  const balance = roundCurrency(amountDue - this.paymentSummary.totalPaid);
+  this.paymentSummary.remainingBalance = Math.max(balance, 0);
+  this.paymentSummary.refundDue = Math.max(-balance, 0);
+  
+  // The deposit never exceeds the stay (e.g. after shortening it)
+  this.paymentSummary.depositRequired = Math.min(this.paymentSummary.depositRequired, this.pricing.totalPrice);
+  this.paymentSummary.depositPaid = this.paymentSummary.depositRequired > 0 &&
+    this.paymentSummary.totalPaid >= this.paymentSummary.depositRequired;
   
   // Update payment status based on amounts
   if (this.paymentSummary.totalPaid <= 0) {
@@ -362,6 +829,10 @@ reservationSchema.methods.checkIn = function(userId) {
     throw new Error('Cannot check in: reservation is not confirmed');
   }
   
+  if (!this.roomId) {
+    throw new Error('Cannot check in: no room has been assigned');
+  }
+  
   this.status = RESERVATION_STATUS.CHECKED_IN;
   this.dates.actualCheckInDate = new Date();
   this.timestamps.checkedInAt = new Date();
@@ -383,8 +854,8 @@ reservationSchema.methods.checkOut = function(userId) {
 };
 
 // Instance method to cancel reservation
-reservationSchema.methods.cancel = function(userId, reason, refundAmount = 0) {
-  if ([RESERVATION_STATUS.CHECKED_OUT, RESERVATION_STATUS.CANCELLED].includes(this.status)) {
+reservationSchema.methods.cancel = function(userId, reason, refundAmount = 0, policyDetails = {}) {
+  if ([RESERVATION_STATUS.CHECKED_OUT, RESERVATION_STATUS.CANCELLED, RESERVATION_STATUS.NO_SHOW].includes(this.status)) {
     throw new Error('Cannot cancel: reservation is already completed or cancelled');
   }
   
@@ -393,7 +864,28 @@ reservationSchema.methods.cancel = function(userId, reason, refundAmount = 0) {
     cancelledAt: new Date(),
     cancelledBy: userId,
     reason,
-    refundAmount
+    refundAmount,
+    source: policyDetails.source || CANCELLATION_SOURCES.USER,
+    policy: policyDetails.policy,
+    deadline: policyDetails.deadline,
+    penaltyAmount: policyDetails.penaltyAmount || 0,
+    refunds: policyDetails.refunds || []
+  };
+  
+  return this.save();
+};
+
+// Instance method to mark a reservation whose guest never arrived
+reservationSchema.methods.markNoShow = function(userId = null, penaltyAmount = 0) {
+  if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED].includes(this.status)) {
+    throw new Error('Cannot mark as no-show: reservation is not pending or confirmed');
+  }
+  
+  this.status = RESERVATION_STATUS.NO_SHOW;
+  this.noShow = {
+    markedAt: new Date(),
+    markedBy: userId,
+    penaltyAmount
   };
   
   return this.save();
@@ -410,7 +902,8 @@ reservationSchema.statics.generateConfirmationNumber = async function() {
     const timestamp = Date.now().toString().slice(-4);
     confirmationNumber = `${prefix}${random}${timestamp}`;
     
-    exists = await this.findOne({ confirmationNumber });
+    // Numbers are unique across tenants, so look in all of them
+    exists = await runWithoutTenant(async () => this.findOne({ confirmationNumber }));
   }
   
   return confirmationNumber;
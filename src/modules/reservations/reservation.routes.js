@@ -9,17 +9,31 @@ import {
   checkInGuest,
   checkOutGuest,
   cancelReservation,
+  markNoShow,
+  runNoShows,
+  getCancellationQuote,
+  assignRoom,
+  moveRoom,
+  extendStay,
+  shortenStay,
+  autoAssignRooms,
   checkAvailability,
   getCurrentReservations
 } from './reservation.controller.js';
 import { authenticate, requirePermission } from '../../middlewares/auth.js';
 import { tenantGuard, setTenantId } from '../../middlewares/tenantGuard.js';
 import { validate } from '../../middlewares/validation.js';
+import { idempotency } from '../../middlewares/idempotency.js';
 import {
   createReservationSchema,
   updateReservationSchema,
   reservationParamsSchema,
   reservationQuerySchema,
+  assignRoomSchema,
+  moveRoomSchema,
+  changeStaySchema,
+  autoAssignSchema,
+  runNoShowsSchema,
   checkInSchema,
   checkOutSchema,
   cancelReservationSchema
@@ -42,6 +56,28 @@ router.post('/check-availability',
   checkAvailability
 );
 
+/**
+ * @route   POST /api/reservations/auto-assign
+ * @desc    Assign rooms in bulk to upcoming unassigned reservations of a property
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/auto-assign',
+  requirePermission('canManageReservations'),
+  validate(autoAssignSchema),
+  autoAssignRooms
+);
+
+/**
+ * @route   POST /api/reservations/no-shows/run
+ * @desc    Mark arrivals of a property past the no-show cutoff and charge the penalty
+ * @access  Private (requires canManageReservations permission)
+ */
+router.post('/no-shows/run',
+  requirePermission('canManageReservations'),
+  validate(runNoShowsSchema),
+  runNoShows
+);
+
 /**
  * @route   GET /api/reservations/current
  * @desc    Get current reservations (checked-in guests)
@@ -66,9 +102,11 @@ router.get('/',
  * @route   POST /api/reservations
  * @desc    Create new reservation
  * @access  Private (requires canManageReservations permission)
+ * @header  Idempotency-Key (optional) - retries with the same key get the first response
  */
 router.post('/',
   requirePermission('canManageReservations'),
+  idempotency,
   validate(createReservationSchema),
   setTenantId,
   createReservation
@@ -119,6 +157,54 @@ router.put('/:reservationId/confirm',
   confirmReservation
 );
 
+/**
+ * @route   PUT /api/reservations/:reservationId/assign-room
+ * @desc    Assign a physical room to a reservation (required before check-in)
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:reservationId/assign-room',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  validate(assignRoomSchema),
+  assignRoom
+);
+
+/**
+ * @route   PUT /api/reservations/:reservationId/move-room
+ * @desc    Move a checked-in guest to another room, splitting the stay into segments
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:reservationId/move-room',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  validate(moveRoomSchema),
+  moveRoom
+);
+
+/**
+ * @route   PUT /api/reservations/:reservationId/extend
+ * @desc    Extend the stay to a later check-out date and reprice it
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:reservationId/extend',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  validate(changeStaySchema),
+  extendStay
+);
+
+/**
+ * @route   PUT /api/reservations/:reservationId/shorten
+ * @desc    Shorten the stay to an earlier check-out date, applying the early departure policy
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:reservationId/shorten',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  validate(changeStaySchema),
+  shortenStay
+);
+
 /**
  * @route   PUT /api/reservations/:reservationId/checkin
  * @desc    Check-in guest
@@ -143,6 +229,28 @@ router.put('/:reservationId/checkout',
   checkOutGuest
 );
 
+/**
+ * @route   PUT /api/reservations/:reservationId/no-show
+ * @desc    Mark a reservation as no-show and charge the property no-show penalty
+ * @access  Private (requires canManageReservations permission)
+ */
+router.put('/:reservationId/no-show',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  markNoShow
+);
+
+/**
+ * @route   GET /api/reservations/:reservationId/cancellation-quote
+ * @desc    Preview the cancellation penalty and refund under the property policy
+ * @access  Private (requires canManageReservations permission)
+ */
+router.get('/:reservationId/cancellation-quote',
+  requirePermission('canManageReservations'),
+  validate(reservationParamsSchema, 'params'),
+  getCancellationQuote
+);
+
 /**
  * @route   PUT /api/reservations/:reservationId/cancel
  * @desc    Cancel reservation
@@ -1,12 +1,42 @@
 import mongoose from 'mongoose';
 import Reservation from './reservation.model.js';
 import Room from '../rooms/room.model.js';
+import RoomType from '../roomTypes/roomType.model.js';
+import { normalizeDate, getStayNights, roundCurrency } from '../ratePlans/ratePlan.service.js';
+import { EARLY_DEPARTURE_POLICIES } from '../../config/constants.js';
 
 /**
  * Reservation Service
  * Business logic for reservation operations
  */
 
+/**
+ * Get the date ranges a reservation occupies each of its rooms
+ * Stays split by room moves occupy one room per segment; the rest occupy roomId
+ * for the whole stay
+ * @param {Object} reservation - Reservation document or plain object (dates, roomId, segments)
+ * @param {Array} roomIds - Optional room IDs to keep
+ * @returns {Array} [{ roomId, checkInDate, checkOutDate }] normalized to start of day
+ */
+export const getRoomStayIntervals = (reservation, roomIds = null) => {
+  const intervals = reservation.segments?.length > 0
+    ? reservation.segments.map(segment => ({
+      roomId: segment.roomId,
+      checkInDate: normalizeDate(segment.startDate),
+      checkOutDate: normalizeDate(segment.endDate)
+    }))
+    : [{
+      roomId: reservation.roomId,
+      checkInDate: normalizeDate(reservation.dates.checkInDate),
+      checkOutDate: normalizeDate(reservation.dates.checkOutDate)
+    }];
+
+  if (!roomIds) return intervals;
+
+  const wanted = roomIds.map(String);
+  return intervals.filter(interval => interval.roomId && wanted.includes(String(interval.roomId)));
+};
+
 /**
  * Check if a room is available for the given date range
  * @param {Object} params - Validation parameters
@@ -25,13 +55,7 @@ export const checkRoomAvailability = async ({
   excludeReservationId = null
 }) => {
   try {
-    // Normalize dates to start of day to avoid timezone issues
-    const normalizeDate = (date) => {
-      const normalized = new Date(date);
-      normalized.setHours(0, 0, 0, 0);
-      return normalized;
-    };
-
+    // Normalize dates to start of day (UTC, like the nights of a stay)
     const newCheckIn = normalizeDate(checkInDate);
     const newCheckOut = normalizeDate(checkOutDate);
 
@@ -45,8 +69,13 @@ export const checkRoomAvailability = async ({
 
     // Build query to find overlapping reservations
     // Convert IDs to ObjectId to ensure proper matching
+    // Moved stays keep earlier rooms in their segments
+    const roomObjectId = mongoose.Types.ObjectId.isValid(roomId) ? new mongoose.Types.ObjectId(roomId) : roomId;
     const query = {
-      roomId: mongoose.Types.ObjectId.isValid(roomId) ? new mongoose.Types.ObjectId(roomId) : roomId,
+      $or: [
+        { roomId: roomObjectId },
+        { 'segments.roomId': roomObjectId }
+      ],
       tenantId: mongoose.Types.ObjectId.isValid(tenantId) ? new mongoose.Types.ObjectId(tenantId) : tenantId,
       isActive: true,
       status: { $in: ['pending', 'confirmed', 'checked_in'] }
@@ -61,7 +90,7 @@ export const checkRoomAvailability = async ({
 
     // Find all active reservations for this room
     const existingReservations = await Reservation.find(query)
-      .select('dates confirmationNumber status')
+      .select('dates roomId segments confirmationNumber status')
       .lean();
 
     console.log(`📋 Found ${existingReservations.length} existing reservations for room ${roomId}`);
@@ -78,13 +107,13 @@ export const checkRoomAvailability = async ({
     // Check for date overlap
     // Two reservations overlap if:
     // (StartA < EndB) AND (EndA > StartB)
+    // Only the nights the reservation spends in this room count
     const conflictingReservation = existingReservations.find(reservation => {
-      const existingCheckIn = normalizeDate(reservation.dates.checkInDate);
-      const existingCheckOut = normalizeDate(reservation.dates.checkOutDate);
+      const intervals = getRoomStayIntervals(reservation, [roomId]);
       
-      const hasOverlap = (
-        newCheckIn < existingCheckOut && 
-        newCheckOut > existingCheckIn
+      const hasOverlap = intervals.some(interval =>
+        newCheckIn < interval.checkOutDate && 
+        newCheckOut > interval.checkInDate
       );
 
       console.log(`🔍 Comparing with reservation ${reservation.confirmationNumber}:`, {
@@ -92,10 +121,10 @@ export const checkRoomAvailability = async ({
           checkIn: newCheckIn.toISOString(),
           checkOut: newCheckOut.toISOString()
         },
-        existingReservation: {
-          checkIn: existingCheckIn.toISOString(),
-          checkOut: existingCheckOut.toISOString()
-        },
+        existingReservation: intervals.map(interval => ({
+          checkIn: interval.checkInDate.toISOString(),
+          checkOut: interval.checkOutDate.toISOString()
+        })),
         hasOverlap
       });
 
@@ -149,10 +178,9 @@ export const validateReservationDates = (checkInDate, checkOutDate) => {
   }
 
   // Check if check-in is not in the past (optional, can be disabled for flexibility)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = normalizeDate(new Date());
   
-  if (checkInDate < today) {
+  if (normalizeDate(checkInDate) < today) {
     return {
       valid: false,
       message: '📅 La fecha de entrada no puede ser en el pasado.'
@@ -170,7 +198,7 @@ export const validateReservationDates = (checkInDate, checkOutDate) => {
  * @param {Object} params - Validation parameters
  * @param {Number} params.adults - Number of adults
  * @param {Number} params.children - Number of children
- * @param {Object} params.room - Room object with capacity
+ * @param {Object} params.room - Room or RoomType object with capacity
  * @returns {Object} { valid: boolean, message: string|null }
  */
 export const validateGuestCapacity = ({ adults, children, room }) => {
@@ -187,7 +215,7 @@ export const validateGuestCapacity = ({ adults, children, room }) => {
   if (totalGuests > roomCapacity) {
     return {
       valid: false,
-      message: `👥 La habitación "${room.nameOrNumber}" tiene capacidad máxima de ${roomCapacity} persona(s).\nHuéspedes solicitados: ${totalGuests} (${adults} adulto(s), ${children} niño(s)).`
+      message: `👥 La habitación "${room.nameOrNumber || room.name}" tiene capacidad máxima de ${roomCapacity} persona(s).\nHuéspedes solicitados: ${totalGuests} (${adults} adulto(s), ${children} niño(s)).`
     };
   }
 
@@ -225,13 +253,20 @@ export const getAvailableRooms = async ({
       propertyId,
       tenantId,
       isActive: true,
-      status: { $in: ['pending', 'confirmed', 'checked-in'] },
+      status: { $in: ['pending', 'confirmed', 'checked_in'] },
       'dates.checkInDate': { $lt: checkOutDate },
       'dates.checkOutDate': { $gt: checkInDate }
-    }).select('roomId').lean();
+    }).select('roomId segments dates').lean();
 
-    // Get IDs of occupied rooms
-    const occupiedRoomIds = overlappingReservations.map(r => r.roomId.toString());
+    // Get IDs of occupied rooms (reservations sold by room type have no room yet)
+    const rangeStart = normalizeDate(checkInDate);
+    const rangeEnd = normalizeDate(checkOutDate);
+    const occupiedRoomIds = overlappingReservations
+      .flatMap(r => getRoomStayIntervals(r))
+      .filter(interval => interval.roomId &&
+        interval.checkInDate < rangeEnd &&
+        interval.checkOutDate > rangeStart)
+      .map(interval => interval.roomId.toString());
 
     // Filter available rooms
     const availableRooms = allRooms.filter(room => 
@@ -246,9 +281,161 @@ export const getAvailableRooms = async ({
   }
 };
 
+/**
+ * Check how many rooms of a type are still free for the given date range
+ * Counts every blocking reservation of the type, assigned to one of its rooms or not,
+ * night by night, and compares the busiest night against the active rooms of the type
+ * @param {Object} params - Validation parameters
+ * @param {String} params.roomTypeId - Room type ID to check
+ * @param {Date} params.checkInDate - Check-in date
+ * @param {Date} params.checkOutDate - Check-out date
+ * @param {String} params.tenantId - Tenant ID for multi-tenant isolation
+ * @param {String} params.excludeReservationId - Optional reservation ID to exclude (for updates)
+ * @returns {Object} { available: boolean, totalRooms, maxBooked, remaining }
+ */
+export const checkRoomTypeAvailability = async ({
+  roomTypeId,
+  checkInDate,
+  checkOutDate,
+  tenantId,
+  excludeReservationId = null
+}) => {
+  try {
+    const newCheckIn = normalizeDate(checkInDate);
+    const newCheckOut = normalizeDate(checkOutDate);
+
+    const rooms = await Room.find({
+      roomTypeId,
+      tenantId,
+      isActive: true
+    }).select('_id').lean();
+
+    const query = {
+      tenantId,
+      isActive: true,
+      status: { $in: ['pending', 'confirmed', 'checked_in'] },
+      'dates.checkInDate': { $lt: newCheckOut },
+      'dates.checkOutDate': { $gt: newCheckIn },
+      $or: [
+        { roomTypeId },
+        { roomId: { $in: rooms.map(room => room._id) } },
+        { 'segments.roomId': { $in: rooms.map(room => room._id) } }
+      ]
+    };
+
+    if (excludeReservationId) {
+      query._id = { $ne: excludeReservationId };
+    }
+
+    const overlappingReservations = await Reservation.find(query)
+      .select('dates segments')
+      .lean();
+
+    // Moved stays only take a room of the type on the nights spent in one of its rooms
+    const roomIds = rooms.map(room => room._id);
+    const stays = overlappingReservations.map(reservation => (
+      reservation.segments?.length > 0
+        ? getRoomStayIntervals(reservation, roomIds)
+        : getRoomStayIntervals(reservation)
+    ));
+
+    // Peak number of rooms taken on any night of the stay
+    const maxBooked = getStayNights(newCheckIn, newCheckOut).reduce((max, night) => {
+      const booked = stays.filter(intervals => intervals.some(interval =>
+        interval.checkInDate <= night &&
+        interval.checkOutDate > night
+      )).length;
+      return Math.max(max, booked);
+    }, 0);
+
+    const remaining = Math.max(rooms.length - maxBooked, 0);
+
+    return {
+      available: remaining > 0,
+      totalRooms: rooms.length,
+      maxBooked,
+      remaining
+    };
+
+  } catch (error) {
+    console.error('❌ Error checking room type availability:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get room types of a property with their availability in a date range
+ * @param {Object} params - Query parameters
+ * @param {String} params.propertyId - Property ID
+ * @param {Date} params.checkInDate - Check-in date
+ * @param {Date} params.checkOutDate - Check-out date
+ * @param {String} params.tenantId - Tenant ID
+ * @param {Number} params.adults - Number of adults (optional, filters by capacity)
+ * @param {Number} params.children - Number of children (optional, filters by capacity)
+ * @returns {Array} [{ roomType, totalRooms, maxBooked, remaining, available }]
+ */
+export const getAvailableRoomTypes = async ({
+  propertyId,
+  checkInDate,
+  checkOutDate,
+  tenantId,
+  adults = 1,
+  children = 0
+}) => {
+  try {
+    const roomTypes = await RoomType.findByProperty(tenantId, propertyId);
+
+    const fittingTypes = roomTypes.filter(roomType =>
+      validateGuestCapacity({ adults, children, room: roomType }).valid
+    );
+
+    return await Promise.all(fittingTypes.map(async roomType => ({
+      roomType,
+      ...await checkRoomTypeAvailability({
+        roomTypeId: roomType._id,
+        checkInDate,
+        checkOutDate,
+        tenantId
+      })
+    })));
+
+  } catch (error) {
+    console.error('❌ Error getting available room types:', error);
+    throw error;
+  }
+};
+
+/**
+ * Calculate the early departure fee for the nights a guest no longer stays
+ * 'nights' charges the first N released nights; 'percentage' charges a share of
+ * every released night
+ * @param {Object} params - Calculation parameters
+ * @param {Object} params.policy - Property early departure policy { type, value }
+ * @param {Array} params.releasedNights - Nightly breakdown entries being released
+ * @returns {Number} Fee amount
+ */
+export const calculateEarlyDepartureFee = ({ policy, releasedNights }) => {
+  if (!policy || releasedNights.length === 0) return 0;
+
+  const sumNights = (nights) => nights.reduce((sum, night) => sum + night.total, 0);
+
+  switch (policy.type) {
+    case EARLY_DEPARTURE_POLICIES.NIGHTS:
+      return roundCurrency(sumNights(releasedNights.slice(0, Math.floor(policy.value))));
+    case EARLY_DEPARTURE_POLICIES.PERCENTAGE:
+      return roundCurrency(sumNights(releasedNights) * Math.min(policy.value, 100) / 100);
+    default:
+      return 0;
+  }
+};
+
 export default {
+  getRoomStayIntervals,
   checkRoomAvailability,
+  checkRoomTypeAvailability,
   validateReservationDates,
   validateGuestCapacity,
-  getAvailableRooms
+  getAvailableRooms,
+  getAvailableRoomTypes,
+  calculateEarlyDepartureFee
 };
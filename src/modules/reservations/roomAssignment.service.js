@@ -0,0 +1,279 @@
+import Reservation from './reservation.model.js';
+import Room from '../rooms/room.model.js';
+import { RESERVATION_STATUS, ROOM_STATUS } from '../../config/constants.js';
+import { normalizeDate } from '../ratePlans/ratePlan.service.js';
+import { checkRoomAvailability, validateGuestCapacity, getRoomStayIntervals } from './reservation.service.js';
+
+/**
+ * Room Assignment Service
+ * Assigns physical rooms in bulk to reservations sold by room type
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Gaps of this many nights or fewer between two stays are hard to sell
+const ORPHAN_GAP_NIGHTS = 2;
+
+// Scoring weights for a candidate room
+const SCORE = {
+  PREFERRED_ROOM: 100,
+  PREFERRED_AMENITY: 10,
+  VIP_AMENITY: 2,
+  SPARE_BED: -5,
+  ADJACENT_STAY: 15,
+  ORPHAN_GAP: -25
+};
+
+/**
+ * Nights between two dates (both normalized to start of day)
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Number} Whole nights
+ */
+const nightsBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+/**
+ * Order reservations so the hardest and most important ones pick first:
+ * VIP guests, then earliest check-in, then longest stay
+ * @param {Array} reservations - Reservations with populated guestId
+ * @returns {Array} Sorted copy
+ */
+export const sortForAssignment = (reservations) => {
+  return [...reservations].sort((a, b) => {
+    const vipA = a.guestId?.vipStatus ? 1 : 0;
+    const vipB = b.guestId?.vipStatus ? 1 : 0;
+    if (vipA !== vipB) return vipB - vipA;
+
+    const checkInDiff = normalizeDate(a.dates.checkInDate) - normalizeDate(b.dates.checkInDate);
+    if (checkInDiff !== 0) return checkInDiff;
+
+    const nightsA = nightsBetween(normalizeDate(a.dates.checkInDate), normalizeDate(a.dates.checkOutDate));
+    const nightsB = nightsBetween(normalizeDate(b.dates.checkInDate), normalizeDate(b.dates.checkOutDate));
+    return nightsB - nightsA;
+  });
+};
+
+/**
+ * Score how well a free room fits a reservation
+ * @param {Object} params - Scoring parameters
+ * @param {Object} params.room - Candidate room
+ * @param {Array} params.stays - Stays already in the room [{ checkIn, checkOut }]
+ * @param {Date} params.checkIn - Reservation check-in (normalized)
+ * @param {Date} params.checkOut - Reservation check-out (normalized)
+ * @param {Number} params.totalGuests - Guests in the reservation
+ * @param {Object} params.guest - Guest with vipStatus and preferences
+ * @returns {Object} { score, reasons }
+ */
+export const scoreRoom = ({ room, stays, checkIn, checkOut, totalGuests, guest }) => {
+  let score = 0;
+  const reasons = [];
+  const preferences = guest?.preferences || {};
+
+  if ((preferences.preferredRooms || []).some(id => String(id) === String(room._id))) {
+    score += SCORE.PREFERRED_ROOM;
+    reasons.push('preferred_room');
+  }
+
+  const matchingAmenities = (preferences.amenities || [])
+    .filter(amenity => (room.amenities || []).includes(amenity));
+  if (matchingAmenities.length > 0) {
+    score += matchingAmenities.length * SCORE.PREFERRED_AMENITY;
+    reasons.push('preferred_amenities');
+  }
+
+  if (guest?.vipStatus) {
+    score += (room.amenities || []).length * SCORE.VIP_AMENITY;
+  }
+
+  const totalCapacity = (room.capacity?.adults || 0) + (room.capacity?.children || 0);
+  score += (totalCapacity - totalGuests) * SCORE.SPARE_BED;
+
+  // Gaps left before and after the stay in this room's calendar
+  const previous = stays
+    .filter(stay => stay.checkOut <= checkIn)
+    .sort((a, b) => b.checkOut - a.checkOut)[0];
+  const next = stays
+    .filter(stay => stay.checkIn >= checkOut)
+    .sort((a, b) => a.checkIn - b.checkIn)[0];
+
+  [previous && nightsBetween(previous.checkOut, checkIn), next && nightsBetween(checkOut, next.checkIn)]
+    .filter(gap => gap !== undefined)
+    .forEach(gap => {
+      if (gap === 0) {
+        score += SCORE.ADJACENT_STAY;
+        if (!reasons.includes('back_to_back')) reasons.push('back_to_back');
+      } else if (gap <= ORPHAN_GAP_NIGHTS) {
+        score += SCORE.ORPHAN_GAP;
+        if (!reasons.includes('leaves_gap')) reasons.push('leaves_gap');
+      }
+    });
+
+  return { score, reasons };
+};
+
+/**
+ * Assign rooms to the unassigned reservations of a property arriving in a date window
+ * Each stay is kept in a single room; reservations without a room free for the whole stay
+ * are reported back for manual handling
+ * @param {Object} params - Assignment parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {String} params.propertyId - Property ID
+ * @param {Date} params.fromDate - First check-in date to consider
+ * @param {Date} params.toDate - Last check-in date to consider
+ * @param {Boolean} params.dryRun - Only plan, do not save
+ * @returns {Object} { assigned: Array, unassigned: Array }
+ */
+export const autoAssignRooms = async ({ tenantId, propertyId, fromDate, toDate, dryRun = false }) => {
+  const from = normalizeDate(fromDate);
+  const to = normalizeDate(toDate);
+
+  const pending = await Reservation.find({
+    tenantId,
+    propertyId,
+    roomId: null,
+    isActive: true,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+    'dates.checkInDate': { $gte: from, $lte: new Date(to.getTime() + DAY_MS - 1) }
+  }).populate('guestId', 'firstName lastName vipStatus preferences');
+
+  if (pending.length === 0) {
+    return { assigned: [], unassigned: [] };
+  }
+
+  const rooms = await Room.find({
+    tenantId,
+    propertyId,
+    isActive: true,
+    status: { $ne: ROOM_STATUS.MAINTENANCE }
+  }).sort({ nameOrNumber: 1 }).lean();
+
+  // Current calendar of every room around the window
+  const windowStart = new Date(Math.min(...pending.map(r => normalizeDate(r.dates.checkInDate))));
+  const windowEnd = new Date(Math.max(...pending.map(r => normalizeDate(r.dates.checkOutDate))));
+  const roomIds = rooms.map(room => room._id);
+  const booked = await Reservation.find({
+    tenantId,
+    $or: [
+      { roomId: { $in: roomIds } },
+      { 'segments.roomId': { $in: roomIds } }
+    ],
+    isActive: true,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.CHECKED_IN] },
+    'dates.checkInDate': { $lt: new Date(windowEnd.getTime() + ORPHAN_GAP_NIGHTS * DAY_MS + DAY_MS) },
+    'dates.checkOutDate': { $gt: new Date(windowStart.getTime() - ORPHAN_GAP_NIGHTS * DAY_MS - DAY_MS) }
+  }).select('roomId segments dates').lean();
+
+  const calendar = new Map(rooms.map(room => [String(room._id), []]));
+  booked.forEach(reservation => {
+    getRoomStayIntervals(reservation, roomIds).forEach(interval => {
+      calendar.get(String(interval.roomId)).push({
+        checkIn: interval.checkInDate,
+        checkOut: interval.checkOutDate
+      });
+    });
+  });
+
+  const assigned = [];
+  const unassigned = [];
+
+  for (const reservation of sortForAssignment(pending)) {
+    const checkIn = normalizeDate(reservation.dates.checkInDate);
+    const checkOut = normalizeDate(reservation.dates.checkOutDate);
+    const totalGuests = reservation.guests.adults + reservation.guests.children;
+
+    const candidates = rooms
+      .filter(room => !reservation.roomTypeId || String(room.roomTypeId) === String(reservation.roomTypeId))
+      .filter(room => validateGuestCapacity({
+        adults: reservation.guests.adults,
+        children: reservation.guests.children,
+        room
+      }).valid)
+      .filter(room => calendar.get(String(room._id))
+        .every(stay => !(checkIn < stay.checkOut && checkOut > stay.checkIn)))
+      .map(room => ({
+        room,
+        ...scoreRoom({
+          room,
+          stays: calendar.get(String(room._id)),
+          checkIn,
+          checkOut,
+          totalGuests,
+          guest: reservation.guestId
+        })
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      unassigned.push({
+        reservationId: reservation._id,
+        confirmationNumber: reservation.confirmationNumber,
+        reason: 'No room of the booked type is free for the whole stay'
+      });
+      continue;
+    }
+
+    const best = candidates[0];
+
+    if (!dryRun) {
+      // Guard against bookings made since the calendar was loaded
+      const availabilityCheck = await checkRoomAvailability({
+        roomId: best.room._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        tenantId,
+        excludeReservationId: reservation._id
+      });
+
+      if (!availabilityCheck.available) {
+        unassigned.push({
+          reservationId: reservation._id,
+          confirmationNumber: reservation.confirmationNumber,
+          reason: `Room ${best.room.nameOrNumber} was booked during assignment`
+        });
+        continue;
+      }
+
+      reservation.roomId = best.room._id;
+      try {
+        await reservation.save();
+      } catch (error) {
+        if (error.name !== 'RoomUnavailableError') throw error;
+
+        unassigned.push({
+          reservationId: reservation._id,
+          confirmationNumber: reservation.confirmationNumber,
+          reason: `Room ${best.room.nameOrNumber} was booked during assignment`
+        });
+        continue;
+      }
+    }
+
+    calendar.get(String(best.room._id)).push({ checkIn, checkOut });
+
+    assigned.push({
+      reservationId: reservation._id,
+      confirmationNumber: reservation.confirmationNumber,
+      guest: reservation.guestId && {
+        id: reservation.guestId._id,
+        name: `${reservation.guestId.firstName} ${reservation.guestId.lastName}`,
+        vipStatus: reservation.guestId.vipStatus
+      },
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      room: {
+        id: best.room._id,
+        nameOrNumber: best.room.nameOrNumber
+      },
+      score: best.score,
+      reasons: best.reasons
+    });
+  }
+
+  return { assigned, unassigned };
+};
+
+export default {
+  sortForAssignment,
+  scoreRoom,
+  autoAssignRooms
+};
@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import RoomNight from './roomNight.model.js';
+import RoomTypeNight from './roomTypeNight.model.js';
+import { BLOCKING_RESERVATION_STATUSES } from '../../config/constants.js';
+import { getStayNights } from '../ratePlans/ratePlan.service.js';
+import { getRoomStayIntervals } from './reservation.service.js';
+
+/**
+ * Room Inventory Service
+ * Every night a reservation holds a room is a RoomNight document, unique per room and
+ * night. Reservations claim their nights when saved, so of two bookings racing for the
+ * same room the database rejects the second, whatever availability checks both passed.
+ * Each night also takes one room of a type (RoomTypeNight counters), so stays sold by
+ * room type, which hold no room yet, cannot oversell the type either
+ */
+
+/**
+ * Key of a room night
+ * @param {Object} night - { roomId, date }
+ * @returns {String} Key
+ */
+const nightKey = (night) => `${night.roomId}:${new Date(night.date).getTime()}`;
+
+/**
+ * Key of a room type night
+ * @param {Object} night - { roomTypeId, date }
+ * @returns {String} Key
+ */
+const typeNightKey = (night) => `${night.roomTypeId}:${new Date(night.date).getTime()}`;
+
+/**
+ * Whether a reservation holds inventory
+ * @param {Object} reservation - Reservation document
+ * @returns {Boolean} Blocking
+ */
+const isBlocking = (reservation) => reservation.isActive !== false &&
+  !reservation.deletedAt &&
+  BLOCKING_RESERVATION_STATUSES.includes(reservation.status);
+
+/**
+ * Build the error raised when a room night is held by another reservation
+ * Controllers recognize it by its name (RoomUnavailableError)
+ * @param {Object} reservation - Reservation that could not claim the night
+ * @param {Array} nights - Nights it tried to claim
+ * @returns {Error} Error
+ */
+const roomUnavailableError = async (reservation, nights) => {
+  const taken = await RoomNight.findOne({
+    tenantId: reservation.tenantId,
+    reservationId: { $ne: reservation._id },
+    $or: nights.map(({ roomId, date }) => ({ roomId, date }))
+  });
+
+  const [room, conflicting] = taken
+    ? await Promise.all([
+      mongoose.model('Room').findById(taken.roomId).select('nameOrNumber'),
+      mongoose.model('Reservation').findById(taken.reservationId).select('confirmationNumber dates status')
+    ])
+    : [null, null];
+
+  const error = new Error(taken
+    ? `La habitación "${room?.nameOrNumber || taken.roomId}" ya está reservada la noche del ${taken.date.toLocaleDateString('es-MX', { timeZone: 'UTC' })}${conflicting ? ` (reserva ${conflicting.confirmationNumber})` : ''}.`
+    : 'La habitación ya está reservada en esas fechas.');
+  error.name = 'RoomUnavailableError';
+  error.conflictingReservation = conflicting;
+  return error;
+};
+
+/**
+ * Get the room nights a reservation should hold
+ * Only blocking reservations hold nights, and only those of the rooms they are in
+ * (stays sold by room type hold nothing until a room is assigned)
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} [{ roomId, date }]
+ */
+export const getHeldRoomNights = (reservation) => {
+  if (!isBlocking(reservation)) return [];
+
+  return getRoomStayIntervals(reservation)
+    .filter(interval => interval.roomId)
+    .flatMap(interval => getStayNights(interval.checkInDate, interval.checkOutDate)
+      .map(date => ({ roomId: interval.roomId, date })));
+};
+
+/**
+ * Claim the room nights a reservation is about to hold
+ * Nights it no longer needs are returned to be released once the reservation is saved
+ * @param {Object} reservation - Reservation document, before saving
+ * @returns {Object} { claimed: Array, released: Array of RoomNight IDs }
+ * @throws {Error} RoomUnavailableError when another reservation holds one of the nights
+ */
+export const claimRoomNights = async (reservation) => {
+  const held = await RoomNight.find({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id
+  }).select('roomId date').lean();
+
+  const wanted = getHeldRoomNights(reservation);
+  const heldKeys = new Set(held.map(nightKey));
+  const wantedKeys = new Set(wanted.map(nightKey));
+
+  const claimed = wanted.filter(night => !heldKeys.has(nightKey(night)));
+  const released = held.filter(night => !wantedKeys.has(nightKey(night))).map(night => night._id);
+
+  if (claimed.length > 0) {
+    try {
+      await RoomNight.insertMany(claimed.map(night => ({
+        tenantId: reservation.tenantId,
+        reservationId: reservation._id,
+        roomId: night.roomId,
+        date: night.date
+      })), { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000 && !error.writeErrors?.some(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+
+      // Give back the nights this attempt did get before failing
+      await returnRoomNights(reservation, claimed);
+      throw await roomUnavailableError(reservation, claimed);
+    }
+  }
+
+  return { claimed, released };
+};
+
+/**
+ * Give back nights claimed for a reservation that was not saved
+ * @param {Object} reservation - Reservation document
+ * @param {Array} nights - [{ roomId, date }]
+ */
+export const returnRoomNights = async (reservation, nights) => {
+  if (nights.length === 0) return;
+
+  await RoomNight.deleteMany({
+    tenantId: reservation.tenantId,
+    reservationId: reservation._id,
+    $or: nights.map(({ roomId, date }) => ({ roomId, date }))
+  });
+};
+
+/**
+ * Get the room type nights a reservation should hold
+ * Each night takes a room of the type of the room the stay is in, or of its roomTypeId
+ * while no room is assigned
+ * @param {Object} reservation - Reservation document
+ * @returns {Array} [{ roomTypeId, date }]
+ */
+export const getHeldRoomTypeNights = async (reservation) => {
+  if (!isBlocking(reservation)) return [];
+
+  const intervals = getRoomStayIntervals(reservation);
+  const roomIds = intervals.filter(interval => interval.roomId).map(interval => interval.roomId);
+
+  const rooms = roomIds.length > 0
+    ? await mongoose.model('Room').find({
+      tenantId: reservation.tenantId,
+      _id: { $in: roomIds }
+    }).select('roomTypeId').lean()
+    : [];
+  const roomTypes = new Map(rooms.map(room => [String(room._id), room.roomTypeId]));
+
+  return intervals.flatMap(interval => {
+    const roomTypeId = interval.roomId ? roomTypes.get(String(interval.roomId)) : reservation.roomTypeId;
+    if (!roomTypeId) return [];
+
+    return getStayNights(interval.checkInDate, interval.checkOutDate)
+      .map(date => ({ roomTypeId, date }));
+  });
+};
+
+/**
+ * Build the error raised when every room of a type is taken on a night
+ * @param {Object} night - { roomTypeId, date }
+ * @returns {Error} RoomUnavailableError
+ */
+const roomTypeUnavailableError = async (night) => {
+  const roomType = await mongoose.model('RoomType').findById(night.roomTypeId).select('name');
+
+  const error = new Error(
+    `No quedan habitaciones del tipo "${roomType?.name || night.roomTypeId}" la noche del ${new Date(night.date).toLocaleDateString('es-MX', { timeZone: 'UTC' })}.`
+  );
+  error.name = 'RoomUnavailableError';
+  error.conflictingReservation = null;
+  return error;
+};
+
+/**
+ * Take one room of a type on one night
+ * booked only grows while it is below the active rooms of the type, in a single update,
+ * so two reservations racing for the last room cannot both get it
+ * @param {Object} reservation - Reservation document
+ * @param {Object} night - { roomTypeId, date }
+ * @param {Number} capacity - Active rooms of the type
+ * @returns {Boolean} Whether the night was taken
+ */
+const takeRoomTypeNight = async (reservation, night, capacity) => {
+  const filter = {
+    tenantId: reservation.tenantId,
+    roomTypeId: night.roomTypeId,
+    date: night.date
+  };
+
+  try {
+    await RoomTypeNight.updateOne(filter, { $setOnInsert: { booked: 0 } }, { upsert: true });
+  } catch (error) {
+    // Another reservation created the counter first
+    if (error.code !== 11000) throw error;
+  }
+
+  const taken = await RoomTypeNight.findOneAndUpdate(
+    { ...filter, booked: { $lt: capacity } },
+    { $inc: { booked: 1 }, $push: { reservationIds: reservation._id } }
+  );
+
+  return Boolean(taken);
+};
+
+/**
+ * Claim the room type nights a reservation is about to hold
+ * Nights it no longer needs are returned to be released once the reservation is saved
+ * @param {Object} reservation - Reservation document, before saving
+ * @returns {Object} { claimed: Array, released: Array } of { roomTypeId, date }
+ * @throws {Error} RoomUnavailableError when every room of the type is taken on a night
+ */
+export const claimRoomTypeNights = async (reservation) => {
+  const held = await RoomTypeNight.find({
+    tenantId: reservation.tenantId,
+    reservationIds: reservation._id
+  }).select('roomTypeId date').lean();
+
+  const wanted = await getHeldRoomTypeNights(reservation);
+  const heldKeys = new Set(held.map(typeNightKey));
+  const wantedKeys = new Set(wanted.map(typeNightKey));
+
+  const claimed = wanted.filter(night => !heldKeys.has(typeNightKey(night)));
+  const released = held.filter(night => !wantedKeys.has(typeNightKey(night)));
+
+  const capacities = new Map();
+  const taken = [];
+
+  for (const night of claimed) {
+    const key = String(night.roomTypeId);
+    if (!capacities.has(key)) {
+      capacities.set(key, await mongoose.model('Room').countDocuments({
+        tenantId: reservation.tenantId,
+        roomTypeId: night.roomTypeId,
+        isActive: true
+      }));
+    }
+
+    if (!await takeRoomTypeNight(reservation, night, capacities.get(key))) {
+      // Give back the nights this attempt did get before failing
+      await returnRoomTypeNights(reservation, taken);
+      throw await roomTypeUnavailableError(night);
+    }
+    taken.push(night);
+  }
+
+  return { claimed, released };
+};
+
+/**
+ * Give back room type nights of a reservation
+ * Used both for nights claimed by a save that failed and for nights a saved stay gave up
+ * @param {Object} reservation - Reservation document
+ * @param {Array} nights - [{ roomTypeId, date }]
+ */
+export const returnRoomTypeNights = async (reservation, nights) => {
+  if (nights.length === 0) return;
+
+  await RoomTypeNight.updateMany({
+    tenantId: reservation.tenantId,
+    reservationIds: reservation._id,
+    $or: nights.map(({ roomTypeId, date }) => ({ roomTypeId, date }))
+  }, {
+    $inc: { booked: -1 },
+    $pull: { reservationIds: reservation._id }
+  });
+};
+
+/**
+ * Release room nights by ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Array} roomNightIds - RoomNight IDs
+ */
+export const releaseRoomNights = async (tenantId, roomNightIds) => {
+  if (roomNightIds.length === 0) return;
+
+  await RoomNight.deleteMany({ tenantId, _id: { $in: roomNightIds } });
+};
+
+/**
+ * Release every night held by some reservations (when they are deleted)
+ * @param {Array} reservationIds - Reservation IDs
+ */
+export const releaseReservationNights = async (reservationIds) => {
+  if (reservationIds.length === 0) return;
+
+  await RoomNight.deleteMany({ reservationId: { $in: reservationIds } });
+
+  for (const reservationId of reservationIds) {
+    await RoomTypeNight.updateMany({ reservationIds: reservationId }, {
+      $inc: { booked: -1 },
+      $pull: { reservationIds: reservationId }
+    });
+  }
+};
+
+export default {
+  getHeldRoomNights,
+  claimRoomNights,
+  returnRoomNights,
+  getHeldRoomTypeNights,
+  claimRoomTypeNights,
+  returnRoomTypeNights,
+  releaseRoomNights,
+  releaseReservationNights
+};
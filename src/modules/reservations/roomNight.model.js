@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+
+/**
+ * Room Night Schema - One night a reservation holds a room
+ * Unique per room and night, so two reservations can never hold the same room
+ * on the same night, however close together they are saved
+ */
+const roomNightSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'El ID de la habitación es requerido']
+  },
+  // Night of the stay, normalized to start of day
+  date: {
+    type: Date,
+    required: [true, 'La fecha es requerida']
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'El ID de la reservación es requerido'],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+roomNightSchema.plugin(baseSchemaPlugin);
+
+// Indexes
+roomNightSchema.index({ tenantId: 1, roomId: 1, date: 1 }, { unique: true });
+
+export default mongoose.model('RoomNight', roomNightSchema);
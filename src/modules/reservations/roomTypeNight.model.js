@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { baseSchemaPlugin } from '../../utils/baseModel.js';
+
+/**
+ * Room Type Night Schema - Rooms of a type taken on one night
+ * One counter per room type and night. Reservations only join it while booked is below
+ * the active rooms of the type, so stays sold by room type cannot oversell it
+ */
+const roomTypeNightSchema = new mongoose.Schema({
+  roomTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    required: [true, 'El ID del tipo de habitación es requerido']
+  },
+  // Night of the stay, normalized to start of day
+  date: {
+    type: Date,
+    required: [true, 'La fecha es requerida']
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: [0, 'Las habitaciones reservadas no pueden ser negativas']
+  },
+  // Reservations counted in booked
+  reservationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  }]
+}, {
+  timestamps: true
+});
+
+// Apply base schema plugin
+roomTypeNightSchema.plugin(baseSchemaPlugin);
+
+// Indexes
+roomTypeNightSchema.index({ tenantId: 1, roomTypeId: 1, date: 1 }, { unique: true });
+roomTypeNightSchema.index({ tenantId: 1, reservationIds: 1 });
+
+export default mongoose.model('RoomTypeNight', roomTypeNightSchema);
@@ -0,0 +1,342 @@
+import RoomType from './roomType.model.js';
+import Room from '../rooms/room.model.js';
+import Property from '../properties/property.model.js';
+import Reservation from '../reservations/reservation.model.js';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { getAvailableRoomTypes } from '../reservations/reservation.service.js';
+import { quoteStay } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Room Type Controller
+ * Handles CRUD operations for bookable room categories and their availability
+ */
+
+/**
+ * Get all room types for current tenant
+ * GET /api/room-types
+ */
+export const getAllRoomTypes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, propertyId, category, search } = req.query;
+
+    // Build query conditions
+    const conditions = {
+      tenantId: req.user.tenantId,
+      isActive: true
+    };
+
+    if (propertyId) conditions.propertyId = propertyId;
+    if (category) conditions.category = category;
+
+    if (search) {
+      conditions.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Execute query with pagination
+    const skip = (page - 1) * limit;
+    const [roomTypes, total] = await Promise.all([
+      RoomType.find(conditions)
+        .populate('propertyId', 'name')
+        .populate('roomsCount')
+        .skip(skip)
+        .limit(parseInt(limit))
+        .sort({ propertyId: 1, name: 1 }),
+      RoomType.countDocuments(conditions)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        roomTypes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room types error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch room types'
+    });
+  }
+};
+
+/**
+ * Get room type by ID
+ * GET /api/room-types/:roomTypeId
+ */
+export const getRoomTypeById = async (req, res) => {
+  try {
+    const { roomTypeId } = req.params;
+
+    const roomType = await RoomType.findOne({
+      _id: roomTypeId,
+      tenantId: req.user.tenantId
+    })
+    .populate('propertyId', 'name')
+    .populate('roomsCount');
+
+    if (!roomType) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    const rooms = await Room.find({
+      roomTypeId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    })
+    .select('nameOrNumber status')
+    .sort({ nameOrNumber: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { roomType, rooms }
+    });
+
+  } catch (error) {
+    console.error('Get room type error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch room type'
+    });
+  }
+};
+
+/**
+ * Create new room type
+ * POST /api/room-types
+ */
+export const createRoomType = async (req, res) => {
+  try {
+    const roomTypeData = {
+      ...req.body,
+      tenantId: req.user.tenantId
+    };
+
+    // Verify property exists and belongs to tenant
+    const property = await Property.findOne({
+      _id: roomTypeData.propertyId,
+      tenantId: req.user.tenantId,
+      isActive: true
+    });
+
+    if (!property) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Check if code already exists in this property
+    const existingRoomType = await RoomType.findOne({
+      propertyId: roomTypeData.propertyId,
+      code: roomTypeData.code.toUpperCase(),
+      tenantId: req.user.tenantId
+    });
+
+    if (existingRoomType) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Room type code already exists in this property'
+      });
+    }
+
+    const roomType = new RoomType(roomTypeData);
+    const savedRoomType = await roomType.save();
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Room type created successfully',
+      data: { roomType: savedRoomType }
+    });
+
+  } catch (error) {
+    console.error('Create room type error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create room type'
+    });
+  }
+};
+
+/**
+ * Update room type
+ * PUT /api/room-types/:roomTypeId
+ */
+export const updateRoomType = async (req, res) => {
+  try {
+    const { roomTypeId } = req.params;
+    const updates = req.body;
+
+    // Remove fields that shouldn't be updated
+    delete updates.tenantId;
+    delete updates.propertyId;
+    delete updates._id;
+
+    const roomType = await RoomType.findOneAndUpdate(
+      { _id: roomTypeId, tenantId: req.user.tenantId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).populate('propertyId', 'name');
+
+    if (!roomType) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Room type updated successfully',
+      data: { roomType }
+    });
+
+  } catch (error) {
+    console.error('Update room type error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update room type'
+    });
+  }
+};
+
+/**
+ * Delete room type (soft delete)
+ * DELETE /api/room-types/:roomTypeId
+ */
+export const deleteRoomType = async (req, res) => {
+  try {
+    const { roomTypeId } = req.params;
+
+    // Check if room type still has rooms or open reservations
+    const [activeRooms, activeReservations] = await Promise.all([
+      Room.countDocuments({
+        roomTypeId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      }),
+      Reservation.countDocuments({
+        roomTypeId,
+        tenantId: req.user.tenantId,
+        status: { $in: ['pending', 'confirmed', 'checked_in'] },
+        isActive: true
+      })
+    ]);
+
+    if (activeRooms > 0 || activeReservations > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Cannot delete room type with active rooms or reservations'
+      });
+    }
+
+    const roomType = await RoomType.findOne({
+      _id: roomTypeId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!roomType) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    await roomType.softDelete();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Room type deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete room type error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete room type'
+    });
+  }
+};
+
+/**
+ * Get room type availability for a date range, counted per type
+ * GET /api/room-types/availability
+ */
+export const getRoomTypeAvailability = async (req, res) => {
+  try {
+    const { propertyId, checkInDate, checkOutDate, adults, children } = req.query;
+
+    const availability = await getAvailableRoomTypes({
+      propertyId,
+      checkInDate,
+      checkOutDate,
+      tenantId: req.user.tenantId,
+      adults,
+      children
+    });
+
+    // Quote the stay for every type that still has rooms left
+    const roomTypes = await Promise.all(availability.map(async entry => ({
+      ...entry,
+      roomType: entry.roomType.toJSON(),
+      quote: entry.available
+        ? await quoteStay({
+          tenantId: req.user.tenantId,
+          roomType: entry.roomType,
+          checkInDate,
+          checkOutDate,
+          adults,
+          children
+        })
+        : null
+    })));
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        checkInDate,
+        checkOutDate,
+        totalGuests: adults + children,
+        roomTypes,
+        count: roomTypes.filter(entry => entry.available).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room type availability error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to check room type availability'
+    });
+  }
+};
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { ROOM_TYPES } from '../../config/constants.js';
+import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+
+/**
+ * Room Type Schema - Represents a bookable room category (e.g. "Suite doble")
+ * Rooms of the type share its capacity, pricing and amenities
+ */
+const roomTypeSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Room type name is required'],
+    trim: true,
+    maxlength: [100, 'Room type name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Room type code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Room type code cannot exceed 10 characters']
+  },
+  category: {
+    type: String,
+    enum: {
+      values: Object.values(ROOM_TYPES),
+      message: 'Invalid room category. Must be one of: {VALUES}'
+    },
+    default: ROOM_TYPES.ROOM
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  capacity: {
+    adults: {
+      type: Number,
+      required: [true, 'Adult capacity is required'],
+      min: [1, 'Adult capacity must be at least 1'],
+      max: [20, 'Adult capacity cannot exceed 20']
+    },
+    children: {
+      type: Number,
+      default: 0,
+      min: [0, 'Children capacity cannot be negative'],
+      max: [10, 'Children capacity cannot exceed 10']
+    }
+  },
+  pricing: {
+    basePrice: {
+      type: Number,
+      required: [true, 'Base price is required'],
+      min: [0, 'Base price cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      maxlength: [3, 'Currency code cannot exceed 3 characters']
+    },
+    extraAdultPrice: {
+      type: Number,
+      default: 0,
+      min: [0, 'Extra adult price cannot be negative']
+    },
+    extraChildPrice: {
+      type: Number,
+      default: 0,
+      min: [0, 'Extra child price cannot be negative']
+    }
+  },
+  amenities: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Apply base schema plugins
+roomTypeSchema.plugin(baseSchemaPlugin);
+roomTypeSchema.plugin(softDeletePlugin);
+
+// Compound indexes for multi-tenant uniqueness and performance
+roomTypeSchema.index({ tenantId: 1, propertyId: 1, code: 1 }, { unique: true });
+roomTypeSchema.index({ tenantId: 1, propertyId: 1, isActive: 1 });
+
+// Virtual for total capacity
+roomTypeSchema.virtual('totalCapacity').get(function() {
+  return this.capacity.adults + this.capacity.children;
+});
+
+// Virtual for physical rooms count
+roomTypeSchema.virtual('roomsCount', {
+  ref: 'Room',
+  localField: '_id',
+  foreignField: 'roomTypeId',
+  count: true,
+  match: { isActive: true }
+});
+
+// Instance method to get the defaults a new room of this type inherits
+roomTypeSchema.methods.getRoomDefaults = function() {
+  return {
+    type: this.category,
+    capacity: {
+      adults: this.capacity.adults,
+      children: this.capacity.children
+    },
+    pricing: {
+      basePrice: this.pricing.basePrice,
+      currency: this.pricing.currency,
+      extraAdultPrice: this.pricing.extraAdultPrice,
+      extraChildPrice: this.pricing.extraChildPrice
+    },
+    amenities: [...this.amenities]
+  };
+};
+
+// Static method to find room types of a property
+roomTypeSchema.statics.findByProperty = function(tenantId, propertyId) {
+  return this.find({
+    tenantId,
+    propertyId,
+    isActive: true
+  }).sort({ name: 1 });
+};
+
+export default mongoose.model('RoomType', roomTypeSchema);
@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getAllRoomTypes,
+  getRoomTypeById,
+  createRoomType,
+  updateRoomType,
+  deleteRoomType,
+  getRoomTypeAvailability
+} from './roomType.controller.js';
+import { authenticate, requirePermission } from '../../middlewares/auth.js';
+import { tenantGuard, setTenantId } from '../../middlewares/tenantGuard.js';
+import { validate } from '../../middlewares/validation.js';
+import {
+  createRoomTypeSchema,
+  updateRoomTypeSchema,
+  roomTypeParamsSchema,
+  roomTypeQuerySchema,
+  roomTypeAvailabilitySchema
+} from '../../schemas/roomType.schema.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant guard to all routes
+router.use(authenticate);
+router.use(tenantGuard);
+
+/**
+ * @route   GET /api/room-types/availability
+ * @desc    Get rooms left per room type for a date range
+ * @access  Private
+ */
+router.get('/availability',
+  validate(roomTypeAvailabilitySchema, 'query'),
+  getRoomTypeAvailability
+);
+
+/**
+ * @route   GET /api/room-types
+ * @desc    Get all room types for current tenant
+ * @access  Private
+ */
+router.get('/',
+  validate(roomTypeQuerySchema, 'query'),
+  getAllRoomTypes
+);
+
+/**
+ * @route   POST /api/room-types
+ * @desc    Create new room type
+ * @access  Private (requires canManageProperties permission)
+ */
+router.post('/',
+  requirePermission('canManageProperties'),
+  validate(createRoomTypeSchema),
+  setTenantId,
+  createRoomType
+);
+
+/**
+ * @route   GET /api/room-types/:roomTypeId
+ * @desc    Get room type by ID with its rooms
+ * @access  Private
+ */
+router.get('/:roomTypeId',
+  validate(roomTypeParamsSchema, 'params'),
+  getRoomTypeById
+);
+
+/**
+ * @route   PUT /api/room-types/:roomTypeId
+ * @desc    Update room type
+ * @access  Private (requires canManageProperties permission)
+ */
+router.put('/:roomTypeId',
+  requirePermission('canManageProperties'),
+  validate(roomTypeParamsSchema, 'params'),
+  validate(updateRoomTypeSchema),
+  updateRoomType
+);
+
+/**
+ * @route   DELETE /api/room-types/:roomTypeId
+ * @desc    Delete room type (soft delete)
+ * @access  Private (requires canManageProperties permission)
+ */
+router.delete('/:roomTypeId',
+  requirePermission('canManageProperties'),
+  validate(roomTypeParamsSchema, 'params'),
+  deleteRoomType
+);
+
+export default router;
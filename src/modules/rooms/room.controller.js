@@ -1,4 +1,5 @@
 import Room from './room.model.js';
+import RoomType from '../roomTypes/roomType.model.js';
 import Property from '../properties/property.model.js';
 import Reservation from '../reservations/reservation.model.js';
 import { HTTP_STATUS, ROOM_STATUS } from '../../config/constants.js';
@@ -18,6 +19,7 @@ export const getAllRooms = async (req, res) => {
       page = 1, 
       limit = 10, 
       propertyId, 
+      roomTypeId,
       type, 
       status, 
       search, 
@@ -28,6 +30,7 @@ export const getAllRooms = async (req, res) => {
     const conditions = { tenantId: req.user.tenantId };
     
     if (propertyId) conditions.propertyId = propertyId;
+    if (roomTypeId) conditions.roomTypeId = roomTypeId;
     if (type) conditions.type = type;
     if (status) conditions.status = status;
     if (isActive !== undefined) conditions.isActive = isActive;
@@ -44,6 +47,7 @@ export const getAllRooms = async (req, res) => {
     const [rooms, total] = await Promise.all([
       Room.find(conditions)
         .populate('propertyId', 'name address.city')
+        .populate('roomTypeId', 'name code')
         .populate('currentReservation')
         .skip(skip)
         .limit(parseInt(limit))
@@ -86,6 +90,7 @@ export const getRoomById = async (req, res) => {
       tenantId: req.user.tenantId
     })
     .populate('propertyId', 'name address checkInTime checkOutTime')
+    .populate('roomTypeId', 'name code')
     .populate('currentReservation');
 
     if (!room) {
@@ -134,6 +139,30 @@ export const createRoom = async (req, res) => {
       });
     }
 
+    // Inherit type, capacity, pricing and amenities from the room type,
+    // letting explicit values in the request override them
+    if (roomData.roomTypeId) {
+      const roomType = await RoomType.findOne({
+        _id: roomData.roomTypeId,
+        propertyId: roomData.propertyId,
+        tenantId: req.user.tenantId,
+        isActive: true
+      });
+
+      if (!roomType) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Room type not found in this property'
+        });
+      }
+
+      const defaults = roomType.getRoomDefaults();
+      roomData.type = roomData.type || defaults.type;
+      roomData.capacity = { ...defaults.capacity, ...roomData.capacity };
+      roomData.pricing = { ...defaults.pricing, ...roomData.pricing };
+      roomData.amenities = roomData.amenities || defaults.amenities;
+    }
+
     // Check if room name/number already exists in this property
     const existingRoom = await Room.findOne({
       propertyId: roomData.propertyId,
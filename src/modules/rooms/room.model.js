@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import { ROOM_TYPES, ROOM_STATUS } from '../../config/constants.js';
 import { baseSchemaPlugin, softDeletePlugin } from '../../utils/baseModel.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
 
 /**
  * Room Schema - Represents individual rooms, suites, or apartments
@@ -12,6 +13,11 @@ const roomSchema = new mongoose.Schema({
     required: [true, 'Property ID is required'],
     index: true
   },
+  roomTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    default: null
+  },
   nameOrNumber: {
     type: String,
     required: [true, 'Room name or number is required'],
@@ -146,6 +152,7 @@ roomSchema.index({ tenantId: 1, propertyId: 1, nameOrNumber: 1 }, { unique: true
 roomSchema.index({ tenantId: 1, propertyId: 1, status: 1 });
 roomSchema.index({ tenantId: 1, status: 1 });
 roomSchema.index({ tenantId: 1, type: 1 });
+roomSchema.index({ tenantId: 1, roomTypeId: 1 });
 
 // Virtual for current reservation
 roomSchema.virtual('currentReservation', {
@@ -173,11 +180,11 @@ roomSchema.methods.isAvailableForDateRange = async function(checkInDate, checkOu
 
   const Reservation = mongoose.model('Reservation');
   
-  // Normalize dates to start of day
+  // Normalize dates to start of day (UTC, like the nights of a stay)
   const newCheckIn = new Date(checkInDate);
-  newCheckIn.setHours(0, 0, 0, 0);
+  newCheckIn.setUTCHours(0, 0, 0, 0);
   const newCheckOut = new Date(checkOutDate);
-  newCheckOut.setHours(0, 0, 0, 0);
+  newCheckOut.setUTCHours(0, 0, 0, 0);
   
   // Build query
   const query = {
@@ -198,9 +205,9 @@ roomSchema.methods.isAvailableForDateRange = async function(checkInDate, checkOu
   // Check for conflicts with proper date logic
   for (const res of existingReservations) {
     const resCheckIn = new Date(res.dates.checkInDate);
-    resCheckIn.setHours(0, 0, 0, 0);
+    resCheckIn.setUTCHours(0, 0, 0, 0);
     const resCheckOut = new Date(res.dates.checkOutDate);
-    resCheckOut.setHours(0, 0, 0, 0);
+    resCheckOut.setUTCHours(0, 0, 0, 0);
     
     // Conflict logic: room is occupied [checkIn, checkOut)
     // No conflict if new check-in >= existing check-out OR new check-out <= existing check-in
@@ -214,7 +221,8 @@ roomSchema.methods.isAvailableForDateRange = async function(checkInDate, checkOu
   return true;
 };
 
-// Instance method to calculate price for stay
+// Instance method to calculate price for stay at the flat base price
+// (reservations are priced night by night through rate plans, see ratePlan.service.js)
 roomSchema.methods.calculatePrice = function(nights, adults = 1, children = 0) {
   let totalPrice = this.pricing.basePrice * nights;
   
@@ -251,11 +259,10 @@ roomSchema.methods.updateStatus = function(newStatus, notes = '') {
 
 // Static method to find available rooms in property
 roomSchema.statics.findAvailableInProperty = function(tenantId, propertyId, checkInDate, checkOutDate) {
-  return this.aggregate([
+  return tenantAggregate(this, tenantId, [
     {
       $match: {
-        tenantId: mongoose.Types.ObjectId(tenantId),
-        propertyId: mongoose.Types.ObjectId(propertyId),
+        propertyId: new mongoose.Types.ObjectId(String(propertyId)),
         status: ROOM_STATUS.AVAILABLE,
         isActive: true
       }
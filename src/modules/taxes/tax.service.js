@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import {
+  TAX_MODES,
+  TAX_TYPES,
+  DEFAULT_TAX_SETTINGS,
+  FOLIO_CHARGE_CATEGORIES
+} from '../../config/constants.js';
+import { roundCurrency } from '../ratePlans/ratePlan.service.js';
+
+/**
+ * Tax Service
+ * Mexican taxes on reservations and folio charges: IVA on every sale plus the state
+ * lodging tax (ISH) on lodging. Each tax is calculated on the net price; in inclusive
+ * mode the net is taken out of the price, in exclusive mode taxes go on top of it
+ */
+
+// Charges that pay ISH on top of IVA
+const LODGING_CATEGORIES = [
+  FOLIO_CHARGE_CATEGORIES.ROOM,
+  FOLIO_CHARGE_CATEGORIES.LATE_CHECKOUT,
+  FOLIO_CHARGE_CATEGORIES.EARLY_DEPARTURE
+];
+
+// Cancellation and no-show penalties are compensation, not a sale
+const UNTAXED_CATEGORIES = [FOLIO_CHARGE_CATEGORIES.PENALTY];
+
+/**
+ * Resolve the tax settings of a property: its own overrides, then the tenant's,
+ * then the defaults
+ * @param {Object} params - Lookup parameters
+ * @param {String} params.tenantId - Tenant ID
+ * @param {String} params.propertyId - Property ID
+ * @returns {Object} { mode, ivaRate, ishRate }
+ */
+export const resolveTaxSettings = async ({ tenantId, propertyId }) => {
+  // One after the other, so the lookup can run inside a transaction
+  const tenant = await mongoose.model('Tenant').findById(tenantId).select('settings.taxes');
+  const property = propertyId
+    ? await mongoose.model('Property').findById(propertyId).select('settings.taxes')
+    : null;
+
+  const pick = (field) => property?.settings?.taxes?.[field] ??
+    tenant?.settings?.taxes?.[field] ??
+    DEFAULT_TAX_SETTINGS[field];
+
+  return {
+    mode: pick('mode'),
+    ivaRate: pick('ivaRate'),
+    ishRate: pick('ishRate')
+  };
+};
+
+/**
+ * Get the taxes that apply to a charge category
+ * @param {Object} settings - Tax settings ({ ivaRate, ishRate })
+ * @param {String} category - Charge category (FOLIO_CHARGE_CATEGORIES)
+ * @returns {Array} [{ type, rate }] (only rates above zero)
+ */
+export const getCategoryRates = (settings, category) => {
+  if (UNTAXED_CATEGORIES.includes(category)) return [];
+
+  const rates = [{ type: TAX_TYPES.IVA, rate: settings.ivaRate }];
+
+  if (LODGING_CATEGORIES.includes(category)) {
+    rates.push({ type: TAX_TYPES.ISH, rate: settings.ishRate });
+  }
+
+  return rates.filter(({ rate }) => rate > 0);
+};
+
+/**
+ * Calculate each tax on a net amount
+ * @param {Number} net - Amount before taxes
+ * @param {Array} rates - [{ type, rate }]
+ * @returns {Array} [{ type, rate, amount }]
+ */
+export const calculateTaxes = (net, rates) => rates.map(({ type, rate }) => ({
+  type,
+  rate,
+  amount: roundCurrency(net * rate / 100)
+}));
+
+/**
+ * Split a price into its net amount and taxes
+ * In inclusive mode net plus taxes always gives back the price: when no net adds up
+ * to it once each tax is rounded, the net absorbs the leftover cent so every tax stays
+ * within the rounding tolerance SAT accepts on a CFDI
+ * @param {Number} price - Price as entered (with taxes when inclusive)
+ * @param {Array} rates - [{ type, rate }]
+ * @param {String} mode - TAX_MODES value
+ * @returns {Object} { net, taxes: [{ type, rate, amount }], taxAmount, total }
+ */
+export const splitTaxes = (price, rates, mode = DEFAULT_TAX_SETTINGS.mode) => {
+  const gross = roundCurrency(price);
+  const totalRate = rates.reduce((sum, { rate }) => sum + rate, 0);
+  const build = (net) => {
+    const taxes = calculateTaxes(net, rates);
+    const taxAmount = roundCurrency(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    return { net, taxes, taxAmount, total: roundCurrency(net + taxAmount) };
+  };
+
+  if (mode !== TAX_MODES.INCLUSIVE || totalRate === 0) {
+    return build(gross);
+  }
+
+  const estimate = roundCurrency(gross / (1 + totalRate / 100));
+  const candidates = [estimate, roundCurrency(estimate - 0.01), roundCurrency(estimate + 0.01)].map(build);
+  const exact = candidates.find(candidate => candidate.total === gross);
+
+  if (exact) return exact;
+
+  const [closest] = candidates;
+
+  return {
+    ...closest,
+    net: roundCurrency(gross - closest.taxAmount),
+    total: gross
+  };
+};
+
+/**
+ * Add up tax breakdowns by tax and rate
+ * @param {Array} items - [{ base, taxes: [{ type, rate, amount }] }]
+ * @returns {Array} [{ type, rate, base, amount }]
+ */
+export const summarizeTaxes = (items) => {
+  const summary = new Map();
+
+  items.forEach(({ base, taxes }) => {
+    (taxes || []).forEach(({ type, rate, amount }) => {
+      const key = `${type}|${rate}`;
+      const entry = summary.get(key) || { type, rate, base: 0, amount: 0 };
+
+      entry.base = roundCurrency(entry.base + base);
+      entry.amount = roundCurrency(entry.amount + amount);
+      summary.set(key, entry);
+    });
+  });
+
+  return [...summary.values()];
+};
+
+/**
+ * Split each night of a stay into its net amount and lodging taxes
+ * @param {Array} nights - Nights with their total price
+ * @param {Object} settings - Tax settings ({ mode, ivaRate, ishRate })
+ * @returns {Object} { nights (with netAmount, taxAmount and taxes), subtotal, taxes, taxBreakdown, total }
+ */
+export const taxStay = (nights, settings) => {
+  const rates = getCategoryRates(settings, FOLIO_CHARGE_CATEGORIES.ROOM);
+  const taxedNights = nights.map(night => {
+    const { net, taxes, taxAmount } = splitTaxes(night.total, rates, settings.mode);
+    return { ...night, netAmount: net, taxAmount, taxes };
+  });
+
+  const subtotal = roundCurrency(taxedNights.reduce((sum, night) => sum + night.netAmount, 0));
+  const taxes = roundCurrency(taxedNights.reduce((sum, night) => sum + night.taxAmount, 0));
+
+  return {
+    nights: taxedNights,
+    subtotal,
+    taxes,
+    taxBreakdown: summarizeTaxes(taxedNights.map(night => ({ base: night.netAmount, taxes: night.taxes }))),
+    total: roundCurrency(subtotal + taxes)
+  };
+};
+
+export default {
+  resolveTaxSettings,
+  getCategoryRates,
+  calculateTaxes,
+  splitTaxes,
+  summarizeTaxes,
+  taxStay
+};
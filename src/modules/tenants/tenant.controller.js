@@ -46,9 +46,14 @@ export const updateTenantSettings = async (req, res) => {
       });
     }
 
+    // Set only the sections sent so the rest of the settings are kept
+    const updates = Object.fromEntries(
+      Object.entries(settings).map(([key, value]) => [`settings.${key}`, value])
+    );
+
     const tenant = await Tenant.findByIdAndUpdate(
       req.user.tenantId,
-      { $set: { settings } },
+      { $set: updates },
       { new: true, runValidators: true }
     );
 
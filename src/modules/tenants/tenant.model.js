@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { TENANT_TYPES, TENANT_PLANS } from '../../config/constants.js';
+import { TENANT_TYPES, TENANT_PLANS, TAX_MODES, DEFAULT_TAX_SETTINGS, DEFAULT_BRAND_COLOR } from '../../config/constants.js';
 
 /**
  * Tenant Schema - Represents a business (hotel, Airbnb, posada)
@@ -46,6 +46,77 @@ const tenantSchema = new mongoose.Schema({
       type: String,
       default: 'es',
       maxlength: 5
+    },
+    // Default tax settings for every property (each property can override them)
+    taxes: {
+      mode: {
+        type: String,
+        enum: Object.values(TAX_MODES),
+        default: DEFAULT_TAX_SETTINGS.mode
+      },
+      ivaRate: {
+        type: Number,
+        min: [0, 'IVA rate cannot be negative'],
+        max: [100, 'IVA rate cannot exceed 100'],
+        default: DEFAULT_TAX_SETTINGS.ivaRate
+      },
+      ishRate: {
+        type: Number,
+        min: [0, 'ISH rate cannot be negative'],
+        max: [100, 'ISH rate cannot exceed 100'],
+        default: DEFAULT_TAX_SETTINGS.ishRate
+      }
+    },
+    // Issuer (emisor) data for CFDI invoices
+    invoicing: {
+      rfc: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [13, 'RFC cannot exceed 13 characters']
+      },
+      // Razón social as registered with SAT
+      legalName: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Legal name cannot exceed 300 characters']
+      },
+      // SAT régimen fiscal key (e.g. 601, 626)
+      taxRegime: {
+        type: String,
+        trim: true
+      },
+      series: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: 'A',
+        maxlength: [25, 'Series cannot exceed 25 characters']
+      }
+    },
+    // Look of the printable documents (confirmations, receipts, statements)
+    branding: {
+      // Name printed on documents; defaults to the tenant name
+      displayName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Display name cannot exceed 100 characters']
+      },
+      // PNG or JPEG as a data URI (data:image/png;base64,...)
+      logo: {
+        type: String,
+        default: null
+      },
+      primaryColor: {
+        type: String,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color (e.g. #1F3A5F)'],
+        default: DEFAULT_BRAND_COLOR
+      },
+      footerText: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Footer text cannot exceed 300 characters']
+      }
     }
   },
   subscription: {
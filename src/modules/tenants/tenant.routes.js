@@ -9,6 +9,7 @@ import { authenticate } from '../../middlewares/auth.js';
 import { tenantGuard } from '../../middlewares/tenantGuard.js';
 import { validate } from '../../middlewares/validation.js';
 import { z } from 'zod';
+import { tenantTaxSettingsSchema, tenantInvoicingSchema, tenantBrandingSchema } from '../../schemas/tenant.schema.js';
 
 const router = express.Router();
 
@@ -21,7 +22,10 @@ const updateSettingsSchema = z.object({
   settings: z.object({
     currency: z.string().max(3).optional(),
     timezone: z.string().optional(),
-    language: z.string().max(5).optional()
+    language: z.string().max(5).optional(),
+    taxes: tenantTaxSettingsSchema.optional(),
+    invoicing: tenantInvoicingSchema.optional(),
+    branding: tenantBrandingSchema.optional()
   })
 });
 
@@ -1,5 +1,6 @@
 import User from '../auth/user.model.js';
 import { HTTP_STATUS } from '../../config/constants.js';
+import { tenantAggregate } from '../../utils/tenantAggregate.js';
 
 /**
  * User Controller
@@ -488,8 +489,7 @@ export const getUserStats = async (req, res) => {
     const [totalUsers, activeUsers, roleStats] = await Promise.all([
       User.countDocuments({ tenantId: req.user.tenantId }),
       User.countDocuments({ tenantId: req.user.tenantId, isActive: true }),
-      User.aggregate([
-        { $match: { tenantId: req.user.tenantId } },
+      tenantAggregate(User, req.user.tenantId, [
         { $group: { _id: '$role', count: { $sum: 1 } } }
       ])
     ]);
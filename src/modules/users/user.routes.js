@@ -28,7 +28,7 @@ router.use(authenticate);
 router.use(tenantGuard);
 
 const roleUpdateSchema = z.object({
-  role: z.enum(['admin', 'staff', 'cleaning'])
+  role: z.enum(['admin', 'manager', 'staff', 'cleaning'])
 });
 
 const permissionsUpdateSchema = z.object({
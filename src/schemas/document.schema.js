@@ -0,0 +1,23 @@
+import { z } from 'zod';
+
+/**
+ * Zod validation schemas for printable documents
+ */
+
+export const documentReservationParamsSchema = z.object({
+  reservationId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format')
+});
+
+export const documentPaymentParamsSchema = z.object({
+  transactionId: z.string()
+    .trim()
+    .toUpperCase()
+    .min(1, 'Transaction ID is required')
+    .max(50, 'Transaction ID cannot exceed 50 characters')
+});
+
+export const documentFolioParamsSchema = z.object({
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+});
@@ -0,0 +1,48 @@
+import { z } from 'zod';
+
+/**
+ * Zod validation schemas for ExchangeRate model
+ */
+
+const currencySchema = z.string()
+  .trim()
+  .toUpperCase()
+  .length(3, 'Currency code must be 3 characters');
+
+export const createExchangeRateSchema = z.object({
+  fromCurrency: currencySchema,
+  toCurrency: currencySchema,
+  rate: z.number()
+    .positive('Rate must be greater than 0'),
+  date: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid date' })
+  }),
+  source: z.string()
+    .max(100, 'Source cannot exceed 100 characters')
+    .trim()
+    .optional()
+}).refine(data => data.fromCurrency !== data.toCurrency, {
+  message: 'Target currency must differ from the source currency',
+  path: ['toCurrency']
+});
+
+export const exchangeRateParamsSchema = z.object({
+  exchangeRateId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid exchange rate ID format')
+});
+
+export const exchangeRateQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  fromCurrency: currencySchema.optional(),
+  toCurrency: currencySchema.optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+export const convertAmountQuerySchema = z.object({
+  amount: z.coerce.number().min(0, 'Amount cannot be negative'),
+  from: currencySchema,
+  to: currencySchema,
+  date: z.coerce.date().optional()
+});
@@ -0,0 +1,117 @@
+import { z } from 'zod';
+import { FOLIO_CHARGE_CATEGORIES, FOLIO_PAYER_TYPES } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for Folio model
+ */
+
+const chargeSchema = z.object({
+  category: z.enum(Object.values(FOLIO_CHARGE_CATEGORIES), {
+    errorMap: () => ({ message: `Category must be one of: ${Object.values(FOLIO_CHARGE_CATEGORIES).join(', ')}` })
+  }),
+  description: z.string()
+    .min(1, 'Charge description is required')
+    .max(200, 'Description cannot exceed 200 characters')
+    .trim(),
+  // Service date; defaults to now
+  date: z.coerce.date().optional(),
+  quantity: z.number()
+    .positive('Quantity must be positive')
+    .optional()
+    .default(1),
+  // With taxes when the property prices them inclusive
+  unitPrice: z.number()
+    .positive('Unit price must be positive'),
+  // Replaces the IVA/ISH the category would pay under the property tax settings
+  taxRate: z.number()
+    .min(0, 'Tax rate cannot be negative')
+    .max(100, 'Tax rate cannot exceed 100')
+    .optional()
+});
+
+const payerSchema = z.object({
+  type: z.enum(Object.values(FOLIO_PAYER_TYPES)).optional().default(FOLIO_PAYER_TYPES.GUEST),
+  guestId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid guest ID format')
+    .optional(),
+  name: z.string()
+    .min(1, 'Payer name is required')
+    .max(200, 'Payer name cannot exceed 200 characters')
+    .trim()
+    .optional(),
+  taxId: z.string()
+    .max(20, 'Tax ID cannot exceed 20 characters')
+    .trim()
+    .toUpperCase()
+    .optional(),
+  email: z.string()
+    .email('Invalid email format')
+    .toLowerCase()
+    .optional()
+});
+
+const routingSchema = z.object({
+  // Charge categories sent to this folio instead of folio 1
+  categories: z.array(z.enum(Object.values(FOLIO_CHARGE_CATEGORIES)))
+    .refine(categories => new Set(categories).size === categories.length, 'Routing categories must be unique')
+});
+
+export const createFolioSchema = z.object({
+  name: z.string()
+    .min(1, 'Folio name is required')
+    .max(100, 'Folio name cannot exceed 100 characters')
+    .trim(),
+  payer: payerSchema.optional(),
+  routing: routingSchema.optional().default({ categories: [] })
+});
+
+export const updateFolioSchema = createFolioSchema.partial();
+
+export const postChargesSchema = z.object({
+  // Post every charge to this folio instead of following the routing
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+    .optional(),
+  charges: z.array(chargeSchema)
+    .min(1, 'At least one charge is required')
+    .max(50, 'Cannot post more than 50 charges at once')
+});
+
+export const voidLineSchema = z.object({
+  reason: z.string()
+    .min(1, 'Void reason is required')
+    .max(500, 'Reason cannot exceed 500 characters')
+    .trim()
+});
+
+export const adjustLineSchema = z.object({
+  // Before tax; negative to lower the charge
+  amount: z.number()
+    .refine(amount => amount !== 0, 'Adjustment amount cannot be zero'),
+  reason: z.string()
+    .min(1, 'Adjustment reason is required')
+    .max(500, 'Reason cannot exceed 500 characters')
+    .trim()
+});
+
+export const folioReservationParamsSchema = z.object({
+  reservationId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format')
+});
+
+export const transferLineSchema = z.object({
+  targetFolioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+});
+
+export const folioParamsSchema = z.object({
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+});
+
+export const folioLineParamsSchema = z.object({
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format'),
+  lineId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid line ID format')
+});
@@ -0,0 +1,134 @@
+import { z } from 'zod';
+import { RESERVATION_STATUS } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for ReservationGroup model
+ */
+
+const billingContactSchema = z.object({
+  guestId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid guest ID format')
+    .optional(),
+  name: z.string()
+    .min(1, 'Billing contact name is required')
+    .max(100, 'Billing contact name cannot exceed 100 characters')
+    .trim(),
+  email: z.string()
+    .email('Invalid email format')
+    .toLowerCase()
+    .optional(),
+  phone: z.string().trim().optional()
+});
+
+export const groupReservationSchema = z.object({
+  roomId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+    .optional(),
+
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .optional(),
+
+  // Defaults to the billing contact's guest
+  guestId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid guest ID format')
+    .optional(),
+
+  dates: z.object({
+    checkInDate: z.coerce.date({
+      errorMap: () => ({ message: 'Invalid check-in date' })
+    }),
+    checkOutDate: z.coerce.date({
+      errorMap: () => ({ message: 'Invalid check-out date' })
+    })
+  }).refine(data => data.checkOutDate > data.checkInDate, {
+    message: 'Check-out date must be after check-in date',
+    path: ['checkOutDate']
+  }),
+
+  guests: z.object({
+    adults: z.number()
+      .int('Adult count must be an integer')
+      .min(1, 'At least 1 adult is required')
+      .max(20, 'Cannot exceed 20 adults'),
+    children: z.number()
+      .int('Children count must be an integer')
+      .min(0, 'Children count cannot be negative')
+      .max(10, 'Cannot exceed 10 children')
+      .optional()
+      .default(0),
+    additionalGuests: z.array(z.object({
+      firstName: z.string().min(1, 'First name is required').trim(),
+      lastName: z.string().min(1, 'Last name is required').trim(),
+      age: z.number().int().min(0).max(120).optional(),
+      identification: z.string().trim().optional()
+    })).optional()
+  }),
+
+  source: z.enum(['direct', 'booking_com', 'airbnb', 'expedia', 'phone', 'walk_in', 'other']).optional(),
+
+  specialRequests: z.string()
+    .max(1000, 'Special requests cannot exceed 1000 characters')
+    .trim()
+    .optional(),
+
+  notes: z.string()
+    .max(2000, 'Notes cannot exceed 2000 characters')
+    .trim()
+    .optional()
+}).refine(data => data.roomId || data.roomTypeId, {
+  message: 'A room ID or room type ID is required',
+  path: ['roomId']
+});
+
+export const createGroupSchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+
+  name: z.string()
+    .min(1, 'Group name is required')
+    .max(100, 'Group name cannot exceed 100 characters')
+    .trim(),
+
+  billingContact: billingContactSchema,
+
+  notes: z.string()
+    .max(2000, 'Notes cannot exceed 2000 characters')
+    .trim()
+    .optional(),
+
+  reservations: z.array(groupReservationSchema)
+    .min(1, 'A group needs at least one reservation')
+    .max(50, 'A group cannot exceed 50 reservations')
+});
+
+export const updateGroupSchema = z.object({
+  name: z.string()
+    .min(1, 'Group name is required')
+    .max(100, 'Group name cannot exceed 100 characters')
+    .trim()
+    .optional(),
+  billingContact: billingContactSchema.partial().optional(),
+  notes: z.string().max(2000).trim().optional()
+});
+
+export const groupParamsSchema = z.object({
+  groupId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid group ID format')
+});
+
+export const groupQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  status: z.enum(Object.values(RESERVATION_STATUS)).optional(),
+  confirmationNumber: z.string().trim().optional(),
+  search: z.string().min(1).optional()
+});
+
+export const cancelGroupSchema = z.object({
+  reason: z.string()
+    .min(1, 'Cancellation reason is required')
+    .max(500, 'Reason cannot exceed 500 characters')
+    .trim()
+});
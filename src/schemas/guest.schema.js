@@ -39,6 +39,14 @@ export const createGuestSchema = z.object({
     .optional(),
   
   vipStatus: z.boolean().optional(),
+  
+  preferences: z.object({
+    preferredRooms: z.array(
+      z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+    ).optional(),
+    amenities: z.array(z.string().trim()).optional()
+  }).optional(),
+  
   blacklisted: z.boolean().optional(),
   blacklistReason: z.string().trim().optional()
 });
@@ -84,6 +92,10 @@ export const guestResponseSchema = z.object({
   }).optional(),
   notes: z.string().optional(),
   vipStatus: z.boolean(),
+  preferences: z.object({
+    preferredRooms: z.array(z.string()),
+    amenities: z.array(z.string())
+  }).optional(),
   blacklisted: z.boolean(),
   totalStays: z.number(),
   totalSpent: z.number(),
@@ -0,0 +1,74 @@
+import { z } from 'zod';
+import { INVOICE_STATUS, CFDI_CANCELLATION_REASONS } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for Invoice model
+ */
+
+const receptorSchema = z.object({
+  // Generic RFCs (XAXX010101000 público en general) also match
+  rfc: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/, 'Invalid RFC format'),
+  // Razón social exactly as in the receptor's constancia de situación fiscal
+  name: z.string()
+    .min(1, 'Receptor legal name is required')
+    .max(300, 'Legal name cannot exceed 300 characters')
+    .trim(),
+  taxRegime: z.string()
+    .regex(/^\d{3}$/, 'Tax regime must be a 3-digit SAT key (e.g. 601)'),
+  postalCode: z.string()
+    .regex(/^\d{5}$/, 'Postal code must have 5 digits'),
+  cfdiUse: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^([GID]\d{2}|S01|CP01|CN01)$/, 'Invalid CFDI use (e.g. G03)'),
+  email: z.string()
+    .email('Invalid email format')
+    .toLowerCase()
+    .optional()
+});
+
+export const createInvoiceSchema = z.object({
+  reservationId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format'),
+  // Defaults to folio 1
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+    .optional(),
+  receptor: receptorSchema,
+  // MXN per unit of the reservation currency; defaults to the stored rate of the day
+  exchangeRate: z.number()
+    .positive('Exchange rate must be positive')
+    .optional()
+});
+
+export const cancelInvoiceSchema = z.object({
+  reason: z.enum(Object.values(CFDI_CANCELLATION_REASONS), {
+    errorMap: () => ({ message: `Reason must be one of: ${Object.values(CFDI_CANCELLATION_REASONS).join(', ')}` })
+  }),
+  replacementUuid: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/, 'Invalid UUID format')
+    .optional()
+}).refine(
+  data => data.reason !== CFDI_CANCELLATION_REASONS.ERRORS_WITH_REPLACEMENT || data.replacementUuid,
+  { message: 'Replacement UUID is required for reason 01', path: ['replacementUuid'] }
+);
+
+export const invoiceParamsSchema = z.object({
+  invoiceId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid invoice ID format')
+});
+
+export const invoiceQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  reservationId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format')
+    .optional(),
+  status: z.enum(Object.values(INVOICE_STATUS)).optional(),
+  rfc: z.string().trim().toUpperCase().optional()
+});
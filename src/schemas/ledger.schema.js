@@ -0,0 +1,27 @@
+import { z } from 'zod';
+import { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for the ledger
+ */
+
+const objectIdSchema = z.string()
+  .regex(/^[0-9a-fA-F]{24}$/, 'Invalid ID format');
+
+export const ledgerQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(20),
+  reservationId: objectIdSchema.optional(),
+  guestId: objectIdSchema.optional(),
+  propertyId: objectIdSchema.optional(),
+  type: z.enum(Object.values(LEDGER_ENTRY_TYPES)).optional(),
+  account: z.enum(Object.values(LEDGER_ACCOUNTS)).optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+export const ledgerBalancesQuerySchema = z.object({
+  propertyId: objectIdSchema.optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
@@ -7,12 +7,27 @@ import { PAYMENT_METHODS, PAYMENT_STATUS } from '../config/constants.js';
 
 export const createPaymentSchema = z.object({
   reservationId: z.string()
-    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format'),
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format')
+    .optional(),
+  
+  // Pay against a group balance instead of a single reservation
+  groupId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid group ID format')
+    .optional(),
+  
+  // Folio of the reservation this payment settles; defaults to folio 1
+  folioId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid folio ID format')
+    .optional(),
   
   amount: z.number()
     .positive('Payment amount must be greater than 0'),
   
+  // Currency the guest pays in; defaults to the reservation currency and
+  // any other one is converted at the payment date's exchange rate
   currency: z.string()
+    .trim()
+    .toUpperCase()
     .length(3, 'Currency must be 3 characters')
     .optional(),
   
@@ -38,9 +53,15 @@ export const createPaymentSchema = z.object({
       .optional(),
     
     // External payment gateway info
-    gatewayTransactionId: z.string().trim().optional()
+    gatewayTransactionId: z.string().trim().optional(),
+    
+    // Card token from the gateway's client SDK; the card is charged through PAYMENT_GATEWAY
+    paymentToken: z.string().trim().min(1).optional()
   }).optional(),
   
+  // Set to false with a paymentToken to only hold the amount (captured later)
+  capture: z.boolean().optional(),
+  
   fees: z.object({
     processingFee: z.number()
       .min(0, 'Processing fee cannot be negative')
@@ -57,6 +78,9 @@ export const createPaymentSchema = z.object({
     .max(500, 'Notes cannot exceed 500 characters')
     .trim()
     .optional()
+}).refine(data => data.reservationId || data.groupId, {
+  message: 'A reservation ID or group ID is required',
+  path: ['reservationId']
 });
 
 export const updatePaymentSchema = z.object({
@@ -83,7 +107,21 @@ export const processRefundSchema = z.object({
   reason: z.string()
     .min(1, 'Refund reason is required')
     .max(500, 'Reason cannot exceed 500 characters')
-    .trim()
+    .trim(),
+
+  // How the money goes back; defaults to the payment method (online card
+  // charges are always refunded to the card)
+  method: z.enum(Object.values(PAYMENT_METHODS)).optional()
+});
+
+export const refundQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  reservationId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  paymentId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  method: z.enum(Object.values(PAYMENT_METHODS)).optional(),
+  dateFrom: z.coerce.date().optional(),
+  dateTo: z.coerce.date().optional()
 });
 
 export const paymentParamsSchema = z.object({
@@ -95,6 +133,7 @@ export const paymentQuerySchema = z.object({
   page: z.coerce.number().min(1).optional().default(1),
   limit: z.coerce.number().min(1).max(100).optional().default(10),
   reservationId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  groupId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
   method: z.enum(Object.values(PAYMENT_METHODS)).optional(),
   status: z.enum(Object.values(PAYMENT_STATUS)).optional(),
   dateFrom: z.coerce.date().optional(),
@@ -121,9 +160,15 @@ export const paymentResponseSchema = z.object({
   _id: z.string(),
   tenantId: z.string(),
   reservationId: z.string(),
+  groupId: z.string().nullable(),
   transactionId: z.string(),
   amount: z.number(),
   currency: z.string(),
+  tendered: z.object({
+    amount: z.number(),
+    currency: z.string(),
+    exchangeRate: z.number()
+  }).optional(),
   method: z.enum(Object.values(PAYMENT_METHODS)),
   status: z.enum(Object.values(PAYMENT_STATUS)),
   details: z.object({
@@ -0,0 +1,47 @@
+import { z } from 'zod';
+import { PAYMENT_LINK_PURPOSES, PAYMENT_LINK_STATUS } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for payment links
+ */
+
+export const createPaymentLinkSchema = z.object({
+  reservationId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid reservation ID format'),
+  purpose: z.enum(Object.values(PAYMENT_LINK_PURPOSES), {
+    errorMap: () => ({ message: `Purpose must be one of: ${Object.values(PAYMENT_LINK_PURPOSES).join(', ')}` })
+  }),
+  // Hours the link stays valid (3 days by default, 30 at most)
+  expiresInHours: z.number()
+    .int('Expiration must be a whole number of hours')
+    .min(1, 'The link must be valid for at least 1 hour')
+    .max(720, 'The link cannot be valid for more than 720 hours')
+    .optional()
+    .default(72)
+});
+
+export const paymentLinkParamsSchema = z.object({
+  linkId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid payment link ID format')
+});
+
+export const paymentLinkQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  reservationId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  status: z.enum(Object.values(PAYMENT_LINK_STATUS)).optional()
+});
+
+export const paymentLinkTokenParamsSchema = z.object({
+  token: z.string()
+    .min(1, 'Payment link token is required')
+    .max(1000, 'Invalid payment link token')
+});
+
+export const payPaymentLinkSchema = z.object({
+  // Card token from the gateway's client SDK
+  paymentToken: z.string()
+    .trim()
+    .min(1, 'Payment token is required'),
+  cardBrand: z.enum(['visa', 'mastercard', 'amex', 'discover', 'other']).optional()
+});
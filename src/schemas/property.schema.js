@@ -1,4 +1,11 @@
 import { z } from 'zod';
+import {
+  CANCELLATION_POLICIES,
+  CANCELLATION_PENALTY_TYPES,
+  DEPOSIT_POLICIES,
+  EARLY_DEPARTURE_POLICIES,
+  TAX_MODES
+} from '../config/constants.js';
 
 /**
  * Zod validation schemas for Property model
@@ -71,11 +78,84 @@ export const createPropertySchema = z.object({
   settings: z.object({
     allowOnlineBooking: z.boolean().optional(),
     requireApproval: z.boolean().optional(),
-    cancellationPolicy: z.enum(['flexible', 'moderate', 'strict']).optional(),
+    cancellationPolicy: z.enum(Object.values(CANCELLATION_POLICIES)).optional(),
+    customCancellationPolicy: z.object({
+      deadlineHours: z.number()
+        .min(0, 'Cancellation deadline cannot be negative'),
+      penaltyType: z.enum(Object.values(CANCELLATION_PENALTY_TYPES)),
+      penaltyValue: z.number()
+        .min(0, 'Cancellation penalty cannot be negative')
+    }).refine(data => data.penaltyType !== CANCELLATION_PENALTY_TYPES.PERCENTAGE || data.penaltyValue <= 100, {
+      message: 'Percentage cannot exceed 100',
+      path: ['penaltyValue']
+    }).optional(),
     advanceBookingDays: z.number()
       .min(0, 'Advance booking days cannot be negative')
       .max(365, 'Advance booking days cannot exceed 365')
-      .optional()
+      .optional(),
+    depositPolicy: z.object({
+      type: z.enum(Object.values(DEPOSIT_POLICIES)),
+      value: z.number()
+        .min(0, 'Deposit policy value cannot be negative')
+        .optional()
+        .default(0),
+      dueDaysBeforeArrival: z.number()
+        .int('Deposit due days must be an integer')
+        .min(0, 'Deposit due days cannot be negative')
+        .max(365, 'Deposit due days cannot exceed 365')
+        .optional()
+        .default(0),
+      requiredToConfirm: z.boolean().optional().default(false)
+    }).refine(data => data.type !== DEPOSIT_POLICIES.PERCENTAGE || data.value <= 100, {
+      message: 'Percentage cannot exceed 100',
+      path: ['value']
+    }).optional(),
+    holdPolicy: z.object({
+      enabled: z.boolean().optional(),
+      expireAfterHours: z.number()
+        .min(1, 'Hold must last at least 1 hour')
+        .max(720, 'Hold cannot exceed 720 hours')
+        .optional(),
+      keepIfDepositPaid: z.boolean().optional()
+    }).optional(),
+    noShowPolicy: z.object({
+      autoProcess: z.boolean().optional(),
+      graceHours: z.number()
+        .min(0, 'No-show grace period cannot be negative')
+        .max(48, 'No-show grace period cannot exceed 48 hours')
+        .optional(),
+      penaltyType: z.enum(Object.values(CANCELLATION_PENALTY_TYPES)).optional(),
+      penaltyValue: z.number()
+        .min(0, 'No-show penalty cannot be negative')
+        .optional()
+    }).refine(data => data.penaltyType !== CANCELLATION_PENALTY_TYPES.PERCENTAGE || (data.penaltyValue ?? 0) <= 100, {
+      message: 'Percentage cannot exceed 100',
+      path: ['penaltyValue']
+    }).optional(),
+    earlyDeparturePolicy: z.object({
+      type: z.enum(Object.values(EARLY_DEPARTURE_POLICIES)),
+      value: z.number()
+        .min(0, 'Early departure policy value cannot be negative')
+        .optional()
+        .default(0)
+    }).refine(data => data.type !== EARLY_DEPARTURE_POLICIES.PERCENTAGE || data.value <= 100, {
+      message: 'Percentage cannot exceed 100',
+      path: ['value']
+    }).optional(),
+    // null inherits the tenant setting
+    taxes: z.object({
+      mode: z.enum(Object.values(TAX_MODES)).nullable().optional(),
+      ivaRate: z.number()
+        .min(0, 'IVA rate cannot be negative')
+        .max(100, 'IVA rate cannot exceed 100')
+        .nullable()
+        .optional(),
+      ishRate: z.number()
+        .min(0, 'ISH rate cannot be negative')
+        .max(100, 'ISH rate cannot exceed 100')
+        .nullable()
+        .optional()
+    }).optional()
   }).optional()
 });
 
@@ -131,7 +211,38 @@ export const propertyResponseSchema = z.object({
     allowOnlineBooking: z.boolean(),
     requireApproval: z.boolean(),
     cancellationPolicy: z.string(),
-    advanceBookingDays: z.number()
+    customCancellationPolicy: z.object({
+      deadlineHours: z.number(),
+      penaltyType: z.enum(Object.values(CANCELLATION_PENALTY_TYPES)),
+      penaltyValue: z.number()
+    }),
+    advanceBookingDays: z.number(),
+    depositPolicy: z.object({
+      type: z.enum(Object.values(DEPOSIT_POLICIES)),
+      value: z.number(),
+      dueDaysBeforeArrival: z.number(),
+      requiredToConfirm: z.boolean()
+    }),
+    holdPolicy: z.object({
+      enabled: z.boolean(),
+      expireAfterHours: z.number(),
+      keepIfDepositPaid: z.boolean()
+    }),
+    noShowPolicy: z.object({
+      autoProcess: z.boolean(),
+      graceHours: z.number(),
+      penaltyType: z.enum(Object.values(CANCELLATION_PENALTY_TYPES)),
+      penaltyValue: z.number()
+    }),
+    earlyDeparturePolicy: z.object({
+      type: z.enum(Object.values(EARLY_DEPARTURE_POLICIES)),
+      value: z.number()
+    }),
+    taxes: z.object({
+      mode: z.enum(Object.values(TAX_MODES)).nullable(),
+      ivaRate: z.number().nullable(),
+      ishRate: z.number().nullable()
+    })
   }),
   isActive: z.boolean(),
   createdAt: z.date(),
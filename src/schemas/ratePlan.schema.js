@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import { ROOM_TYPES } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for RatePlan model
+ */
+
+const dayOfWeekPriceSchema = z.object({
+  day: z.number()
+    .int('Day must be an integer')
+    .min(0, 'Day must be between 0 (Sunday) and 6 (Saturday)')
+    .max(6, 'Day must be between 0 (Sunday) and 6 (Saturday)'),
+  price: z.number()
+    .min(0, 'Price cannot be negative')
+});
+
+const ratePlanBaseSchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+
+  name: z.string()
+    .min(1, 'Rate plan name is required')
+    .max(100, 'Rate plan name cannot exceed 100 characters')
+    .trim(),
+
+  description: z.string()
+    .max(500, 'Description cannot exceed 500 characters')
+    .trim()
+    .optional(),
+
+  roomId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+    .nullable()
+    .optional(),
+
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .nullable()
+    .optional(),
+
+  roomType: z.enum(Object.values(ROOM_TYPES), {
+    errorMap: () => ({ message: `Room type must be one of: ${Object.values(ROOM_TYPES).join(', ')}` })
+  }).nullable().optional(),
+
+  price: z.number()
+    .min(0, 'Price cannot be negative')
+    .optional(),
+
+  dayOfWeekPrices: z.array(dayOfWeekPriceSchema)
+    .refine(entries => new Set(entries.map(entry => entry.day)).size === entries.length, {
+      message: 'Each day of the week can only be overridden once'
+    })
+    .optional(),
+
+  dateRange: z.object({
+    startDate: z.coerce.date().optional(),
+    endDate: z.coerce.date().optional()
+  }).refine(data => !data.startDate || !data.endDate || data.endDate >= data.startDate, {
+    message: 'End date must be on or after the start date',
+    path: ['endDate']
+  }).optional(),
+
+  priority: z.number()
+    .int('Priority must be an integer')
+    .min(0, 'Priority cannot be negative')
+    .max(1000, 'Priority cannot exceed 1000')
+    .optional(),
+
+  nonRefundable: z.boolean().optional()
+});
+
+export const createRatePlanSchema = ratePlanBaseSchema.refine(
+  data => data.price !== undefined || (data.dayOfWeekPrices && data.dayOfWeekPrices.length > 0),
+  {
+    message: 'A price or at least one day-of-week price is required',
+    path: ['price']
+  }
+);
+
+export const updateRatePlanSchema = ratePlanBaseSchema.partial();
+
+export const ratePlanParamsSchema = z.object({
+  ratePlanId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid rate plan ID format')
+});
+
+export const ratePlanQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  roomId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  roomTypeId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  roomType: z.enum(Object.values(ROOM_TYPES)).optional(),
+  activeOn: z.coerce.date().optional()
+});
+
+export const rateQuoteSchema = z.object({
+  roomId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+    .optional(),
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .optional(),
+  checkInDate: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid check-in date' })
+  }),
+  checkOutDate: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid check-out date' })
+  }),
+  adults: z.coerce.number().int().min(1).max(20).optional().default(1),
+  children: z.coerce.number().int().min(0).max(10).optional().default(0)
+}).refine(data => data.checkOutDate > data.checkInDate, {
+  message: 'Check-out date must be after check-in date',
+  path: ['checkOutDate']
+}).refine(data => data.roomId || data.roomTypeId, {
+  message: 'A room ID or room type ID is required',
+  path: ['roomId']
+});
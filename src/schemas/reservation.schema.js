@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { RESERVATION_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { RESERVATION_STATUS, PAYMENT_STATUS, ROOM_STATUS, FOLIO_CHARGE_CATEGORIES, TAX_MODES, TAX_TYPES } from '../config/constants.js';
 
 /**
  * Zod validation schemas for Reservation model
@@ -9,8 +9,14 @@ export const createReservationSchema = z.object({
   propertyId: z.string()
     .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
   
+  // Either a concrete room or a room type (the room is then assigned before check-in)
   roomId: z.string()
-    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format'),
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+    .optional(),
+  
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .optional(),
   
   guestId: z.string()
     .regex(/^[0-9a-fA-F]{24}$/, 'Invalid guest ID format'),
@@ -65,7 +71,7 @@ export const createReservationSchema = z.object({
     }).optional(),
     totalPrice: z.number()
       .min(0, 'Total price cannot be negative'),
-    currency: z.string().length(3, 'Currency must be 3 characters').optional().default('USD')
+    currency: z.string().trim().toUpperCase().length(3, 'Currency must be 3 characters').optional()
   }),
   
   source: z.enum(['direct', 'booking_com', 'airbnb', 'expedia', 'phone', 'walk_in', 'other']).optional(),
@@ -83,6 +89,9 @@ export const createReservationSchema = z.object({
     .max(2000, 'Notes cannot exceed 2000 characters')
     .trim()
     .optional()
+}).refine(data => data.roomId || data.roomTypeId, {
+  message: 'A room ID or room type ID is required',
+  path: ['roomId']
 });
 
 export const updateReservationSchema = z.object({
@@ -120,6 +129,9 @@ export const reservationQuerySchema = z.object({
   limit: z.coerce.number().min(1).max(100).optional().default(10),
   propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
   roomId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  roomTypeId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  groupId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+  unassigned: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
   guestId: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
   status: z.enum(Object.values(RESERVATION_STATUS)).optional(),
   paymentStatus: z.enum(Object.values(PAYMENT_STATUS)).optional(),
@@ -131,15 +143,62 @@ export const reservationQuerySchema = z.object({
   source: z.enum(['direct', 'booking_com', 'airbnb', 'expedia', 'phone', 'walk_in', 'other']).optional()
 });
 
+export const assignRoomSchema = z.object({
+  roomId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format')
+});
+
+export const moveRoomSchema = z.object({
+  roomId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room ID format'),
+  // First night in the new room; defaults to tonight
+  moveDate: z.coerce.date().optional().default(() => new Date()),
+  // Keep charging the previous room's rate for the rest of the stay
+  keepRate: z.boolean().optional().default(false),
+  reason: z.string()
+    .min(1, 'Move reason is required')
+    .max(500, 'Reason cannot exceed 500 characters')
+    .trim(),
+  // Status left on the room the guest moves out of
+  previousRoomStatus: z.enum([ROOM_STATUS.CLEANING, ROOM_STATUS.MAINTENANCE]).optional().default(ROOM_STATUS.CLEANING)
+});
+
+export const changeStaySchema = z.object({
+  checkOutDate: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid check-out date' })
+  })
+});
+
+export const runNoShowsSchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+  dryRun: z.boolean().optional().default(false)
+});
+
+export const autoAssignSchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+  fromDate: z.coerce.date().optional().default(() => new Date()),
+  toDate: z.coerce.date().optional().default(() => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
+  dryRun: z.boolean().optional().default(false)
+}).refine(data => data.toDate >= data.fromDate, {
+  message: 'To date must be on or after the from date',
+  path: ['toDate']
+});
+
 export const checkInSchema = z.object({
   notes: z.string().max(500).trim().optional()
 });
 
 export const checkOutSchema = z.object({
   notes: z.string().max(500).trim().optional(),
+  // Posted to the folio; amount is the price per unit, taxed like any folio charge
   additionalCharges: z.array(z.object({
-    description: z.string().min(1, 'Charge description is required'),
-    amount: z.number().positive('Amount must be positive')
+    category: z.enum(Object.values(FOLIO_CHARGE_CATEGORIES)).optional().default(FOLIO_CHARGE_CATEGORIES.OTHER),
+    description: z.string().min(1, 'Charge description is required').max(200),
+    quantity: z.number().positive('Quantity must be positive').optional().default(1),
+    amount: z.number().positive('Amount must be positive'),
+    taxRate: z.number().min(0).max(100).optional()
   })).optional()
 });
 
@@ -148,9 +207,8 @@ export const cancelReservationSchema = z.object({
     .min(1, 'Cancellation reason is required')
     .max(500, 'Reason cannot exceed 500 characters')
     .trim(),
-  refundAmount: z.number()
-    .min(0, 'Refund amount cannot be negative')
-    .optional()
+  // Refund everything paid regardless of the cancellation policy (admins and managers)
+  waivePenalty: z.boolean().optional().default(false)
 });
 
 // Response schema
@@ -158,8 +216,10 @@ export const reservationResponseSchema = z.object({
   _id: z.string(),
   tenantId: z.string(),
   propertyId: z.string(),
-  roomId: z.string(),
+  roomId: z.string().nullable(),
+  roomTypeId: z.string().nullable(),
   guestId: z.string(),
+  groupId: z.string().nullable(),
   confirmationNumber: z.string(),
   dates: z.object({
     checkInDate: z.date(),
@@ -183,20 +243,66 @@ export const reservationResponseSchema = z.object({
     nights: z.number(),
     subtotal: z.number(),
     taxes: z.number(),
+    taxMode: z.enum(Object.values(TAX_MODES)),
+    taxBreakdown: z.array(z.object({
+      type: z.enum(Object.values(TAX_TYPES)),
+      rate: z.number(),
+      base: z.number(),
+      amount: z.number()
+    })),
     fees: z.object({
       cleaning: z.number(),
       service: z.number(),
-      extra: z.number()
+      extra: z.number(),
+      earlyDeparture: z.number()
     }),
+    incidentals: z.number(),
     totalPrice: z.number(),
-    currency: z.string()
+    currency: z.string(),
+    nightlyBreakdown: z.array(z.object({
+      date: z.date(),
+      rate: z.number(),
+      extraGuestCharge: z.number(),
+      total: z.number(),
+      netAmount: z.number().optional(),
+      taxAmount: z.number().optional(),
+      taxes: z.array(z.object({
+        type: z.enum(Object.values(TAX_TYPES)),
+        rate: z.number(),
+        amount: z.number()
+      })),
+      ratePlanId: z.string().nullable(),
+      ratePlanName: z.string().nullable(),
+      nonRefundable: z.boolean(),
+      roomId: z.string().nullable()
+    }))
   }),
+  segments: z.array(z.object({
+    roomId: z.string(),
+    rateRoomId: z.string().nullable(),
+    startDate: z.date(),
+    endDate: z.date(),
+    reason: z.string().optional(),
+    movedAt: z.date().optional(),
+    movedBy: z.string().optional()
+  })),
   paymentStatus: z.enum(Object.values(PAYMENT_STATUS)),
   paymentSummary: z.object({
     totalPaid: z.number(),
     remainingBalance: z.number(),
+    refundDue: z.number(),
     depositRequired: z.number(),
-    depositPaid: z.boolean()
+    depositDueDate: z.date().nullable(),
+    depositPaid: z.boolean(),
+    folios: z.array(z.object({
+      folioId: z.string(),
+      number: z.number(),
+      name: z.string(),
+      payerName: z.string().nullable(),
+      total: z.number(),
+      paid: z.number(),
+      balance: z.number()
+    }))
   }),
   source: z.string(),
   specialRequests: z.string().optional(),
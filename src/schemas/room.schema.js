@@ -5,10 +5,15 @@ import { ROOM_TYPES, ROOM_STATUS } from '../config/constants.js';
  * Zod validation schemas for Room model
  */
 
-export const createRoomSchema = z.object({
+const roomBaseSchema = z.object({
   propertyId: z.string()
     .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
   
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .nullable()
+    .optional(),
+  
   nameOrNumber: z.string()
     .min(1, 'Room name or number is required')
     .max(50, 'Room name/number cannot exceed 50 characters')
@@ -16,7 +21,7 @@ export const createRoomSchema = z.object({
   
   type: z.enum(Object.values(ROOM_TYPES), {
     errorMap: () => ({ message: `Type must be one of: ${Object.values(ROOM_TYPES).join(', ')}` })
-  }),
+  }).optional(),
   
   capacity: z.object({
     adults: z.number()
@@ -28,7 +33,7 @@ export const createRoomSchema = z.object({
       .min(0, 'Children capacity cannot be negative')
       .max(10, 'Children capacity cannot exceed 10')
       .optional()
-  }),
+  }).partial().optional(),
   
   pricing: z.object({
     basePrice: z.number()
@@ -42,7 +47,7 @@ export const createRoomSchema = z.object({
     extraChildPrice: z.number()
       .min(0, 'Extra child price cannot be negative')
       .optional()
-  }),
+  }).partial().optional(),
   
   amenities: z.array(z.string().trim()).optional(),
   
@@ -76,7 +81,20 @@ export const createRoomSchema = z.object({
   })).optional()
 });
 
-export const updateRoomSchema = createRoomSchema.partial();
+// Type, capacity and pricing can be omitted when the room inherits them from a room type
+export const createRoomSchema = roomBaseSchema.refine(
+  data => data.roomTypeId || (
+    data.type &&
+    data.capacity?.adults !== undefined &&
+    data.pricing?.basePrice !== undefined
+  ),
+  {
+    message: 'Type, capacity.adults and pricing.basePrice are required when no room type is given',
+    path: ['roomTypeId']
+  }
+);
+
+export const updateRoomSchema = roomBaseSchema.partial();
 
 export const roomParamsSchema = z.object({
   roomId: z.string()
@@ -89,6 +107,9 @@ export const roomQuerySchema = z.object({
   propertyId: z.string()
     .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format')
     .optional(),
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+    .optional(),
   type: z.enum(Object.values(ROOM_TYPES)).optional(),
   status: z.enum(Object.values(ROOM_STATUS)).optional(),
   search: z.string().min(1).optional(),
@@ -117,6 +138,7 @@ export const roomResponseSchema = z.object({
   _id: z.string(),
   tenantId: z.string(),
   propertyId: z.string(),
+  roomTypeId: z.string().nullable().optional(),
   nameOrNumber: z.string(),
   type: z.enum(Object.values(ROOM_TYPES)),
   capacity: z.object({
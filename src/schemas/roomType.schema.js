@@ -0,0 +1,91 @@
+import { z } from 'zod';
+import { ROOM_TYPES } from '../config/constants.js';
+
+/**
+ * Zod validation schemas for RoomType model
+ */
+
+export const createRoomTypeSchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+
+  name: z.string()
+    .min(1, 'Room type name is required')
+    .max(100, 'Room type name cannot exceed 100 characters')
+    .trim(),
+
+  code: z.string()
+    .min(1, 'Room type code is required')
+    .max(10, 'Room type code cannot exceed 10 characters')
+    .trim(),
+
+  category: z.enum(Object.values(ROOM_TYPES), {
+    errorMap: () => ({ message: `Category must be one of: ${Object.values(ROOM_TYPES).join(', ')}` })
+  }).optional(),
+
+  description: z.string()
+    .max(500, 'Description cannot exceed 500 characters')
+    .trim()
+    .optional(),
+
+  capacity: z.object({
+    adults: z.number()
+      .int('Adult capacity must be an integer')
+      .min(1, 'Adult capacity must be at least 1')
+      .max(20, 'Adult capacity cannot exceed 20'),
+    children: z.number()
+      .int('Children capacity must be an integer')
+      .min(0, 'Children capacity cannot be negative')
+      .max(10, 'Children capacity cannot exceed 10')
+      .optional()
+  }),
+
+  pricing: z.object({
+    basePrice: z.number()
+      .positive('Base price must be positive'),
+    currency: z.string()
+      .length(3, 'Currency must be 3 characters')
+      .optional(),
+    extraAdultPrice: z.number()
+      .min(0, 'Extra adult price cannot be negative')
+      .optional(),
+    extraChildPrice: z.number()
+      .min(0, 'Extra child price cannot be negative')
+      .optional()
+  }),
+
+  amenities: z.array(z.string().trim()).optional()
+});
+
+export const updateRoomTypeSchema = createRoomTypeSchema.partial();
+
+export const roomTypeParamsSchema = z.object({
+  roomTypeId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid room type ID format')
+});
+
+export const roomTypeQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(10),
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format')
+    .optional(),
+  category: z.enum(Object.values(ROOM_TYPES)).optional(),
+  search: z.string().min(1).optional()
+});
+
+export const roomTypeAvailabilitySchema = z.object({
+  propertyId: z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid property ID format'),
+  checkInDate: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid check-in date' })
+  }),
+  checkOutDate: z.coerce.date({
+    errorMap: () => ({ message: 'Invalid check-out date' })
+  }),
+  adults: z.coerce.number().min(1).max(20).optional().default(1),
+  children: z.coerce.number().min(0).max(10).optional().default(0)
+}).refine(data => data.checkOutDate > data.checkInDate, {
+  message: 'Check-out date must be after check-in date',
+  path: ['checkOutDate']
+});
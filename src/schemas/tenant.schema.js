@@ -1,10 +1,61 @@
 import { z } from 'zod';
-import { TENANT_TYPES, TENANT_PLANS } from '../config/constants.js';
+import { TENANT_TYPES, TENANT_PLANS, TAX_MODES } from '../config/constants.js';
 
 /**
  * Zod validation schemas for Tenant model
  */
 
+export const tenantTaxSettingsSchema = z.object({
+  mode: z.enum(Object.values(TAX_MODES)).optional(),
+  ivaRate: z.number()
+    .min(0, 'IVA rate cannot be negative')
+    .max(100, 'IVA rate cannot exceed 100')
+    .optional(),
+  ishRate: z.number()
+    .min(0, 'ISH rate cannot be negative')
+    .max(100, 'ISH rate cannot exceed 100')
+    .optional()
+});
+
+// Issuer (emisor) data for CFDI invoices
+export const tenantInvoicingSchema = z.object({
+  rfc: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/, 'Invalid RFC format'),
+  legalName: z.string()
+    .min(1, 'Legal name is required')
+    .max(300, 'Legal name cannot exceed 300 characters')
+    .trim(),
+  taxRegime: z.string()
+    .regex(/^\d{3}$/, 'Tax regime must be a 3-digit SAT key'),
+  series: z.string()
+    .max(25, 'Series cannot exceed 25 characters')
+    .trim()
+    .toUpperCase()
+    .optional()
+});
+
+// Look of the printable documents
+export const tenantBrandingSchema = z.object({
+  displayName: z.string()
+    .max(100, 'Display name cannot exceed 100 characters')
+    .trim()
+    .optional(),
+  logo: z.string()
+    .regex(/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/, 'Logo must be a PNG or JPEG data URI')
+    .max(700000, 'Logo cannot exceed 500 KB')
+    .nullable()
+    .optional(),
+  primaryColor: z.string()
+    .regex(/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color (e.g. #1F3A5F)')
+    .optional(),
+  footerText: z.string()
+    .max(300, 'Footer text cannot exceed 300 characters')
+    .trim()
+    .optional()
+});
+
 export const createTenantSchema = z.object({
   name: z.string()
     .min(2, 'Tenant name must be at least 2 characters')
@@ -28,7 +79,10 @@ export const createTenantSchema = z.object({
       .optional(),
     language: z.string()
       .max(5, 'Language code cannot exceed 5 characters')
-      .optional()
+      .optional(),
+    taxes: tenantTaxSettingsSchema.optional(),
+    invoicing: tenantInvoicingSchema.optional(),
+    branding: tenantBrandingSchema.optional()
   }).optional(),
   
   subscription: z.object({
@@ -54,7 +108,24 @@ export const tenantResponseSchema = z.object({
   settings: z.object({
     currency: z.string(),
     timezone: z.string(),
-    language: z.string()
+    language: z.string(),
+    taxes: z.object({
+      mode: z.enum(Object.values(TAX_MODES)),
+      ivaRate: z.number(),
+      ishRate: z.number()
+    }),
+    invoicing: z.object({
+      rfc: z.string().optional(),
+      legalName: z.string().optional(),
+      taxRegime: z.string().optional(),
+      series: z.string()
+    }),
+    branding: z.object({
+      displayName: z.string().optional(),
+      logo: z.string().nullable(),
+      primaryColor: z.string(),
+      footerText: z.string().optional()
+    })
   }),
   subscription: z.object({
     startDate: z.date(),
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Folio from '../modules/folios/folio.model.js';
+import Payment from '../modules/payments/payment.model.js';
+import Refund from '../modules/payments/refund.model.js';
+import LedgerEntry from '../modules/ledger/ledgerEntry.model.js';
+import '../modules/reservations/reservation.model.js';
+import '../modules/guests/guest.model.js';
+import '../modules/tenants/tenant.model.js';
+import {
+  syncFolioLedger,
+  syncPaymentLedger,
+  recordRefundEntry,
+  refreshGuestSpend
+} from '../modules/ledger/ledger.service.js';
+import { runWithoutTenant } from '../utils/tenantContext.js';
+
+dotenv.config();
+
+/**
+ * Script to record in the ledger the charges, payments and refunds made before it existed
+ * Syncing skips what is already recorded, so the script only posts what is missing. Then
+ * every reservation with payments gets its paymentSummary and every guest with charges
+ * their totalSpent recalculated from the ledger
+ */
+async function backfillLedger() {
+  try {
+    console.log('🔧 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to database');
+
+    const summary = { folios: 0, payments: 0, refunds: 0, errors: 0 };
+
+    console.log('📊 Recording folio charges...');
+    const folios = await Folio.find({ isActive: true });
+    for (const folio of folios) {
+      try {
+        summary.folios += await syncFolioLedger(folio);
+      } catch (error) {
+        console.error(`❌ Error recording folio ${folio._id}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    console.log('📊 Recording payments...');
+    const payments = await Payment.find({});
+    for (const payment of payments) {
+      try {
+        if (await syncPaymentLedger(payment)) summary.payments++;
+      } catch (error) {
+        console.error(`❌ Error recording payment ${payment.transactionId}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    console.log('📊 Recording refunds...');
+    const refunds = await Refund.find({ isActive: true });
+    const paymentsById = new Map(payments.map(payment => [String(payment._id), payment]));
+    for (const refund of refunds) {
+      try {
+        const payment = paymentsById.get(String(refund.paymentId));
+        if (payment && await recordRefundEntry(refund, payment)) summary.refunds++;
+      } catch (error) {
+        console.error(`❌ Error recording refund ${refund.refundNumber}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    console.log('📊 Recalculating reservation payment status...');
+    const recalculated = new Set();
+    for (const payment of payments) {
+      const reservationId = String(payment.reservationId);
+      if (recalculated.has(reservationId)) continue;
+
+      try {
+        await payment.updateReservationPaymentStatus();
+        recalculated.add(reservationId);
+      } catch (error) {
+        console.error(`❌ Error recalculating reservation ${reservationId}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    console.log('📊 Recalculating guest spend...');
+    const guests = await LedgerEntry.aggregate([
+      { $match: { 'source.model': 'Folio', guestId: { $ne: null } } },
+      { $group: { _id: { tenantId: '$tenantId', guestId: '$guestId' } } }
+    ]);
+    for (const { _id } of guests) {
+      await refreshGuestSpend(_id.tenantId, _id.guestId);
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   🧾 Folio entries posted: ${summary.folios}`);
+    console.log(`   💳 Payment entries posted: ${summary.payments}`);
+    console.log(`   ↩️  Refund entries posted: ${summary.refunds}`);
+    console.log(`   📋 Reservations recalculated: ${recalculated.size}`);
+    console.log(`   👤 Guests recalculated: ${guests.length}`);
+    console.log(`   ❌ Errors: ${summary.errors}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from database');
+  }
+}
+
+// Migrations work across tenants
+runWithoutTenant(backfillLedger);
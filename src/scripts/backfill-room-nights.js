@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Reservation from '../modules/reservations/reservation.model.js';
+import RoomNight from '../modules/reservations/roomNight.model.js';
+import RoomTypeNight from '../modules/reservations/roomTypeNight.model.js';
+import '../modules/rooms/room.model.js';
+import '../modules/roomTypes/roomType.model.js';
+import { BLOCKING_RESERVATION_STATUSES } from '../config/constants.js';
+import {
+  claimRoomNights,
+  releaseRoomNights,
+  claimRoomTypeNights,
+  returnRoomTypeNights
+} from '../modules/reservations/roomInventory.service.js';
+import { runWithoutTenant } from '../utils/tenantContext.js';
+
+dotenv.config();
+
+/**
+ * Script to claim the room nights and room type nights of reservations booked before
+ * room night inventory
+ * Reservations are claimed in booking order, so when two of them already overlap (or a
+ * room type is already oversold) the older one keeps the room and the newer one is
+ * reported to be moved by hand
+ */
+async function backfillRoomNights() {
+  try {
+    console.log('🔧 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to database');
+
+    console.log('🔑 Building room night indexes...');
+    await RoomNight.syncIndexes();
+    await RoomTypeNight.syncIndexes();
+
+    console.log('📊 Fetching reservations that hold rooms...');
+    const reservations = await Reservation.find({
+      isActive: true,
+      status: { $in: BLOCKING_RESERVATION_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    console.log(`📋 Found ${reservations.length} reservations to claim`);
+
+    let claimed = 0;
+    let conflicts = 0;
+    let errors = 0;
+
+    for (const reservation of reservations) {
+      try {
+        const result = await claimRoomNights(reservation);
+        await releaseRoomNights(reservation.tenantId, result.released);
+
+        const typeResult = await claimRoomTypeNights(reservation);
+        await returnRoomTypeNights(reservation, typeResult.released);
+
+        if (result.claimed.length > 0 || typeResult.claimed.length > 0) {
+          console.log(`✅ ${reservation.confirmationNumber}: ${result.claimed.length} room night(s), ${typeResult.claimed.length} room type night(s) claimed`);
+          claimed++;
+        }
+      } catch (error) {
+        if (error.name === 'RoomUnavailableError') {
+          console.warn(`⚠️ Overbooked ${reservation.confirmationNumber}: ${error.message}`);
+          conflicts++;
+        } else {
+          console.error(`❌ Error claiming reservation ${reservation.confirmationNumber}:`, error.message);
+          errors++;
+        }
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   ✅ Claimed: ${claimed}`);
+    console.log(`   ⚠️  Overbooked (move by hand): ${conflicts}`);
+    console.log(`   ❌ Errors: ${errors}`);
+    console.log(`   📋 Total processed: ${reservations.length}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from database');
+  }
+}
+
+// Migrations work across tenants
+runWithoutTenant(backfillRoomNights);
@@ -1,13 +1,21 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Reservation from '../modules/reservations/reservation.model.js';
-import Room from '../modules/rooms/room.model.js';
+import '../modules/properties/property.model.js';
+import '../modules/tenants/tenant.model.js';
+import '../modules/payments/payment.model.js';
+import { TAX_MODES } from '../config/constants.js';
+import { resolveTaxSettings } from '../modules/taxes/tax.service.js';
+import { getPricedNights } from '../modules/reservations/cancellation.service.js';
+import { runWithoutTenant } from '../utils/tenantContext.js';
 
 dotenv.config();
 
 /**
- * Script to fix reservation pricing by removing duplicate IVA calculation
- * Room prices already include IVA, so we need to recalculate totalPrice without adding 16% tax
+ * Script to split the taxes out of reservations priced before the tax engine
+ * Those prices already included IVA, so each stay is retaxed in inclusive mode with the
+ * property rates: the total stays the same (or loses the IVA added twice by the old bug)
+ * and pricing gets its net subtotal and tax breakdown
  */
 async function fixReservationPricing() {
   try {
@@ -15,13 +23,13 @@ async function fixReservationPricing() {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ Connected to database');
 
-    console.log('📊 Fetching all active reservations...');
-    const reservations = await Reservation.find({ 
+    console.log('📊 Fetching reservations priced before the tax engine...');
+    const reservations = await Reservation.find({
       isActive: true,
-      'pricing.taxes': { $gt: 0 } // Only fix reservations that have taxes > 0
-    }).populate('roomId');
+      'pricing.taxMode': { $exists: false }
+    });
 
-    console.log(`📋 Found ${reservations.length} reservations with taxes to fix`);
+    console.log(`📋 Found ${reservations.length} reservations to retax`);
 
     let fixed = 0;
     let errors = 0;
@@ -32,23 +40,21 @@ async function fixReservationPricing() {
         const oldTaxes = reservation.pricing.taxes;
         const oldRemainingBalance = reservation.paymentSummary.remainingBalance;
 
-        // Recalculate pricing without taxes
-        reservation.pricing.taxes = 0;
-        reservation.pricing.totalPrice = reservation.pricing.subtotal + 
-                                        reservation.pricing.fees.cleaning + 
-                                        reservation.pricing.fees.service + 
-                                        reservation.pricing.fees.extra;
-        
-        // Update payment summary
-        reservation.paymentSummary.remainingBalance = 
-          reservation.pricing.totalPrice - reservation.paymentSummary.totalPaid;
+        const taxSettings = await resolveTaxSettings(reservation);
+        const nights = getPricedNights(reservation).map(night => ({
+          rate: night.total,
+          ...(night.toObject ? night.toObject() : night)
+        }));
+
+        // Old prices included IVA whatever the property settings say now
+        reservation.applyNightlyBreakdown(nights, { ...taxSettings, mode: TAX_MODES.INCLUSIVE });
 
         await reservation.save();
 
         console.log(`✅ Fixed reservation ${reservation.confirmationNumber}:`);
         console.log(`   Old: Total=$${oldTotalPrice}, Taxes=$${oldTaxes}, Balance=$${oldRemainingBalance}`);
-        console.log(`   New: Total=$${reservation.pricing.totalPrice}, Taxes=$${reservation.pricing.taxes}, Balance=$${reservation.paymentSummary.remainingBalance}`);
-        
+        console.log(`   New: Total=$${reservation.pricing.totalPrice}, Net=$${reservation.pricing.subtotal}, Taxes=$${reservation.pricing.taxes}, Balance=$${reservation.paymentSummary.remainingBalance}`);
+
         fixed++;
       } catch (error) {
         console.error(`❌ Error fixing reservation ${reservation.confirmationNumber}:`, error.message);
@@ -69,4 +75,5 @@ async function fixReservationPricing() {
   }
 }
 
-fixReservationPricing();
+// Migrations work across tenants
+runWithoutTenant(fixReservationPricing);
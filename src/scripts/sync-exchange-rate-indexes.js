@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ExchangeRate from '../modules/exchangeRates/exchangeRate.model.js';
+import { runWithoutTenant } from '../utils/tenantContext.js';
+
+dotenv.config();
+
+/**
+ * Script to rebuild the exchange rate indexes
+ * The unique rate per pair and day now ignores deleted rates; MongoDB cannot change the
+ * options of an existing index, so the old one is dropped and created again
+ */
+async function syncExchangeRateIndexes() {
+  try {
+    console.log('🔧 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to database');
+
+    console.log('🔑 Comparing exchange rate indexes...');
+    const { toDrop, toCreate } = await ExchangeRate.diffIndexes();
+
+    if (toDrop.length === 0 && toCreate.length === 0) {
+      console.log('✅ Indexes are up to date');
+      return;
+    }
+
+    const dropped = await ExchangeRate.syncIndexes();
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   🗑️  Dropped: ${dropped.length > 0 ? dropped.join(', ') : 'none'}`);
+    console.log(`   🔑 Created: ${toCreate.length}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from database');
+  }
+}
+
+// Migrations work across tenants
+runWithoutTenant(syncExchangeRateIndexes);
@@ -1,5 +1,7 @@
 import app from './app.js';
 import Database from './config/database.js';
+import { startJobs, stopJobs } from './jobs/index.js';
+import { getPaymentGateway } from './modules/payments/gateways/index.js';
 
 /**
  * Server Entry Point
@@ -14,10 +16,16 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
  */
 const startServer = async () => {
   try {
+    // Card payments need a gateway: fail now rather than on the first charge
+    console.log(`💳 Payment gateway: ${getPaymentGateway().name}`);
+
     // Connect to MongoDB
     console.log('🔌 Connecting to MongoDB...');
     await Database.connect();
 
+    // Start background jobs
+    startJobs();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log(`
@@ -46,6 +54,9 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       console.log(`\n📴 Received ${signal}. Starting graceful shutdown...`);
       
+      // Stop background jobs
+      stopJobs();
+      
       // Close HTTP server
       server.close(async () => {
         console.log('🔌 HTTP server closed');
@@ -1,4 +1,96 @@
 import mongoose from 'mongoose';
+import { getTenantContext, getCurrentTenantId, isTenantScopeStrict, tenantScopeError } from './tenantContext.js';
+
+// Query operations filtered by tenant
+const TENANT_SCOPED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Tenant scope plugin
+ * Injects the tenant of the request context (see utils/tenantContext.js) into every
+ * query, aggregate, update and new document. Filters naming another tenant are narrowed
+ * to the current one, never widened. Without a tenant in context, queries must name
+ * their tenantId or run inside runWithoutTenant, or they fail in strict mode
+ */
+export const tenantScopePlugin = function(schema, options) {
+  schema.pre(TENANT_SCOPED_QUERIES, function(next) {
+    const context = getTenantContext();
+    const filtered = this.getFilter().tenantId !== undefined;
+
+    if (context?.tenantId) {
+      if (!filtered) {
+        this.where({ tenantId: context.tenantId });
+      } else if (String(this.getFilter().tenantId) !== context.tenantId) {
+        this.and([{ tenantId: context.tenantId }]);
+      }
+      return next();
+    }
+
+    if (!context?.unscoped && !filtered && isTenantScopeStrict()) {
+      return next(tenantScopeError(`Unscoped ${this.op} on ${this.model.modelName}: no tenant in context`));
+    }
+
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const context = getTenantContext();
+    const [first] = this.pipeline();
+    const filtered = first?.$match?.tenantId !== undefined;
+
+    if (context?.tenantId) {
+      if (!filtered || String(first.$match.tenantId) !== context.tenantId) {
+        this.pipeline().unshift({ $match: { tenantId: new mongoose.Types.ObjectId(context.tenantId) } });
+      }
+      return next();
+    }
+
+    if (!context?.unscoped && !filtered && isTenantScopeStrict()) {
+      return next(tenantScopeError(`Unscoped aggregate on ${this.model().modelName}: no tenant in context`));
+    }
+
+    next();
+  });
+
+  // New documents belong to the tenant in context
+  schema.pre('validate', function(next) {
+    const tenantId = getCurrentTenantId();
+    if (!tenantId) return next();
+
+    if (!this.tenantId) {
+      this.tenantId = tenantId;
+    } else if (String(this.tenantId) !== tenantId) {
+      return next(tenantScopeError(`Cannot save ${this.constructor.modelName} of another tenant`));
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const tenantId = getCurrentTenantId();
+    if (!tenantId) return next();
+
+    for (const doc of [].concat(docs)) {
+      if (!doc.tenantId) {
+        doc.tenantId = tenantId;
+      } else if (String(doc.tenantId) !== tenantId) {
+        return next(tenantScopeError(`Cannot insert ${this.modelName} of another tenant`));
+      }
+    }
+    next();
+  });
+};
 
 /**
  * Base schema plugin for multi-tenant architecture
@@ -40,14 +132,8 @@ export const baseSchemaPlugin = function(schema, options) {
     next();
   });
 
-  // Add tenant filtering to all queries by default
-  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'deleteOne', 'deleteMany'], function(next) {
-    // Only add tenantId filter if not already specified and tenantId exists in context
-    if (this.getQuery && !this.getQuery().tenantId && this.tenantId) {
-      this.where({ tenantId: this.tenantId });
-    }
-    next();
-  });
+  // Scope every query, aggregate and update to the tenant in context
+  schema.plugin(tenantScopePlugin);
 
   // Instance method to check tenant ownership
   schema.methods.belongsToTenant = function(tenantId) {
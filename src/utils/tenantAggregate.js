@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { tenantScopeError } from './tenantContext.js';
+
+/**
+ * Tenant-safe aggregation
+ * Aggregates of tenant data go through tenantAggregate: the pipeline always starts with
+ * the tenant's $match, and every stage that reads another tenant collection ($lookup,
+ * $unionWith, $graphLookup) must be scoped to the tenant too, or the aggregate fails
+ * with a TenantScopeError before it reaches the database
+ */
+
+/**
+ * Names of the collections whose documents belong to a tenant
+ * @returns {Set} Collection names
+ */
+const tenantCollections = () => new Set(
+  mongoose.modelNames()
+    .map(name => mongoose.model(name))
+    .filter(model => model.schema.path('tenantId'))
+    .map(model => model.collection.collectionName)
+);
+
+/**
+ * Whether an $expr compares tenantId with a variable bound to the outer tenantId
+ * Accepts { $eq: ['$tenantId', '$$var'] }, alone or inside a top-level $and
+ * @param {Object} expr - $expr of a $match
+ * @param {Object} variables - let of the $lookup
+ * @returns {Boolean} Scoped
+ */
+const exprScopesTenant = (expr, variables = {}) => {
+  const conditions = expr?.$and || [expr];
+
+  return conditions.some(condition => {
+    const operands = condition?.$eq;
+    if (!Array.isArray(operands) || !operands.includes('$tenantId')) return false;
+
+    const other = operands.find(operand => operand !== '$tenantId');
+    return typeof other === 'string' && other.startsWith('$$') && variables[other.slice(2)] === '$tenantId';
+  });
+};
+
+/**
+ * Whether a sub-pipeline starts by matching the tenant
+ * @param {Array} pipeline - Sub-pipeline
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} variables - let of the $lookup
+ * @returns {Boolean} Scoped
+ */
+const startsWithTenantMatch = (pipeline, tenantId, variables) => {
+  const match = pipeline?.[0]?.$match;
+  if (!match) return false;
+
+  return (match.tenantId !== undefined && String(match.tenantId) === String(tenantId))
+    || exprScopesTenant(match.$expr, variables);
+};
+
+/**
+ * Check that every stage reading another tenant collection is scoped to the tenant
+ * @param {Array} pipeline - Aggregation pipeline
+ * @param {String} tenantId - Tenant ID
+ * @param {Set} collections - Tenant collection names
+ * @throws {Error} TenantScopeError naming the unscoped stage
+ */
+const assertScopedStages = (pipeline, tenantId, collections) => {
+  for (const stage of pipeline) {
+    if (stage.$lookup) {
+      const { from, let: variables, pipeline: subPipeline = [] } = stage.$lookup;
+
+      if (collections.has(from) && !startsWithTenantMatch(subPipeline, tenantId, variables)) {
+        throw tenantScopeError(
+          `$lookup from ${from} must start its pipeline with a $match on the tenant`
+        );
+      }
+      assertScopedStages(subPipeline, tenantId, collections);
+    }
+
+    if (stage.$unionWith) {
+      const { coll, pipeline: subPipeline = [] } = typeof stage.$unionWith === 'string'
+        ? { coll: stage.$unionWith }
+        : stage.$unionWith;
+
+      if (collections.has(coll) && !startsWithTenantMatch(subPipeline, tenantId)) {
+        throw tenantScopeError(
+          `$unionWith ${coll} must start its pipeline with a $match on the tenant`
+        );
+      }
+      assertScopedStages(subPipeline, tenantId, collections);
+    }
+
+    if (stage.$graphLookup) {
+      const { from, restrictSearchWithMatch } = stage.$graphLookup;
+
+      if (collections.has(from) && String(restrictSearchWithMatch?.tenantId) !== String(tenantId)) {
+        throw tenantScopeError(
+          `$graphLookup from ${from} must restrict its search to the tenant`
+        );
+      }
+    }
+
+    if (stage.$facet) {
+      Object.values(stage.$facet).forEach(facet => assertScopedStages(facet, tenantId, collections));
+    }
+  }
+};
+
+/**
+ * Scope a pipeline to a tenant
+ * Prepends the tenant $match (even when the pipeline already has one) after checking
+ * that its lookups are scoped too
+ * @param {Array} pipeline - Aggregation pipeline
+ * @param {String} tenantId - Tenant ID
+ * @returns {Array} New pipeline, starting with the tenant $match
+ * @throws {Error} TenantScopeError when there is no tenant or a lookup is not scoped
+ */
+export const addTenantFilterToPipeline = (pipeline, tenantId) => {
+  if (!tenantId || !mongoose.Types.ObjectId.isValid(String(tenantId))) {
+    throw tenantScopeError('A tenant is required to aggregate tenant data');
+  }
+
+  assertScopedStages(pipeline, tenantId, tenantCollections());
+
+  return [
+    { $match: { tenantId: new mongoose.Types.ObjectId(String(tenantId)) } },
+    ...pipeline
+  ];
+};
+
+/**
+ * Run an aggregate on a tenant's documents
+ * Lookups into tenant collections must start their pipeline with
+ * { $match: { tenantId } } (or compare '$tenantId' with a let variable bound to it)
+ * @param {Object} Model - Mongoose model
+ * @param {String} tenantId - Tenant ID
+ * @param {Array} pipeline - Aggregation pipeline
+ * @returns {Object} Aggregate (await it for the results)
+ */
+export const tenantAggregate = (Model, tenantId, pipeline) =>
+  Model.aggregate(addTenantFilterToPipeline(pipeline, tenantId));
+
+export default {
+  addTenantFilterToPipeline,
+  tenantAggregate
+};
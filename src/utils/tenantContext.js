@@ -0,0 +1,67 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Tenant context
+ * The tenant a request (or job) works for, kept in AsyncLocalStorage so it follows
+ * everything the request runs, awaited work and model hooks included. The tenant scope
+ * plugin reads it to filter queries, aggregates and updates
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function for a tenant
+ * Pass an async function: queries built and awaited inside it are scoped to the tenant
+ * @param {String} tenantId - Tenant ID
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+export const runWithTenant = (tenantId, fn) => storage.run({ tenantId: String(tenantId), unscoped: false }, fn);
+
+/**
+ * Run a function across tenants (login, webhooks, jobs, migrations)
+ * Queries inside it are not filtered, and are allowed in strict mode
+ * @param {Function} fn - Async function to run
+ * @returns {*} What fn returns
+ */
+export const runWithoutTenant = (fn) => storage.run({ tenantId: null, unscoped: true }, fn);
+
+/**
+ * Get the current context
+ * @returns {Object|null} { tenantId, unscoped } or null outside any context
+ */
+export const getTenantContext = () => storage.getStore() || null;
+
+/**
+ * Get the tenant of the current context
+ * @returns {String|null} Tenant ID
+ */
+export const getCurrentTenantId = () => storage.getStore()?.tenantId || null;
+
+/**
+ * Whether queries on tenant models without a tenant (and outside runWithoutTenant) fail
+ * Enabled with TENANT_SCOPE_STRICT=true
+ * @returns {Boolean} Strict mode
+ */
+export const isTenantScopeStrict = () => process.env.TENANT_SCOPE_STRICT === 'true';
+
+/**
+ * Build the error raised by tenant scoping
+ * Recognized by its name (TenantScopeError)
+ * @param {String} message - Error message
+ * @returns {Error} Error
+ */
+export const tenantScopeError = (message) => {
+  const error = new Error(message);
+  error.name = 'TenantScopeError';
+  return error;
+};
+
+export default {
+  runWithTenant,
+  runWithoutTenant,
+  getTenantContext,
+  getCurrentTenantId,
+  isTenantScopeStrict,
+  tenantScopeError
+};
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * Transaction helper
+ * Queries and saves made inside withTransaction, those of model hooks included, join its
+ * session through async local storage, so they commit or roll back together
+ */
+
+// Let every operation run inside connection.transaction() pick up its session
+mongoose.set('transactionAsyncLocalStorage', true);
+
+/**
+ * Run a function in a MongoDB transaction
+ * The function is retried on transient errors, so it must not call external services
+ * (card gateways, email) and must load the documents it changes itself when it changes
+ * them incrementally. Needs a replica set or sharded cluster
+ * @param {Function} fn - Async function doing the writes (no parallel operations)
+ * @returns {*} What fn returns
+ */
+export const withTransaction = (fn) => mongoose.connection.transaction(fn);
+
+export default {
+  withTransaction
+};